@@ -1,14 +1,126 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Parse a JSON env var, falling back (with a warning) when it is malformed
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring ${name}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Parse a numeric env var, falling back only when it is unset or not a number (0 is kept)
+ */
+function parseNumberEnv(name, fallback, parse = parseFloat) {
+  const value = parse(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
 export const config = {
   port: process.env.PORT || 4000,
   ocr: {
     serviceUrl: process.env.OCR_SERVICE_URL,
+    remoteTimeoutMs: parseInt(process.env.OCR_REMOTE_TIMEOUT_MS) || 5 * 60 * 1000,
+    // Provider failover order: remote | tesseract | passthrough (unconfigured providers are skipped)
+    providers: (process.env.OCR_PROVIDERS || 'remote,tesseract,passthrough').split(',').map(p => p.trim()).filter(Boolean),
+    // Per-facility order, e.g. {"Mercy General": ["tesseract", "remote"]}
+    facilityProviders: parseJsonEnv('OCR_FACILITY_PROVIDERS', {}),
+    // A provider that fails is skipped for this long before being tried again
+    providerCooldownMs: parseInt(process.env.OCR_PROVIDER_COOLDOWN_MS) || 60 * 1000,
+    // Pages whose average OCR confidence (0-100) falls below this are flagged for manual review
+    lowConfidenceThreshold: parseFloat(process.env.OCR_LOW_CONFIDENCE_THRESHOLD) || 80,
+    // Local engine: tesseract CLI, with poppler's pdftoppm to rasterize PDFs
+    tesseract: {
+      enabled: process.env.TESSERACT_ENABLED !== 'false',
+      command: process.env.TESSERACT_PATH || 'tesseract',
+      pdftoppmCommand: process.env.PDFTOPPM_PATH || 'pdftoppm',
+      languages: process.env.TESSERACT_LANGUAGES || 'eng',
+      dpi: parseInt(process.env.TESSERACT_DPI) || 300,
+      pageTimeoutMs: parseInt(process.env.TESSERACT_PAGE_TIMEOUT_MS) || 2 * 60 * 1000
+    },
+    // Born-digital PDFs: use the embedded text layer, OCR only pages that fail these checks
+    pdfTextLayer: {
+      enabled: process.env.PDF_TEXT_LAYER !== 'false',
+      minPageChars: parseInt(process.env.PDF_TEXT_MIN_PAGE_CHARS) || 50,
+      minAlphanumericRatio: parseFloat(process.env.PDF_TEXT_MIN_ALNUM_RATIO) || 0.6,
+      minWordRatio: parseFloat(process.env.PDF_TEXT_MIN_WORD_RATIO) || 0.3
+    }
   },
   ai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4o',
+    // Default LLM provider: openai | azure | openai_compatible | mock
+    provider: process.env.AI_PROVIDER || 'openai',
+    // Per-facility / per-specialty selection, a provider name or { provider, model, contextTokens }, e.g.
+    // {"Mercy General": {"provider": "azure"}} - facility wins over specialty
+    facilityProviders: parseJsonEnv('AI_FACILITY_PROVIDERS', {}),
+    specialtyProviders: parseJsonEnv('AI_SPECIALTY_PROVIDERS', {}),
+    requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Prompt budgeting: charts too long for one request are coded in parts (map) and merged (reduce)
+    contextTokens: parseInt(process.env.AI_CONTEXT_TOKENS) || 128000,
+    maxCompletionTokens: parseInt(process.env.AI_MAX_COMPLETION_TOKENS) || 12000,
+    // Optional cap on document tokens per request, below what the context window allows
+    chunkTokens: parseInt(process.env.AI_CHUNK_TOKENS) || null,
+    // Re-prompts with the validation errors before a coding response is rejected (0 disables)
+    repairAttempts: Math.max(parseNumberEnv('AI_REPAIR_ATTEMPTS', 2, parseInt), 0),
+    // Azure OpenAI: the deployment name is what requests address as the model
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+    },
+    // Any server speaking the OpenAI chat API (vLLM, Ollama at http://localhost:11434/v1, ...)
+    compatible: {
+      baseUrl: process.env.AI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.AI_COMPATIBLE_API_KEY || 'not-needed',
+      model: process.env.AI_COMPATIBLE_MODEL
+    },
+    // Offline provider: returns fixture JSON instead of calling a model
+    mock: {
+      codingFixture: process.env.AI_MOCK_CODING_FIXTURE,
+      summaryFixture: process.env.AI_MOCK_SUMMARY_FIXTURE
+    }
+  },
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || 'medcode-ai-secret-key-change-in-production',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h'
+  },
+  evidence: {
+    // Fuzzy match score (0-1) at which an AI evidence quote counts as found in the document
+    matchThreshold: parseNumberEnv('EVIDENCE_MATCH_THRESHOLD', 0.85),
+    // Below matchThreshold but at least this is reported as a partial match
+    partialThreshold: parseNumberEnv('EVIDENCE_PARTIAL_THRESHOLD', 0.6),
+    // How far (in lines) from the cited line_number a quote may be and still count as cited correctly
+    lineTolerance: parseNumberEnv('EVIDENCE_LINE_TOLERANCE', 2, parseInt),
+    // Lower the confidence of codes whose evidence cannot be found
+    downRank: process.env.EVIDENCE_DOWN_RANK !== 'false'
+  },
+  assignment: {
+    // Auto-assign charts when AI marks them ready: 'none' | 'round_robin' | 'least_loaded'
+    strategy: process.env.ASSIGNMENT_STRATEGY || 'none'
+  },
+  qa: {
+    // Percentage of submitted charts sent to QA review (0-100)
+    samplePercent: parseInt(process.env.QA_SAMPLE_PERCENT) || 0,
+    // Coders with fewer than this many accepted submissions have every chart reviewed
+    newCoderThreshold: parseInt(process.env.QA_NEW_CODER_THRESHOLD) || 0
+  },
+  hl7: {
+    // MLLP listener for the interface engine - disabled unless a port is set
+    mllpPort: parseInt(process.env.HL7_MLLP_PORT) || null,
+    mllpHost: process.env.HL7_MLLP_HOST || '127.0.0.1',
+    // MLLP has no authentication, so it may only feed these facilities (comma-separated);
+    // the listener does not start without at least one
+    mllpFacilities: (process.env.HL7_MLLP_FACILITIES || '').split(',').map(f => f.trim()).filter(Boolean),
+    maxMessageSize: parseInt(process.env.HL7_MAX_MESSAGE_SIZE) || 5 * 1024 * 1024
   },
   database: {
     url: process.env.DATABASE_URL,
@@ -31,7 +143,33 @@ export const config = {
       'image/webp',
       'text/plain',  // Added for clinical text paste functionality
       'application/msword',                                                          // .doc files
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'     // .docx files
-    ]
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',    // .docx files
+      'text/html',                                  // EHR print views
+      'application/rtf',                            // .rtf files
+      'text/rtf',
+      'application/vnd.oasis.opendocument.text',    // .odt files
+      'text/csv',                                   // Lab / flowsheet exports
+      'application/xml',                            // XML and C-CDA documents
+      'text/xml',
+      'application/zip',              // One archive per encounter - expanded on upload
+      'application/x-zip-compressed'  // What Windows browsers report for .zip
+    ],
+    // Archives are expanded into their entries before storage; they never reach the worker
+    archiveMimeTypes: ['application/zip', 'application/x-zip-compressed'],
+    archive: {
+      maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 500,
+      // Per entry and total uncompressed bytes
+      maxEntrySize: parseInt(process.env.ARCHIVE_MAX_ENTRY_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 25 * 1024 * 1024,
+      maxTotalSize: parseInt(process.env.ARCHIVE_MAX_TOTAL_SIZE) || 500 * 1024 * 1024,
+      // Uncompressed/compressed ratio above which an archive is treated as a zip bomb
+      maxCompressionRatio: parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100
+    },
+    // Resumable chunked uploads for files over the multipart form limit
+    chunked: {
+      // S3 requires every part except the last to be at least 5 MiB
+      chunkSize: Math.max(parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024, 5 * 1024 * 1024),
+      maxFileSize: parseInt(process.env.CHUNKED_MAX_FILE_SIZE) || 1024 * 1024 * 1024,
+      sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24
+    }
   }
 };
@@ -1,8 +1,9 @@
 import jwt from 'jsonwebtoken';
 import { UserRepository, ROLES } from '../db/userRepository.js';
+import { config } from '../config.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'medcode-ai-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_SECRET = config.auth.jwtSecret;
+const JWT_EXPIRES_IN = config.auth.jwtExpiresIn;
 
 class AuthController {
 
@@ -53,7 +54,8 @@ class AuthController {
           userId: user.user_id,
           name: user.name,
           role: user.role,
-          email: user.email
+          email: user.email,
+          facilities: user.facilities
         }
       });
 
@@ -83,6 +85,7 @@ class AuthController {
           name: user.name,
           role: user.role,
           email: user.email,
+          facilities: user.facilities,
           lastLogin: user.last_login
         }
       });
@@ -99,7 +102,7 @@ class AuthController {
    */
   async register(req, res) {
     try {
-      const { userId, password, name, role, email } = req.body;
+      const { userId, password, name, role, email, facilities = [] } = req.body;
 
       if (!userId || !password || !name) {
         return res.status(400).json({
@@ -117,6 +120,10 @@ class AuthController {
         });
       }
 
+      if (!Array.isArray(facilities)) {
+        return res.status(400).json({ success: false, error: 'Facilities must be an array' });
+      }
+
       // Check if user exists
       const existingUser = await UserRepository.findByUserId(userId);
       if (existingUser) {
@@ -128,7 +135,8 @@ class AuthController {
         password,
         name,
         role: role || 'coder',
-        email
+        email,
+        facilities
       });
 
       console.log(`✅ New user created: ${user.user_id} (${user.role}) by ${req.user?.userId || 'system'}`);
@@ -141,7 +149,8 @@ class AuthController {
           userId: user.user_id,
           name: user.name,
           role: user.role,
-          email: user.email
+          email: user.email,
+          facilities: user.facilities
         }
       });
 
@@ -215,6 +224,7 @@ class AuthController {
           name: u.name,
           role: u.role,
           email: u.email,
+          facilities: u.facilities,
           isActive: u.is_active,
           lastLogin: u.last_login,
           createdAt: u.created_at
@@ -235,7 +245,7 @@ class AuthController {
   async updateUser(req, res) {
     try {
       const { userId } = req.params;
-      const { name, email, role, isActive } = req.body;
+      const { name, email, role, isActive, facilities } = req.body;
 
       const validRoles = Object.values(ROLES);
       if (role && !validRoles.includes(role)) {
@@ -245,12 +255,16 @@ class AuthController {
         });
       }
 
+      if (facilities !== undefined && !Array.isArray(facilities)) {
+        return res.status(400).json({ success: false, error: 'Facilities must be an array' });
+      }
+
       // Prevent self-demotion
       if (req.user.userId === userId && role && role !== 'admin' && req.user.role === 'admin') {
         return res.status(400).json({ success: false, error: 'Cannot change your own admin role' });
       }
 
-      const user = await UserRepository.update(userId, { name, email, role, isActive });
+      const user = await UserRepository.update(userId, { name, email, role, isActive, facilities });
 
       if (!user) {
         return res.status(404).json({ success: false, error: 'User not found' });
@@ -267,6 +281,7 @@ class AuthController {
           name: user.name,
           role: user.role,
           email: user.email,
+          facilities: user.facilities,
           isActive: user.is_active
         }
       });
@@ -365,18 +380,19 @@ class AuthController {
 
   /**
    * Get coders list (for dropdowns)
-   * GET /api/auth/coders
+   * GET /api/auth/coders?facility=Facility%20A
    */
   async getCoders(req, res) {
     try {
-      const coders = await UserRepository.getCoders();
+      const coders = await UserRepository.getCoders(req.query.facility || null);
       res.json({
         success: true,
         coders: coders.map(c => ({
           id: c.id,
           userId: c.user_id,
           name: c.name,
-          email: c.email
+          email: c.email,
+          facilities: c.facilities
         }))
       });
     } catch (error) {
@@ -0,0 +1,165 @@
+import { ApiKeyRepository } from '../db/apiKeyRepository.js';
+import { API_KEY_SCOPES } from '../middleware/permissions.js';
+import { auditService } from '../services/auditService.js';
+
+// Longest expiry accepted on create (10 years)
+const MAX_EXPIRY_DAYS = 3650;
+
+// api_keys.id is a Postgres INTEGER
+const MAX_ID = 2147483647;
+
+/**
+ * Shape an api_keys row for responses (never exposes the hash)
+ */
+const formatApiKey = (key) => ({
+  id: key.id,
+  name: key.name,
+  keyPrefix: key.key_prefix,
+  scopes: key.scopes,
+  facilities: key.facilities,
+  createdBy: key.created_by,
+  createdAt: key.created_at,
+  expiresAt: key.expires_at,
+  lastUsedAt: key.last_used_at,
+  lastUsedIp: key.last_used_ip,
+  revokedAt: key.revoked_at,
+  revokedBy: key.revoked_by
+});
+
+class ApiKeyController {
+
+  /**
+   * List API keys (admin only)
+   * GET /api/auth/api-keys?includeRevoked=true
+   */
+  async getApiKeys(req, res) {
+    try {
+      const keys = await ApiKeyRepository.getAll({
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+
+      res.json({
+        success: true,
+        apiKeys: keys.map(formatApiKey),
+        availableScopes: API_KEY_SCOPES
+      });
+    } catch (error) {
+      console.error('❌ Get API keys error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Create an API key (admin only)
+   * POST /api/auth/api-keys
+   * Body: { name, scopes: ['documents:upload'], facilities: ['Facility A'], expiresInDays? (1-3650) }
+   * The plaintext key is returned once and cannot be retrieved again.
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, facilities = [], expiresInDays } = req.body;
+
+      if (!name) {
+        return res.status(400).json({ success: false, error: 'Name is required' });
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `At least one scope is required. Available: ${API_KEY_SCOPES.join(', ')}`
+        });
+      }
+
+      const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+      if (invalidScopes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid scope(s): ${invalidScopes.join(', ')}. Available: ${API_KEY_SCOPES.join(', ')}`
+        });
+      }
+
+      if (!Array.isArray(facilities)) {
+        return res.status(400).json({ success: false, error: 'Facilities must be an array' });
+      }
+
+      // Keys are never unrestricted - one without facilities could not reach any chart
+      if (facilities.length === 0) {
+        return res.status(400).json({ success: false, error: 'At least one facility is required' });
+      }
+
+      const hasExpiry = expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '';
+      const days = Number(expiresInDays);
+
+      if (hasExpiry && !(Number.isInteger(days) && days > 0 && days <= MAX_EXPIRY_DAYS)) {
+        return res.status(400).json({ success: false, error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` });
+      }
+
+      const expiresAt = hasExpiry
+        ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        : null;
+
+      const { apiKey, rawKey } = await ApiKeyRepository.create({
+        name,
+        scopes,
+        facilities,
+        createdBy: req.user.userId,
+        expiresAt
+      });
+
+      await auditService.log(req, 'apikey.create', {
+        resourceType: 'api_key',
+        resourceId: apiKey.id,
+        details: { name, scopes, facilities }
+      });
+
+      console.log(`🔑 API key created: ${apiKey.key_prefix}… (${name}) by ${req.user.userId}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now - it will not be shown again.',
+        key: rawKey,
+        apiKey: formatApiKey(apiKey)
+      });
+
+    } catch (error) {
+      console.error('❌ Create API key error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Revoke an API key (admin only)
+   * DELETE /api/auth/api-keys/:id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const id = /^\d+$/.test(req.params.id) ? Number(req.params.id) : NaN;
+
+      if (!(id >= 1 && id <= MAX_ID)) {
+        return res.status(400).json({ success: false, error: 'API key id must be a positive number' });
+      }
+
+      const apiKey = await ApiKeyRepository.revoke(id, req.user.userId);
+
+      if (!apiKey) {
+        return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+      }
+
+      await auditService.log(req, 'apikey.revoke', {
+        resourceType: 'api_key',
+        resourceId: apiKey.id,
+        details: { name: apiKey.name }
+      });
+
+      console.log(`🔑 API key revoked: ${apiKey.key_prefix}… by ${req.user.userId}`);
+
+      res.json({ success: true, message: 'API key revoked', apiKey: formatApiKey(apiKey) });
+
+    } catch (error) {
+      console.error('❌ Revoke API key error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const apiKeyController = new ApiKeyController();
@@ -0,0 +1,106 @@
+import { AuditRepository } from '../db/auditRepository.js';
+import { auditService } from '../services/auditService.js';
+
+const CSV_COLUMNS = [
+  'id', 'occurred_at', 'actor_id', 'actor_role', 'ip_address',
+  'action', 'chart_number', 'resource_type', 'resource_id', 'user_agent', 'details'
+];
+
+/**
+ * Escape a value for CSV (RFC 4180)
+ */
+const toCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // Neutralize spreadsheet formula injection
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditController {
+
+  /**
+   * Pull supported filters from the query string
+   */
+  getFilters(req) {
+    const { actorId, action, chartNumber, ipAddress, startDate, endDate } = req.query;
+    return { actorId, action, chartNumber, ipAddress, startDate, endDate };
+  }
+
+  /**
+   * Search the audit log
+   * GET /api/audit?actorId=&action=&chartNumber=&ipAddress=&startDate=&endDate=&page=&limit=
+   */
+  async getAuditLog(req, res) {
+    try {
+      const filters = this.getFilters(req);
+      const { page = 1, limit = 50 } = req.query;
+
+      const result = await AuditRepository.search({
+        ...filters,
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 50, 500)
+      });
+
+      res.json({
+        success: true,
+        entries: result.entries.map(e => ({
+          id: e.id,
+          occurredAt: e.occurred_at,
+          actorId: e.actor_id,
+          actorRole: e.actor_role,
+          ipAddress: e.ip_address,
+          userAgent: e.user_agent,
+          action: e.action,
+          chartNumber: e.chart_number,
+          resourceType: e.resource_type,
+          resourceId: e.resource_id,
+          details: e.details
+        })),
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching audit log:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Export the audit log as CSV for compliance reviews
+   * GET /api/audit/export (same filters as search)
+   */
+  async exportAuditLog(req, res) {
+    try {
+      const filters = this.getFilters(req);
+      const rows = await AuditRepository.export(filters);
+
+      // Exporting the access log is itself an audited action
+      await auditService.log(req, 'audit.export', {
+        resourceType: 'audit_log',
+        resourceId: null,
+        details: { filters, rowCount: rows.length }
+      });
+
+      const lines = [CSV_COLUMNS.join(',')];
+      rows.forEach(row => {
+        lines.push(CSV_COLUMNS.map(col => toCSVValue(row[col])).join(','));
+      });
+
+      const stamp = new Date().toISOString().split('T')[0];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+      res.send(lines.join('\n'));
+
+    } catch (error) {
+      console.error('❌ Error exporting audit log:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const auditController = new AuditController();
@@ -1,6 +1,15 @@
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
 import { QueueService } from '../db/queueService.js';
+import { UserRepository } from '../db/userRepository.js';
+import { QARepository } from '../db/qaRepository.js';
+import { assignmentService, ASSIGNMENT_STRATEGIES } from '../services/assignmentService.js';
+import { qaService } from '../services/qaService.js';
+import { ncciService } from '../services/ncciService.js';
+import { auditService } from '../services/auditService.js';
+import { ingestionService } from '../services/ingestionService.js';
 import { calculateSLAHours, calculateProcessingDuration } from '../utils/slaTracker.js';
+import { toUserContext } from '../middleware/auth.js';
+import { hasPermission, forbidden, canAccessFacility, REVIEW_STATUS_PERMISSIONS } from '../middleware/permissions.js';
 
 class ChartController {
 
@@ -15,6 +24,7 @@ class ChartController {
         specialty,
         aiStatus,
         reviewStatus,
+        assignedTo,
         search,
         page = 1,
         limit = 10,
@@ -27,6 +37,9 @@ class ChartController {
         specialty,
         aiStatus,
         reviewStatus,
+        // 'me' = the caller's own work queue
+        assignedTo: assignedTo === 'me' ? req.user.userId : assignedTo,
+        allowedFacilities: req.user.facilities ?? null,
         search,
         page: parseInt(page),
         limit: parseInt(limit),
@@ -50,6 +63,10 @@ class ChartController {
           documentCount: chart.document_count,
           aiStatus: chart.ai_status,
           reviewStatus: chart.review_status,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at,
+          reprocessCount: chart.reprocess_count,
+          modificationsStale: chart.modifications_stale,
           // NEW: Error tracking fields
           lastError: chart.last_error,
           lastErrorAt: chart.last_error_at,
@@ -102,6 +119,12 @@ class ChartController {
       }
 
       const slaInfo = calculateProcessingDuration(chart.created_at, chart.processing_completed_at);
+      const latestQA = await QARepository.getLatestByChartId(chart.id);
+
+      await auditService.log(req, 'chart.view', {
+        chartNumber,
+        details: { documentIds: (chart.documents || []).map(d => d.id) }
+      });
 
       res.json({
         success: true,
@@ -117,6 +140,11 @@ class ChartController {
           aiStatus: chart.ai_status,
           reviewStatus: chart.review_status,
 
+          // Work queue assignment
+          assignedTo: chart.assigned_to,
+          assignedBy: chart.assigned_by,
+          assignedAt: chart.assigned_at,
+
           // AI Results (current state - may include modifications)
           aiSummary: chart.ai_summary,
           diagnosisCodes: chart.diagnosis_codes,
@@ -128,15 +156,42 @@ class ChartController {
 
           // Original AI codes (unmodified - for comparison)
           originalAICodes: chart.original_ai_codes,
+          aiMetadata: chart.ai_metadata,
+
+          // Codes not valid for the date of service (each code also carries code_validation)
+          codeValidation: chart.code_validation,
+
+          // Codes whose quoted evidence was not found in the documents (each code also carries evidence_verification)
+          evidenceVerification: chart.evidence_verification,
+
+          // NCCI PTP / MUE alerts (AI codes after processing, final codes after submit)
+          ncciEdits: chart.ncci_edits,
 
           // User modifications tracking
           userModifications: chart.user_modifications,
 
+          // Incremental reprocessing - stale modifications were made against previousAICodes
+          reprocessCount: chart.reprocess_count,
+          reprocessedAt: chart.reprocessed_at,
+          modificationsStale: chart.modifications_stale,
+          previousAICodes: chart.modifications_stale ? chart.previous_ai_codes : null,
+
           // Final submitted codes
           finalCodes: chart.final_codes,
           submittedAt: chart.submitted_at,
           submittedBy: chart.submitted_by,
 
+          // Latest QA review round (findings are separate from userModifications)
+          qaReview: latestQA ? {
+            status: latestQA.status,
+            selectionReason: latestQA.selection_reason,
+            reviewerId: latestQA.reviewer_id,
+            findings: latestQA.findings,
+            notes: latestQA.notes,
+            createdAt: latestQA.created_at,
+            completedAt: latestQA.completed_at
+          } : null,
+
           // Error tracking (NEW)
           lastError: chart.last_error,
           lastErrorAt: chart.last_error_at,
@@ -157,9 +212,15 @@ class ChartController {
             mimeType: doc.mime_type,
             s3Url: doc.s3_url,
             s3Key: doc.s3_key,
+            contentHash: doc.content_hash,
             ocrStatus: doc.ocr_status,
             ocrText: doc.ocr_text,
             ocrProcessingTime: doc.ocr_processing_time,
+            extractionMethod: doc.extraction_method,
+            textLayerPages: doc.text_layer_pages,
+            ocrPages: doc.ocr_pages,
+            ocrProvider: doc.ocr_provider,
+            lowConfidencePages: doc.low_confidence_pages || 0,
             aiDocumentSummary: doc.ai_document_summary,
             createdAt: doc.created_at
           })),
@@ -194,10 +255,27 @@ class ChartController {
         });
       }
 
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      if (existing.review_status === 'qa_pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Chart is awaiting QA review and cannot be modified'
+        });
+      }
+
       // Add timestamp to modifications
       const timestampedModifications = {
         ...modifications,
-        last_modified_at: new Date().toISOString()
+        last_modified_at: new Date().toISOString(),
+        last_modified_by: req.user.userId
       };
 
       const chart = await ChartRepository.saveUserModifications(chartNumber, timestampedModifications);
@@ -209,6 +287,14 @@ class ChartController {
         });
       }
 
+      await auditService.log(req, 'chart.modify', {
+        chartNumber,
+        details: {
+          reviewStatus: { from: existing.review_status, to: chart.review_status },
+          changes: auditService.summarizeModifications(existing.user_modifications, modifications)
+        }
+      });
+
       res.json({
         success: true,
         message: 'Modifications saved',
@@ -230,12 +316,14 @@ class ChartController {
 
   /**
    * Submit final codes to NextCode
+   * Blocked (422) by hard NCCI edits unless ncciOverrideReason is given
    * POST /api/charts/:chartNumber/submit
    */
   async submitCodes(req, res) {
     try {
       const { chartNumber } = req.params;
-      const { finalCodes, modifications, submittedBy } = req.body;
+      const { finalCodes, modifications, ncciOverrideReason } = req.body;
+      const submittedBy = req.user.userId;
 
       if (!finalCodes) {
         return res.status(400).json({
@@ -244,36 +332,95 @@ class ChartController {
         });
       }
 
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      if (existing.review_status === 'qa_pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Chart is already awaiting QA review'
+        });
+      }
+
+      // NCCI edits on the codes actually being submitted
+      const ncciEdits = await ncciService.checkCodes(finalCodes, existing.date_of_service);
+      const hardEdits = ncciEdits.alerts.filter(alert => alert.severity === 'hard');
+      const overrideReason = typeof ncciOverrideReason === 'string' ? ncciOverrideReason.trim() : '';
+
+      if (hardEdits.length > 0 && !overrideReason) {
+        return res.status(422).json({
+          success: false,
+          error: `${hardEdits.length} NCCI edit(s) must be resolved or overridden with a reason (ncciOverrideReason)`,
+          ncciEdits
+        });
+      }
+
+      if (hardEdits.length > 0) {
+        ncciEdits.override = {
+          reason: overrideReason,
+          overridden_by: submittedBy,
+          overridden_at: new Date().toISOString(),
+          alert_ids: hardEdits.map(alert => alert.id)
+        };
+      }
+
       // First save the modifications if provided
       if (modifications) {
         await ChartRepository.saveUserModifications(chartNumber, {
           ...modifications,
-          submitted_at: new Date().toISOString()
+          submitted_at: new Date().toISOString(),
+          submitted_by: submittedBy
         });
       }
 
+      // Decide whether this submission is held for QA before it goes to NextCode
+      const qaReason = await qaService.selectForQA(existing, submittedBy);
+      const reviewStatus = qaReason ? 'qa_pending' : 'submitted';
+
       // Then submit the final codes
-      const chart = await ChartRepository.submitFinalCodes(chartNumber, finalCodes, submittedBy);
+      const chart = await ChartRepository.submitFinalCodes(chartNumber, finalCodes, submittedBy, reviewStatus, ncciEdits);
 
-      if (!chart) {
-        return res.status(404).json({
-          success: false,
-          error: 'Chart not found'
-        });
-      }
+      await auditService.log(req, 'chart.submit', {
+        chartNumber,
+        details: {
+          reviewStatus: { from: existing.review_status, to: chart.review_status },
+          qaSelectionReason: qaReason,
+          finalCodeCounts: auditService.summarizeCodes(finalCodes),
+          ncciAlerts: ncciEdits.counts,
+          ncciOverride: ncciEdits.override || null,
+          changes: modifications
+            ? auditService.summarizeModifications(existing.user_modifications, modifications)
+            : {}
+        }
+      });
 
-      console.log(`✅ Chart ${chartNumber} submitted to NextCode`);
+      if (qaReason) {
+        await QARepository.create(chart.id, chartNumber, submittedBy, qaReason);
+        console.log(`🔎 Chart ${chartNumber} submitted by ${submittedBy} and held for QA (${qaReason})`);
+      } else {
+        console.log(`✅ Chart ${chartNumber} submitted to NextCode by ${submittedBy}`);
+      }
       console.log(`   Final codes:`, JSON.stringify(finalCodes, null, 2).substring(0, 500));
 
       res.json({
         success: true,
-        message: 'Codes submitted successfully to NextCode',
+        message: qaReason
+          ? 'Codes submitted for QA review'
+          : 'Codes submitted successfully to NextCode',
         chart: {
           chartNumber: chart.chart_number,
           reviewStatus: chart.review_status,
+          qaSelectionReason: qaReason,
           submittedAt: chart.submitted_at,
           submittedBy: chart.submitted_by,
-          finalCodes: chart.final_codes
+          finalCodes: chart.final_codes,
+          ncciEdits: chart.ncci_edits
         }
       });
 
@@ -287,7 +434,7 @@ class ChartController {
   }
 
   /**
-   * Update chart review status
+   * Update chart review status (not to 'submitted' or the QA statuses - see submitCodes and completeQA)
    * PATCH /api/charts/:chartNumber/status
    */
   async updateStatus(req, res) {
@@ -295,7 +442,24 @@ class ChartController {
       const { chartNumber } = req.params;
       const { reviewStatus } = req.body;
 
-      const validStatuses = ['pending', 'in_review', 'submitted', 'rejected'];
+      // Submission goes through submitCodes so NCCI hard edits block it (unless overridden
+      // with a reason) and every submitted chart is considered for QA sampling
+      if (reviewStatus === 'submitted') {
+        return res.status(400).json({
+          success: false,
+          error: 'Charts are submitted with POST /api/charts/:chartNumber/submit (NCCI edits and QA sampling apply there)'
+        });
+      }
+
+      // QA statuses follow a qa_reviews row: submitCodes opens one, acceptQA / returnQA close it
+      if (['qa_pending', 'qa_returned'].includes(reviewStatus)) {
+        return res.status(400).json({
+          success: false,
+          error: 'QA statuses are set by POST /api/charts/:chartNumber/submit and /qa/accept or /qa/return'
+        });
+      }
+
+      const validStatuses = ['pending', 'in_review', 'rejected'];
       if (!validStatuses.includes(reviewStatus)) {
         return res.status(400).json({
           success: false,
@@ -303,15 +467,36 @@ class ChartController {
         });
       }
 
-      const chart = await ChartRepository.updateReviewStatus(chartNumber, reviewStatus);
+      // Some transitions need more than the base charts:status permission (e.g. only QA can reject)
+      const requiredPermission = REVIEW_STATUS_PERMISSIONS[reviewStatus];
+      if (!hasPermission(req.user, requiredPermission)) {
+        return forbidden(req, res, requiredPermission);
+      }
 
-      if (!chart) {
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
         return res.status(404).json({
           success: false,
           error: 'Chart not found'
         });
       }
 
+      // Moving it on here would leave its QA review open
+      if (existing.review_status === 'qa_pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Chart is awaiting QA review - accept or return it with POST /api/charts/:chartNumber/qa/accept or /qa/return'
+        });
+      }
+
+      const chart = await ChartRepository.updateReviewStatus(chartNumber, reviewStatus);
+
+      await auditService.log(req, 'chart.status_change', {
+        chartNumber,
+        details: { reviewStatus: { from: existing.review_status, to: reviewStatus } }
+      });
+
       res.json({
         success: true,
         message: 'Status updated',
@@ -330,6 +515,368 @@ class ChartController {
     }
   }
 
+  /**
+   * QA accepts a held submission - chart becomes final
+   * POST /api/charts/:chartNumber/qa/accept
+   * Body: { findings?: [...], notes? } - minor findings can be recorded without returning
+   */
+  async acceptQA(req, res) {
+    return this.completeQA(req, res, 'accepted');
+  }
+
+  /**
+   * QA returns a held submission to the coder with findings
+   * POST /api/charts/:chartNumber/qa/return
+   * Body: { findings: [...], notes? }
+   */
+  async returnQA(req, res) {
+    return this.completeQA(req, res, 'returned');
+  }
+
+  /**
+   * Shared accept/return handling
+   */
+  async completeQA(req, res, outcome) {
+    try {
+      const { chartNumber } = req.params;
+      const { findings = [], notes } = req.body;
+
+      const validationError = qaService.validateFindings(findings);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      if (outcome === 'returned' && findings.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one finding is required to return a chart'
+        });
+      }
+
+      const chart = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!chart) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      if (chart.review_status !== 'qa_pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Chart is not awaiting QA review (status '${chart.review_status}')`
+        });
+      }
+
+      const review = await QARepository.complete(chart.id, {
+        status: outcome,
+        reviewerId: req.user.userId,
+        findings,
+        notes,
+        codesReviewed: qaService.countCodes(chart.final_codes)
+      });
+
+      const updated = await ChartRepository.updateReviewStatus(
+        chartNumber,
+        outcome === 'accepted' ? 'submitted' : 'qa_returned'
+      );
+
+      await auditService.log(req, outcome === 'accepted' ? 'qa.accept' : 'qa.return', {
+        chartNumber,
+        details: {
+          reviewStatus: { from: chart.review_status, to: updated.review_status },
+          findingCount: findings.length
+        }
+      });
+
+      console.log(`🔎 QA ${outcome} chart ${chartNumber} by ${req.user.userId} (${findings.length} finding(s))`);
+
+      res.json({
+        success: true,
+        message: outcome === 'accepted' ? 'QA accepted - chart submitted' : 'Chart returned to coder',
+        chart: {
+          chartNumber: updated.chart_number,
+          reviewStatus: updated.review_status
+        },
+        qaReview: review ? {
+          id: review.id,
+          status: review.status,
+          reviewerId: review.reviewer_id,
+          findings: review.findings,
+          notes: review.notes,
+          completedAt: review.completed_at
+        } : null
+      });
+
+    } catch (error) {
+      console.error('❌ Error completing QA review:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Page-level text, bounding boxes and OCR confidence for one document
+   * ?line=N returns only the page holding document line N (as numbered for the AI)
+   * with that line's box; ?lowConfidence=true returns only flagged pages. For an
+   * image group member the pages of the whole group are returned (one logical document).
+   * GET /api/charts/:chartNumber/documents/:documentId/pages
+   */
+  async getDocumentPages(req, res) {
+    try {
+      const { chartNumber, documentId } = req.params;
+      const lineNumber = req.query.line !== undefined ? parseInt(req.query.line) : null;
+
+      if (lineNumber !== null && (Number.isNaN(lineNumber) || lineNumber < 1)) {
+        return res.status(400).json({ success: false, error: 'line must be a positive integer' });
+      }
+
+      const [chart, document] = await Promise.all([
+        ChartRepository.getByChartNumber(chartNumber),
+        DocumentRepository.getById(parseInt(documentId) || 0)
+      ]);
+
+      if (!chart || !document || document.chart_id !== chart.id) {
+        return res.status(404).json({ success: false, error: 'Document not found on this chart' });
+      }
+
+      const pages = await DocumentRepository.getPages(document, {
+        lineNumber,
+        lowConfidenceOnly: req.query.lowConfidence === 'true'
+      });
+
+      await auditService.log(req, 'document.view', {
+        chartNumber,
+        resourceType: 'document',
+        resourceId: String(document.id),
+        details: { pages: pages.map(p => p.page_number), line: lineNumber }
+      });
+
+      const match = lineNumber !== null && pages[0]
+        ? {
+          pageNumber: pages[0].page_number,
+          line: (pages[0].lines || []).find(line => line.lineNumber === lineNumber) || null
+        }
+        : null;
+
+      res.json({
+        success: true,
+        chartNumber,
+        documentId: document.id,
+        documentName: document.original_name,
+        transactionId: document.transaction_id,
+        extractionMethod: document.extraction_method,
+        lowConfidencePages: document.low_confidence_pages || 0,
+        match,
+        pages: pages.map(p => ({
+          documentId: p.document_id,
+          pageNumber: p.page_number,
+          text: p.text,
+          lineStart: p.line_start,
+          lineEnd: p.line_end,
+          width: p.width !== null ? parseFloat(p.width) : null,
+          height: p.height !== null ? parseFloat(p.height) : null,
+          avgConfidence: p.avg_confidence !== null ? parseFloat(p.avg_confidence) : null,
+          lowConfidence: p.low_confidence,
+          source: p.source,
+          lines: p.lines,
+          words: p.words
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error getting document pages:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all QA review rounds for a chart
+   * GET /api/charts/:chartNumber/qa
+   */
+  async getQAReviews(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const reviews = await QARepository.getByChartNumber(chartNumber);
+
+      res.json({
+        success: true,
+        chartNumber,
+        reviews: reviews.map(r => ({
+          id: r.id,
+          coderId: r.coder_id,
+          selectionReason: r.selection_reason,
+          status: r.status,
+          reviewerId: r.reviewer_id,
+          findings: r.findings,
+          notes: r.notes,
+          codesReviewed: r.codes_reviewed,
+          createdAt: r.created_at,
+          completedAt: r.completed_at
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Coder accuracy measured against QA findings
+   * GET /api/charts/analytics/qa
+   */
+  async getQAAnalytics(req, res) {
+    try {
+      const { startDate, endDate, coderId } = req.query;
+
+      const reviews = await QARepository.getCompletedReviews({
+        startDate,
+        endDate,
+        coderId,
+        allowedFacilities: req.user.facilities ?? null
+      });
+      const coders = qaService.summarizeAccuracy(reviews);
+
+      res.json({
+        success: true,
+        analytics: {
+          totalReviews: reviews.length,
+          coders
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching QA analytics:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Assign, reassign or unassign a chart
+   * POST /api/charts/:chartNumber/assign
+   * Body: { userId } for manual assignment, { userId: null } to unassign,
+   *       or { strategy: 'round_robin' | 'least_loaded' } to auto-pick a coder
+   */
+  async assignChart(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { userId, strategy } = req.body;
+
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      let assignee = null;
+
+      if (strategy) {
+        if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid strategy. Must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+          });
+        }
+
+        assignee = await assignmentService.pickCoder(strategy, existing.facility);
+
+        if (!assignee) {
+          return res.status(409).json({
+            success: false,
+            error: 'No active coders available for assignment'
+          });
+        }
+      } else if (userId) {
+        const user = await UserRepository.findByUserId(userId);
+
+        if (!user || !user.is_active) {
+          return res.status(400).json({
+            success: false,
+            error: 'Assignee not found or inactive'
+          });
+        }
+
+        if (!hasPermission(user, 'charts:modify')) {
+          return res.status(400).json({
+            success: false,
+            error: `Users with role '${user.role}' cannot be assigned charts`
+          });
+        }
+
+        if (!canAccessFacility(toUserContext(user), existing.facility)) {
+          return res.status(400).json({
+            success: false,
+            error: `${user.user_id} does not have access to facility '${existing.facility}'`
+          });
+        }
+
+        assignee = user.user_id;
+      } else if (userId !== null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide userId (or null to unassign) or strategy'
+        });
+      }
+
+      const chart = await ChartRepository.assign(chartNumber, assignee, req.user.userId);
+
+      await auditService.log(req, 'chart.assign', {
+        chartNumber,
+        details: { assignedTo: { from: existing.assigned_to, to: assignee }, strategy: strategy || 'manual' }
+      });
+
+      console.log(`👤 Chart ${chartNumber} ${assignee ? `assigned to ${assignee}` : 'unassigned'} by ${req.user.userId}` +
+        (existing.assigned_to && existing.assigned_to !== assignee ? ` (was ${existing.assigned_to})` : ''));
+
+      res.json({
+        success: true,
+        message: assignee ? 'Chart assigned' : 'Chart unassigned',
+        chart: {
+          chartNumber: chart.chart_number,
+          assignedTo: chart.assigned_to,
+          assignedBy: chart.assigned_by,
+          assignedAt: chart.assigned_at,
+          previousAssignee: existing.assigned_to
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error assigning chart:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get open chart count per coder (for the assignee picker)
+   * GET /api/charts/assignments/workload?facility=Facility%20A
+   */
+  async getAssignmentWorkload(req, res) {
+    try {
+      const workloads = await ChartRepository.getCoderWorkloads(req.query.facility || null);
+
+      res.json({
+        success: true,
+        coders: workloads.map(w => ({
+          userId: w.user_id,
+          name: w.name,
+          openCharts: parseInt(w.open_charts || 0),
+          lastAssignedAt: w.last_assigned_at
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
   /**
    * Retry a failed chart's processing
    * POST /api/charts/:chartNumber/retry
@@ -366,6 +913,9 @@ class ChartController {
         });
       }
 
+      // Steps the last job completed (OCR, summaries, AI result) are resumed, not redone
+      const [previousJob] = await QueueService.getJobsByChart(chartNumber);
+
       // Reset the chart status
       await ChartRepository.resetForRetry(chartNumber);
 
@@ -382,21 +932,20 @@ class ChartController {
           provider: chart.provider
         },
         documentType: documents[0]?.document_type || 'unknown',
-        documents: documents.map(doc => ({
-          documentId: doc.id,
-          documentType: doc.document_type,
-          originalName: doc.original_name,
-          mimeType: doc.mime_type,
-          fileSize: doc.file_size,
-          s3Key: doc.s3_key,
-          s3Url: doc.s3_url,
-          transactionId: doc.transaction_id
-        }))
+        // A chart coded before (e.g. a failed append) reprocesses with stored OCR text
+        reprocess: !!chart.original_ai_codes,
+        resumeFromJobId: previousJob?.job_id || null,
+        documents: documents.map(doc => ingestionService.toJobDocument(doc))
       };
 
       // Add new job to queue
       const job = await QueueService.addJob(chart.id, chartNumber, jobData);
 
+      await auditService.log(req, 'chart.retry', {
+        chartNumber,
+        details: { jobId: job.job_id, previousError: chart.last_error }
+      });
+
       res.json({
         success: true,
         message: 'Chart queued for retry',
@@ -421,7 +970,8 @@ class ChartController {
    */
   async getSLAStats(req, res) {
     try {
-      const stats = await ChartRepository.getSLAStats();
+      const stats = await ChartRepository.getSLAStats(req.user.facilities ?? null);
+      const extraction = await DocumentRepository.getExtractionStats(req.user.facilities ?? null);
 
       res.json({
         success: true,
@@ -433,10 +983,19 @@ class ChartController {
           failed: parseInt(stats.failed || 0),
           inReview: parseInt(stats.in_review || 0),
           submitted: parseInt(stats.submitted || 0),
+          qaPending: parseInt(stats.qa_pending || 0),
+          qaReturned: parseInt(stats.qa_returned || 0),
           slaWarning: parseInt(stats.sla_warning || 0),
           slaCritical: parseInt(stats.sla_critical || 0),
           total: parseInt(stats.total || 0)
-        }
+        },
+        extraction: extraction.map(row => ({
+          method: row.extraction_method,
+          documents: parseInt(row.documents),
+          avgProcessingTime: row.avg_processing_time !== null ? parseInt(row.avg_processing_time) : null,
+          textLayerPages: parseInt(row.text_layer_pages),
+          ocrPages: parseInt(row.ocr_pages)
+        }))
       });
     } catch (error) {
       console.error('Get SLA stats error:', error);
@@ -458,7 +1017,8 @@ class ChartController {
       const data = await ChartRepository.getModificationAnalytics({
         startDate,
         endDate,
-        facility
+        facility,
+        allowedFacilities: req.user.facilities ?? null
       });
 
       // Calculate summary statistics
@@ -530,6 +1090,9 @@ class ChartController {
       const { period = '30' } = req.query;
       const periodDays = parseInt(period);
 
+      // Restrict every query below to the caller's facilities (null = all)
+      const scopeParams = [req.user.facilities ?? null];
+
       // Get overall stats
       const overallStats = await query(`
         SELECT 
@@ -543,7 +1106,8 @@ class ChartController {
           COUNT(*) FILTER (WHERE ai_status = 'retry_pending') as retry_pending_charts,
           COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '${periodDays} days') as charts_in_period
         FROM charts
-      `);
+        WHERE ($1::text[] IS NULL OR facility = ANY($1))
+      `, scopeParams);
 
       // Get submitted charts with original codes and modifications for CODE-LEVEL accuracy
       const submittedChartsData = await query(`
@@ -559,7 +1123,8 @@ class ChartController {
         FROM charts 
         WHERE review_status = 'submitted'
         AND submitted_at >= NOW() - INTERVAL '${periodDays} days'
-      `);
+        AND ($1::text[] IS NULL OR facility = ANY($1))
+      `, scopeParams);
 
       // Calculate AI accuracy at code level
       const categories = ['ed_em_level', 'procedures', 'primary_diagnosis', 'secondary_diagnoses', 'modifiers'];
@@ -663,10 +1228,11 @@ class ChartController {
         FROM charts
         WHERE created_at >= NOW() - INTERVAL '${periodDays} days'
         AND facility IS NOT NULL AND facility != ''
+        AND ($1::text[] IS NULL OR facility = ANY($1))
         GROUP BY facility
         ORDER BY chart_count DESC
         LIMIT 10
-      `);
+      `, scopeParams);
 
       // Get processing times
       const processingTimes = await query(`
@@ -677,7 +1243,8 @@ class ChartController {
         WHERE review_status = 'submitted'
         AND processing_completed_at IS NOT NULL
         AND submitted_at >= NOW() - INTERVAL '${periodDays} days'
-      `);
+        AND ($1::text[] IS NULL OR facility = ANY($1))
+      `, scopeParams);
 
       // Get SLA compliance
       const slaCompliance = await query(`
@@ -690,7 +1257,8 @@ class ChartController {
         WHERE review_status = 'submitted'
         AND processing_completed_at IS NOT NULL
         AND submitted_at >= NOW() - INTERVAL '${periodDays} days'
-      `);
+        AND ($1::text[] IS NULL OR facility = ANY($1))
+      `, scopeParams);
 
       // Get charts per day average
       const chartsPerDay = await query(`
@@ -698,7 +1266,8 @@ class ChartController {
           COUNT(*)::float / NULLIF(${periodDays}, 0) as avg_per_day
         FROM charts
         WHERE created_at >= NOW() - INTERVAL '${periodDays} days'
-      `);
+        AND ($1::text[] IS NULL OR facility = ANY($1))
+      `, scopeParams);
 
       // Specialty accuracy
       const specialtyData = {};
@@ -885,7 +1454,11 @@ class ChartController {
     try {
       const { query } = await import('../db/connection.js');
       const result = await query(
-        `SELECT DISTINCT facility FROM charts WHERE facility IS NOT NULL AND facility != '' ORDER BY facility`
+        `SELECT DISTINCT facility FROM charts
+         WHERE facility IS NOT NULL AND facility != ''
+         AND ($1::text[] IS NULL OR facility = ANY($1))
+         ORDER BY facility`,
+        [req.user.facilities ?? null]
       );
 
       res.json({
@@ -905,7 +1478,11 @@ class ChartController {
     try {
       const { query } = await import('../db/connection.js');
       const result = await query(
-        `SELECT DISTINCT specialty FROM charts WHERE specialty IS NOT NULL AND specialty != '' ORDER BY specialty`
+        `SELECT DISTINCT specialty FROM charts
+         WHERE specialty IS NOT NULL AND specialty != ''
+         AND ($1::text[] IS NULL OR facility = ANY($1))
+         ORDER BY specialty`,
+        [req.user.facilities ?? null]
       );
 
       res.json({
@@ -934,6 +1511,17 @@ class ChartController {
         });
       }
 
+      await auditService.log(req, 'chart.delete', {
+        chartNumber,
+        details: {
+          mrn: chart.mrn,
+          facility: chart.facility,
+          aiStatus: chart.ai_status,
+          reviewStatus: chart.review_status,
+          documentCount: chart.document_count
+        }
+      });
+
       res.json({
         success: true,
         message: 'Chart deleted',
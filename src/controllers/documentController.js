@@ -2,6 +2,12 @@ import { s3Service } from '../services/s3Service.js';
 import { cleanupFiles } from '../middleware/upload.js';
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
 import { QueueService } from '../db/queueService.js';
+import { JobStepRepository } from '../db/jobStepRepository.js';
+import { auditService } from '../services/auditService.js';
+import { ingestionService } from '../services/ingestionService.js';
+import { archiveService, ArchiveError } from '../services/archiveService.js';
+import { canAccessFacility, forbiddenFacility } from '../middleware/permissions.js';
+import { hashFile } from '../utils/contentHash.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // ═══════════════════════════════════════════════════════════════
@@ -25,6 +31,10 @@ const log = {
       console.error(`    └─ Error:`, error.message || error);
     }
   },
+  warn: (stage, message) => {
+    const timestamp = new Date().toISOString();
+    console.warn(`[${timestamp}] ⚠️  [${stage}] ${message}`);
+  },
   divider: () => {
     console.log('\n' + '═'.repeat(70) + '\n');
   }
@@ -32,32 +42,232 @@ const log = {
 
 class DocumentController {
 
+  /**
+   * Map each file index to its transaction (1 PDF = 1 transaction, image groups share one)
+   * Image group members get their page position from the order of fileIndices.
+   * Without client metadata every file becomes its own transaction.
+   */
+  buildTransactionMap(files, transactionMeta = []) {
+    const fileTransactionMap = new Map();
+
+    if (transactionMeta.length > 0) {
+      transactionMeta.forEach(txn => {
+        const transactionId = `txn_${uuidv4().substring(0, 8)}`;
+
+        if (txn.type === 'pdf') {
+          fileTransactionMap.set(txn.fileIndex, {
+            transactionId,
+            transactionLabel: txn.label || 'PDF Document',
+            isGroupMember: false
+          });
+        } else if (txn.type === 'image_group') {
+          txn.fileIndices.forEach((idx, position) => {
+            fileTransactionMap.set(idx, {
+              transactionId,
+              transactionLabel: txn.label || 'Image Group',
+              isGroupMember: true,
+              transactionPosition: position + 1
+            });
+          });
+        }
+      });
+    } else {
+      files.forEach((file, idx) => {
+        const transactionId = `txn_${uuidv4().substring(0, 8)}`;
+        const isPdf = file.mimetype === 'application/pdf';
+        fileTransactionMap.set(idx, {
+          transactionId,
+          transactionLabel: isPdf ? 'PDF Document' : 'Image',
+          isGroupMember: !isPdf,
+          transactionPosition: isPdf ? null : 1
+        });
+      });
+    }
+
+    return fileTransactionMap;
+  }
+
+  /**
+   * Expand ZIP uploads in req.files into their entries (req.files is replaced)
+   * Sends a 400 and returns null for an unacceptable archive.
+   */
+  async expandArchives(req, res, stage) {
+    try {
+      const expansion = await archiveService.expandUploads(req.files);
+
+      if (expansion.archives.length > 0) {
+        req.files = expansion.files;
+        expansion.archives.forEach(archive => {
+          log.info(stage, `Expanded ${archive.filename}: ${archive.entryCount} document(s), ${archive.skipped.length} skipped`);
+        });
+      }
+
+      return expansion;
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) throw error;
+
+      cleanupFiles(req.files);
+      log.error(stage, error.message);
+      res.status(400).json({ success: false, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Transaction metadata for the upload
+   * An archive manifest's grouping wins; client metadata indexes the uploaded files,
+   * which no longer line up once archives are expanded, so it is dropped then.
+   */
+  resolveTransactionMeta(transactions, expansion, stage) {
+    if (expansion.transactionMeta.length > 0) return expansion.transactionMeta;
+    if (!transactions) return [];
+
+    if (expansion.archives.length > 0) {
+      log.warn(stage, 'Ignoring transactions metadata for an upload containing archives, using auto-detection');
+      return [];
+    }
+
+    try {
+      return JSON.parse(transactions);
+    } catch (e) {
+      log.warn(stage, 'Could not parse transactions, using auto-detection');
+      return [];
+    }
+  }
+
+  /**
+   * Hash each file and look for exact duplicates already on file
+   * (rules in ingestionService.checkDuplicates)
+   * Returns one entry per file index: { contentHash, skip, duplicate }
+   */
+  async checkDuplicates(files, options = {}) {
+    const items = [];
+
+    for (const file of files) {
+      items.push({ contentHash: await hashFile(file.path), originalName: file.originalname });
+    }
+
+    return ingestionService.checkDuplicates(items, options);
+  }
+
+  /**
+   * Shape duplicate checks for the upload response
+   */
+  summarizeDuplicates(files, duplicateChecks) {
+    return ingestionService.summarizeDuplicates(
+      files.map(file => ({ originalName: file.originalname })),
+      duplicateChecks
+    );
+  }
+
+  /**
+   * Upload files to S3 and create their document records on the chart
+   * Files that fail to upload or are skipped as duplicates are left out;
+   * returns the job's document list.
+   */
+  async storeDocuments(chart, files, documentType, fileTransactionMap, duplicateChecks = []) {
+    log.info('UPLOAD_S3', `Uploading ${files.length} files to S3...`);
+
+    const documentRecords = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const check = duplicateChecks[i];
+
+      if (check?.skip) continue;
+
+      log.info('UPLOAD_S3', `Uploading file ${i + 1}/${files.length}: ${file.originalname}`);
+
+      // Upload to S3
+      const s3Result = await s3Service.uploadFile(file, chart.chart_number, documentType);
+
+      if (!s3Result.success) {
+        log.error('UPLOAD_S3', `Failed to upload ${file.originalname}: ${s3Result.error}`);
+        continue;
+      }
+
+      log.success('UPLOAD_S3', `File uploaded: ${file.originalname}`, { s3Key: s3Result.key });
+
+      const txnInfo = fileTransactionMap.get(i) || {
+        transactionId: `txn_${uuidv4().substring(0, 8)}`,
+        transactionLabel: 'Unknown',
+        isGroupMember: false
+      };
+
+      // Create document record in database
+      const docRecord = await DocumentRepository.create(chart.id, {
+        documentType: documentType || 'unknown',
+        filename: file.filename,
+        originalName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        s3Key: s3Result.key,
+        s3Url: s3Result.url,
+        s3Bucket: s3Result.bucket,
+        transactionId: txnInfo.transactionId,
+        transactionLabel: txnInfo.transactionLabel,
+        isGroupMember: txnInfo.isGroupMember,
+        transactionPosition: txnInfo.transactionPosition ?? null,
+        contentHash: check?.contentHash || null,
+        duplicateOf: check?.duplicate?.documentId || null
+      });
+
+      // Worker copies the duplicated document's text instead of running OCR again
+      documentRecords.push(ingestionService.toJobDocument(docRecord));
+    }
+
+    return documentRecords;
+  }
+
   /**
    * Process uploaded documents - ASYNC VERSION with Transaction Tracking
    * POST /api/documents/process
+   * ZIP files are expanded into one document per entry (see archiveService for the manifest format).
    */
   async processDocuments(req, res) {
     try {
-      const files = req.files || [];
-      const { documentType, mrn, chartNumber, facility, specialty, dateOfService, provider, transactions } = req.body;
-
       log.divider();
       log.info('UPLOAD_START', `Received upload request`);
-      log.info('UPLOAD_START', `Chart Number: ${chartNumber || 'Not provided'}`);
-      log.info('UPLOAD_START', `Files: ${files.length}`);
+      log.info('UPLOAD_START', `Files: ${(req.files || []).length}`);
 
       // Validation
-      if (files.length === 0) {
+      if (!req.files || req.files.length === 0) {
         log.error('UPLOAD_VALIDATION', 'No files uploaded');
         return res.status(400).json({ success: false, error: 'No files uploaded' });
       }
 
+      const expansion = await this.expandArchives(req, res, 'UPLOAD_ARCHIVE');
+      if (!expansion) return;
+
+      // Form fields win; an archive manifest fills in what the form left out
+      const files = req.files;
+      const { manifest } = expansion;
+      const { documentType, transactions, allowDuplicates } = req.body;
+      const {
+        mrn, chartNumber, facility, specialty, dateOfService, provider
+      } = Object.fromEntries(
+        ['mrn', 'chartNumber', 'facility', 'specialty', 'dateOfService', 'provider']
+          .map(field => [field, req.body[field] || manifest[field]])
+      );
+
+      log.info('UPLOAD_START', `Chart Number: ${chartNumber || 'Not provided'}`);
+
       if (!chartNumber) {
         cleanupFiles(files);
         log.error('UPLOAD_VALIDATION', 'Chart number is required');
         return res.status(400).json({ success: false, error: 'Chart number is required' });
       }
 
+      // Facility-restricted callers (e.g. scoped API keys) may only upload to their facilities
+      const existingChart = await ChartRepository.getByChartNumber(chartNumber);
+      const access = ingestionService.checkFacilityAccess(req.user, { facility }, existingChart);
+
+      if (!access.allowed) {
+        cleanupFiles(files);
+        log.error('UPLOAD_VALIDATION', `Facility not permitted for ${req.user.userId}: ${access.facility || '(none)'}`);
+        return forbiddenFacility(req, res, access.facility);
+      }
+
       // Log file details
       files.forEach((f, i) => {
         log.info('UPLOAD_FILE', `File ${i + 1}: ${f.originalname} (${(f.size / 1024).toFixed(1)}KB, ${f.mimetype})`);
@@ -65,14 +275,29 @@ class DocumentController {
 
       const chartInfo = { mrn, chartNumber, facility, specialty, dateOfService, provider };
 
-      // Parse transaction metadata if provided
-      let transactionMeta = [];
-      if (transactions) {
-        try {
-          transactionMeta = JSON.parse(transactions);
-        } catch (e) {
-          log.warn('UPLOAD_PARSE', 'Could not parse transactions, using auto-detection');
-        }
+      const transactionMeta = this.resolveTransactionMeta(transactions, expansion, 'UPLOAD_PARSE');
+
+      // Exact re-uploads are detected by content hash before anything is stored
+      const duplicateChecks = await this.checkDuplicates(files, {
+        chartId: existingChart?.id || null,
+        mrn: mrn || existingChart?.mrn || null,
+        allowDuplicates: allowDuplicates === 'true' || allowDuplicates === true
+      });
+      const duplicates = this.summarizeDuplicates(files, duplicateChecks);
+      const newFileCount = duplicateChecks.filter(c => !c.skip).length;
+
+      if (newFileCount === 0) {
+        cleanupFiles(files);
+        log.info('UPLOAD_DEDUPE', `All ${files.length} file(s) are duplicates - nothing queued`);
+        return res.json({
+          success: true,
+          message: 'All files are duplicates of documents already on file; nothing was queued',
+          status: 'duplicate',
+          chartNumber,
+          jobId: null,
+          documents: [],
+          duplicates
+        });
       }
 
       log.info('UPLOAD_DB', `Creating/updating chart record: ${chartNumber}`);
@@ -84,97 +309,14 @@ class DocumentController {
         specialty: specialty || '',
         dateOfService: dateOfService || null,
         provider: provider || '',
-        documentCount: files.length
+        documentCount: newFileCount
       });
 
       log.success('UPLOAD_DB', `Chart record created/updated`, { chartId: chart.id });
 
-      // Create a map of fileIndex -> transaction info
-      const fileTransactionMap = new Map();
-
-      if (transactionMeta.length > 0) {
-        transactionMeta.forEach(txn => {
-          const transactionId = `txn_${uuidv4().substring(0, 8)}`;
-
-          if (txn.type === 'pdf') {
-            fileTransactionMap.set(txn.fileIndex, {
-              transactionId,
-              transactionLabel: txn.label || 'PDF Document',
-              isGroupMember: false
-            });
-          } else if (txn.type === 'image_group') {
-            txn.fileIndices.forEach(idx => {
-              fileTransactionMap.set(idx, {
-                transactionId,
-                transactionLabel: txn.label || 'Image Group',
-                isGroupMember: true
-              });
-            });
-          }
-        });
-      } else {
-        files.forEach((file, idx) => {
-          const transactionId = `txn_${uuidv4().substring(0, 8)}`;
-          const isPdf = file.mimetype === 'application/pdf';
-          fileTransactionMap.set(idx, {
-            transactionId,
-            transactionLabel: isPdf ? 'PDF Document' : 'Image',
-            isGroupMember: !isPdf
-          });
-        });
-      }
-
-      const uniqueTransactions = new Set([...fileTransactionMap.values()].map(t => t.transactionId));
-      log.info('UPLOAD_S3', `Uploading ${files.length} files to S3...`);
-
-      const documentRecords = [];
-
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        log.info('UPLOAD_S3', `Uploading file ${i + 1}/${files.length}: ${file.originalname}`);
-
-        // Upload to S3
-        const s3Result = await s3Service.uploadFile(file, chartNumber, documentType);
-
-        if (!s3Result.success) {
-          log.error('UPLOAD_S3', `Failed to upload ${file.originalname}: ${s3Result.error}`);
-          continue;
-        }
-
-        log.success('UPLOAD_S3', `File uploaded: ${file.originalname}`, { s3Key: s3Result.key });
-
-        const txnInfo = fileTransactionMap.get(i) || {
-          transactionId: `txn_${uuidv4().substring(0, 8)}`,
-          transactionLabel: 'Unknown',
-          isGroupMember: false
-        };
-
-        // Create document record in database
-        const docRecord = await DocumentRepository.create(chart.id, {
-          documentType: documentType || 'unknown',
-          filename: file.filename,
-          originalName: file.originalname,
-          fileSize: file.size,
-          mimeType: file.mimetype,
-          s3Key: s3Result.key,
-          s3Url: s3Result.url,
-          s3Bucket: s3Result.bucket,
-          transactionId: txnInfo.transactionId,
-          transactionLabel: txnInfo.transactionLabel,
-          isGroupMember: txnInfo.isGroupMember
-        });
-
-        documentRecords.push({
-          documentId: docRecord.id,
-          documentType: docRecord.document_type,
-          originalName: docRecord.original_name,
-          mimeType: docRecord.mime_type,
-          fileSize: docRecord.file_size,
-          s3Key: docRecord.s3_key,
-          s3Url: docRecord.s3_url,
-          transactionId: docRecord.transaction_id
-        });
-      }
+      const fileTransactionMap = this.buildTransactionMap(files, transactionMeta);
+      const documentRecords = await this.storeDocuments(chart, files, documentType, fileTransactionMap, duplicateChecks);
+      const uniqueTransactions = new Set(documentRecords.map(d => d.transactionId));
 
       // Cleanup local temp files
       cleanupFiles(files);
@@ -200,6 +342,17 @@ class DocumentController {
 
       const job = await QueueService.addJob(chart.id, chartNumber, jobData);
 
+      await auditService.log(req, 'document.upload', {
+        chartNumber,
+        details: {
+          jobId: job.job_id,
+          documentIds: documentRecords.map(d => d.documentId),
+          fileCount: documentRecords.length,
+          duplicatesSkipped: duplicates.filter(d => d.action === 'skipped').length,
+          archives: expansion.archives.map(a => a.filename)
+        }
+      });
+
       log.success('UPLOAD_COMPLETE', `Documents uploaded and queued successfully`, {
         chartNumber,
         chartId: chart.id,
@@ -211,7 +364,7 @@ class DocumentController {
 
       res.json({
         success: true,
-        message: `${files.length} document(s) uploaded and queued for processing`,
+        message: `${documentRecords.length} document(s) uploaded and queued for processing`,
         status: 'queued',
         chartNumber,
         chartId: chart.id,
@@ -225,8 +378,11 @@ class DocumentController {
           documentType: doc.documentType,
           s3Url: doc.s3Url,
           transactionId: doc.transactionId,
-          status: 'uploaded'
+          status: 'uploaded',
+          duplicateOf: doc.duplicateOf
         })),
+        duplicates,
+        archives: expansion.archives,
         estimatedProcessingTime: '30-60 seconds'
       });
 
@@ -245,7 +401,160 @@ class DocumentController {
   }
 
   /**
-   * Get processing status for a chart
+   * Add documents to an existing chart and recode it over the full document set
+   * POST /api/documents/append/:chartNumber
+   * The worker reuses stored OCR text for existing documents; coder modifications
+   * made against the previous AI run are kept and flagged as stale.
+   */
+  async appendDocuments(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { documentType, transactions, allowDuplicates } = req.body;
+
+      log.divider();
+      log.info('APPEND_START', `Append request for chart ${chartNumber}: ${(req.files || []).length} file(s)`);
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ success: false, error: 'No files uploaded' });
+      }
+
+      const expansion = await this.expandArchives(req, res, 'APPEND_ARCHIVE');
+      if (!expansion) return;
+
+      const files = req.files;
+
+      if (expansion.manifest.chartNumber && expansion.manifest.chartNumber !== chartNumber) {
+        cleanupFiles(files);
+        return res.status(400).json({
+          success: false,
+          error: `Archive manifest is for chart ${expansion.manifest.chartNumber}, not ${chartNumber}`
+        });
+      }
+
+      const existingChart = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existingChart) {
+        cleanupFiles(files);
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      if (!canAccessFacility(req.user, existingChart.facility)) {
+        cleanupFiles(files);
+        return forbiddenFacility(req, res, existingChart.facility);
+      }
+
+      const conflict = ingestionService.appendConflict(existingChart);
+
+      if (conflict) {
+        cleanupFiles(files);
+        return res.status(409).json({ success: false, error: conflict });
+      }
+
+      const transactionMeta = this.resolveTransactionMeta(transactions, expansion, 'APPEND_PARSE');
+
+      const duplicateChecks = await this.checkDuplicates(files, {
+        chartId: existingChart.id,
+        mrn: existingChart.mrn || null,
+        allowDuplicates: allowDuplicates === 'true' || allowDuplicates === true
+      });
+      const duplicates = this.summarizeDuplicates(files, duplicateChecks);
+
+      if (duplicateChecks.every(c => c.skip)) {
+        cleanupFiles(files);
+        log.info('APPEND_DEDUPE', `All ${files.length} file(s) are duplicates - chart not reprocessed`);
+        return res.json({
+          success: true,
+          message: 'All files are duplicates of documents already on file; chart was not reprocessed',
+          status: 'duplicate',
+          chartNumber,
+          jobId: null,
+          documents: [],
+          duplicates
+        });
+      }
+
+      const fileTransactionMap = this.buildTransactionMap(files, transactionMeta);
+      const documentRecords = await this.storeDocuments(existingChart, files, documentType, fileTransactionMap, duplicateChecks);
+
+      cleanupFiles(files);
+
+      if (documentRecords.length === 0) {
+        log.error('APPEND_COMPLETE', 'All file uploads failed');
+        return res.status(500).json({ success: false, error: 'All file uploads failed' });
+      }
+
+      const chart = await ChartRepository.queueReprocess(chartNumber, documentRecords.length);
+
+      const chartInfo = {
+        mrn: chart.mrn,
+        chartNumber,
+        facility: chart.facility,
+        specialty: chart.specialty,
+        dateOfService: chart.date_of_service,
+        provider: chart.provider
+      };
+
+      // reprocess: the worker codes over every document on the chart, not just these
+      const job = await QueueService.addJob(chart.id, chartNumber, {
+        chartId: chart.id,
+        chartNumber,
+        chartInfo,
+        documentType,
+        documents: documentRecords,
+        reprocess: true
+      });
+
+      await auditService.log(req, 'document.append', {
+        chartNumber,
+        details: {
+          jobId: job.job_id,
+          documentIds: documentRecords.map(d => d.documentId),
+          fileCount: documentRecords.length,
+          duplicatesSkipped: duplicates.filter(d => d.action === 'skipped').length,
+          archives: expansion.archives.map(a => a.filename)
+        }
+      });
+
+      log.success('APPEND_COMPLETE', `Appended ${documentRecords.length} document(s) and queued reprocessing`, {
+        chartNumber,
+        jobId: job.job_id
+      });
+      log.divider();
+
+      res.json({
+        success: true,
+        message: `${documentRecords.length} document(s) added; chart queued for reprocessing`,
+        status: 'queued',
+        chartNumber,
+        chartId: chart.id,
+        jobId: job.job_id,
+        documentCount: chart.document_count,
+        documents: documentRecords.map(doc => ({
+          id: doc.documentId,
+          filename: doc.originalName,
+          documentType: doc.documentType,
+          s3Url: doc.s3Url,
+          transactionId: doc.transactionId,
+          status: 'uploaded',
+          duplicateOf: doc.duplicateOf
+        })),
+        duplicates,
+        archives: expansion.archives
+      });
+
+    } catch (error) {
+      log.error('APPEND_ERROR', 'Append processing failed', error);
+
+      if (req.files) {
+        cleanupFiles(req.files);
+      }
+
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get processing status for a chart, with the latest job's stage checkpoints
    * GET /api/documents/status/:chartNumber
    */
   async getProcessingStatus(req, res) {
@@ -261,8 +570,13 @@ class DocumentController {
         });
       }
 
+      if (!canAccessFacility(req.user, chart.facility)) {
+        return forbiddenFacility(req, res, chart.facility);
+      }
+
       const jobs = await QueueService.getJobsByChart(chartNumber);
       const latestJob = jobs[0];
+      const steps = latestJob ? await JobStepRepository.getByJob(latestJob.job_id) : [];
 
       res.json({
         success: true,
@@ -283,7 +597,18 @@ class DocumentController {
           startedAt: latestJob.started_at,
           completedAt: latestJob.completed_at,
           error: latestJob.error_message,
-          retryAfter: latestJob.retry_after
+          retryAfter: latestJob.retry_after,
+          // Stage checkpoints - a retry resumes after the completed ones
+          steps: steps.map(step => ({
+            step: step.step,
+            documentId: step.document_id,
+            documentName: step.original_name || null,
+            status: step.status,
+            attempt: step.attempt,
+            error: step.error,
+            startedAt: step.started_at,
+            completedAt: step.completed_at
+          }))
         } : null
       });
 
@@ -331,7 +656,7 @@ class DocumentController {
    */
   async getTransactionStats(req, res) {
     try {
-      const stats = await ChartRepository.getTransactionStats();
+      const stats = await ChartRepository.getTransactionStats(req.user.facilities ?? null);
 
       res.json({
         success: true,
@@ -359,7 +684,7 @@ class DocumentController {
    */
   async getDashboardStats(req, res) {
     try {
-      const stats = await ChartRepository.getDashboardStats();
+      const stats = await ChartRepository.getDashboardStats(req.user.facilities ?? null);
 
       res.json({
         success: true,
@@ -0,0 +1,75 @@
+import { fhirService, FHIRError } from '../services/fhirService.js';
+
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+class FHIRController {
+
+  /**
+   * Ingest a FHIR R4 DocumentReference or transaction Bundle
+   * POST /api/fhir
+   * Body: DocumentReference, or Bundle (type=transaction) of Patient / Encounter /
+   * DocumentReference / Binary. Charts are keyed by the Encounter identifier.
+   * Responds with an OperationOutcome (single DocumentReference) or a
+   * transaction-response Bundle; errors are OperationOutcomes.
+   */
+  async ingest(req, res) {
+    try {
+      const payload = req.body;
+      // Every group is checked before anything is ingested (FHIRError 403 facility, 409 chart busy or locked)
+      const results = await fhirService.ingest(payload, req);
+
+      const summarize = (result) => result.status === 'duplicate'
+        ? `Chart ${result.chartNumber}: all attachments are duplicates of documents already on file; nothing was queued`
+        : result.reprocess
+          ? `Chart ${result.chartNumber}: ${result.documents.length} document(s) added; chart queued for reprocessing as job ${result.jobId}`
+          : `Chart ${result.chartNumber}: ${result.documents.length} document(s) queued as job ${result.jobId}`;
+
+      if (payload.resourceType === 'DocumentReference') {
+        return res.status(201).type(FHIR_CONTENT_TYPE).json(
+          fhirService.operationOutcome('information', 'informational', summarize(results[0]))
+        );
+      }
+
+      // One response entry per request entry, in order
+      const resultByDocRef = new Map();
+      results.forEach(result => result.documentReferences.forEach(docRef => resultByDocRef.set(docRef, result)));
+
+      const entry = (payload.entry || []).map(requestEntry => {
+        const resource = requestEntry?.resource;
+
+        if (resource?.resourceType !== 'DocumentReference' || resource.status === 'entered-in-error') {
+          return { response: { status: '200 OK' } };
+        }
+
+        const result = resultByDocRef.get(resource);
+        return {
+          response: {
+            status: '201 Created',
+            outcome: fhirService.operationOutcome('information', 'informational', summarize(result))
+          }
+        };
+      });
+
+      res.status(200).type(FHIR_CONTENT_TYPE).json({
+        resourceType: 'Bundle',
+        type: 'transaction-response',
+        entry
+      });
+
+    } catch (error) {
+      if (error instanceof FHIRError) {
+        console.warn(`⚠️ FHIR request rejected (${error.status}): ${error.message}`);
+        return res.status(error.status).type(FHIR_CONTENT_TYPE).json(
+          fhirService.operationOutcome('error', error.code, error.message)
+        );
+      }
+
+      console.error('❌ FHIR ingest error:', error);
+      res.status(500).type(FHIR_CONTENT_TYPE).json(
+        fhirService.operationOutcome('fatal', 'exception', error.message)
+      );
+    }
+  }
+}
+
+export const fhirController = new FHIRController();
@@ -0,0 +1,28 @@
+import { hl7Service } from '../services/hl7Service.js';
+
+// ER7 (pipe-delimited) media type for HL7 v2 over HTTP
+export const HL7_CONTENT_TYPE = 'x-application/hl7-v2+er7';
+
+class HL7Controller {
+
+  /**
+   * Receive an MDM^T02 or ORU^R01 message from the interface engine
+   * POST /api/hl7
+   * Body: raw ER7 message. The response body is always an HL7 ACK (AA/AE/AR)
+   * so interface engines can treat it like an MLLP acknowledgement.
+   */
+  async receiveMessage(req, res) {
+    try {
+      const raw = typeof req.body === 'string' ? req.body : '';
+      const result = await hl7Service.processMessage(raw, req);
+
+      res.type(HL7_CONTENT_TYPE).send(result.ack);
+
+    } catch (error) {
+      console.error('❌ HL7 receive error:', error);
+      res.type(HL7_CONTENT_TYPE).send(hl7Service.buildAck({}, 'AE', error.message));
+    }
+  }
+}
+
+export const hl7Controller = new HL7Controller();
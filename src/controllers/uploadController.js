@@ -0,0 +1,450 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
+import { QueueService } from '../db/queueService.js';
+import { UploadSessionRepository } from '../db/uploadSessionRepository.js';
+import { ROLES } from '../db/userRepository.js';
+import { s3Service } from '../services/s3Service.js';
+import { chunkedUploadService } from '../services/chunkedUploadService.js';
+import { auditService } from '../services/auditService.js';
+import { ingestionService } from '../services/ingestionService.js';
+import { forbiddenFacility } from '../middleware/permissions.js';
+
+/**
+ * Shape an upload session for responses
+ */
+const formatSession = (session, progress = null) => ({
+  uploadId: session.upload_id,
+  chartNumber: session.chart_number,
+  filename: session.original_name,
+  mimeType: session.mime_type,
+  totalSize: parseInt(session.total_size),
+  chunkSize: session.chunk_size,
+  totalChunks: session.total_chunks,
+  status: session.status,
+  expiresAt: session.expires_at,
+  documentId: session.document_id,
+  jobId: session.job_id,
+  ...(progress || {})
+});
+
+class UploadController {
+
+  /**
+   * Load a session the caller owns (admins may access any)
+   * Sends 404 and returns null otherwise.
+   */
+  async loadSession(req, res) {
+    const session = await UploadSessionRepository.findByUploadId(req.params.uploadId);
+
+    const isOwner = session && (session.created_by === req.user.userId || req.user.role === ROLES.ADMIN);
+
+    if (!isOwner) {
+      res.status(404).json({ success: false, error: 'Upload session not found' });
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Reject chunk/complete calls on sessions that are no longer open
+   * Sends the error response and returns false when the session can't be used.
+   */
+  async ensureOpen(session, res) {
+    if (session.status === 'uploading' && chunkedUploadService.isExpired(session)) {
+      await chunkedUploadService.abort(session, 'expired');
+      res.status(410).json({ success: false, error: 'Upload session expired. Start a new upload.' });
+      return false;
+    }
+
+    if (session.status !== 'uploading') {
+      res.status(409).json({ success: false, error: `Upload session is '${session.status}'` });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Start a resumable upload
+   * POST /api/documents/uploads
+   * Body: { chartNumber, filename, mimeType, totalSize, documentType?, mrn?, facility?,
+   *         specialty?, dateOfService?, provider?, allowDuplicates? }
+   */
+  async initiateUpload(req, res) {
+    try {
+      const {
+        chartNumber, filename, mimeType, totalSize, documentType,
+        mrn, facility, specialty, dateOfService, provider, allowDuplicates
+      } = req.body;
+      const { chunkSize, maxFileSize, sessionTtlHours } = config.upload.chunked;
+      const size = parseInt(totalSize);
+
+      if (!chartNumber || !filename || !mimeType) {
+        return res.status(400).json({ success: false, error: 'chartNumber, filename and mimeType are required' });
+      }
+
+      if (!config.upload.allowedMimeTypes.includes(mimeType)) {
+        return res.status(400).json({ success: false, error: `Invalid file type: ${mimeType}` });
+      }
+
+      // Archives are expanded on POST /process; a chunked upload is stored as a single document
+      if (config.upload.archiveMimeTypes.includes(mimeType)) {
+        return res.status(400).json({ success: false, error: 'ZIP archives must be uploaded through POST /api/documents/process' });
+      }
+
+      if (!size || size <= 0 || size > maxFileSize) {
+        return res.status(400).json({
+          success: false,
+          error: `totalSize must be between 1 and ${maxFileSize} bytes`
+        });
+      }
+
+      // Same facility rules as POST /process
+      const existingChart = await ChartRepository.getByChartNumber(chartNumber);
+      const access = ingestionService.checkFacilityAccess(req.user, { facility }, existingChart);
+
+      if (!access.allowed) {
+        return forbiddenFacility(req, res, access.facility);
+      }
+
+      const s3Key = s3Service.generateKey(chartNumber, documentType, filename);
+      const s3UploadId = await s3Service.createMultipartUpload(s3Key, mimeType, {
+        'original-filename': filename,
+        'chart-number': chartNumber,
+        'document-type': documentType || 'unknown'
+      });
+
+      const session = await UploadSessionRepository.create({
+        uploadId: uuidv4(),
+        chartNumber,
+        chartInfo: { mrn, facility, specialty, dateOfService, provider },
+        documentType,
+        allowDuplicates: allowDuplicates === true || allowDuplicates === 'true',
+        originalName: filename,
+        mimeType,
+        totalSize: size,
+        chunkSize,
+        totalChunks: chunkedUploadService.countChunks(size, chunkSize),
+        s3Key,
+        s3UploadId,
+        createdBy: req.user.userId,
+        expiresAt: new Date(Date.now() + sessionTtlHours * 60 * 60 * 1000)
+      });
+
+      console.log(`📦 Upload session ${session.upload_id} started: ${filename} (${size} bytes, ${session.total_chunks} chunks) for chart ${chartNumber}`);
+
+      res.status(201).json({
+        success: true,
+        upload: formatSession(session)
+      });
+
+    } catch (error) {
+      console.error('❌ Initiate upload error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Upload one chunk (raw bytes; chunk numbers are 1-based)
+   * PUT /api/documents/uploads/:uploadId/chunks/:chunkNumber
+   * Re-sending a chunk replaces it, so clients can simply retry on failure.
+   */
+  async uploadChunk(req, res) {
+    try {
+      const session = await this.loadSession(req, res);
+      if (!session) return;
+      if (!(await this.ensureOpen(session, res))) return;
+
+      const chunkNumber = parseInt(req.params.chunkNumber);
+
+      if (!chunkNumber || chunkNumber < 1 || chunkNumber > session.total_chunks) {
+        return res.status(400).json({
+          success: false,
+          error: `chunkNumber must be between 1 and ${session.total_chunks}`
+        });
+      }
+
+      const body = Buffer.isBuffer(req.body) ? req.body : null;
+      const expectedSize = chunkedUploadService.expectedChunkSize(session, chunkNumber);
+
+      if (!body || body.length !== expectedSize) {
+        return res.status(400).json({
+          success: false,
+          error: `Chunk ${chunkNumber} must be exactly ${expectedSize} bytes (received ${body?.length || 0})`
+        });
+      }
+
+      const etag = await s3Service.uploadPart(
+        session.s3_key,
+        session.s3_upload_id,
+        chunkNumber,
+        body,
+        req.headers['content-md5']
+      );
+
+      await UploadSessionRepository.recordChunk(session.id, chunkNumber, body.length, etag);
+
+      const chunks = await UploadSessionRepository.getChunks(session.id);
+
+      res.json({
+        success: true,
+        chunkNumber,
+        size: body.length,
+        receivedChunks: chunks.length,
+        totalChunks: session.total_chunks
+      });
+
+    } catch (error) {
+      console.error('❌ Upload chunk error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Query which chunks/byte ranges have been received
+   * GET /api/documents/uploads/:uploadId
+   */
+  async getUploadStatus(req, res) {
+    try {
+      const session = await this.loadSession(req, res);
+      if (!session) return;
+
+      const chunks = await UploadSessionRepository.getChunks(session.id);
+
+      res.json({
+        success: true,
+        upload: formatSession(session, chunkedUploadService.getProgress(session, chunks))
+      });
+
+    } catch (error) {
+      console.error('❌ Upload status error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Assemble the chunks in S3 and queue the document for processing
+   * POST /api/documents/uploads/:uploadId/complete
+   */
+  async completeUpload(req, res) {
+    let session;
+    let assembled = false;
+
+    try {
+      session = await this.loadSession(req, res);
+      if (!session) return;
+      if (!(await this.ensureOpen(session, res))) return;
+
+      const chunks = await UploadSessionRepository.getChunks(session.id);
+      const progress = chunkedUploadService.getProgress(session, chunks);
+
+      if (progress.missingChunks.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Upload incomplete: ${progress.missingChunks.length} chunk(s) missing`,
+          missingChunks: progress.missingChunks
+        });
+      }
+
+      // The chart may have been created, moved or locked since the upload started
+      const { chart_number: chartNumber, chart_info: info = {} } = session;
+      const existingChart = await ChartRepository.getByChartNumber(chartNumber);
+      const access = ingestionService.checkFacilityAccess(req.user, info, existingChart);
+
+      if (!access.allowed) {
+        return forbiddenFacility(req, res, access.facility);
+      }
+
+      // Same rules as POST /api/charts/:chartNumber/documents; the parts stay in S3 so complete can be retried
+      const conflict = existingChart && ingestionService.appendConflict(existingChart);
+
+      if (conflict) {
+        return res.status(409).json({ success: false, error: conflict });
+      }
+
+      // Guard against a concurrent complete call
+      if (!(await UploadSessionRepository.transition(session.id, 'uploading', 'completing'))) {
+        return res.status(409).json({ success: false, error: 'Upload is already being completed' });
+      }
+
+      const stored = await s3Service.completeMultipartUpload(
+        session.s3_key,
+        session.s3_upload_id,
+        chunks.map(c => ({ PartNumber: c.chunk_number, ETag: c.etag }))
+      );
+      assembled = true;
+
+      // Duplicate detection (same rules as POST /process)
+      const contentHash = await s3Service.hashObject(session.s3_key);
+      const items = [{ contentHash, originalName: session.original_name }];
+      const checks = await ingestionService.checkDuplicates(items, {
+        chartId: existingChart?.id || null,
+        mrn: info.mrn || existingChart?.mrn || null,
+        allowDuplicates: session.allow_duplicates
+      });
+      const [duplicate = null] = ingestionService.summarizeDuplicates(items, checks);
+
+      if (duplicate?.action === 'skipped') {
+        await s3Service.deleteFile(session.s3_key);
+        const closed = await UploadSessionRepository.markCompleted(session.id, { status: 'duplicate' });
+
+        console.log(`📦 Upload session ${session.upload_id} is a duplicate of document ${duplicate.duplicateOf.documentId} - nothing queued`);
+
+        return res.json({
+          success: true,
+          message: 'File is a duplicate of a document already on this chart; nothing was queued',
+          status: 'duplicate',
+          chartNumber,
+          jobId: null,
+          upload: formatSession(closed),
+          duplicates: [duplicate]
+        });
+      }
+
+      const chart = existingChart || await ChartRepository.createQueued({
+        chartNumber,
+        mrn: info.mrn || '',
+        facility: info.facility || '',
+        specialty: info.specialty || '',
+        dateOfService: info.dateOfService || null,
+        provider: info.provider || '',
+        documentCount: 1
+      });
+
+      const isPdf = session.mime_type === 'application/pdf';
+      const docRecord = await DocumentRepository.create(chart.id, {
+        documentType: session.document_type || 'unknown',
+        filename: path.basename(session.s3_key),
+        originalName: session.original_name,
+        fileSize: parseInt(session.total_size),
+        mimeType: session.mime_type,
+        s3Key: stored.key,
+        s3Url: stored.url,
+        s3Bucket: stored.bucket,
+        transactionId: `txn_${uuidv4().substring(0, 8)}`,
+        transactionLabel: isPdf ? 'PDF Document' : 'Image',
+        isGroupMember: !isPdf,
+        contentHash,
+        duplicateOf: duplicate?.duplicateOf.documentId || null
+      });
+
+      const document = ingestionService.toJobDocument(docRecord);
+
+      // An existing chart is re-coded over all of its documents, as on append
+      const reprocess = Boolean(existingChart);
+      const queuedChart = reprocess ? await ChartRepository.queueReprocess(chartNumber, 1) : chart;
+
+      const chartInfo = reprocess ? {
+        mrn: queuedChart.mrn,
+        chartNumber,
+        facility: queuedChart.facility,
+        specialty: queuedChart.specialty,
+        dateOfService: queuedChart.date_of_service,
+        provider: queuedChart.provider
+      } : {
+        mrn: info.mrn,
+        chartNumber,
+        facility: info.facility,
+        specialty: info.specialty,
+        dateOfService: info.dateOfService,
+        provider: info.provider
+      };
+
+      const job = await QueueService.addJob(queuedChart.id, chartNumber, {
+        chartId: queuedChart.id,
+        chartNumber,
+        chartInfo,
+        documentType: session.document_type,
+        documents: [document],
+        reprocess
+      });
+
+      const closed = await UploadSessionRepository.markCompleted(session.id, {
+        documentId: docRecord.id,
+        jobId: job.job_id
+      });
+
+      await auditService.log(req, reprocess ? 'document.append' : 'document.upload', {
+        chartNumber,
+        details: {
+          jobId: job.job_id,
+          documentIds: [docRecord.id],
+          fileCount: 1,
+          uploadId: session.upload_id
+        }
+      });
+
+      console.log(`📦 Upload session ${session.upload_id} completed → document ${docRecord.id}, job ${job.job_id}`);
+
+      res.json({
+        success: true,
+        message: reprocess
+          ? '1 document(s) added; chart queued for reprocessing'
+          : '1 document(s) uploaded and queued for processing',
+        status: 'queued',
+        chartNumber,
+        chartId: queuedChart.id,
+        jobId: job.job_id,
+        upload: formatSession(closed),
+        documents: [{
+          id: document.documentId,
+          filename: document.originalName,
+          documentType: document.documentType,
+          s3Url: document.s3Url,
+          transactionId: document.transactionId,
+          status: 'uploaded',
+          duplicateOf: document.duplicateOf
+        }],
+        duplicates: duplicate ? [duplicate] : []
+      });
+
+    } catch (error) {
+      console.error('❌ Complete upload error:', error);
+
+      // Before assembly the parts are still in S3, so the client can retry complete
+      if (session) {
+        try {
+          if (assembled) {
+            await UploadSessionRepository.markCompleted(session.id, { status: 'failed' });
+          } else {
+            await UploadSessionRepository.transition(session.id, 'completing', 'uploading');
+          }
+        } catch (resetError) {
+          console.error('❌ Failed to reset upload session:', resetError.message);
+        }
+      }
+
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Cancel an upload and discard received chunks
+   * DELETE /api/documents/uploads/:uploadId
+   */
+  async abortUpload(req, res) {
+    try {
+      const session = await this.loadSession(req, res);
+      if (!session) return;
+
+      if (session.status !== 'uploading') {
+        return res.status(409).json({ success: false, error: `Upload session is '${session.status}'` });
+      }
+
+      const aborted = await chunkedUploadService.abort(session);
+
+      console.log(`📦 Upload session ${session.upload_id} aborted by ${req.user.userId}`);
+
+      res.json({ success: true, message: 'Upload aborted', upload: formatSession(aborted || session) });
+
+    } catch (error) {
+      console.error('❌ Abort upload error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const uploadController = new UploadController();
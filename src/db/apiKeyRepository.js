@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+const KEY_PREFIX = 'mck_';
+
+/**
+ * Hash an API key for storage/lookup
+ * Keys are 256-bit random values, so a fast hash is sufficient (no bcrypt needed).
+ */
+export const hashApiKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+export const ApiKeyRepository = {
+
+  /**
+   * Create a new key - returns the row plus the plaintext key (only time it is available)
+   */
+  async create(keyData) {
+    const {
+      name,
+      scopes = [],
+      facilities = [],
+      createdBy = null,
+      expiresAt = null
+    } = keyData;
+
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const keyPrefix = rawKey.substring(0, 12);
+
+    const result = await query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, facilities, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, keyPrefix, hashApiKey(rawKey), scopes, facilities, createdBy, expiresAt]
+    );
+
+    return { apiKey: result.rows[0], rawKey };
+  },
+
+  /**
+   * Look up an active (not revoked, not expired) key by its plaintext value
+   */
+  async findActiveByKey(rawKey) {
+    const result = await query(
+      `SELECT * FROM api_keys
+       WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+      [hashApiKey(rawKey)]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Stamp last-used time and IP
+   */
+  async touch(id, ipAddress = null) {
+    await query(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1`,
+      [id, ipAddress]
+    );
+  },
+
+  /**
+   * List keys (never includes the hash)
+   */
+  async getAll({ includeRevoked = false } = {}) {
+    const result = await query(
+      `SELECT id, name, key_prefix, scopes, facilities, created_by, expires_at,
+              revoked_at, revoked_by, last_used_at, last_used_ip, created_at
+       FROM api_keys
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY created_at DESC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Revoke a key
+   */
+  async revoke(id, revokedBy = null) {
+    const result = await query(
+      `UPDATE api_keys SET
+        revoked_at = CURRENT_TIMESTAMP,
+        revoked_by = $2
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *`,
+      [id, revokedBy]
+    );
+    return result.rows[0];
+  }
+};
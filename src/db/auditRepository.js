@@ -0,0 +1,144 @@
+import { query } from './connection.js';
+
+/**
+ * Append-only access log. There is deliberately no update or delete here;
+ * the table also has a trigger that rejects both.
+ */
+export const AuditRepository = {
+
+  /**
+   * Append an audit entry
+   */
+  async record(entry) {
+    const {
+      actorId = null,
+      actorRole = null,
+      ipAddress = null,
+      userAgent = null,
+      action,
+      chartNumber = null,
+      resourceType = null,
+      resourceId = null,
+      details = null
+    } = entry;
+
+    const result = await query(
+      `INSERT INTO audit_log (
+        actor_id, actor_role, ip_address, user_agent,
+        action, chart_number, resource_type, resource_id, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        actorId, actorRole, ipAddress, userAgent,
+        action, chartNumber, resourceType,
+        resourceId !== null ? String(resourceId) : null,
+        details ? JSON.stringify(details) : null
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Build WHERE clause shared by search and export
+   */
+  buildFilters(filters = {}) {
+    const { actorId, action, chartNumber, ipAddress, startDate, endDate } = filters;
+
+    let whereConditions = [];
+    let params = [];
+    let paramIndex = 1;
+
+    if (actorId) {
+      whereConditions.push(`actor_id = $${paramIndex}`);
+      params.push(actorId);
+      paramIndex++;
+    }
+
+    if (action) {
+      // 'chart.' matches every chart action
+      whereConditions.push(action.endsWith('.') ? `action LIKE $${paramIndex}` : `action = $${paramIndex}`);
+      params.push(action.endsWith('.') ? `${action}%` : action);
+      paramIndex++;
+    }
+
+    if (chartNumber) {
+      whereConditions.push(`chart_number = $${paramIndex}`);
+      params.push(chartNumber);
+      paramIndex++;
+    }
+
+    if (ipAddress) {
+      whereConditions.push(`ip_address = $${paramIndex}`);
+      params.push(ipAddress);
+      paramIndex++;
+    }
+
+    if (startDate) {
+      whereConditions.push(`occurred_at >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      whereConditions.push(`occurred_at <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    return { whereClause, params, paramIndex };
+  },
+
+  /**
+   * Search audit entries with filters and pagination (newest first)
+   */
+  async search(filters = {}) {
+    const { page = 1, limit = 50 } = filters;
+    const { whereClause, params, paramIndex } = this.buildFilters(filters);
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM audit_log ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * limit;
+
+    const dataResult = await query(
+      `SELECT * FROM audit_log ${whereClause}
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      entries: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+
+  /**
+   * Get all matching entries for export (oldest first, capped)
+   */
+  async export(filters = {}, maxRows = 100000) {
+    const { whereClause, params, paramIndex } = this.buildFilters(filters);
+
+    const result = await query(
+      `SELECT * FROM audit_log ${whereClause}
+       ORDER BY occurred_at ASC, id ASC
+       LIMIT $${paramIndex}`,
+      [...params, maxRows]
+    );
+
+    return result.rows;
+  }
+};
@@ -42,6 +42,44 @@ export const ChartRepository = {
     return result.rows[0];
   },
 
+  /**
+   * Queue an existing chart for reprocessing after documents were appended
+   */
+  async queueReprocess(chartNumber, addedDocumentCount) {
+    const result = await query(
+      `UPDATE charts SET
+        ai_status = 'queued',
+        document_count = document_count + $2,
+        last_error = NULL,
+        last_error_at = NULL,
+        retry_count = 0,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      RETURNING *`,
+      [chartNumber, addedDocumentCount]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Mark coder modifications as made against an earlier AI run
+   * user_modifications are kept as-is; the previous run's codes are saved for comparison.
+   */
+  async flagStaleModifications(chartNumber, previousAICodes) {
+    const result = await query(
+      `UPDATE charts SET
+        modifications_stale = TRUE,
+        previous_ai_codes = $2,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      RETURNING *`,
+      [chartNumber, JSON.stringify(previousAICodes || {})]
+    );
+
+    return result.rows[0];
+  },
+
   /**
    * Create a new chart (sets to 'processing' immediately - for sync processing)
    */
@@ -83,7 +121,7 @@ export const ChartRepository = {
    * Update chart with AI results - also saves original_ai_codes for comparison
    * Clears any previous error state
    */
-  async updateWithAIResults(chartNumber, aiResults, slaData) {
+  async updateWithAIResults(chartNumber, aiResults, slaData, { reprocessed = false } = {}) {
     // Store the original AI codes separately for comparison/analytics
     const originalAICodes = {
       ed_em_level: aiResults.diagnosis_codes?.ed_em_level || [],
@@ -106,6 +144,12 @@ export const ChartRepository = {
         coding_notes = $8,
         sla_data = $9,
         original_ai_codes = $10,
+        ai_metadata = $12,
+        code_validation = $13,
+        evidence_verification = $14,
+        ncci_edits = $15,
+        reprocess_count = reprocess_count + CASE WHEN $11 THEN 1 ELSE 0 END,
+        reprocessed_at = CASE WHEN $11 THEN CURRENT_TIMESTAMP ELSE reprocessed_at END,
         processing_completed_at = CURRENT_TIMESTAMP,
         last_error = NULL,
         last_error_at = NULL,
@@ -123,7 +167,12 @@ export const ChartRepository = {
         JSON.stringify(aiResults.lab_results_summary || []),
         JSON.stringify(aiResults.coding_notes || {}),
         JSON.stringify(slaData || {}),
-        JSON.stringify(originalAICodes)
+        JSON.stringify(originalAICodes),
+        reprocessed,
+        JSON.stringify(aiResults.ai_metadata || {}),
+        aiResults.code_validation ? JSON.stringify(aiResults.code_validation) : null,
+        aiResults.evidence_verification ? JSON.stringify(aiResults.evidence_verification) : null,
+        aiResults.ncci_edits ? JSON.stringify(aiResults.ncci_edits) : null
       ]
     );
 
@@ -172,11 +221,13 @@ export const ChartRepository = {
 
   /**
    * Save user modifications to codes
+   * Saving means the coder has reviewed them, so any stale flag from a reprocess is cleared.
    */
   async saveUserModifications(chartNumber, modifications) {
     const result = await query(
       `UPDATE charts SET
         user_modifications = $2,
+        modifications_stale = FALSE,
         review_status = 'in_review',
         updated_at = CURRENT_TIMESTAMP
       WHERE chart_number = $1
@@ -189,18 +240,21 @@ export const ChartRepository = {
 
   /**
    * Submit final codes to NextCode
+   * reviewStatus is 'qa_pending' when the submission is held for QA review;
+   * ncciEdits is the NCCI check of the final codes (with any override reason)
    */
-  async submitFinalCodes(chartNumber, finalCodes, submittedBy = null) {
+  async submitFinalCodes(chartNumber, finalCodes, submittedBy = null, reviewStatus = 'submitted', ncciEdits = null) {
     const result = await query(
       `UPDATE charts SET
         final_codes = $2,
-        review_status = 'submitted',
+        review_status = $4,
+        ncci_edits = COALESCE($5, ncci_edits),
         submitted_at = CURRENT_TIMESTAMP,
         submitted_by = $3,
         updated_at = CURRENT_TIMESTAMP
       WHERE chart_number = $1
       RETURNING *`,
-      [chartNumber, JSON.stringify(finalCodes), submittedBy]
+      [chartNumber, JSON.stringify(finalCodes), submittedBy, reviewStatus, ncciEdits ? JSON.stringify(ncciEdits) : null]
     );
 
     return result.rows[0];
@@ -239,6 +293,45 @@ export const ChartRepository = {
     return result.rows[0];
   },
 
+  /**
+   * Assign a chart to a user (pass null to unassign)
+   */
+  async assign(chartNumber, assignedTo, assignedBy = null) {
+    const result = await query(
+      `UPDATE charts SET
+        assigned_to = $2,
+        assigned_by = $3,
+        assigned_at = CASE WHEN $2::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      RETURNING *`,
+      [chartNumber, assignedTo, assignedBy]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get open workload per active coder (for auto-assignment and the assignee picker)
+   * Open = assigned and not yet submitted/rejected.
+   * When a facility is given, only coders allowed to work it are returned.
+   */
+  async getCoderWorkloads(facility = null) {
+    const result = await query(`
+      SELECT
+        u.user_id,
+        u.name,
+        COUNT(c.id) FILTER (WHERE c.review_status IN ('pending', 'in_review')) as open_charts,
+        MAX(c.assigned_at) as last_assigned_at
+      FROM users u
+      LEFT JOIN charts c ON c.assigned_to = u.user_id
+      WHERE u.role = 'coder' AND u.is_active = TRUE
+      AND ($1::text IS NULL OR $1 = ANY(u.facilities))
+      GROUP BY u.user_id, u.name
+      ORDER BY u.user_id
+    `, [facility]);
+    return result.rows;
+  },
+
   /**
    * Get chart by chart number
    */
@@ -282,6 +375,8 @@ export const ChartRepository = {
       specialty,
       aiStatus,
       reviewStatus,
+      assignedTo,
+      allowedFacilities,
       search,
       page = 1,
       limit = 10,
@@ -299,6 +394,13 @@ export const ChartRepository = {
       paramIndex++;
     }
 
+    // Facility scope of the caller (null = unrestricted)
+    if (allowedFacilities) {
+      whereConditions.push(`facility = ANY($${paramIndex})`);
+      params.push(allowedFacilities);
+      paramIndex++;
+    }
+
     if (specialty) {
       whereConditions.push(`specialty = $${paramIndex}`);
       params.push(specialty);
@@ -317,6 +419,14 @@ export const ChartRepository = {
       paramIndex++;
     }
 
+    if (assignedTo === 'unassigned') {
+      whereConditions.push(`assigned_to IS NULL`);
+    } else if (assignedTo) {
+      whereConditions.push(`assigned_to = $${paramIndex}`);
+      params.push(assignedTo);
+      paramIndex++;
+    }
+
     if (search) {
       whereConditions.push(`(mrn ILIKE $${paramIndex} OR chart_number ILIKE $${paramIndex})`);
       params.push(`%${search}%`);
@@ -344,6 +454,8 @@ export const ChartRepository = {
       `SELECT 
         id, chart_number, mrn, facility, specialty, date_of_service, provider,
         ai_status, review_status, document_count,
+        assigned_to, assigned_at,
+        reprocess_count, modifications_stale,
         last_error, last_error_at, retry_count,
         processing_started_at, processing_completed_at,
         created_at, updated_at
@@ -366,8 +478,9 @@ export const ChartRepository = {
 
   /**
    * Get SLA statistics - includes 'queued', 'retry_pending', and 'failed' statuses
+   * allowedFacilities limits the counts to the caller's facilities (null = all)
    */
-  async getSLAStats() {
+  async getSLAStats(allowedFacilities = null) {
     const result = await query(`
       SELECT 
         COUNT(*) FILTER (WHERE ai_status = 'ready' AND review_status = 'pending') as pending_review,
@@ -377,6 +490,8 @@ export const ChartRepository = {
         COUNT(*) FILTER (WHERE ai_status = 'failed') as failed,
         COUNT(*) FILTER (WHERE review_status = 'in_review') as in_review,
         COUNT(*) FILTER (WHERE review_status = 'submitted') as submitted,
+        COUNT(*) FILTER (WHERE review_status = 'qa_pending') as qa_pending,
+        COUNT(*) FILTER (WHERE review_status = 'qa_returned') as qa_returned,
         COUNT(*) FILTER (
           WHERE ai_status = 'ready' 
           AND review_status = 'pending'
@@ -389,7 +504,8 @@ export const ChartRepository = {
         ) as sla_critical,
         COUNT(*) as total
       FROM charts
-    `);
+      WHERE ($1::text[] IS NULL OR facility = ANY($1))
+    `, [allowedFacilities]);
 
     return result.rows[0];
   },
@@ -398,18 +514,20 @@ export const ChartRepository = {
    * Get transaction statistics
    * A transaction = 1 PDF upload OR 1 image group upload
    */
-  async getTransactionStats() {
+  async getTransactionStats(allowedFacilities = null) {
     const result = await query(`
       SELECT 
-        COUNT(DISTINCT transaction_id) as total_transactions,
-        COUNT(DISTINCT transaction_id) FILTER (WHERE is_group_member = FALSE) as pdf_transactions,
-        COUNT(DISTINCT transaction_id) FILTER (WHERE is_group_member = TRUE) as image_group_transactions,
+        COUNT(DISTINCT d.transaction_id) as total_transactions,
+        COUNT(DISTINCT d.transaction_id) FILTER (WHERE d.is_group_member = FALSE) as pdf_transactions,
+        COUNT(DISTINCT d.transaction_id) FILTER (WHERE d.is_group_member = TRUE) as image_group_transactions,
         COUNT(*) as total_files,
-        COUNT(*) FILTER (WHERE mime_type = 'application/pdf') as total_pdfs,
-        COUNT(*) FILTER (WHERE mime_type LIKE 'image/%') as total_images
-      FROM documents
-      WHERE transaction_id IS NOT NULL
-    `);
+        COUNT(*) FILTER (WHERE d.mime_type = 'application/pdf') as total_pdfs,
+        COUNT(*) FILTER (WHERE d.mime_type LIKE 'image/%') as total_images
+      FROM documents d
+      JOIN charts c ON c.id = d.chart_id
+      WHERE d.transaction_id IS NOT NULL
+      AND ($1::text[] IS NULL OR c.facility = ANY($1))
+    `, [allowedFacilities]);
 
     return result.rows[0];
   },
@@ -418,7 +536,7 @@ export const ChartRepository = {
    * Get combined dashboard stats (charts + transactions)
    * UPDATED: Includes retry_pending and failed counts
    */
-  async getDashboardStats() {
+  async getDashboardStats(allowedFacilities = null) {
     // Get chart stats
     const chartStats = await query(`
       SELECT 
@@ -431,18 +549,21 @@ export const ChartRepository = {
         COUNT(*) FILTER (WHERE review_status = 'submitted') as submitted,
         COUNT(*) as total
       FROM charts
-    `);
+      WHERE ($1::text[] IS NULL OR facility = ANY($1))
+    `, [allowedFacilities]);
 
     // Get transaction stats (all transactions)
     const transactionStats = await query(`
       SELECT 
-        COUNT(DISTINCT transaction_id) as total_transactions,
-        COUNT(DISTINCT transaction_id) FILTER (WHERE is_group_member = FALSE) as pdf_transactions,
-        COUNT(DISTINCT transaction_id) FILTER (WHERE is_group_member = TRUE) as image_group_transactions,
+        COUNT(DISTINCT d.transaction_id) as total_transactions,
+        COUNT(DISTINCT d.transaction_id) FILTER (WHERE d.is_group_member = FALSE) as pdf_transactions,
+        COUNT(DISTINCT d.transaction_id) FILTER (WHERE d.is_group_member = TRUE) as image_group_transactions,
         COUNT(*) as total_files
-      FROM documents
-      WHERE transaction_id IS NOT NULL
-    `);
+      FROM documents d
+      JOIN charts c ON c.id = d.chart_id
+      WHERE d.transaction_id IS NOT NULL
+      AND ($1::text[] IS NULL OR c.facility = ANY($1))
+    `, [allowedFacilities]);
 
     // Get done transactions (transactions from submitted charts)
     const doneTransactionStats = await query(`
@@ -454,7 +575,8 @@ export const ChartRepository = {
       JOIN charts c ON c.id = d.chart_id
       WHERE d.transaction_id IS NOT NULL
       AND c.review_status = 'submitted'
-    `);
+      AND ($1::text[] IS NULL OR c.facility = ANY($1))
+    `, [allowedFacilities]);
 
     return {
       charts: chartStats.rows[0],
@@ -469,7 +591,7 @@ export const ChartRepository = {
    * Get analytics data for modifications
    */
   async getModificationAnalytics(filters = {}) {
-    const { startDate, endDate, facility } = filters;
+    const { startDate, endDate, facility, allowedFacilities } = filters;
 
     let whereConditions = [`review_status = 'submitted'`];
     let params = [];
@@ -493,6 +615,12 @@ export const ChartRepository = {
       paramIndex++;
     }
 
+    if (allowedFacilities) {
+      whereConditions.push(`facility = ANY($${paramIndex})`);
+      params.push(allowedFacilities);
+      paramIndex++;
+    }
+
     const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
     const result = await query(`
@@ -576,16 +704,20 @@ export const DocumentRepository = {
       s3Bucket,
       transactionId = null,
       transactionLabel = null,
-      isGroupMember = false
+      isGroupMember = false,
+      transactionPosition = null,
+      contentHash = null,
+      duplicateOf = null
     } = documentData;
 
     const result = await query(
       `INSERT INTO documents (
         chart_id, document_type, filename, original_name, file_size, mime_type,
-        s3_key, s3_url, s3_bucket, ocr_status, transaction_id, transaction_label, is_group_member
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $11, $12)
+        s3_key, s3_url, s3_bucket, ocr_status, transaction_id, transaction_label, is_group_member,
+        transaction_position, content_hash, duplicate_of
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $11, $12, $13, $14, $15)
       RETURNING *`,
-      [chartId, documentType, filename, originalName, fileSize, mimeType, s3Key, s3Url, s3Bucket, transactionId, transactionLabel, isGroupMember]
+      [chartId, documentType, filename, originalName, fileSize, mimeType, s3Key, s3Url, s3Bucket, transactionId, transactionLabel, isGroupMember, transactionPosition, contentHash, duplicateOf]
     );
 
     return result.rows[0];
@@ -594,16 +726,22 @@ export const DocumentRepository = {
   /**
    * Update document with OCR results
    */
-  async updateOCRResults(documentId, ocrText, ocrProcessingTime = null) {
+  async updateOCRResults(documentId, ocrText, ocrProcessingTime = null, extraction = {}) {
+    const { method = null, textLayerPages = null, ocrPages = null, provider = null } = extraction;
+
     const result = await query(
       `UPDATE documents SET 
         ocr_text = $2, 
         ocr_status = 'completed',
         ocr_processing_time = $3,
-        ocr_completed_at = CURRENT_TIMESTAMP
+        ocr_completed_at = CURRENT_TIMESTAMP,
+        extraction_method = $4,
+        text_layer_pages = $5,
+        ocr_pages = $6,
+        ocr_provider = $7
       WHERE id = $1
       RETURNING *`,
-      [documentId, ocrText, ocrProcessingTime]
+      [documentId, ocrText, ocrProcessingTime, method, textLayerPages, ocrPages, provider]
     );
 
     return result.rows[0];
@@ -676,6 +814,24 @@ export const DocumentRepository = {
     return result.rows[0];
   },
 
+  /**
+   * Find earlier documents with the same content hash on this chart or on any chart for the MRN
+   * Same-chart matches sort first.
+   */
+  async findByContentHash(contentHash, { chartId = null, mrn = null } = {}) {
+    const result = await query(
+      `SELECT d.id, d.chart_id, d.original_name, d.ocr_status, d.created_at, c.chart_number, c.mrn
+       FROM documents d
+       JOIN charts c ON c.id = d.chart_id
+       WHERE d.content_hash = $1
+       AND (d.chart_id = $2 OR (COALESCE($3, '') <> '' AND c.mrn = $3))
+       ORDER BY (d.chart_id = $2) DESC NULLS LAST, d.created_at
+       LIMIT 1`,
+      [contentHash, chartId, mrn]
+    );
+    return result.rows[0];
+  },
+
   /**
    * Get documents by transaction ID
    */
@@ -684,6 +840,107 @@ export const DocumentRepository = {
       `SELECT * FROM documents WHERE transaction_id = $1 ORDER BY created_at`,
       [transactionId]
     );
+    return result.rows;
+  },
+
+  /**
+   * Replace the page-level text/layout of a document and update its low-confidence count
+   * pages: [{ pageNumber, text, lineStart, lineEnd, width, height, lines, words, avgConfidence, lowConfidence, source }]
+   */
+  async savePages(documentId, pages) {
+    await query(`DELETE FROM document_pages WHERE document_id = $1`, [documentId]);
+
+    for (const page of pages) {
+      await query(
+        `INSERT INTO document_pages (
+          document_id, page_number, text, line_start, line_end, width, height,
+          lines, words, avg_confidence, low_confidence, source
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          documentId,
+          page.pageNumber,
+          page.text,
+          page.lineStart ?? null,
+          page.lineEnd ?? null,
+          page.width ?? null,
+          page.height ?? null,
+          page.lines ? JSON.stringify(page.lines) : null,
+          page.words ? JSON.stringify(page.words) : null,
+          page.avgConfidence ?? null,
+          page.lowConfidence === true,
+          page.source || null
+        ]
+      );
+    }
+
+    const result = await query(
+      `UPDATE documents SET low_confidence_pages = $2 WHERE id = $1 RETURNING *`,
+      [documentId, pages.filter(page => page.lowConfidence).length]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Copy page-level data from the document a duplicate was detected against
+   */
+  async copyPages(fromDocumentId, toDocumentId) {
+    await query(`DELETE FROM document_pages WHERE document_id = $1`, [toDocumentId]);
+    await query(
+      `INSERT INTO document_pages (
+        document_id, page_number, text, line_start, line_end, width, height,
+        lines, words, avg_confidence, low_confidence, source
+      )
+      SELECT $2, page_number, text, line_start, line_end, width, height,
+        lines, words, avg_confidence, low_confidence, source
+      FROM document_pages WHERE document_id = $1`,
+      [fromDocumentId, toDocumentId]
+    );
+    await query(
+      `UPDATE documents SET low_confidence_pages = (
+        SELECT COUNT(*) FROM document_pages WHERE document_id = $1 AND low_confidence
+      ) WHERE id = $1`,
+      [toDocumentId]
+    );
+  },
+
+  /**
+   * Page-level text/layout of a document, optionally only the page holding a document line
+   * Image group members are one logical document, so their pages come from the whole group.
+   */
+  async getPages(document, { lineNumber = null, lowConfidenceOnly = false } = {}) {
+    const result = await query(
+      `SELECT p.* FROM document_pages p
+       JOIN documents d ON d.id = p.document_id
+       WHERE (CASE WHEN $2::text IS NOT NULL THEN d.transaction_id = $2 AND d.is_group_member ELSE d.id = $1 END)
+       AND ($3::int IS NULL OR $3 BETWEEN p.line_start AND p.line_end)
+       AND ($4::boolean = FALSE OR p.low_confidence)
+       ORDER BY p.page_number, p.document_id`,
+      [document.id, document.is_group_member ? document.transaction_id : null, lineNumber, lowConfidenceOnly]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Text extraction volume and timing per method (SLA analysis)
+   */
+  async getExtractionStats(allowedFacilities = null) {
+    const result = await query(`
+      SELECT 
+        d.extraction_method,
+        COUNT(*) as documents,
+        ROUND(AVG(d.ocr_processing_time)) as avg_processing_time,
+        COALESCE(SUM(d.text_layer_pages), 0) as text_layer_pages,
+        COALESCE(SUM(d.ocr_pages), 0) as ocr_pages
+      FROM documents d
+      JOIN charts c ON c.id = d.chart_id
+      WHERE d.ocr_status = 'completed'
+      AND d.extraction_method IS NOT NULL
+      AND ($1::text[] IS NULL OR c.facility = ANY($1))
+      GROUP BY d.extraction_method
+      ORDER BY documents DESC
+    `, [allowedFacilities]);
+
     return result.rows;
   }
 };
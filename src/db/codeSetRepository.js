@@ -0,0 +1,219 @@
+import { pool, query } from './connection.js';
+
+// Rows per INSERT when loading a release (ICD-10-CM has ~98k codes, NCCI PTP over a million edits)
+const INSERT_BATCH_SIZE = 5000;
+
+/**
+ * Batch inserts per code system - NCCI tables hold edits, everything else codes
+ */
+const ROW_INSERTERS = {
+  codes: (client, releaseId, batch) => client.query(
+    `INSERT INTO code_set_codes (release_id, code, description, short_description, billable, parent_code, effective_from, effective_to, notes)
+     SELECT $1::integer, * FROM unnest($2::text[], $3::text[], $4::text[], $5::boolean[], $6::text[], $7::date[], $8::date[], $9::jsonb[])
+     ON CONFLICT (release_id, code) DO NOTHING`,
+    [
+      releaseId,
+      batch.map(c => c.code),
+      batch.map(c => c.description || null),
+      batch.map(c => c.shortDescription ? c.shortDescription.substring(0, 255) : null),
+      batch.map(c => c.billable !== false),
+      batch.map(c => c.parentCode || null),
+      batch.map(c => c.effectiveFrom || null),
+      batch.map(c => c.effectiveTo || null),
+      batch.map(c => c.notes ? JSON.stringify(c.notes) : null)
+    ]
+  ),
+
+  ncci_ptp: (client, releaseId, batch) => client.query(
+    `INSERT INTO ncci_ptp_edits (release_id, column1_code, column2_code, effective_from, deletion_date, modifier_indicator, rationale)
+     SELECT $1::integer, * FROM unnest($2::text[], $3::text[], $4::date[], $5::date[], $6::smallint[], $7::text[])
+     ON CONFLICT (release_id, column1_code, column2_code) DO NOTHING`,
+    [
+      releaseId,
+      batch.map(e => e.column1Code),
+      batch.map(e => e.column2Code),
+      batch.map(e => e.effectiveFrom || null),
+      batch.map(e => e.deletionDate || null),
+      batch.map(e => e.modifierIndicator),
+      batch.map(e => e.rationale || null)
+    ]
+  ),
+
+  ncci_mue: (client, releaseId, batch) => client.query(
+    `INSERT INTO ncci_mue_values (release_id, code, mue_value, adjudication_indicator, rationale)
+     SELECT $1::integer, * FROM unnest($2::text[], $3::integer[], $4::smallint[], $5::text[])
+     ON CONFLICT (release_id, code) DO NOTHING`,
+    [
+      releaseId,
+      batch.map(m => m.code),
+      batch.map(m => m.mueValue),
+      batch.map(m => m.adjudicationIndicator || null),
+      batch.map(m => m.rationale || null)
+    ]
+  )
+};
+
+/**
+ * Code set releases (one per code system and effective date) and their codes
+ */
+export const CodeSetRepository = {
+
+  /**
+   * Load a release, replacing one with the same system and effective date
+   * Rows are codes, or edits for ncci_ptp / ncci_mue. Earlier open releases are
+   * closed the day before this one takes effect; without an explicit end, this one
+   * runs until the next later release (if any).
+   */
+  async importRelease({ codeSystem, version = null, effectiveFrom, effectiveTo = null, sourceFiles = [] }, rows) {
+    const insertRows = ROW_INSERTERS[codeSystem] || ROW_INSERTERS.codes;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `DELETE FROM code_set_releases WHERE code_system = $1 AND effective_from = $2`,
+        [codeSystem, effectiveFrom]
+      );
+
+      await client.query(
+        `UPDATE code_set_releases SET effective_to = $2::date - 1
+         WHERE code_system = $1 AND effective_from < $2 AND (effective_to IS NULL OR effective_to >= $2)`,
+        [codeSystem, effectiveFrom]
+      );
+
+      const releaseResult = await client.query(
+        `INSERT INTO code_set_releases (code_system, version, effective_from, effective_to, source_files, code_count)
+         VALUES ($1, $2, $3, COALESCE($4::date,
+           (SELECT MIN(effective_from) - 1 FROM code_set_releases WHERE code_system = $1 AND effective_from > $3)), $5, $6)
+         RETURNING *`,
+        [codeSystem, version, effectiveFrom, effectiveTo, JSON.stringify(sourceFiles), rows.length]
+      );
+      const release = releaseResult.rows[0];
+
+      for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        await insertRows(client, release.id, rows.slice(i, i + INSERT_BATCH_SIZE));
+      }
+
+      await client.query('COMMIT');
+      return release;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * All releases, newest first per system
+   */
+  async listReleases() {
+    const result = await query(
+      `SELECT * FROM code_set_releases ORDER BY code_system, effective_from DESC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * The release of each code system in effect on a date → { codeSystem: release }
+   */
+  async getReleasesOn(date) {
+    const result = await query(
+      `SELECT DISTINCT ON (code_system) *
+       FROM code_set_releases
+       WHERE effective_from <= $1 AND (effective_to IS NULL OR effective_to >= $1)
+       ORDER BY code_system, effective_from DESC`,
+      [date]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.code_system, row]));
+  },
+
+  /**
+   * Codes of a release, keyed by code
+   */
+  async getCodes(releaseId, codes) {
+    if (codes.length === 0) return new Map();
+
+    const result = await query(
+      `SELECT * FROM code_set_codes WHERE release_id = $1 AND code = ANY($2)`,
+      [releaseId, codes]
+    );
+    return new Map(result.rows.map(row => [row.code, row]));
+  },
+
+  /**
+   * Billable codes under a code (its valid children), in code order
+   */
+  async getBillableDescendants(releaseId, code, limit = 10) {
+    const result = await query(
+      `SELECT code, description FROM code_set_codes
+       WHERE release_id = $1 AND code LIKE $2 AND code <> $3 AND billable
+       ORDER BY code
+       LIMIT $4`,
+      [releaseId, `${code.replace(/[%_]/g, '')}%`, code, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * The longest of the given prefixes that is a code in the release
+   */
+  async findNearestAncestor(releaseId, prefixes) {
+    if (prefixes.length === 0) return null;
+
+    const result = await query(
+      `SELECT code, description, billable FROM code_set_codes
+       WHERE release_id = $1 AND code = ANY($2)
+       ORDER BY length(code) DESC
+       LIMIT 1`,
+      [releaseId, prefixes]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * NCCI PTP edits of a release between any two of the given codes, in effect on a date
+   */
+  async getPtpEdits(releaseId, codes, date) {
+    if (codes.length < 2) return [];
+
+    const result = await query(
+      `SELECT * FROM ncci_ptp_edits
+       WHERE release_id = $1 AND column1_code = ANY($2) AND column2_code = ANY($2)
+         AND column1_code <> column2_code
+         AND (effective_from IS NULL OR effective_from <= $3)
+         AND (deletion_date IS NULL OR deletion_date > $3)`,
+      [releaseId, codes, date]
+    );
+    return result.rows;
+  },
+
+  /**
+   * NCCI MUE values of a release, keyed by code
+   */
+  async getMueValues(releaseId, codes) {
+    if (codes.length === 0) return new Map();
+
+    const result = await query(
+      `SELECT * FROM ncci_mue_values WHERE release_id = $1 AND code = ANY($2)`,
+      [releaseId, codes]
+    );
+    return new Map(result.rows.map(row => [row.code, row]));
+  },
+
+  /**
+   * Other releases that contain a code, for "not valid on this date" messages
+   */
+  async findCodeInReleases(codeSystem, code) {
+    const result = await query(
+      `SELECT r.version, r.effective_from, r.effective_to, c.effective_from AS code_effective_from, c.effective_to AS code_effective_to
+       FROM code_set_codes c
+       JOIN code_set_releases r ON r.id = c.release_id
+       WHERE r.code_system = $1 AND c.code = $2
+       ORDER BY r.effective_from`,
+      [codeSystem, code]
+    );
+    return result.rows;
+  }
+};
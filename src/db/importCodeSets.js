@@ -0,0 +1,137 @@
+/**
+ * Import a code set release from local files
+ *
+ *   npm run codes:import -- icd10cm --order icd10cm_order_2025.txt --tabular icd10cm_tabular_2025.xml \
+ *     --effective 2024-10-01 [--until 2025-09-30] [--version FY2025]
+ *   npm run codes:import -- cpt --file cpt_2025.csv --effective 2025-01-01 [--version 2025]
+ *   npm run codes:import -- hcpcs --file HCPC2025_JAN.csv --effective 2025-01-01 [--version 2025-Q1]
+ *   npm run codes:import -- ncci_ptp --file ptp_f1.txt,ptp_f2.txt,ptp_f3.txt,ptp_f4.txt --effective 2025-01-01 [--version 2025Q1]
+ *   npm run codes:import -- ncci_mue --file mue_practitioner.txt --effective 2025-01-01 [--version 2025Q1]
+ *
+ * ICD-10-CM uses the CMS order file (required) and tabular XML (optional - adds the
+ * hierarchy and excludes / 7th character notes). CPT and HCPCS take a CSV, tab or pipe
+ * delimited list with code and description columns, plus optional effective and
+ * termination date columns. NCCI tables take the CMS quarterly PTP files (comma
+ * separated - CMS splits them by code range) or the MUE file, as text or CSV.
+ *
+ * Re-importing a release with the same effective date replaces it. Loading a newer
+ * release closes the previous one the day before the new one takes effect.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pool } from './connection.js';
+import { CodeSetRepository } from './codeSetRepository.js';
+import { codeSetService, CODE_SYSTEMS } from '../services/codeSetService.js';
+import { ncciService, NCCI_TABLES } from '../services/ncciService.js';
+
+const IMPORTABLE = { ...CODE_SYSTEMS, ...NCCI_TABLES };
+
+function parseArgs(argv) {
+  const [codeSystem, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    }
+  }
+
+  return { codeSystem, options };
+}
+
+function readFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath || '(none given)'}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+async function importCodeSets() {
+  const { codeSystem, options } = parseArgs(process.argv.slice(2));
+
+  if (!IMPORTABLE[codeSystem]) {
+    throw new Error(`Usage: importCodeSets.js <${Object.keys(IMPORTABLE).join('|')}> [options] - see the header of this file`);
+  }
+
+  const effectiveFrom = codeSetService.toIsoDate(options.effective);
+  if (!effectiveFrom) {
+    throw new Error('--effective YYYY-MM-DD is required (ICD-10-CM releases take effect October 1)');
+  }
+
+  const effectiveTo = options.until ? codeSetService.toIsoDate(options.until) : null;
+  if (options.until && !effectiveTo) {
+    throw new Error(`Invalid --until date: ${options.until}`);
+  }
+
+  console.log(`📚 Importing ${IMPORTABLE[codeSystem].label} effective ${effectiveFrom}${effectiveTo ? ` to ${effectiveTo}` : ''}...`);
+
+  let codes;
+  let sourceFiles;
+
+  if (codeSystem === 'icd10cm') {
+    codes = codeSetService.buildIcd10Codes(
+      readFile(options.order),
+      options.tabular ? readFile(options.tabular) : null
+    );
+    sourceFiles = [options.order, options.tabular].filter(Boolean).map(file => path.basename(file));
+  } else if (NCCI_TABLES[codeSystem]) {
+    const files = String(options.file || '').split(',').map(file => file.trim()).filter(Boolean);
+    if (files.length === 0) {
+      throw new Error('--file is required (comma separate several files)');
+    }
+
+    codes = [];
+    let skipped = 0;
+    for (const file of files) {
+      const parsed = codeSystem === 'ncci_ptp'
+        ? ncciService.parsePtpFile(readFile(file))
+        : ncciService.parseMueFile(readFile(file));
+      codes = codes.concat(parsed.edits || parsed.values);
+      skipped += parsed.skipped;
+    }
+    sourceFiles = files.map(file => path.basename(file));
+
+    if (skipped > 0) {
+      console.warn(`   ⚠️  Skipped ${skipped} rows with an invalid modifier indicator or MUE value`);
+    }
+  } else {
+    const parsed = codeSetService.parseProcedureCodeFile(readFile(options.file), codeSystem);
+    codes = parsed.codes;
+    sourceFiles = [path.basename(options.file)];
+
+    if (parsed.skipped > 0) {
+      console.warn(`   ⚠️  Skipped ${parsed.skipped} rows without a valid ${CODE_SYSTEMS[codeSystem].label} code`);
+    }
+  }
+
+  if (codes.length === 0) {
+    throw new Error(`No ${NCCI_TABLES[codeSystem] ? 'edits' : 'codes'} found in the given file(s)`);
+  }
+
+  if (NCCI_TABLES[codeSystem]) {
+    console.log(`   Parsed ${codes.length} edits`);
+  } else {
+    const billable = codes.filter(code => code.billable).length;
+    console.log(`   Parsed ${codes.length} codes (${billable} billable)`);
+  }
+
+  const release = await CodeSetRepository.importRelease({
+    codeSystem,
+    version: options.version || null,
+    effectiveFrom,
+    effectiveTo,
+    sourceFiles
+  }, codes);
+
+  console.log(`   ✅ Release ${release.id} loaded (${release.version || effectiveFrom})\n`);
+}
+
+importCodeSets()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Code set import failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
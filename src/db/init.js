@@ -22,10 +22,21 @@ async function initDatabase() {
     // DROP EXISTING TABLES (clean start)
     // ═══════════════════════════════════════════════════════════════
     console.log('🗑️  Dropping existing tables (if any)...');
+    await client.query(`DROP TABLE IF EXISTS upload_session_chunks CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS upload_sessions CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS audit_log CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS qa_reviews CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS job_steps CASCADE`);
     await client.query(`DROP TABLE IF EXISTS processing_queue CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS document_pages CASCADE`);
     await client.query(`DROP TABLE IF EXISTS documents CASCADE`);
     await client.query(`DROP TABLE IF EXISTS charts CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS api_keys CASCADE`);
     await client.query(`DROP TABLE IF EXISTS users CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS code_set_codes CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS ncci_ptp_edits CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS ncci_mue_values CASCADE`);
+    await client.query(`DROP TABLE IF EXISTS code_set_releases CASCADE`);
     console.log('   ✅ Old tables dropped\n');
 
     // ═══════════════════════════════════════════════════════════════
@@ -60,14 +71,37 @@ async function initDatabase() {
         -- Original AI codes for comparison
         original_ai_codes JSONB,
         
+        -- AI codes checked against the code sets in effect on the date of service
+        code_validation JSONB,
+        -- AI evidence quotes matched against the document lines (flagged codes listed)
+        evidence_verification JSONB,
+        -- NCCI PTP / MUE alerts for the current codes (re-run on submit, with any override reason)
+        ncci_edits JSONB,
+        
+        -- LLM provider, model and token usage of the AI run that produced the codes
+        ai_metadata JSONB,
+        
         -- User modifications
         user_modifications JSONB,
         
+        -- Incremental reprocessing (documents appended after AI coding)
+        -- modifications_stale: user_modifications were made against an earlier AI run
+        -- previous_ai_codes: original_ai_codes of that earlier run
+        reprocess_count INTEGER DEFAULT 0,
+        reprocessed_at TIMESTAMP,
+        modifications_stale BOOLEAN DEFAULT FALSE,
+        previous_ai_codes JSONB,
+        
         -- Final submitted codes
         final_codes JSONB,
         submitted_at TIMESTAMP,
         submitted_by VARCHAR(100),
         
+        -- Work queue assignment (users.user_id)
+        assigned_to VARCHAR(100),
+        assigned_by VARCHAR(100),
+        assigned_at TIMESTAMP,
+        
         -- Error tracking
         last_error TEXT,
         last_error_at TIMESTAMP,
@@ -103,12 +137,26 @@ async function initDatabase() {
         s3_url TEXT,
         s3_bucket VARCHAR(255),
         
+        -- SHA-256 of the file content (duplicate detection)
+        content_hash VARCHAR(64),
+        -- Earlier document with the same content - its text is reused instead of running OCR
+        duplicate_of INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+        
         -- OCR Processing
         ocr_status VARCHAR(50) DEFAULT 'pending',
         ocr_text TEXT,
         ocr_processing_time INTEGER,
         ocr_completed_at TIMESTAMP,
         
+        -- How the text was obtained: text_file | word | text_layer | ocr | hybrid | html | rtf | odt | csv | xml | ccda | duplicate
+        extraction_method VARCHAR(30),
+        text_layer_pages INTEGER,
+        ocr_pages INTEGER,
+        -- OCR provider(s) that produced the text: remote | tesseract | passthrough (comma-joined for hybrid PDFs)
+        ocr_provider VARCHAR(50),
+        -- Pages below the OCR confidence threshold (see document_pages.low_confidence)
+        low_confidence_pages INTEGER DEFAULT 0,
+        
         -- AI Document Summary
         ai_document_summary JSONB,
         
@@ -116,6 +164,8 @@ async function initDatabase() {
         transaction_id VARCHAR(100),
         transaction_label VARCHAR(255),
         is_group_member BOOLEAN DEFAULT FALSE,
+        -- Page order within an image group (1-based)
+        transaction_position INTEGER,
         
         -- Timestamps
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -123,6 +173,42 @@ async function initDatabase() {
     `);
     console.log('   ✅ documents table created\n');
 
+    // ═══════════════════════════════════════════════════════════════
+    // DOCUMENT PAGES TABLE (page-level text, layout and OCR confidence)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📑 Creating document_pages table...');
+    await client.query(`
+      CREATE TABLE document_pages (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        page_number INTEGER NOT NULL,
+        text TEXT,
+        
+        -- Document line numbers (as numbered for the AI) covered by this page
+        line_start INTEGER,
+        line_end INTEGER,
+        
+        -- Page size in the units of the boxes (pixels for OCR, points for text layers)
+        width NUMERIC,
+        height NUMERIC,
+        
+        -- [{ lineNumber, text, bbox: [x0, y0, x1, y1], confidence }] / [{ text, bbox, confidence }]
+        lines JSONB,
+        words JSONB,
+        
+        -- Average OCR confidence 0-100 (NULL for text-layer pages)
+        avg_confidence NUMERIC(5,2),
+        low_confidence BOOLEAN DEFAULT FALSE,
+        
+        -- Where the page text came from: text_layer | remote | tesseract | passthrough
+        source VARCHAR(30),
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, page_number)
+      )
+    `);
+    console.log('   ✅ document_pages table created\n');
+
     // ═══════════════════════════════════════════════════════════════
     // PROCESSING QUEUE TABLE
     // ═══════════════════════════════════════════════════════════════
@@ -158,6 +244,100 @@ async function initDatabase() {
     `);
     console.log('   ✅ processing_queue table created\n');
 
+    // ═══════════════════════════════════════════════════════════════
+    // JOB STEPS TABLE (stage checkpoints - retries resume after completed steps)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('🪜 Creating job_steps table...');
+    await client.query(`
+      CREATE TABLE job_steps (
+        id SERIAL PRIMARY KEY,
+        job_id VARCHAR(100) NOT NULL REFERENCES processing_queue(job_id) ON DELETE CASCADE,
+        -- NULL for chart-level steps
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        
+        -- text_extracted | summary_generated (per document), ai_coded | results_saved (per chart)
+        step VARCHAR(50) NOT NULL,
+        -- running | completed | failed | skipped
+        status VARCHAR(20) NOT NULL,
+        attempt INTEGER,
+        
+        -- What a resumed run needs (e.g. the AI result) and step metadata
+        details JSONB,
+        error TEXT,
+        
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    console.log('   ✅ job_steps table created\n');
+
+    // ═══════════════════════════════════════════════════════════════
+    // QA REVIEWS TABLE (second-level review, kept apart from user_modifications)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('🔎 Creating qa_reviews table...');
+    await client.query(`
+      CREATE TABLE qa_reviews (
+        id SERIAL PRIMARY KEY,
+        chart_id INTEGER REFERENCES charts(id) ON DELETE CASCADE,
+        chart_number VARCHAR(100),
+        
+        -- Who coded it and why it was picked for QA
+        coder_id VARCHAR(100),
+        selection_reason VARCHAR(50),
+        
+        -- Review outcome: pending | accepted | returned
+        status VARCHAR(50) DEFAULT 'pending',
+        reviewer_id VARCHAR(100),
+        findings JSONB DEFAULT '[]',
+        notes TEXT,
+        codes_reviewed INTEGER DEFAULT 0,
+        
+        -- Timestamps
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    console.log('   ✅ qa_reviews table created\n');
+
+    // ═══════════════════════════════════════════════════════════════
+    // AUDIT LOG TABLE (HIPAA access log - append-only, no FK so rows outlive charts)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('🧾 Creating audit_log table...');
+    await client.query(`
+      CREATE TABLE audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        -- Who
+        actor_id VARCHAR(100),
+        actor_role VARCHAR(50),
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        
+        -- What
+        action VARCHAR(100) NOT NULL,
+        chart_number VARCHAR(100),
+        resource_type VARCHAR(50),
+        resource_id VARCHAR(100),
+        details JSONB
+      )
+    `);
+
+    // Reject UPDATE/DELETE so entries can only ever be appended
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_immutable() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE TRIGGER audit_log_no_mutation
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_immutable()
+    `);
+    console.log('   ✅ audit_log table created\n');
+
     // ═══════════════════════════════════════════════════════════════
     // USERS TABLE
     // ═══════════════════════════════════════════════════════════════
@@ -171,6 +351,8 @@ async function initDatabase() {
         role VARCHAR(50) DEFAULT 'coder',
         email VARCHAR(255),
         is_active BOOLEAN DEFAULT TRUE,
+        -- Facilities this user may access (ignored for admins; empty = none)
+        facilities TEXT[] NOT NULL DEFAULT '{}',
         last_login TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -178,6 +360,174 @@ async function initDatabase() {
     `);
     console.log('   ✅ users table created\n');
 
+    // ═══════════════════════════════════════════════════════════════
+    // API KEYS TABLE (machine-to-machine access for integrations)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('🔑 Creating api_keys table...');
+    await client.query(`
+      CREATE TABLE api_keys (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        
+        -- Only the SHA-256 of the key is stored; prefix is for display/identification
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        
+        -- Access restrictions (empty facilities = none)
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        facilities TEXT[] NOT NULL DEFAULT '{}',
+        
+        -- Lifecycle
+        created_by VARCHAR(100),
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_by VARCHAR(100),
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(64),
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('   ✅ api_keys table created\n');
+
+    // ═══════════════════════════════════════════════════════════════
+    // UPLOAD SESSIONS TABLES (resumable chunked uploads → S3 multipart)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📦 Creating upload_sessions table...');
+    await client.query(`
+      CREATE TABLE upload_sessions (
+        id SERIAL PRIMARY KEY,
+        upload_id VARCHAR(100) UNIQUE NOT NULL,
+        
+        -- Target chart (chart_info mirrors the /process form fields)
+        chart_number VARCHAR(100) NOT NULL,
+        chart_info JSONB,
+        document_type VARCHAR(100),
+        allow_duplicates BOOLEAN DEFAULT FALSE,
+        
+        -- File
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        total_size BIGINT NOT NULL,
+        chunk_size INTEGER NOT NULL,
+        total_chunks INTEGER NOT NULL,
+        
+        -- S3 multipart upload
+        s3_key VARCHAR(500) NOT NULL,
+        s3_upload_id VARCHAR(500) NOT NULL,
+        
+        -- Status: uploading, completing, completed, duplicate, failed, aborted, expired
+        status VARCHAR(50) DEFAULT 'uploading',
+        document_id INTEGER,
+        job_id VARCHAR(100),
+        
+        created_by VARCHAR(100),
+        expires_at TIMESTAMP NOT NULL,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('   ✅ upload_sessions table created\n');
+
+    console.log('🧩 Creating upload_session_chunks table...');
+    await client.query(`
+      CREATE TABLE upload_session_chunks (
+        session_id INTEGER REFERENCES upload_sessions(id) ON DELETE CASCADE,
+        chunk_number INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        etag VARCHAR(255) NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, chunk_number)
+      )
+    `);
+    console.log('   ✅ upload_session_chunks table created\n');
+
+    // ═══════════════════════════════════════════════════════════════
+    // CODE SETS (ICD-10-CM, CPT, HCPCS, NCCI edits - loaded with npm run codes:import)
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📚 Creating code_set_releases table...');
+    await client.query(`
+      CREATE TABLE code_set_releases (
+        id SERIAL PRIMARY KEY,
+        -- icd10cm | cpt | hcpcs | ncci_ptp | ncci_mue
+        code_system VARCHAR(20) NOT NULL,
+        version VARCHAR(50),
+        
+        -- Dates of service the release covers; effective_to is closed when the next release is loaded
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        
+        source_files JSONB,
+        code_count INTEGER DEFAULT 0,
+        imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        UNIQUE(code_system, effective_from)
+      )
+    `);
+    console.log('   ✅ code_set_releases table created\n');
+
+    console.log('📚 Creating code_set_codes table...');
+    await client.query(`
+      CREATE TABLE code_set_codes (
+        release_id INTEGER NOT NULL REFERENCES code_set_releases(id) ON DELETE CASCADE,
+        -- Stored without the ICD-10-CM dot, upper case
+        code VARCHAR(10) NOT NULL,
+        description TEXT,
+        short_description VARCHAR(255),
+        -- Valid for claims (ICD-10-CM leaf codes; every CPT/HCPCS code)
+        billable BOOLEAN NOT NULL DEFAULT TRUE,
+        parent_code VARCHAR(10),
+        
+        -- Per-code dates within the release (HCPCS add / termination dates)
+        effective_from DATE,
+        effective_to DATE,
+        
+        -- Tabular notes: excludes1, excludes2, seventh character definitions
+        notes JSONB,
+        
+        PRIMARY KEY (release_id, code)
+      )
+    `);
+    console.log('   ✅ code_set_codes table created\n');
+
+    console.log('📚 Creating ncci_ptp_edits table...');
+    await client.query(`
+      CREATE TABLE ncci_ptp_edits (
+        release_id INTEGER NOT NULL REFERENCES code_set_releases(id) ON DELETE CASCADE,
+        -- The column 2 code is not payable with the column 1 code
+        column1_code VARCHAR(10) NOT NULL,
+        column2_code VARCHAR(10) NOT NULL,
+        
+        effective_from DATE,
+        -- First date the edit no longer applies
+        deletion_date DATE,
+        
+        -- 0 = no modifier allowed, 1 = an NCCI-associated modifier bypasses it, 9 = not applicable
+        modifier_indicator SMALLINT NOT NULL,
+        rationale TEXT,
+        
+        PRIMARY KEY (release_id, column1_code, column2_code)
+      )
+    `);
+    console.log('   ✅ ncci_ptp_edits table created\n');
+
+    console.log('📚 Creating ncci_mue_values table...');
+    await client.query(`
+      CREATE TABLE ncci_mue_values (
+        release_id INTEGER NOT NULL REFERENCES code_set_releases(id) ON DELETE CASCADE,
+        code VARCHAR(10) NOT NULL,
+        -- Most units reportable for one patient on one date of service
+        mue_value INTEGER NOT NULL,
+        -- 1 = per claim line, 2 = per date of service (policy), 3 = per date of service (clinical)
+        adjudication_indicator SMALLINT,
+        rationale TEXT,
+        
+        PRIMARY KEY (release_id, code)
+      )
+    `);
+    console.log('   ✅ ncci_mue_values table created\n');
+
     // ═══════════════════════════════════════════════════════════════
     // INDEXES
     // ═══════════════════════════════════════════════════════════════
@@ -191,11 +541,14 @@ async function initDatabase() {
     await client.query(`CREATE INDEX idx_charts_mrn ON charts(mrn)`);
     await client.query(`CREATE INDEX idx_charts_created_at ON charts(created_at DESC)`);
     await client.query(`CREATE INDEX idx_charts_date_of_service ON charts(date_of_service)`);
+    await client.query(`CREATE INDEX idx_charts_assigned_to ON charts(assigned_to)`);
 
     // Documents indexes
     await client.query(`CREATE INDEX idx_documents_chart_id ON documents(chart_id)`);
     await client.query(`CREATE INDEX idx_documents_transaction_id ON documents(transaction_id)`);
     await client.query(`CREATE INDEX idx_documents_ocr_status ON documents(ocr_status)`);
+    await client.query(`CREATE INDEX idx_documents_content_hash ON documents(content_hash)`);
+    await client.query(`CREATE INDEX idx_document_pages_low_confidence ON document_pages(document_id) WHERE low_confidence`);
 
     // Processing queue indexes
     await client.query(`CREATE INDEX idx_queue_status ON processing_queue(status)`);
@@ -203,10 +556,34 @@ async function initDatabase() {
     await client.query(`CREATE INDEX idx_queue_created_at ON processing_queue(created_at)`);
     await client.query(`CREATE INDEX idx_queue_retry_after ON processing_queue(retry_after)`);
 
+    // Job step indexes
+    await client.query(`CREATE UNIQUE INDEX idx_job_steps_unique ON job_steps(job_id, step, (COALESCE(document_id, 0)))`);
+
+    // Code set indexes
+    await client.query(`CREATE INDEX idx_code_set_releases_effective ON code_set_releases(code_system, effective_from, effective_to)`);
+    await client.query(`CREATE INDEX idx_code_set_codes_prefix ON code_set_codes(release_id, code text_pattern_ops)`);
+    await client.query(`CREATE INDEX idx_code_set_codes_code ON code_set_codes(code)`);
+    await client.query(`CREATE INDEX idx_ncci_ptp_edits_column2 ON ncci_ptp_edits(release_id, column2_code)`);
+
+    // QA review indexes
+    await client.query(`CREATE INDEX idx_qa_reviews_chart_id ON qa_reviews(chart_id)`);
+    await client.query(`CREATE INDEX idx_qa_reviews_status ON qa_reviews(status)`);
+    await client.query(`CREATE INDEX idx_qa_reviews_coder_id ON qa_reviews(coder_id)`);
+
+    // Audit log indexes
+    await client.query(`CREATE INDEX idx_audit_log_occurred_at ON audit_log(occurred_at DESC)`);
+    await client.query(`CREATE INDEX idx_audit_log_actor_id ON audit_log(actor_id)`);
+    await client.query(`CREATE INDEX idx_audit_log_chart_number ON audit_log(chart_number)`);
+    await client.query(`CREATE INDEX idx_audit_log_action ON audit_log(action)`);
+
     // Users indexes
     await client.query(`CREATE INDEX idx_users_role ON users(role)`);
     await client.query(`CREATE INDEX idx_users_is_active ON users(is_active)`);
 
+    // Upload sessions indexes
+    await client.query(`CREATE INDEX idx_upload_sessions_status ON upload_sessions(status)`);
+    await client.query(`CREATE INDEX idx_upload_sessions_expires_at ON upload_sessions(expires_at)`);
+
     console.log('   ✅ All indexes created\n');
 
     // ═══════════════════════════════════════════════════════════════
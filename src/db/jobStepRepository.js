@@ -0,0 +1,103 @@
+import { query } from './connection.js';
+
+export const JOB_STEPS = {
+  TEXT_EXTRACTED: 'text_extracted',
+  SUMMARY_GENERATED: 'summary_generated',
+  AI_CODED: 'ai_coded',
+  RESULTS_SAVED: 'results_saved'
+};
+
+/**
+ * Per-job stage checkpoints
+ * Document steps (text_extracted, summary_generated) carry a document_id; chart
+ * steps (ai_coded, results_saved) have none. A retry reads the completed steps
+ * and resumes after them instead of redoing OCR and AI calls.
+ */
+export const JobStepRepository = {
+
+  /**
+   * Insert or update one step of a job
+   */
+  async upsert(jobId, step, documentId, { status, attempt = null, details = null, error = null }) {
+    const result = await query(
+      `INSERT INTO job_steps (job_id, step, document_id, status, attempt, details, error, started_at, completed_at)
+       VALUES ($1, $2, $3, $4::text, $5, $6, $7, CURRENT_TIMESTAMP,
+         CASE WHEN $4::text IN ('completed', 'failed', 'skipped') THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (job_id, step, (COALESCE(document_id, 0))) DO UPDATE SET
+         status = EXCLUDED.status,
+         attempt = COALESCE(EXCLUDED.attempt, job_steps.attempt),
+         details = COALESCE(EXCLUDED.details, job_steps.details),
+         error = EXCLUDED.error,
+         started_at = CASE WHEN EXCLUDED.status = 'running' THEN CURRENT_TIMESTAMP ELSE job_steps.started_at END,
+         completed_at = EXCLUDED.completed_at
+       RETURNING *`,
+      [jobId, step, documentId, status, attempt, details ? JSON.stringify(details) : null, error]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Mark a step as started
+   */
+  async start(jobId, step, documentId = null, attempt = null) {
+    return this.upsert(jobId, step, documentId, { status: 'running', attempt });
+  },
+
+  /**
+   * Mark a step as completed, with anything a resumed run needs in details
+   */
+  async complete(jobId, step, documentId = null, details = null) {
+    return this.upsert(jobId, step, documentId, { status: 'completed', details });
+  },
+
+  /**
+   * Mark a step as failed
+   */
+  async fail(jobId, step, documentId = null, error = null) {
+    return this.upsert(jobId, step, documentId, { status: 'failed', error });
+  },
+
+  /**
+   * Mark a step as not needed in this run (e.g. text reused from an earlier job)
+   */
+  async skip(jobId, step, documentId = null, details = null) {
+    return this.upsert(jobId, step, documentId, { status: 'skipped', details });
+  },
+
+  /**
+   * Fail whatever was still running when a job attempt died
+   */
+  async failRunning(jobId, error) {
+    await query(
+      `UPDATE job_steps SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'running'`,
+      [jobId, error]
+    );
+  },
+
+  /**
+   * Completed steps of the given jobs (a job and the one it resumes from)
+   */
+  async getCompleted(jobIds) {
+    const result = await query(
+      `SELECT * FROM job_steps WHERE job_id = ANY($1) AND status = 'completed'`,
+      [jobIds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * All steps of a job with document names, chart steps last
+   */
+  async getByJob(jobId) {
+    const result = await query(
+      `SELECT s.*, d.original_name
+       FROM job_steps s
+       LEFT JOIN documents d ON d.id = s.document_id
+       WHERE s.job_id = $1
+       ORDER BY s.document_id NULLS LAST, s.id`,
+      [jobId]
+    );
+    return result.rows;
+  }
+};
@@ -0,0 +1,116 @@
+import { query } from './connection.js';
+
+export const QARepository = {
+
+  /**
+   * Open a QA review for a submitted chart
+   */
+  async create(chartId, chartNumber, coderId, selectionReason) {
+    const result = await query(
+      `INSERT INTO qa_reviews (chart_id, chart_number, coder_id, selection_reason, status)
+       VALUES ($1, $2, $3, $4, 'pending')
+       RETURNING *`,
+      [chartId, chartNumber, coderId, selectionReason]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Close the open review for a chart as accepted or returned
+   */
+  async complete(chartId, outcome) {
+    const { status, reviewerId, findings = [], notes = null, codesReviewed = 0 } = outcome;
+
+    const result = await query(
+      `UPDATE qa_reviews SET
+        status = $2,
+        reviewer_id = $3,
+        findings = $4,
+        notes = $5,
+        codes_reviewed = $6,
+        completed_at = CURRENT_TIMESTAMP
+      WHERE chart_id = $1 AND status = 'pending'
+      RETURNING *`,
+      [chartId, status, reviewerId, JSON.stringify(findings), notes, codesReviewed]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get the most recent review round for a chart
+   */
+  async getLatestByChartId(chartId) {
+    const result = await query(
+      `SELECT * FROM qa_reviews WHERE chart_id = $1 ORDER BY created_at DESC LIMIT 1`,
+      [chartId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get all review rounds for a chart (oldest first)
+   */
+  async getByChartNumber(chartNumber) {
+    const result = await query(
+      `SELECT * FROM qa_reviews WHERE chart_number = $1 ORDER BY created_at`,
+      [chartNumber]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Count a coder's charts accepted without going back (used for "new coder" sampling)
+   */
+  async countAcceptedSubmissions(coderId) {
+    const result = await query(
+      `SELECT COUNT(*) FROM charts
+       WHERE submitted_by = $1 AND review_status = 'submitted'`,
+      [coderId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Get completed reviews for coder accuracy reporting
+   */
+  async getCompletedReviews(filters = {}) {
+    const { startDate, endDate, coderId, allowedFacilities } = filters;
+
+    let whereConditions = [`q.status IN ('accepted', 'returned')`];
+    let params = [];
+    let paramIndex = 1;
+
+    if (startDate) {
+      whereConditions.push(`q.completed_at >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      whereConditions.push(`q.completed_at <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    if (coderId) {
+      whereConditions.push(`q.coder_id = $${paramIndex}`);
+      params.push(coderId);
+      paramIndex++;
+    }
+
+    if (allowedFacilities) {
+      whereConditions.push(`c.facility = ANY($${paramIndex})`);
+      params.push(allowedFacilities);
+      paramIndex++;
+    }
+
+    const result = await query(
+      `SELECT q.* FROM qa_reviews q
+       JOIN charts c ON c.id = q.chart_id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY q.completed_at DESC`,
+      params
+    );
+    return result.rows;
+  }
+};
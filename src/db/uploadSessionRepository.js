@@ -0,0 +1,133 @@
+import { query } from './connection.js';
+
+export const UploadSessionRepository = {
+
+  /**
+   * Create an upload session for an S3 multipart upload
+   */
+  async create(sessionData) {
+    const {
+      uploadId,
+      chartNumber,
+      chartInfo = {},
+      documentType = null,
+      allowDuplicates = false,
+      originalName,
+      mimeType,
+      totalSize,
+      chunkSize,
+      totalChunks,
+      s3Key,
+      s3UploadId,
+      createdBy = null,
+      expiresAt
+    } = sessionData;
+
+    const result = await query(
+      `INSERT INTO upload_sessions (
+        upload_id, chart_number, chart_info, document_type, allow_duplicates,
+        original_name, mime_type, total_size, chunk_size, total_chunks,
+        s3_key, s3_upload_id, created_by, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *`,
+      [
+        uploadId, chartNumber, JSON.stringify(chartInfo), documentType, allowDuplicates,
+        originalName, mimeType, totalSize, chunkSize, totalChunks,
+        s3Key, s3UploadId, createdBy, expiresAt
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get session by public upload ID
+   */
+  async findByUploadId(uploadId) {
+    const result = await query(
+      `SELECT * FROM upload_sessions WHERE upload_id = $1`,
+      [uploadId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Record a received chunk (re-sending a chunk replaces it)
+   */
+  async recordChunk(sessionId, chunkNumber, size, etag) {
+    await query(
+      `INSERT INTO upload_session_chunks (session_id, chunk_number, size, etag)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (session_id, chunk_number)
+       DO UPDATE SET size = EXCLUDED.size, etag = EXCLUDED.etag, received_at = CURRENT_TIMESTAMP`,
+      [sessionId, chunkNumber, size, etag]
+    );
+
+    await query(
+      `UPDATE upload_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [sessionId]
+    );
+  },
+
+  /**
+   * Get received chunks in order
+   */
+  async getChunks(sessionId) {
+    const result = await query(
+      `SELECT chunk_number, size, etag, received_at
+       FROM upload_session_chunks
+       WHERE session_id = $1
+       ORDER BY chunk_number`,
+      [sessionId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Move a session between statuses - returns null if it was not in fromStatus
+   * (guards against two concurrent "complete" calls)
+   */
+  async transition(sessionId, fromStatus, toStatus) {
+    const result = await query(
+      `UPDATE upload_sessions SET
+        status = $3,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = $2
+      RETURNING *`,
+      [sessionId, fromStatus, toStatus]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark a session finished with the resulting document and job
+   */
+  async markCompleted(sessionId, { status = 'completed', documentId = null, jobId = null } = {}) {
+    const result = await query(
+      `UPDATE upload_sessions SET
+        status = $2,
+        document_id = $3,
+        job_id = $4,
+        completed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *`,
+      [sessionId, status, documentId, jobId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Sessions past their expiry that still hold S3 parts
+   */
+  async getExpired(limit = 100) {
+    const result = await query(
+      `SELECT * FROM upload_sessions
+       WHERE status = 'uploading' AND expires_at < NOW()
+       ORDER BY expires_at
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+};
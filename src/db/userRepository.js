@@ -0,0 +1,255 @@
+import bcrypt from 'bcrypt';
+import { query } from './connection.js';
+
+const SALT_ROUNDS = 10;
+
+export const ROLES = {
+  ADMIN: 'admin',
+  CODER: 'coder',
+  QA: 'qa'
+};
+
+export const UserRepository = {
+
+  /**
+   * Create a new user with a hashed password
+   */
+  async create(userData) {
+    const {
+      userId,
+      password,
+      name,
+      role = ROLES.CODER,
+      email = null,
+      facilities = []
+    } = userData;
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const result = await query(
+      `INSERT INTO users (user_id, password_hash, name, role, email, facilities)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, passwordHash, name, role, email, facilities]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get user by internal ID
+   */
+  async findById(id) {
+    const result = await query(
+      `SELECT * FROM users WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get user by login ID
+   */
+  async findByUserId(userId) {
+    const result = await query(
+      `SELECT * FROM users WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Verify login credentials
+   * Returns { valid, user, reason } and stamps last_login on success
+   */
+  async verifyPassword(userId, password) {
+    const user = await this.findByUserId(userId);
+
+    if (!user) {
+      return { valid: false, user: null, reason: 'Invalid credentials' };
+    }
+
+    if (!user.is_active) {
+      return { valid: false, user: null, reason: 'Account is deactivated' };
+    }
+
+    const matches = await bcrypt.compare(password, user.password_hash);
+
+    if (!matches) {
+      return { valid: false, user: null, reason: 'Invalid credentials' };
+    }
+
+    await query(
+      `UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1`,
+      [user.id]
+    );
+
+    return { valid: true, user, reason: null };
+  },
+
+  /**
+   * Change a user's password
+   */
+  async changePassword(userId, newPassword) {
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    const result = await query(
+      `UPDATE users SET
+        password_hash = $2,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING *`,
+      [userId, passwordHash]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get all users with filters and pagination
+   */
+  async getAll(filters = {}) {
+    const {
+      role,
+      isActive,
+      search,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    let whereConditions = [];
+    let params = [];
+    let paramIndex = 1;
+
+    if (role) {
+      whereConditions.push(`role = $${paramIndex}`);
+      params.push(role);
+      paramIndex++;
+    }
+
+    if (isActive !== undefined) {
+      whereConditions.push(`is_active = $${paramIndex}`);
+      params.push(isActive);
+      paramIndex++;
+    }
+
+    if (search) {
+      whereConditions.push(`(user_id ILIKE $${paramIndex} OR name ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM users ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * limit;
+
+    const dataResult = await query(
+      `SELECT id, user_id, name, role, email, facilities, is_active, last_login, created_at, updated_at
+       FROM users ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      users: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+
+  /**
+   * Update user profile fields (only the ones provided)
+   */
+  async update(userId, updates = {}) {
+    const { name, email, role, isActive, facilities } = updates;
+
+    const result = await query(
+      `UPDATE users SET
+        name = COALESCE($2, name),
+        email = COALESCE($3, email),
+        role = COALESCE($4, role),
+        is_active = COALESCE($5, is_active),
+        facilities = COALESCE($6, facilities),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING *`,
+      [userId, name ?? null, email ?? null, role ?? null, isActive ?? null, facilities ?? null]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Deactivate user (soft delete - keeps submitted_by history intact)
+   */
+  async deactivate(userId) {
+    const result = await query(
+      `UPDATE users SET
+        is_active = FALSE,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING *`,
+      [userId]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get user counts by role and status
+   */
+  async getStats() {
+    const result = await query(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE role = 'admin') as admins,
+        COUNT(*) FILTER (WHERE role = 'coder') as coders,
+        COUNT(*) FILTER (WHERE role = 'qa') as qa_users,
+        COUNT(*) FILTER (WHERE is_active = TRUE) as active,
+        COUNT(*) FILTER (WHERE is_active = FALSE) as inactive
+      FROM users
+    `);
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get active coders (for assignee pickers)
+   * When a facility is given, only coders allowed to work it are returned.
+   */
+  async getCoders(facility = null) {
+    const result = await query(
+      `SELECT id, user_id, name, email, facilities FROM users
+       WHERE role = 'coder' AND is_active = TRUE
+       AND ($1::text IS NULL OR $1 = ANY(facilities))
+       ORDER BY name`,
+      [facility]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get active QA users (for reviewer pickers)
+   */
+  async getQAUsers() {
+    const result = await query(
+      `SELECT id, user_id, name, email FROM users
+       WHERE role = 'qa' AND is_active = TRUE
+       ORDER BY name`
+    );
+    return result.rows;
+  }
+};
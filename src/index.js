@@ -2,13 +2,20 @@ import express from 'express';
 import cors from 'cors';
 import { config } from './config.js';
 import routes from './routes/index.js';
+import { fhirJsonParser } from './routes/fhirRoutes.js';
 import { pool } from './db/connection.js';
 import { websocketService } from './services/websocketService.js';
+import { mllpServer } from './services/mllpServer.js';
 
 const app = express();
 
+// Behind the local Nginx proxy - trust it so req.ip (used in the audit log) is the client address
+app.set('trust proxy', 'loopback');
+
 // Middleware
 app.use(cors());
+// FHIR payloads carry base64 attachments - parse them with a larger limit first
+app.use('/api/fhir', fhirJsonParser);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -36,6 +43,9 @@ app.use((error, req, res, next) => {
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({ success: false, error: 'File too large (max 25MB)' });
   }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body too large' });
+  }
   res.status(500).json({ success: false, error: error.message });
 });
 
@@ -65,6 +75,9 @@ async function startServer() {
         console.error('❌ WebSocket init failed:', err.message);
       }
 
+      // Optional HL7 MLLP listener for the interface engine
+      mllpServer.start();
+
       console.log('═'.repeat(50) + '\n');
     });
   } catch (error) {
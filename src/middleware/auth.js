@@ -0,0 +1,110 @@
+import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
+import { UserRepository, ROLES } from '../db/userRepository.js';
+import { ApiKeyRepository } from '../db/apiKeyRepository.js';
+
+export const API_KEY_ROLE = 'api_key';
+
+/**
+ * Pull the bearer token out of the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Build the request user context from a users row
+ * facilities: null = unrestricted (admins only); other roles see just their listed
+ * facilities - none when the list is empty
+ */
+export const toUserContext = (user) => ({
+  id: user.id,
+  userId: user.user_id,
+  name: user.name,
+  role: user.role,
+  email: user.email,
+  facilities: user.role === ROLES.ADMIN ? null : user.facilities || []
+});
+
+/**
+ * Resolve a JWT to an active user context
+ * Returns { user } or { error } with a client-safe message; database errors throw.
+ * Shared by the HTTP middleware and the WebSocket handshake.
+ */
+export const resolveToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.auth.jwtSecret);
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+  }
+
+  const user = await UserRepository.findById(payload.id);
+
+  if (!user || !user.is_active) {
+    return { error: 'User not found or deactivated' };
+  }
+
+  return { user: toUserContext(user) };
+};
+
+/**
+ * Resolve a plaintext API key to its request context
+ * The key's scopes stand in for a role; see hasPermission in permissions.js.
+ * Returns { user } or { error }; database errors throw.
+ */
+export const resolveApiKey = async (rawKey, ipAddress = null) => {
+  const apiKey = await ApiKeyRepository.findActiveByKey(rawKey);
+
+  if (!apiKey) {
+    return { error: 'Invalid or revoked API key' };
+  }
+
+  // Last-used tracking shouldn't hold up the request
+  ApiKeyRepository.touch(apiKey.id, ipAddress).catch(err => {
+    console.error('❌ Failed to update API key last_used_at:', err.message);
+  });
+
+  return {
+    user: {
+      id: null,
+      userId: `apikey:${apiKey.key_prefix}`,
+      name: apiKey.name,
+      role: API_KEY_ROLE,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes || [],
+      facilities: apiKey.facilities || []
+    }
+  };
+};
+
+/**
+ * Require a valid JWT (or API key) and attach the caller to req.user
+ * The user is re-read from the database so deactivations and role changes
+ * take effect immediately instead of waiting for the token to expire.
+ */
+export const authenticate = async (req, res, next) => {
+  const rawApiKey = req.headers['x-api-key'];
+  const token = getBearerToken(req);
+
+  if (!rawApiKey && !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const { user, error } = rawApiKey
+      ? await resolveApiKey(rawApiKey, req.ip)
+      : await resolveToken(token);
+
+    if (error) {
+      return res.status(401).json({ success: false, error });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
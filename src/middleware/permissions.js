@@ -0,0 +1,141 @@
+import { ROLES } from '../db/userRepository.js';
+import { ChartRepository } from '../db/chartRepository.js';
+import { API_KEY_ROLE } from './auth.js';
+
+const { ADMIN, CODER, QA } = ROLES;
+
+/**
+ * Permission → roles allowed to use it
+ * Routes declare the permission they need; roles are only mapped here.
+ */
+export const PERMISSIONS = {
+  // Charts
+  'charts:read': [ADMIN, CODER, QA],
+  'charts:modify': [ADMIN, CODER],
+  'charts:submit': [ADMIN, CODER],
+  'charts:status': [ADMIN, CODER, QA],
+  'charts:reject': [ADMIN, QA],
+  'charts:retry': [ADMIN, CODER],
+  'charts:assign': [ADMIN],
+  'charts:delete': [ADMIN],
+  'charts:debug': [ADMIN],
+
+  // QA review
+  'qa:review': [ADMIN, QA],
+
+  // Reporting
+  'stats:read': [ADMIN, CODER, QA],
+  'analytics:read': [ADMIN, QA],
+
+  // Documents
+  'documents:read': [ADMIN, CODER, QA],
+  'documents:status': [ADMIN, CODER, QA],
+  'documents:upload': [ADMIN, CODER],
+
+  // Users
+  'users:list': [ADMIN, CODER, QA],
+  'users:manage': [ADMIN],
+
+  // Compliance
+  'audit:read': [ADMIN],
+
+  // Integrations
+  'apikeys:manage': [ADMIN]
+};
+
+/**
+ * Permissions an API key can be granted (machine-to-machine only)
+ */
+export const API_KEY_SCOPES = ['documents:upload', 'documents:status'];
+
+/**
+ * Permission required to move a chart into each review status with PATCH /status
+ * (submitted and the QA statuses are only set by submission and QA review)
+ */
+export const REVIEW_STATUS_PERMISSIONS = {
+  pending: 'charts:status',
+  in_review: 'charts:status',
+  rejected: 'charts:reject'
+};
+
+/**
+ * Check whether a user's role grants a permission
+ */
+export const hasPermission = (user, permission) => {
+  if (user?.role === API_KEY_ROLE) {
+    return API_KEY_SCOPES.includes(permission) && (user.scopes || []).includes(permission);
+  }
+
+  const allowedRoles = PERMISSIONS[permission];
+  if (!user || !allowedRoles) return false;
+  return allowedRoles.includes(user.role);
+};
+
+/**
+ * Check whether a caller may touch data for a facility
+ * user.facilities null = unrestricted (admins), [] = no facilities
+ */
+export const canAccessFacility = (user, facility) => {
+  if (!user?.facilities) return true;
+  return user.facilities.includes(facility);
+};
+
+/**
+ * Send the standard 403 envelope and log the attempt
+ */
+export const forbidden = (req, res, permission) => {
+  const actor = req.user ? `${req.user.userId} (${req.user.role})` : 'anonymous';
+  console.warn(`🚫 Forbidden: ${actor} → ${req.method} ${req.originalUrl} [needs ${permission}]`);
+
+  return res.status(403).json({
+    success: false,
+    error: 'You do not have permission to perform this action',
+    code: 'FORBIDDEN',
+    permission
+  });
+};
+
+/**
+ * Send the standard 403 envelope for data outside the caller's facilities
+ */
+export const forbiddenFacility = (req, res, facility) => {
+  const actor = req.user ? `${req.user.userId} (${req.user.role})` : 'anonymous';
+  console.warn(`🚫 Forbidden: ${actor} → ${req.method} ${req.originalUrl} [facility '${facility || ''}' not allowed]`);
+
+  return res.status(403).json({
+    success: false,
+    error: 'You do not have access to this facility',
+    code: 'FORBIDDEN_FACILITY',
+    facility: facility || null
+  });
+};
+
+/**
+ * Route middleware: require a permission (use after authenticate)
+ */
+export const authorize = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return forbidden(req, res, permission);
+  }
+  next();
+};
+
+/**
+ * router.param handler for :chartNumber - block charts outside the caller's facilities
+ * Unknown charts pass through so the controller can answer 404 as usual.
+ */
+export const authorizeChartFacility = async (req, res, next, chartNumber) => {
+  if (!req.user?.facilities) return next();
+
+  try {
+    const chart = await ChartRepository.getByChartNumber(chartNumber);
+
+    if (chart && !canAccessFacility(req.user, chart.facility)) {
+      return forbiddenFacility(req, res, chart.facility);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { auditController } from '../controllers/auditController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// Compliance review of PHI access - admins only
+router.use(authenticate, authorize('audit:read'));
+
+// Search audit entries
+router.get('/', auditController.getAuditLog.bind(auditController));
+
+// CSV export
+router.get('/export', auditController.exportAuditLog.bind(auditController));
+
+export default router;
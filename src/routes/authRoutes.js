@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import { authController } from '../controllers/AuthController.js';
+import { apiKeyController } from '../controllers/apiKeyController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC
+// ═══════════════════════════════════════════════════════════════
+
+router.post('/login', authController.login.bind(authController));
+
+// ═══════════════════════════════════════════════════════════════
+// AUTHENTICATED USER
+// ═══════════════════════════════════════════════════════════════
+
+router.get('/me', authenticate, authController.getCurrentUser.bind(authController));
+router.post('/change-password', authenticate, authController.changePassword.bind(authController));
+
+// Dropdown lists (assignee / reviewer pickers)
+router.get('/coders', authenticate, authorize('users:list'), authController.getCoders.bind(authController));
+router.get('/qa-users', authenticate, authorize('users:list'), authController.getQAUsers.bind(authController));
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN - USER MANAGEMENT
+// ═══════════════════════════════════════════════════════════════
+
+const adminOnly = [authenticate, authorize('users:manage')];
+
+router.post('/register', adminOnly, authController.register.bind(authController));
+router.get('/stats', adminOnly, authController.getStats.bind(authController));
+router.get('/users', adminOnly, authController.getUsers.bind(authController));
+router.patch('/users/:userId', adminOnly, authController.updateUser.bind(authController));
+router.post('/users/:userId/reset-password', adminOnly, authController.resetPassword.bind(authController));
+router.delete('/users/:userId', adminOnly, authController.deleteUser.bind(authController));
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN - API KEYS (machine-to-machine integrations)
+// ═══════════════════════════════════════════════════════════════
+
+const apiKeyAdmin = [authenticate, authorize('apikeys:manage')];
+
+router.get('/api-keys', apiKeyAdmin, apiKeyController.getApiKeys.bind(apiKeyController));
+router.post('/api-keys', apiKeyAdmin, apiKeyController.createApiKey.bind(apiKeyController));
+router.delete('/api-keys/:id', apiKeyAdmin, apiKeyController.revokeApiKey.bind(apiKeyController));
+
+export default router;
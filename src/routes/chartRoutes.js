@@ -1,28 +1,41 @@
 import { Router } from 'express';
 import { chartController } from '../controllers/chartController.js';
 import { query } from '../db/connection.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize, authorizeChartFacility } from '../middleware/permissions.js';
+import { auditService } from '../services/auditService.js';
 
 const router = Router();
 
+// All chart routes require a logged-in user
+router.use(authenticate);
+
+// Every :chartNumber route is limited to the caller's facilities
+router.param('chartNumber', authorizeChartFacility);
+
 // ═══════════════════════════════════════════════════════════════
 // STATIC ROUTES (must be before :chartNumber route)
 // ═══════════════════════════════════════════════════════════════
 
 // SLA Statistics
-router.get('/stats/sla', chartController.getSLAStats.bind(chartController));
+router.get('/stats/sla', authorize('stats:read'), chartController.getSLAStats.bind(chartController));
 
 // Analytics endpoints
-router.get('/analytics/modifications', chartController.getModificationAnalytics.bind(chartController));
-router.get('/analytics/dashboard', chartController.getDashboardAnalytics.bind(chartController));
+router.get('/analytics/modifications', authorize('analytics:read'), chartController.getModificationAnalytics.bind(chartController));
+router.get('/analytics/dashboard', authorize('analytics:read'), chartController.getDashboardAnalytics.bind(chartController));
+router.get('/analytics/qa', authorize('analytics:read'), chartController.getQAAnalytics.bind(chartController));
+
+// Assignment workload per coder
+router.get('/assignments/workload', authorize('charts:assign'), chartController.getAssignmentWorkload.bind(chartController));
 
 // Filter options
-router.get('/filters/facilities', chartController.getFacilities.bind(chartController));
-router.get('/filters/specialties', chartController.getSpecialties.bind(chartController));
+router.get('/filters/facilities', authorize('stats:read'), chartController.getFacilities.bind(chartController));
+router.get('/filters/specialties', authorize('stats:read'), chartController.getSpecialties.bind(chartController));
 
 // ═══════════════════════════════════════════════════════════════
 // DEBUG ENDPOINT - get raw data from database with code analysis
 // ═══════════════════════════════════════════════════════════════
-router.get('/debug/:chartNumber', async (req, res) => {
+router.get('/debug/:chartNumber', authorize('charts:debug'), async (req, res) => {
   try {
     const { chartNumber } = req.params;
 
@@ -38,6 +51,8 @@ router.get('/debug/:chartNumber', async (req, res) => {
 
     const chart = chartResult.rows[0];
 
+    await auditService.log(req, 'chart.debug_view', { chartNumber });
+
     // Get documents with all fields
     const docsResult = await query(
       `SELECT id, document_type, filename, original_name, file_size, mime_type, 
@@ -140,25 +155,36 @@ router.get('/debug/:chartNumber', async (req, res) => {
 // CHART CRUD OPERATIONS
 // ═══════════════════════════════════════════════════════════════
 
-// Get all charts (work queue)
-router.get('/', chartController.getCharts.bind(chartController));
+// Get all charts (work queue) - ?assignedTo=me for the caller's own queue
+router.get('/', authorize('charts:read'), chartController.getCharts.bind(chartController));
 
 // Get single chart with full details
-router.get('/:chartNumber', chartController.getChart.bind(chartController));
+router.get('/:chartNumber', authorize('charts:read'), chartController.getChart.bind(chartController));
+
+// Page-level OCR text, boxes and confidence (evidence highlighting) - ?line=N&lowConfidence=true
+router.get('/:chartNumber/documents/:documentId/pages', authorize('charts:read'), chartController.getDocumentPages.bind(chartController));
 
 // Save user modifications (auto-save as user edits)
-router.post('/:chartNumber/modifications', chartController.saveModifications.bind(chartController));
+router.post('/:chartNumber/modifications', authorize('charts:modify'), chartController.saveModifications.bind(chartController));
 
 // Submit final codes to NextCode
-router.post('/:chartNumber/submit', chartController.submitCodes.bind(chartController));
+router.post('/:chartNumber/submit', authorize('charts:submit'), chartController.submitCodes.bind(chartController));
+
+// QA review (second-level review after coder submission)
+router.get('/:chartNumber/qa', authorize('charts:read'), chartController.getQAReviews.bind(chartController));
+router.post('/:chartNumber/qa/accept', authorize('qa:review'), chartController.acceptQA.bind(chartController));
+router.post('/:chartNumber/qa/return', authorize('qa:review'), chartController.returnQA.bind(chartController));
+
+// Assign / reassign / unassign chart
+router.post('/:chartNumber/assign', authorize('charts:assign'), chartController.assignChart.bind(chartController));
 
 // NEW: Retry failed chart processing
-router.post('/:chartNumber/retry', chartController.retryChart.bind(chartController));
+router.post('/:chartNumber/retry', authorize('charts:retry'), chartController.retryChart.bind(chartController));
 
 // Update chart review status
-router.patch('/:chartNumber/status', chartController.updateStatus.bind(chartController));
+router.patch('/:chartNumber/status', authorize('charts:status'), chartController.updateStatus.bind(chartController));
 
 // Delete chart
-router.delete('/:chartNumber', chartController.deleteChart.bind(chartController));
+router.delete('/:chartNumber', authorize('charts:delete'), chartController.deleteChart.bind(chartController));
 
 export default router;
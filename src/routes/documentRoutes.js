@@ -1,30 +1,61 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
+import { config } from '../config.js';
 import { documentController } from '../controllers/documentController.js';
+import { uploadController } from '../controllers/uploadController.js';
 import { upload } from '../middleware/upload.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
 
 const router = Router();
 
 // Health check
 router.get('/health', documentController.healthCheck.bind(documentController));
 
+// Everything below requires a logged-in user or an API key
+router.use(authenticate);
+
 // Get queue statistics
-router.get('/queue/stats', documentController.getQueueStats.bind(documentController));
+router.get('/queue/stats', authorize('documents:read'), documentController.getQueueStats.bind(documentController));
 
 // Get transaction statistics
-router.get('/transactions/stats', documentController.getTransactionStats.bind(documentController));
+router.get('/transactions/stats', authorize('documents:read'), documentController.getTransactionStats.bind(documentController));
 
 // Get combined dashboard statistics (charts + transactions)
-router.get('/dashboard/stats', documentController.getDashboardStats.bind(documentController));
+router.get('/dashboard/stats', authorize('documents:read'), documentController.getDashboardStats.bind(documentController));
 
 // Get processing status for a chart
-router.get('/status/:chartNumber', documentController.getProcessingStatus.bind(documentController));
+router.get('/status/:chartNumber', authorize('documents:status'), documentController.getProcessingStatus.bind(documentController));
 
 // Process documents - uploads to S3 and queues for background processing
 // Now supports transaction metadata for grouping images
 router.post(
   '/process',
+  authorize('documents:upload'),
   upload.array('files', 20),
   documentController.processDocuments.bind(documentController)
 );
 
+// Add documents to an existing chart - recodes over the full document set
+router.post(
+  '/append/:chartNumber',
+  authorize('documents:upload'),
+  upload.array('files', 20),
+  documentController.appendDocuments.bind(documentController)
+);
+
+// ═══════════════════════════════════════════════════════════════
+// RESUMABLE CHUNKED UPLOADS (large scans → S3 multipart)
+// initiate → PUT numbered chunks → GET received ranges → complete
+// ═══════════════════════════════════════════════════════════════
+router.post('/uploads', authorize('documents:upload'), uploadController.initiateUpload.bind(uploadController));
+router.get('/uploads/:uploadId', authorize('documents:upload'), uploadController.getUploadStatus.bind(uploadController));
+router.put(
+  '/uploads/:uploadId/chunks/:chunkNumber',
+  authorize('documents:upload'),
+  express.raw({ type: () => true, limit: config.upload.chunked.chunkSize }),
+  uploadController.uploadChunk.bind(uploadController)
+);
+router.post('/uploads/:uploadId/complete', authorize('documents:upload'), uploadController.completeUpload.bind(uploadController));
+router.delete('/uploads/:uploadId', authorize('documents:upload'), uploadController.abortUpload.bind(uploadController));
+
 export default router;
@@ -0,0 +1,24 @@
+import express, { Router } from 'express';
+import { config } from '../config.js';
+import { fhirController } from '../controllers/fhirController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+/**
+ * Body parser for FHIR JSON - mounted in index.js ahead of the default 100kb JSON parser.
+ * Attachments are inline base64 (~4/3 of the file size), so allow a few per request.
+ */
+export const fhirJsonParser = express.json({
+  type: ['application/fhir+json', 'application/json'],
+  limit: config.upload.maxFileSize * 4
+});
+
+// EHRs push with an API key scoped to documents:upload
+router.use(authenticate, authorize('documents:upload'));
+
+// DocumentReference or transaction Bundle
+router.post('/', fhirController.ingest.bind(fhirController));
+
+export default router;
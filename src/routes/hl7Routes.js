@@ -0,0 +1,22 @@
+import express, { Router } from 'express';
+import { config } from '../config.js';
+import { hl7Controller } from '../controllers/hl7Controller.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// Interface engines post with an API key scoped to documents:upload
+router.use(authenticate, authorize('documents:upload'));
+
+// Raw ER7 body - HL7 media types and plain text
+router.post(
+  '/',
+  express.text({
+    type: ['x-application/hl7-v2+er7', 'application/hl7-v2', 'text/plain'],
+    limit: config.hl7.maxMessageSize
+  }),
+  hl7Controller.receiveMessage.bind(hl7Controller)
+);
+
+export default router;
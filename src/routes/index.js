@@ -1,11 +1,19 @@
 import { Router } from 'express';
 import documentRoutes from './documentRoutes.js';
 import chartRoutes from './chartRoutes.js';
+import authRoutes from './authRoutes.js';
+import auditRoutes from './auditRoutes.js';
+import hl7Routes from './hl7Routes.js';
+import fhirRoutes from './fhirRoutes.js';
 
 const router = Router();
 
+router.use('/auth', authRoutes);
 router.use('/documents', documentRoutes);
 router.use('/charts', chartRoutes);
+router.use('/audit', auditRoutes);
+router.use('/hl7', hl7Routes);
+router.use('/fhir', fhirRoutes);
 
 router.get('/', (req, res) => {
   res.json({
@@ -13,8 +21,30 @@ router.get('/', (req, res) => {
     version: '1.1.0',
     mode: 'async-queue',
     endpoints: {
+      auth: {
+        login: 'POST /api/auth/login',
+        me: 'GET /api/auth/me',
+        changePassword: 'POST /api/auth/change-password',
+        coders: 'GET /api/auth/coders',
+        qaUsers: 'GET /api/auth/qa-users',
+        register: 'POST /api/auth/register',
+        users: 'GET /api/auth/users',
+        updateUser: 'PATCH /api/auth/users/:userId',
+        resetPassword: 'POST /api/auth/users/:userId/reset-password',
+        deleteUser: 'DELETE /api/auth/users/:userId',
+        stats: 'GET /api/auth/stats',
+        apiKeys: 'GET /api/auth/api-keys',
+        createApiKey: 'POST /api/auth/api-keys',
+        revokeApiKey: 'DELETE /api/auth/api-keys/:id'
+      },
       documents: {
         process: 'POST /api/documents/process',
+        append: 'POST /api/documents/append/:chartNumber',
+        initiateUpload: 'POST /api/documents/uploads',
+        uploadChunk: 'PUT /api/documents/uploads/:uploadId/chunks/:chunkNumber',
+        uploadStatus: 'GET /api/documents/uploads/:uploadId',
+        completeUpload: 'POST /api/documents/uploads/:uploadId/complete',
+        abortUpload: 'DELETE /api/documents/uploads/:uploadId',
         status: 'GET /api/documents/status/:chartNumber',
         queueStats: 'GET /api/documents/queue/stats',
         health: 'GET /api/documents/health'
@@ -22,8 +52,16 @@ router.get('/', (req, res) => {
       charts: {
         list: 'GET /api/charts',
         get: 'GET /api/charts/:chartNumber',
+        documentPages: 'GET /api/charts/:chartNumber/documents/:documentId/pages',
         modifications: 'POST /api/charts/:chartNumber/modifications',
         submit: 'POST /api/charts/:chartNumber/submit',
+        assign: 'POST /api/charts/:chartNumber/assign',
+        qaReviews: 'GET /api/charts/:chartNumber/qa',
+        qaAccept: 'POST /api/charts/:chartNumber/qa/accept',
+        qaReturn: 'POST /api/charts/:chartNumber/qa/return',
+        qaAnalytics: 'GET /api/charts/analytics/qa',
+        myQueue: 'GET /api/charts?assignedTo=me',
+        assignmentWorkload: 'GET /api/charts/assignments/workload',
         updateStatus: 'PATCH /api/charts/:chartNumber/status',
         delete: 'DELETE /api/charts/:chartNumber',
         slaStats: 'GET /api/charts/stats/sla',
@@ -31,6 +69,16 @@ router.get('/', (req, res) => {
         modificationAnalytics: 'GET /api/charts/analytics/modifications',
         facilities: 'GET /api/charts/filters/facilities',
         specialties: 'GET /api/charts/filters/specialties'
+      },
+      audit: {
+        search: 'GET /api/audit',
+        export: 'GET /api/audit/export'
+      },
+      hl7: {
+        receive: 'POST /api/hl7 (MDM^T02, ORU^R01)'
+      },
+      fhir: {
+        ingest: 'POST /api/fhir (DocumentReference or transaction Bundle)'
       }
     }
   });
@@ -1,12 +1,133 @@
-import OpenAI from 'openai';
 import { config } from '../config.js';
+import { LLM_PROVIDERS } from './llmProviders.js';
+import { tokenService } from './tokenService.js';
+import { validateCodingResponse, normalizeCodingResponse } from './codingSchema.js';
+
+// How codes are identified when merging the parts of a long chart
+const CODE_KEYS = {
+  reason_for_admit: item => normalizeCode(item.icd_10_code),
+  primary_diagnosis: item => normalizeCode(item.icd_10_code),
+  secondary_diagnoses: item => normalizeCode(item.icd_10_code),
+  procedures: item => normalizeCode(item.cpt_code),
+  ed_em_level: item => normalizeCode(item.code),
+  modifiers: item => item.modifier_code ? `${normalizeCode(item.modifier_code)}@${normalizeCode(item.applies_to_code) || ''}` : null
+};
+
+// Categories sharing a kind draw on the same candidates (a primary can become a secondary)
+const CODE_KIND = {
+  reason_for_admit: 'icd',
+  primary_diagnosis: 'icd',
+  secondary_diagnoses: 'icd',
+  procedures: 'cpt',
+  ed_em_level: 'em',
+  modifiers: 'modifier'
+};
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * AI response that could not be parsed or validated, even after repair
+ */
+export class AIResponseError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.errors = errors;
+  }
+}
+
+function summarizeErrors(errors) {
+  const shown = errors.slice(0, 5).join('; ');
+  return errors.length > 5 ? `${shown} (+${errors.length - 5} more)` : shown;
+}
+
+function normalizeCode(code) {
+  return code ? String(code).trim().toUpperCase() : null;
+}
+
+function uniqueBy(items, keyOf) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function evidenceCount(item) {
+  if (Array.isArray(item.evidence)) return item.evidence.length;
+  return item.evidence ? 1 : 0;
+}
+
+/**
+ * Union of two evidence values. Categories whose schema has a single evidence
+ * object (procedures, modifiers) keep their first citation.
+ */
+function mergeEvidence(a, b) {
+  if (!Array.isArray(a)) return a || b;
+
+  const keyOf = e => `${e?.document_name}|${e?.line_number}|${e?.exact_text}`;
+  return uniqueBy([...a, ...(Array.isArray(b) ? b : b ? [b] : [])], keyOf);
+}
+
+/**
+ * Narrative summary from several parts: first non-empty value per field,
+ * list fields concatenated
+ */
+function mergeNarratives(narratives) {
+  const merged = {};
+
+  for (const narrative of narratives) {
+    for (const [field, value] of Object.entries(narrative)) {
+      if (Array.isArray(value)) {
+        merged[field] = [...(merged[field] || []), ...value];
+      } else if (value && (typeof value !== 'object' || Object.keys(value).length > 0) && !merged[field]) {
+        merged[field] = value;
+      }
+    }
+  }
+
+  return merged;
+}
 
 class AIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: config.ai.apiKey
-    });
-    this.model = config.ai.model;
+  /**
+   * Pick the LLM provider and model for a chart
+   * Facility selection wins over specialty, which wins over the default provider.
+   * An entry is a provider name or { provider?, model?, contextTokens? }.
+   */
+  selectProvider(chartInfo = {}) {
+    const candidates = [
+      ['facility', chartInfo?.facility && config.ai.facilityProviders?.[chartInfo.facility]],
+      ['specialty', chartInfo?.specialty && config.ai.specialtyProviders?.[chartInfo.specialty]]
+    ];
+
+    for (const [selectedBy, entry] of candidates) {
+      if (!entry) continue;
+
+      const { provider: name = config.ai.provider, model = null, contextTokens = null } = typeof entry === 'string' ? { provider: entry } : entry;
+      const provider = LLM_PROVIDERS[name];
+
+      if (!provider) {
+        console.warn(`⚠️  Unknown LLM provider '${name}' for ${selectedBy} ${chartInfo[selectedBy]} - using default`);
+        continue;
+      }
+
+      return {
+        provider,
+        model: model || provider.defaultModel,
+        contextTokens: contextTokens || config.ai.contextTokens,
+        selectedBy
+      };
+    }
+
+    const provider = LLM_PROVIDERS[config.ai.provider];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider '${config.ai.provider}' (AI_PROVIDER)`);
+    }
+
+    return { provider, model: provider.defaultModel, contextTokens: config.ai.contextTokens, selectedBy: 'default' };
   }
 
   /**
@@ -69,20 +190,29 @@ OUTPUT FORMAT: Valid JSON only, no markdown.`;
   /**
    * Build the user prompt with document content
    */
-  buildUserPrompt(formattedDocuments, chartInfo) {
+  buildUserPrompt(formattedDocuments, chartInfo, { part = null, totalParts = null } = {}) {
     const documentContent = formattedDocuments.map(doc => {
       const lines = doc.content.map(l => `[Line ${l.lineNumber}] ${l.text}`).join('\n');
+      const section = doc.part
+        ? `\nSection: part ${doc.part} of ${doc.totalParts} (lines ${doc.content[0]?.lineNumber}-${doc.content[doc.content.length - 1]?.lineNumber})`
+        : '';
       return `
 === DOCUMENT: ${doc.documentName} ===
 Type: ${doc.documentType}
-Total Lines: ${doc.totalLines}
+Total Lines: ${doc.totalLines}${section}
 
 CONTENT:
 ${lines}
 `;
     }).join('\n\n');
 
-    return `Analyze the following clinical documents and extract ALL applicable medical codes with a detailed clinical summary.
+    const partNote = part
+      ? `NOTE: This chart is too long for one request. This is part ${part} of ${totalParts}; the other parts are coded separately and merged afterwards. Code everything THIS part supports, and give your best candidate for the reason for admit, primary diagnosis and ED/EM level based on this part alone.
+
+`
+      : '';
+
+    return `${partNote}Analyze the following clinical documents and extract ALL applicable medical codes with a detailed clinical summary.
 
 PATIENT INFORMATION:
 - MRN: ${chartInfo.mrn || 'Not provided'}
@@ -472,55 +602,74 @@ IMPORTANT CODING GUIDELINES:
 
   /**
    * Process documents through AI for ICD coding
+   * Charts that fit the model's context are coded in one request. Longer charts are
+   * split into parts that are coded independently (map), then merged and reconciled
+   * into one coding_categories result (reduce).
    */
   async processForCoding(formattedDocuments, chartInfo) {
     try {
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: this.buildUserPrompt(formattedDocuments, chartInfo)
-          }
-        ],
-        max_completion_tokens: 12000,
-        temperature: 0.1,
-        response_format: { type: "json_object" }
-      });
+      const selection = this.selectProvider(chartInfo);
+      const { provider, model, selectedBy } = selection;
 
-      const textContent = response.choices[0]?.message?.content;
-      if (!textContent) {
-        throw new Error('No response from AI');
-      }
+      const budget = this.getDocumentTokenBudget(selection, chartInfo);
+      const chunks = this.chunkDocuments(formattedDocuments, budget, model);
+      const run = { usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }, repairs: 0 };
 
       let result;
-      try {
-        result = JSON.parse(textContent);
-      } catch (parseError) {
-        const jsonMatch = textContent.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          result = JSON.parse(jsonMatch[0]);
-        } else {
-          result = {
-            raw_response: textContent,
-            parse_error: parseError.message
-          };
+      let reduce = null;
+
+      if (chunks.length <= 1) {
+        result = await this.requestCoding(selection, this.getCodingMessages(formattedDocuments, chartInfo), run);
+      } else {
+        console.log(`🧩 Chart ${chartInfo.chartNumber || ''} exceeds ${budget} document tokens - coding in ${chunks.length} parts`);
+
+        // Map: code each part on its own
+        const partResults = [];
+        for (let i = 0; i < chunks.length; i++) {
+          const messages = this.getCodingMessages(chunks[i], chartInfo, { part: i + 1, totalParts: chunks.length });
+          // A part may hold no diagnosis of its own (e.g. only flowsheets)
+          partResults.push(await this.requestCoding(selection, messages, run, { schema: { requirePrimary: false } }));
+          console.log(`🧩 Part ${i + 1}/${chunks.length} coded`);
+        }
+
+        // Reduce: merge deterministically, then let the model reconcile the candidates
+        const { merged, candidates } = this.mergeChunkResults(partResults);
+        result = merged;
+        reduce = 'merge';
+
+        try {
+          const reconciled = await this.reconcileCodes(selection, merged, candidates, partResults, chartInfo, run);
+          if (reconciled) {
+            result = reconciled;
+            reduce = 'llm';
+          }
+        } catch (error) {
+          console.warn(`⚠️  Code reconciliation failed, using merged part results: ${error.message}`);
+        }
+
+        // Parts only saw some of the documents (and a split document more than once)
+        result.metadata = { ...result.metadata, documents_analyzed: formattedDocuments.length };
+
+        const errors = validateCodingResponse(result);
+        if (errors.length > 0) {
+          throw new AIResponseError(`Merged coding result is invalid: ${summarizeErrors(errors)}`, { errors });
         }
       }
 
       // Transform to database format
       const transformedResult = this.transformToDBFormat(result);
 
-      // Add token usage info
+      // Add provider and token usage info
       transformedResult.ai_metadata = {
-        model: this.model,
-        prompt_tokens: response.usage?.prompt_tokens,
-        completion_tokens: response.usage?.completion_tokens,
-        total_tokens: response.usage?.total_tokens
+        provider: provider.name,
+        model,
+        selected_by: selectedBy,
+        strategy: chunks.length <= 1 ? 'single' : 'map_reduce',
+        parts: chunks.length,
+        reduce,
+        document_token_budget: budget,
+        repair_attempts: run.repairs,
+        ...run.usage
       };
 
       return {
@@ -535,6 +684,436 @@ IMPORTANT CODING GUIDELINES:
     }
   }
 
+  /**
+   * System + user messages for coding a set of documents
+   */
+  getCodingMessages(formattedDocuments, chartInfo, partInfo = {}) {
+    return [
+      {
+        role: 'system',
+        content: this.getSystemPrompt()
+      },
+      {
+        role: 'user',
+        content: this.buildUserPrompt(formattedDocuments, chartInfo, partInfo)
+      }
+    ];
+  }
+
+  /**
+   * Run one coding request and return its validated JSON
+   * A response that is not JSON or fails the schema is sent back with the validation
+   * errors, up to config.ai.repairAttempts times; after that AIResponseError is thrown.
+   * Token usage and repair attempts are added to run.
+   */
+  async requestCoding(selection, messages, run, { purpose = 'coding', schema = {} } = {}) {
+    const { provider, model } = selection;
+    let conversation = messages;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= config.ai.repairAttempts; attempt++) {
+      if (attempt > 0) {
+        run.repairs++;
+        console.warn(`🔁 AI ${purpose} response invalid (${errors.length} error${errors.length === 1 ? '' : 's'}) - repair attempt ${attempt}/${config.ai.repairAttempts}`);
+      }
+
+      const response = await provider.complete({
+        model,
+        messages: conversation,
+        maxTokens: config.ai.maxCompletionTokens,
+        temperature: 0.1,
+        purpose
+      });
+
+      for (const key of Object.keys(run.usage)) {
+        run.usage[key] += response.usage?.[key] || 0;
+      }
+
+      const parsed = this.parseCodingResponse(response.content, schema);
+      if (parsed.errors.length === 0) {
+        return parsed.result;
+      }
+
+      errors = parsed.errors;
+      conversation = this.getRepairMessages(selection, messages, response.content, errors);
+    }
+
+    throw new AIResponseError(
+      `AI ${purpose} response failed validation after ${config.ai.repairAttempts} repair attempt(s): ${summarizeErrors(errors)}`,
+      { errors }
+    );
+  }
+
+  /**
+   * Parse and validate a coding response → { result, errors }
+   */
+  parseCodingResponse(textContent, schema = {}) {
+    if (!textContent) {
+      return { result: null, errors: ['Empty response'] };
+    }
+
+    let result;
+    try {
+      result = JSON.parse(textContent);
+    } catch (parseError) {
+      // Tolerate prose or code fences around the object
+      const jsonMatch = textContent.match(/\{[\s\S]*\}/);
+      try {
+        result = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      } catch {
+        result = null;
+      }
+
+      if (!result) {
+        return { result: null, errors: [`Response is not valid JSON: ${parseError.message}`] };
+      }
+    }
+
+    normalizeCodingResponse(result);
+    return { result, errors: validateCodingResponse(result, schema) };
+  }
+
+  /**
+   * Messages asking the model to correct an invalid response
+   * The documents stay in the conversation so missing evidence can be looked up; when
+   * that no longer fits the context window, the response is repaired on its own.
+   */
+  getRepairMessages({ model, contextTokens }, messages, previousResponse, errors) {
+    const instructions = `Your previous response does not match the required JSON structure. Validation errors:
+${errors.slice(0, 50).map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object only, in the same structure. Fix every error. Every code needs evidence with the line_number and exact_text from the documents - if a code cannot be supported that way, remove it rather than inventing evidence.`;
+
+    const withDocuments = [
+      ...messages,
+      { role: 'assistant', content: previousResponse || '' },
+      { role: 'user', content: instructions }
+    ];
+
+    if (tokenService.countMessages(withDocuments, model) + config.ai.maxCompletionTokens <= contextTokens) {
+      return withDocuments;
+    }
+
+    return [
+      messages[0],
+      {
+        role: 'user',
+        content: `PREVIOUS RESPONSE:\n${previousResponse || ''}\n\n${instructions}`
+      }
+    ];
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // MAP-REDUCE FOR LONG CHARTS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Tokens of document content one request can carry: the context window less
+   * the response, the prompt template and a small margin for tokenizer drift
+   */
+  getDocumentTokenBudget({ model, contextTokens }, chartInfo) {
+    const templateTokens = tokenService.countMessages(
+      this.getCodingMessages([], chartInfo, { part: 99, totalParts: 99 }),
+      model
+    );
+    const available = Math.floor((contextTokens - config.ai.maxCompletionTokens - templateTokens) * 0.95);
+
+    if (available <= 0) {
+      throw new Error(`Context window of ${contextTokens} tokens is too small for the coding prompt (${templateTokens} tokens)`);
+    }
+
+    return config.ai.chunkTokens ? Math.min(config.ai.chunkTokens, available) : available;
+  }
+
+  /**
+   * Pack documents into parts of at most budget tokens
+   * Whole documents are kept together where they fit; a document larger than one
+   * part is split on line boundaries (at a blank line where possible), keeping its
+   * original line numbers so evidence still points at the right lines.
+   */
+  chunkDocuments(formattedDocuments, budget, model) {
+    const chunks = [];
+    let current = [];
+    let used = 0;
+
+    const add = (doc, tokens) => {
+      if (current.length > 0 && used + tokens > budget) {
+        chunks.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(doc);
+      used += tokens;
+    };
+
+    for (const doc of formattedDocuments) {
+      const headerTokens = tokenService.count(
+        `=== DOCUMENT: ${doc.documentName} ===\nType: ${doc.documentType}\nTotal Lines: ${doc.totalLines}\nSection: part 99 of 99 (lines 99999-99999)\n\nCONTENT:\n`,
+        model
+      );
+      const lineTokens = doc.content.map(l => tokenService.count(`[Line ${l.lineNumber}] ${l.text}\n`, model));
+      const total = headerTokens + lineTokens.reduce((sum, t) => sum + t, 0);
+
+      if (total <= budget) {
+        add(doc, total);
+        continue;
+      }
+
+      const sections = this.splitDocumentLines(doc.content, lineTokens, budget - headerTokens);
+      sections.forEach(({ lines, tokens }, i) => {
+        add({ ...doc, content: lines, part: i + 1, totalParts: sections.length }, headerTokens + tokens);
+      });
+    }
+
+    if (current.length > 0) chunks.push(current);
+
+    return chunks;
+  }
+
+  /**
+   * Split numbered lines into runs of at most limit tokens, preferring to end a run
+   * at a blank line in its second half so clinical sections stay together
+   */
+  splitDocumentLines(lines, lineTokens, limit) {
+    const sections = [];
+    let start = 0;
+
+    while (start < lines.length) {
+      let end = start;
+      let tokens = 0;
+
+      // A single over-long line still becomes its own section
+      while (end < lines.length && (end === start || tokens + lineTokens[end] <= limit)) {
+        tokens += lineTokens[end];
+        end++;
+      }
+
+      if (end < lines.length) {
+        for (let i = end - 1; i > start + (end - start) / 2; i--) {
+          if (!lines[i].text.trim()) {
+            for (let j = i + 1; j < end; j++) tokens -= lineTokens[j];
+            end = i + 1;
+            break;
+          }
+        }
+      }
+
+      sections.push({ lines: lines.slice(start, end), tokens });
+      start = end;
+    }
+
+    return sections;
+  }
+
+  /**
+   * Deterministic reduce: deduplicate codes across parts, union their evidence and
+   * keep one reason for admit, primary diagnosis and ED/EM level.
+   * Returns merged (the coding JSON structure) and candidates (every distinct code
+   * per category, before the single-code categories were narrowed down).
+   */
+  mergeChunkResults(partResults) {
+    const candidates = {};
+
+    for (const [category, keyOf] of Object.entries(CODE_KEYS)) {
+      const byKey = new Map();
+
+      partResults.forEach((partResult, partIndex) => {
+        for (const item of partResult.coding_categories?.[category]?.codes || []) {
+          const key = keyOf(item);
+          if (!key) continue;
+
+          const existing = byKey.get(key);
+          if (!existing) {
+            byKey.set(key, { ...item, parts: [partIndex + 1] });
+            continue;
+          }
+
+          existing.evidence = mergeEvidence(existing.evidence, item.evidence);
+          if ((CONFIDENCE_RANK[item.confidence] || 0) > (CONFIDENCE_RANK[existing.confidence] || 0)) {
+            existing.confidence = item.confidence;
+            existing.ai_reasoning = item.ai_reasoning || existing.ai_reasoning;
+          }
+          if (!existing.parts.includes(partIndex + 1)) existing.parts.push(partIndex + 1);
+        }
+      });
+
+      candidates[category] = [...byKey.values()];
+    }
+
+    const strip = ({ parts, ...item }) => item;
+    const codingTips = [];
+
+    // Single-code categories: the best-supported candidate wins
+    const pickOne = (category, label) => {
+      const ranked = [...candidates[category]].sort((a, b) =>
+        (CONFIDENCE_RANK[b.confidence] || 0) - (CONFIDENCE_RANK[a.confidence] || 0)
+        || evidenceCount(b) - evidenceCount(a)
+        || b.parts.length - a.parts.length
+      );
+
+      if (ranked.length > 1) {
+        codingTips.push({
+          tip: `Parts of this chart suggested different ${label}: ${ranked.map(CODE_KEYS[category]).join(', ')} - ${CODE_KEYS[category](ranked[0])} was kept`,
+          related_code: CODE_KEYS[category](ranked[0])
+        });
+      }
+
+      return ranked;
+    };
+
+    const [reasonForAdmit] = pickOne('reason_for_admit', 'reasons for admit');
+    const [primary, ...otherPrimaries] = pickOne('primary_diagnosis', 'primary diagnoses');
+    const [edEmLevel] = pickOne('ed_em_level', 'ED/EM levels');
+
+    // Other primary candidates are still documented conditions
+    const secondaryKeys = new Set(candidates.secondary_diagnoses.map(CODE_KEYS.secondary_diagnoses));
+    const secondary = [
+      ...candidates.secondary_diagnoses,
+      ...otherPrimaries.filter(item => !secondaryKeys.has(CODE_KEYS.primary_diagnosis(item)))
+    ].filter(item => !primary || CODE_KEYS.secondary_diagnoses(item) !== CODE_KEYS.primary_diagnosis(primary));
+
+    const feedback = {};
+    for (const field of ['documentation_gaps', 'physician_queries_needed', 'coding_tips', 'compliance_alerts']) {
+      feedback[field] = uniqueBy(partResults.flatMap(r => r.feedback?.[field] || []), item => JSON.stringify(item));
+    }
+    feedback.coding_tips.push(...codingTips);
+
+    const vitals = {};
+    for (const partResult of partResults) {
+      for (const [field, value] of Object.entries(partResult.vitals_summary || {})) {
+        if (value && !vitals[field]) vitals[field] = value;
+      }
+    }
+
+    const merged = {
+      ai_narrative_summary: mergeNarratives(partResults.map(r => r.ai_narrative_summary).filter(Boolean)),
+      coding_categories: {
+        reason_for_admit: { codes: reasonForAdmit ? [strip(reasonForAdmit)] : [] },
+        primary_diagnosis: { codes: primary ? [strip(primary)] : [] },
+        secondary_diagnoses: { codes: secondary.map(strip) },
+        procedures: { codes: candidates.procedures.map(strip) },
+        ed_em_level: { codes: edEmLevel ? [strip(edEmLevel)] : [] },
+        modifiers: { codes: candidates.modifiers.map(strip) }
+      },
+      feedback,
+      medications: uniqueBy(partResults.flatMap(r => r.medications || []), m => String(m.name || JSON.stringify(m)).toLowerCase()),
+      vitals_summary: vitals,
+      lab_results_summary: uniqueBy(partResults.flatMap(r => r.lab_results_summary || []), l => `${l.test}|${l.value}`.toLowerCase()),
+      metadata: { ...(partResults[0]?.metadata || {}) }
+    };
+
+    merged.metadata.total_codes_extracted = Object.values(merged.coding_categories)
+      .reduce((sum, category) => sum + category.codes.length, 0);
+
+    return { merged, candidates };
+  }
+
+  /**
+   * LLM reduce: have the model choose among the merged candidates (one primary,
+   * reason for admit and E/M level, drop codes superseded by more specific ones)
+   * and write one narrative summary. Evidence is not sent; it is restored from the
+   * candidates afterwards, and codes no part proposed are dropped.
+   * Returns null when the candidates are too large to send in one request.
+   */
+  async reconcileCodes(selection, merged, candidates, partResults, chartInfo, run) {
+    const compactCandidates = {};
+    for (const [category, items] of Object.entries(candidates)) {
+      compactCandidates[category] = items.map(({ evidence, ...item }) => ({ ...item, evidence_count: evidenceCount({ evidence }) }));
+    }
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert medical coder reconciling the coding of one long chart that was coded in several parts. Return valid JSON only.'
+      },
+      {
+        role: 'user',
+        content: `The chart below was too long for one request, so its documents were coded in ${partResults.length} parts. Reconcile the parts into the final coding for the whole encounter.
+
+PATIENT INFORMATION:
+- Chart Number: ${chartInfo.chartNumber || 'Not provided'}
+- Facility: ${chartInfo.facility || 'Not provided'}
+- Specialty: ${chartInfo.specialty || 'Not provided'}
+- Date of Service: ${chartInfo.dateOfService || 'Not provided'}
+
+CANDIDATE CODES BY CATEGORY (parts = which parts proposed the code):
+${JSON.stringify(compactCandidates, null, 2)}
+
+NARRATIVE SUMMARIES OF EACH PART:
+${JSON.stringify(partResults.map(r => r.ai_narrative_summary || {}), null, 2)}
+
+RULES:
+1. Use ONLY candidate codes - never add a code that is not listed above.
+2. Choose exactly ONE reason for admit, ONE primary diagnosis and ONE ED/EM level for the whole encounter.
+3. Primary diagnosis candidates that were not chosen belong in secondary_diagnoses if they are still coded conditions.
+4. Remove duplicates and codes superseded by a more specific code from another part (e.g. a symptom code once the diagnosis is confirmed).
+5. Keep each kept code's fields (description, ai_reasoning, confidence) and omit evidence - it is attached afterwards.
+6. Write ONE ai_narrative_summary for the whole encounter from the part summaries, in the same structure.
+
+Respond with:
+{
+  "ai_narrative_summary": { },
+  "coding_categories": {
+    "reason_for_admit": { "codes": [] },
+    "primary_diagnosis": { "codes": [] },
+    "secondary_diagnoses": { "codes": [] },
+    "procedures": { "codes": [] },
+    "ed_em_level": { "codes": [] },
+    "modifiers": { "codes": [] }
+  }
+}`
+      }
+    ];
+
+    if (tokenService.countMessages(messages, selection.model) + config.ai.maxCompletionTokens > selection.contextTokens) {
+      console.warn(`⚠️  Too many candidate codes to reconcile in one request - using merged part results`);
+      return null;
+    }
+
+    // Evidence is restored below, so the response only has to be well-formed
+    const reconciled = await this.requestCoding(selection, messages, run, { purpose: 'reconcile', schema: { evidence: false } });
+
+    // Evidence comes from the parts; a code no part proposed has none and is dropped
+    const pool = new Map();
+    for (const [category, items] of Object.entries(candidates)) {
+      for (const item of items) pool.set(`${CODE_KIND[category]}:${CODE_KEYS[category](item)}`, item);
+    }
+
+    const codingCategories = {};
+    for (const [category, keyOf] of Object.entries(CODE_KEYS)) {
+      const codes = [];
+
+      for (const item of reconciled.coding_categories[category]?.codes || []) {
+        const source = pool.get(`${CODE_KIND[category]}:${keyOf(item)}`);
+        if (!source) {
+          console.warn(`⚠️  Reconciliation proposed ${keyOf(item) || 'an unkeyed code'} in ${category}, which no part coded - dropped`);
+          continue;
+        }
+
+        const { parts, ...sourceFields } = source;
+        const { evidence, evidence_count, parts: _parts, ...fields } = item;
+        codes.push({ ...sourceFields, ...fields, evidence: source.evidence });
+      }
+
+      codingCategories[category] = { codes: uniqueBy(codes, keyOf) };
+    }
+
+    // A reconciliation that lost the primary diagnosis is worse than the plain merge
+    if (merged.coding_categories.primary_diagnosis.codes.length > 0 && codingCategories.primary_diagnosis.codes.length === 0) {
+      throw new Error('Reconciliation dropped the primary diagnosis');
+    }
+
+    return {
+      ...merged,
+      ai_narrative_summary: reconciled.ai_narrative_summary,
+      coding_categories: codingCategories,
+      metadata: {
+        ...merged.metadata,
+        total_codes_extracted: Object.values(codingCategories).reduce((sum, category) => sum + category.codes.length, 0)
+      }
+    };
+  }
+
   /**
    * Transform AI response to database format
    */
@@ -592,8 +1171,10 @@ IMPORTANT CODING GUIDELINES:
         ? ocrResult.extractedText
         : JSON.stringify(ocrResult.extractedText);
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const { provider, model } = this.selectProvider(chartInfo);
+
+      const response = await provider.complete({
+        model,
         messages: [
           {
             role: 'system',
@@ -678,12 +1259,12 @@ Respond with a JSON object:
 }`
           }
         ],
-        max_tokens: 4000,
+        maxTokens: 4000,
         temperature: 0.1,
-        response_format: { type: "json_object" }
+        purpose: 'summary'
       });
 
-      const textContent = response.choices[0]?.message?.content;
+      const textContent = response.content;
       if (!textContent) {
         throw new Error('No response from AI');
       }
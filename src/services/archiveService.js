@@ -0,0 +1,422 @@
+/**
+ * Archive Service
+ *
+ * Expands ZIP uploads (one archive per encounter) into ordinary upload files
+ * so the rest of the pipeline only ever sees PDFs, images and text documents.
+ *
+ * Protections:
+ * - entry names are never used as paths; traversal attempts reject the archive
+ * - entry count, per-entry size, total size and compression ratio are capped
+ *   while decompressing (declared sizes in the ZIP headers are not trusted)
+ * - nested archives and unsupported file types are skipped, not expanded
+ *
+ * An optional manifest.json at the archive root can supply chart fields and
+ * transaction grouping:
+ * {
+ *   "chartNumber": "ENC-1001", "mrn": "123456",
+ *   "facility": "...", "specialty": "...", "dateOfService": "2026-01-01", "provider": "...",
+ *   "transactions": [
+ *     { "type": "pdf", "label": "H&P", "files": ["hp.pdf"] },
+ *     { "type": "image_group", "label": "ED Record", "files": ["ed/page1.jpg", "ed/page2.jpg"] }
+ *   ]
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { config } from '../config.js';
+
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+
+// Chart fields a manifest may supply
+const MANIFEST_CHART_FIELDS = ['chartNumber', 'mrn', 'facility', 'specialty', 'dateOfService', 'provider'];
+
+// Entry extension → mime type (only types the worker can process)
+const EXTENSION_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.rtf': 'application/rtf',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml'
+};
+
+// OS clutter that ends up in archives made on desktops
+const IGNORED_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Archive that can't be accepted (unsafe, too large, bad manifest) - answered with 400
+ */
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+class ArchiveService {
+
+  /**
+   * True for uploads that should be expanded
+   */
+  isArchive(file) {
+    return config.upload.archiveMimeTypes.includes(file.mimetype)
+      || path.extname(file.originalname || '').toLowerCase() === '.zip';
+  }
+
+  /**
+   * Expand every archive in a multer file list
+   * Archive temp files are removed and replaced, in place, by their entries.
+   * On error, anything already extracted is removed before rethrowing.
+   *
+   * Returns {
+   *   files,          // multer-shaped file list with archives replaced by entries
+   *   manifest,       // merged manifest chart fields ({} if none)
+   *   transactionMeta,// processDocuments-style transaction metadata ([] = auto)
+   *   archives        // [{ filename, entryCount, skipped: [{ path, reason }] }]
+   * }
+   */
+  async expandUploads(files) {
+    if (!files.some(file => this.isArchive(file))) {
+      return { files, manifest: {}, transactionMeta: [], archives: [] };
+    }
+
+    const expanded = [];
+    const archives = [];
+    const manifestTransactions = [];
+    const manifest = {};
+
+    try {
+      for (const file of files) {
+        if (!this.isArchive(file)) {
+          expanded.push(file);
+          continue;
+        }
+
+        const result = await this.expandArchive(file);
+        const offset = expanded.length;
+
+        expanded.push(...result.files);
+        archives.push({ filename: file.originalname, entryCount: result.files.length, skipped: result.skipped });
+
+        if (result.manifest) {
+          this.mergeManifest(manifest, result.manifest, file.originalname);
+          manifestTransactions.push(...this.resolveTransactions(result.manifest, result.files, offset, file.originalname));
+        }
+
+        fs.unlink(file.path, () => {});
+      }
+    } catch (error) {
+      expanded.filter(f => f.fromArchive).forEach(f => fs.unlink(f.path, () => {}));
+      throw error;
+    }
+
+    return {
+      files: expanded,
+      manifest,
+      transactionMeta: manifestTransactions.length > 0 ? this.fillAutoTransactions(manifestTransactions, expanded) : [],
+      archives
+    };
+  }
+
+  /**
+   * Extract one archive's supported entries to the upload directory
+   * Returns { files, skipped, manifest }
+   */
+  async expandArchive(file) {
+    const limits = config.upload.archive;
+    let zip;
+
+    try {
+      zip = await JSZip.loadAsync(await fs.promises.readFile(file.path));
+    } catch (error) {
+      throw new ArchiveError(`${file.originalname} is not a valid ZIP archive: ${error.message}`);
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+    if (entries.length > limits.maxEntries) {
+      throw new ArchiveError(`${file.originalname} has ${entries.length} entries (max ${limits.maxEntries})`);
+    }
+
+    // Page order inside image groups follows file names (page2 before page10)
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    const counters = { total: 0, maxTotal: Math.min(limits.maxTotalSize, file.size * limits.maxCompressionRatio) };
+    const files = [];
+    const skipped = [];
+    let manifest = null;
+
+    console.log(`🗜️  Expanding ${file.originalname} (${entries.length} entries)`);
+
+    try {
+      for (const entry of entries) {
+        const entryPath = this.safeEntryPath(entry, file.originalname);
+
+        if (IGNORED_ENTRY.test(entryPath)) continue;
+
+        if (entryPath.toLowerCase() === MANIFEST_NAME) {
+          manifest = this.parseManifest(await this.readEntry(entry, MAX_MANIFEST_SIZE, counters), file.originalname);
+          continue;
+        }
+
+        const ext = path.extname(entryPath).toLowerCase();
+
+        if (ext === '.zip') {
+          skipped.push({ path: entryPath, reason: 'Nested archives are not expanded' });
+          continue;
+        }
+
+        const mimetype = EXTENSION_MIME_TYPES[ext];
+        if (!mimetype) {
+          skipped.push({ path: entryPath, reason: `Unsupported file type '${ext || '(none)'}'` });
+          continue;
+        }
+
+        // Entry names are never used on disk - same naming scheme as multer's storage
+        const basename = path.basename(entryPath, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
+        const filename = `${basename}-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`;
+        const destination = path.join(config.upload.uploadDir, filename);
+
+        const size = await this.writeEntry(entry, destination, counters);
+
+        if (size === 0) {
+          fs.unlink(destination, () => {});
+          skipped.push({ path: entryPath, reason: 'Empty file' });
+          continue;
+        }
+
+        files.push({
+          fieldname: file.fieldname,
+          originalname: entryPath,
+          encoding: '7bit',
+          mimetype,
+          destination: config.upload.uploadDir,
+          filename,
+          path: destination,
+          size,
+          fromArchive: file.originalname
+        });
+      }
+    } catch (error) {
+      files.forEach(f => fs.unlink(f.path, () => {}));
+      throw error;
+    }
+
+    skipped.forEach(s => console.warn(`   ⚠️  ${file.originalname}: skipped ${s.path} - ${s.reason}`));
+
+    if (files.length === 0) {
+      throw new ArchiveError(`${file.originalname} contains no supported documents`);
+    }
+
+    return { files, skipped, manifest };
+  }
+
+  /**
+   * Normalized entry path; rejects the archive on absolute paths or traversal
+   */
+  safeEntryPath(entry, archiveName) {
+    // JSZip keeps the raw header name in unsafeOriginalName
+    const raw = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+    const normalized = path.posix.normalize(raw);
+
+    if (raw.includes('\0') || path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)
+      || normalized === '..' || normalized.startsWith('../')) {
+      throw new ArchiveError(`${archiveName} contains an unsafe entry path: ${raw}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Stream-decompress an entry while enforcing size limits
+   * onChunk receives each chunk; resolves with the entry size
+   */
+  _inflate(entry, maxSize, counters, onChunk) {
+    return new Promise((resolve, reject) => {
+      const stream = entry.nodeStream('nodebuffer');
+      let size = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stream.pause();
+        stream.removeAllListeners('data');
+        reject(error);
+      };
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        counters.total += chunk.length;
+
+        if (size > maxSize) {
+          return fail(new ArchiveError(`Archive entry ${entry.name} exceeds ${maxSize} bytes uncompressed`));
+        }
+        if (counters.total > counters.maxTotal) {
+          return fail(new ArchiveError(
+            `Archive expands beyond ${counters.maxTotal} bytes - rejected as a possible zip bomb`
+          ));
+        }
+
+        onChunk(chunk);
+      });
+
+      stream.on('error', (error) => fail(new ArchiveError(`Could not read ${entry.name}: ${error.message}`)));
+      stream.on('end', () => { if (!failed) resolve(size); });
+    });
+  }
+
+  /**
+   * Read a small entry into memory
+   */
+  async readEntry(entry, maxSize, counters) {
+    const chunks = [];
+    await this._inflate(entry, maxSize, counters, chunk => chunks.push(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Extract an entry to disk - returns its size
+   */
+  async writeEntry(entry, destination, counters) {
+    const out = fs.createWriteStream(destination);
+    let writeError = null;
+    out.on('error', (error) => { writeError = writeError || error; });
+
+    try {
+      const size = await this._inflate(entry, config.upload.archive.maxEntrySize, counters, chunk => out.write(chunk));
+      await new Promise((resolve, reject) => out.end(() => writeError ? reject(writeError) : resolve()));
+      return size;
+    } catch (error) {
+      out.destroy();
+      fs.unlink(destination, () => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Parse and shape-check manifest.json
+   */
+  parseManifest(text, archiveName) {
+    let manifest;
+
+    try {
+      manifest = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ArchiveError(`${archiveName}: manifest.json is not valid JSON (${error.message})`);
+    }
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      throw new ArchiveError(`${archiveName}: manifest.json must be an object`);
+    }
+
+    if (manifest.transactions !== undefined && !Array.isArray(manifest.transactions)) {
+      throw new ArchiveError(`${archiveName}: manifest.json "transactions" must be an array`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Fold one archive's chart fields into the combined manifest
+   * Two archives naming different charts (or MRNs) in one upload is an error.
+   */
+  mergeManifest(target, manifest, archiveName) {
+    for (const field of MANIFEST_CHART_FIELDS) {
+      const value = manifest[field];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (target[field] !== undefined && String(target[field]) !== String(value)) {
+        throw new ArchiveError(`${archiveName}: manifest ${field} '${value}' conflicts with '${target[field]}' from another archive`);
+      }
+
+      target[field] = String(value);
+    }
+  }
+
+  /**
+   * Convert manifest transactions (file names) into processDocuments-style metadata (file indices)
+   * offset is where this archive's entries start in the combined file list.
+   */
+  resolveTransactions(manifest, files, offset, archiveName) {
+    const claimed = new Set();
+
+    const findIndex = (name) => {
+      const wanted = path.posix.normalize(String(name).replace(/\\/g, '/'));
+      let idx = files.findIndex(f => f.originalname === wanted);
+
+      // Fall back to a unique basename match
+      if (idx === -1) {
+        const matches = files
+          .map((f, i) => path.posix.basename(f.originalname) === wanted ? i : -1)
+          .filter(i => i !== -1);
+        idx = matches.length === 1 ? matches[0] : -1;
+      }
+
+      if (idx === -1) {
+        throw new ArchiveError(`${archiveName}: manifest references '${name}', which is not a supported file in the archive`);
+      }
+      if (claimed.has(idx)) {
+        throw new ArchiveError(`${archiveName}: manifest lists '${name}' in more than one transaction`);
+      }
+
+      claimed.add(idx);
+      return offset + idx;
+    };
+
+    return (manifest.transactions || []).map((txn, i) => {
+      const names = Array.isArray(txn?.files) ? txn.files : [];
+
+      if (names.length === 0) {
+        throw new ArchiveError(`${archiveName}: manifest transaction ${i + 1} has no files`);
+      }
+
+      if (txn.type === 'pdf') {
+        if (names.length !== 1) {
+          throw new ArchiveError(`${archiveName}: manifest transaction ${i + 1} is type "pdf" and must list exactly one file`);
+        }
+        return { type: 'pdf', label: txn.label, fileIndex: findIndex(names[0]) };
+      }
+
+      if (txn.type === 'image_group') {
+        return { type: 'image_group', label: txn.label, fileIndices: names.map(findIndex) };
+      }
+
+      throw new ArchiveError(`${archiveName}: manifest transaction ${i + 1} type must be "pdf" or "image_group"`);
+    });
+  }
+
+  /**
+   * Give every file no manifest transaction claimed the auto-detected grouping
+   * (1 PDF = 1 transaction, anything else its own single-page group)
+   */
+  fillAutoTransactions(transactionMeta, files) {
+    const claimed = new Set(transactionMeta.flatMap(txn => txn.type === 'pdf' ? [txn.fileIndex] : txn.fileIndices));
+    const meta = [...transactionMeta];
+
+    files.forEach((file, idx) => {
+      if (claimed.has(idx)) return;
+
+      meta.push(file.mimetype === 'application/pdf'
+        ? { type: 'pdf', label: 'PDF Document', fileIndex: idx }
+        : { type: 'image_group', label: 'Image', fileIndices: [idx] });
+    });
+
+    return meta;
+  }
+}
+
+export const archiveService = new ArchiveService();
@@ -0,0 +1,72 @@
+import { config } from '../config.js';
+import { ChartRepository } from '../db/chartRepository.js';
+
+export const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_loaded'];
+
+class AssignmentService {
+
+  /**
+   * Round robin: the coder who was assigned a chart longest ago (or never)
+   * Uses assigned_at history so the rotation survives worker restarts.
+   */
+  pickRoundRobin(workloads) {
+    const sorted = [...workloads].sort((a, b) => {
+      if (!a.last_assigned_at) return -1;
+      if (!b.last_assigned_at) return 1;
+      return new Date(a.last_assigned_at) - new Date(b.last_assigned_at);
+    });
+    return sorted[0] || null;
+  }
+
+  /**
+   * Least loaded: the coder with the fewest open charts (ties → round robin)
+   */
+  pickLeastLoaded(workloads) {
+    if (workloads.length === 0) return null;
+
+    const minOpen = Math.min(...workloads.map(w => parseInt(w.open_charts)));
+    const candidates = workloads.filter(w => parseInt(w.open_charts) === minOpen);
+    return this.pickRoundRobin(candidates);
+  }
+
+  /**
+   * Choose a coder for a chart using the given strategy
+   * Only coders allowed to work the chart's facility are considered.
+   * Returns the coder's user_id, or null if nobody is available
+   */
+  async pickCoder(strategy, facility = null) {
+    const workloads = await ChartRepository.getCoderWorkloads(facility);
+
+    const coder = strategy === 'least_loaded'
+      ? this.pickLeastLoaded(workloads)
+      : this.pickRoundRobin(workloads);
+
+    return coder ? coder.user_id : null;
+  }
+
+  /**
+   * Auto-assign a chart (called by the worker when a chart becomes ready)
+   * Does nothing when auto-assignment is disabled or the chart already has an owner.
+   */
+  async autoAssign(chart, strategy = config.assignment.strategy) {
+    if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+      return null;
+    }
+
+    if (chart.assigned_to) {
+      return chart;
+    }
+
+    const coderId = await this.pickCoder(strategy, chart.facility || null);
+    if (!coderId) {
+      console.warn(`⚠️ No active coders available to assign chart ${chart.chart_number}`);
+      return null;
+    }
+
+    const updated = await ChartRepository.assign(chart.chart_number, coderId, `auto:${strategy}`);
+    console.log(`👤 Chart ${chart.chart_number} auto-assigned to ${coderId} (${strategy})`);
+    return updated;
+  }
+}
+
+export const assignmentService = new AssignmentService();
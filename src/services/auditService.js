@@ -0,0 +1,78 @@
+import { AuditRepository } from '../db/auditRepository.js';
+
+// Code categories tracked in user_modifications / original_ai_codes
+const CODE_CATEGORIES = ['reason_for_admit', 'ed_em_level', 'procedures', 'primary_diagnosis', 'secondary_diagnoses', 'modifiers'];
+
+class AuditService {
+
+  /**
+   * Record an action performed by the current request's user
+   * Never throws - a failed audit write is logged loudly but does not fail the request.
+   */
+  async log(req, action, { chartNumber = null, resourceType = 'chart', resourceId = null, details = null } = {}) {
+    try {
+      await AuditRepository.record({
+        actorId: req.user?.userId || null,
+        actorRole: req.user?.role || null,
+        ipAddress: req.ip || req.socket?.remoteAddress || null,
+        userAgent: req.headers?.['user-agent'] || null,
+        action,
+        chartNumber,
+        resourceType,
+        resourceId: resourceId ?? chartNumber,
+        details
+      });
+    } catch (error) {
+      console.error(`❌ AUDIT WRITE FAILED (${action} ${chartNumber || ''}):`, error.message);
+    }
+  }
+
+  /**
+   * Summarize what changed between two user_modifications snapshots
+   * Only counts per category and action are kept - no code text/PHI in the diff.
+   */
+  summarizeModifications(before, after) {
+    const summary = {};
+
+    for (const category of CODE_CATEGORIES) {
+      const countActions = (mods) => {
+        const counts = { modified: 0, rejected: 0, added: 0 };
+        (Array.isArray(mods) ? mods : []).forEach(mod => {
+          if (counts[mod?.action] !== undefined) counts[mod.action]++;
+        });
+        return counts;
+      };
+
+      const prev = countActions(before?.[category]);
+      const next = countActions(after?.[category]);
+
+      const delta = {};
+      for (const action of Object.keys(next)) {
+        if (next[action] !== prev[action]) {
+          delta[action] = next[action] - prev[action];
+        }
+      }
+
+      if (Object.keys(delta).length > 0) {
+        summary[category] = delta;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Count codes per category in a final codes payload
+   */
+  summarizeCodes(codes) {
+    if (!codes || typeof codes !== 'object') return {};
+
+    return Object.fromEntries(
+      Object.entries(codes)
+        .filter(([, value]) => Array.isArray(value))
+        .map(([category, value]) => [category, value.length])
+    );
+  }
+}
+
+export const auditService = new AuditService();
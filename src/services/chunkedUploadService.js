@@ -0,0 +1,90 @@
+import { config } from '../config.js';
+import { UploadSessionRepository } from '../db/uploadSessionRepository.js';
+import { s3Service } from './s3Service.js';
+
+class ChunkedUploadService {
+
+  /**
+   * Number of chunks a file of totalSize splits into
+   */
+  countChunks(totalSize, chunkSize = config.upload.chunked.chunkSize) {
+    return Math.ceil(totalSize / chunkSize);
+  }
+
+  /**
+   * Exact byte size expected for a chunk (only the last one may be short)
+   */
+  expectedChunkSize(session, chunkNumber) {
+    const totalSize = parseInt(session.total_size);
+    if (chunkNumber < session.total_chunks) return session.chunk_size;
+    return totalSize - (session.total_chunks - 1) * session.chunk_size;
+  }
+
+  /**
+   * Summarize what has been received so a client can resume
+   * receivedRanges are inclusive byte ranges, merged where chunks are contiguous
+   */
+  getProgress(session, chunks) {
+    const received = new Set(chunks.map(c => c.chunk_number));
+    const missingChunks = [];
+    const receivedRanges = [];
+
+    for (let n = 1; n <= session.total_chunks; n++) {
+      if (!received.has(n)) {
+        missingChunks.push(n);
+        continue;
+      }
+
+      const start = (n - 1) * session.chunk_size;
+      const end = start + this.expectedChunkSize(session, n) - 1;
+      const last = receivedRanges[receivedRanges.length - 1];
+
+      if (last && last.end === start - 1) {
+        last.end = end;
+      } else {
+        receivedRanges.push({ start, end });
+      }
+    }
+
+    return {
+      receivedChunks: [...received].sort((a, b) => a - b),
+      missingChunks,
+      receivedRanges,
+      receivedBytes: chunks.reduce((sum, c) => sum + c.size, 0)
+    };
+  }
+
+  /**
+   * True once a session is past its expiry
+   */
+  isExpired(session) {
+    return new Date(session.expires_at) < new Date();
+  }
+
+  /**
+   * Abort the S3 multipart upload and close the session
+   */
+  async abort(session, status = 'aborted') {
+    await s3Service.abortMultipartUpload(session.s3_key, session.s3_upload_id);
+    return UploadSessionRepository.transition(session.id, 'uploading', status);
+  }
+
+  /**
+   * Release S3 parts held by expired sessions
+   */
+  async abortExpired() {
+    const sessions = await UploadSessionRepository.getExpired();
+
+    for (const session of sessions) {
+      await this.abort(session, 'expired');
+    }
+
+    if (sessions.length > 0) {
+      console.log(`🧹 Aborted ${sessions.length} expired upload session(s)`);
+    }
+
+    return sessions.length;
+  }
+}
+
+export const chunkedUploadService = new ChunkedUploadService();
@@ -0,0 +1,405 @@
+/**
+ * Code Set Service
+ *
+ * Parses the annual code set files for import (see src/db/importCodeSets.js) and
+ * validates AI codes against the release in effect on the date of service:
+ *   ICD-10-CM  - CMS order file (codes, billable flag, descriptions) plus the
+ *                tabular XML (hierarchy, excludes notes, 7th characters)
+ *   CPT/HCPCS  - a CSV / tab / pipe delimited list with optional effective dates
+ */
+
+import { CodeSetRepository } from '../db/codeSetRepository.js';
+import { textExtractionService } from './textExtractionService.js';
+
+export const CODE_SYSTEMS = {
+  icd10cm: { label: 'ICD-10-CM', pattern: /^[A-Z][0-9][0-9A-Z]([0-9A-Z]{1,4})?$/ },
+  cpt: { label: 'CPT', pattern: /^[0-9]{4}[0-9A-Z]$/ },
+  hcpcs: { label: 'HCPCS', pattern: /^[A-V][0-9]{4}$/ }
+};
+
+// Column headers recognised in CPT/HCPCS files (normalised to lower case, single spaces)
+const PROCEDURE_COLUMNS = {
+  code: ['code', 'hcpc', 'hcpcs', 'hcpcs code', 'cpt', 'cpt code', 'procedure code'],
+  description: ['long description', 'long desc', 'description', 'descriptor', 'short description', 'short desc'],
+  shortDescription: ['short description', 'short desc', 'short descriptor'],
+  effectiveFrom: ['effective date', 'effective from', 'act eff dt', 'add dt', 'begin date', 'start date'],
+  effectiveTo: ['termination date', 'term dt', 'effective to', 'end date', 'expiration date']
+};
+
+// AI result fields checked against the code sets (modifiers are not in them)
+const VALIDATED_FIELDS = [
+  { category: 'reason_for_admit', field: 'icd_10_code', system: () => 'icd10cm' },
+  { category: 'primary_diagnosis', field: 'icd_10_code', system: () => 'icd10cm' },
+  { category: 'secondary_diagnoses', field: 'icd_10_code', system: () => 'icd10cm' },
+  { category: 'procedures', field: 'cpt_code', system: code => CODE_SYSTEMS.hcpcs.pattern.test(code) ? 'hcpcs' : 'cpt' },
+  { category: 'ed_em_level', field: 'code', system: () => 'cpt' }
+];
+
+const MAX_SUGGESTIONS = 10;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name];
+    return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+  });
+}
+
+class CodeSetService {
+  /**
+   * Code as stored: upper case, no ICD-10-CM dot
+   */
+  normalizeCode(code) {
+    return String(code || '').replace(/[.\s]/g, '').toUpperCase();
+  }
+
+  /**
+   * Code as coders write it (ICD-10-CM gets its dot back)
+   */
+  displayCode(codeSystem, code) {
+    return codeSystem === 'icd10cm' && code.length > 3 ? `${code.slice(0, 3)}.${code.slice(3)}` : code;
+  }
+
+  /**
+   * A date as YYYY-MM-DD; accepts ISO dates, YYYYMMDD, MM/DD/YYYY and Date objects
+   */
+  toIsoDate(value) {
+    if (!value) return null;
+
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) return null;
+      const pad = n => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    const text = String(value).trim();
+    let match;
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) return `${match[1]}-${match[2]}-${match[3]}`;
+    if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) return `${match[1]}-${match[2]}-${match[3]}`;
+    if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+      return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // IMPORT PARSING
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * ICD-10-CM order file (icd10cm_order_YYYY.txt), fixed width:
+   * order(5) code(7) billable(1) short description(60) long description
+   */
+  parseIcd10OrderFile(text) {
+    const codes = [];
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+      if (line.length < 16) continue;
+
+      const code = line.slice(6, 13).trim().toUpperCase();
+      if (!/^[A-Z][0-9A-Z]{2,6}$/.test(code)) continue;
+
+      const shortDescription = line.slice(16, 76).trim();
+      codes.push({
+        code,
+        billable: line[14] === '1',
+        shortDescription,
+        description: line.slice(77).trim() || shortDescription
+      });
+    }
+
+    return codes;
+  }
+
+  /**
+   * ICD-10-CM tabular XML (icd10cm_tabular_YYYY.xml) → Map code → { parentCode, notes }
+   * Scanned rather than DOM-parsed: the file is tens of MB and only <diag> nesting,
+   * excludes notes and 7th character definitions are needed.
+   */
+  parseIcd10Tabular(xml) {
+    const entries = new Map();
+    const elements = []; // open element names
+    const diags = [];    // open <diag> entries; code is set once their <name> is read
+    let extensionChar = null;
+
+    const tokens = /<(\/?)([A-Za-z][A-Za-z0-9]*)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(xml))) {
+      const [, closing, tag, attrs, selfClosing, text] = match;
+
+      if (text !== undefined) {
+        const current = diags[diags.length - 1];
+        const value = decodeXml(text).trim();
+        if (!current || !value) continue;
+
+        const parent = elements[elements.length - 1];
+        const grandparent = elements[elements.length - 2];
+
+        if (parent === 'name' && grandparent === 'diag' && !current.code) {
+          current.code = this.normalizeCode(value);
+          entries.set(current.code, { parentCode: diags[diags.length - 2]?.code || null, notes: current.notes });
+        } else if (parent === 'note' && (grandparent === 'excludes1' || grandparent === 'excludes2')) {
+          (current.notes[grandparent] ||= []).push(value);
+        } else if (parent === 'extension' && grandparent === 'sevenChrDef' && extensionChar) {
+          (current.notes.seventhCharacters ||= {})[extensionChar] = value;
+        }
+        continue;
+      }
+
+      if (selfClosing) continue;
+
+      if (closing) {
+        // Pop to the matching element so a stray tag cannot derail the nesting
+        while (elements.length > 0 && elements.pop() !== tag);
+        if (tag === 'diag') diags.pop();
+        continue;
+      }
+
+      elements.push(tag);
+      if (tag === 'diag') diags.push({ code: null, notes: {} });
+      if (tag === 'extension') extensionChar = (attrs.match(/char="([^"]*)"/) || [])[1] || null;
+    }
+
+    return entries;
+  }
+
+  /**
+   * ICD-10-CM codes for import: the order file's codes with parents and notes from
+   * the tabular file; without it (and for 7th-character codes, which the tabular file
+   * does not list) the parent is the longest code that prefixes this one
+   */
+  buildIcd10Codes(orderText, tabularXml = null) {
+    const codes = this.parseIcd10OrderFile(orderText);
+    const tabular = tabularXml ? this.parseIcd10Tabular(tabularXml) : new Map();
+    const known = new Set(codes.map(c => c.code));
+
+    return codes.map(entry => {
+      const fromTabular = tabular.get(entry.code);
+
+      let parentCode = fromTabular?.parentCode || null;
+      for (let length = entry.code.length - 1; !parentCode && length >= 3; length--) {
+        if (known.has(entry.code.slice(0, length))) parentCode = entry.code.slice(0, length);
+      }
+
+      const notes = fromTabular && Object.keys(fromTabular.notes).length > 0 ? fromTabular.notes : null;
+      return { ...entry, parentCode, notes };
+    });
+  }
+
+  /**
+   * Rows of a comma, tab or pipe delimited file (delimiter taken from the first
+   * lines, which may be a title or copyright block rather than the header)
+   */
+  parseDelimitedRows(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const sample = source.split(/\r?\n/, 20).join('\n');
+    const delimiter = sample.includes('\t') ? '\t' : sample.includes('|') ? '|' : ',';
+
+    return delimiter === ','
+      ? textExtractionService.parseCsv(source)
+      : source.split(/\r?\n/).filter(line => line.trim()).map(line => line.split(delimiter));
+  }
+
+  /**
+   * CPT or HCPCS list → { codes, skipped }
+   * Delimiter (comma, tab or pipe) and columns are detected from the header; without
+   * a header the first two columns are code and description. A code repeated on later
+   * rows (HCPCS long-description continuation records) extends its description.
+   */
+  parseProcedureCodeFile(text, codeSystem) {
+    const rows = this.parseDelimitedRows(text);
+    if (rows.length === 0) return { codes: [], skipped: 0 };
+
+    const { pattern } = CODE_SYSTEMS[codeSystem];
+    const hasHeader = !pattern.test(this.normalizeCode(rows[0][0]));
+    const header = hasHeader ? rows[0].map(h => h.trim().toLowerCase().replace(/[\s_]+/g, ' ')) : [];
+
+    const column = (name, fallback = -1) => {
+      for (const alias of PROCEDURE_COLUMNS[name]) {
+        const index = header.indexOf(alias);
+        if (index !== -1) return index;
+      }
+      return fallback;
+    };
+
+    const columns = {
+      code: column('code', 0),
+      description: column('description', 1),
+      shortDescription: column('shortDescription'),
+      effectiveFrom: column('effectiveFrom'),
+      effectiveTo: column('effectiveTo')
+    };
+
+    const byCode = new Map();
+    let skipped = 0;
+
+    for (const row of hasHeader ? rows.slice(1) : rows) {
+      const code = this.normalizeCode(row[columns.code]);
+      if (!pattern.test(code)) {
+        skipped++;
+        continue;
+      }
+
+      const value = (index) => index === -1 ? '' : String(row[index] ?? '').trim();
+      const existing = byCode.get(code);
+
+      if (existing) {
+        existing.description = [existing.description, value(columns.description)].filter(Boolean).join(' ');
+        continue;
+      }
+
+      byCode.set(code, {
+        code,
+        description: value(columns.description),
+        shortDescription: value(columns.shortDescription) || null,
+        billable: true,
+        effectiveFrom: this.toIsoDate(value(columns.effectiveFrom)),
+        effectiveTo: this.toIsoDate(value(columns.effectiveTo))
+      });
+    }
+
+    return { codes: [...byCode.values()], skipped };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Validate every code of an AI result (transformToDBFormat shape) against the
+   * code sets in effect on the date of service (today when it is unknown).
+   * Each code gets a code_validation { status, ... }; returns the chart summary.
+   *
+   * status: valid | non_billable | not_effective | invalid | unverified (no code set loaded)
+   */
+  async validateAIResult(aiData, dateOfService) {
+    const serviceDate = this.toIsoDate(dateOfService);
+    const asOf = serviceDate || this.toIsoDate(new Date());
+    // NCCI edit releases share the table but are checked by ncciService
+    const releases = Object.fromEntries(
+      Object.entries(await CodeSetRepository.getReleasesOn(asOf)).filter(([system]) => CODE_SYSTEMS[system])
+    );
+
+    const targets = [];
+    for (const { category, field, system } of VALIDATED_FIELDS) {
+      const items = category === 'procedures' ? aiData.procedures : aiData.diagnosis_codes?.[category];
+
+      for (const item of Array.isArray(items) ? items : []) {
+        if (!item || !item[field]) continue;
+        const code = this.normalizeCode(item[field]);
+        targets.push({ category, item, code, system: system(code) });
+      }
+    }
+
+    // One lookup per code system
+    const found = {};
+    for (const [codeSystem, release] of Object.entries(releases)) {
+      const codes = [...new Set(targets.filter(t => t.system === codeSystem).map(t => t.code))];
+      found[codeSystem] = await CodeSetRepository.getCodes(release.id, codes);
+    }
+
+    const counts = { valid: 0, non_billable: 0, not_effective: 0, invalid: 0, unverified: 0 };
+    const issues = [];
+
+    for (const target of targets) {
+      const release = releases[target.system];
+      const result = await this.checkCode(target.system, target.code, release, found[target.system]?.get(target.code), asOf);
+
+      target.item.code_validation = result;
+      counts[result.status]++;
+
+      if (result.status !== 'valid') {
+        issues.push({ category: target.category, code: result.code, ...result });
+      }
+    }
+
+    return {
+      validated_at: new Date().toISOString(),
+      date_of_service: serviceDate,
+      as_of: asOf,
+      releases: Object.fromEntries(Object.entries(releases).map(([system, r]) => [system, r.version || this.toIsoDate(r.effective_from)])),
+      counts,
+      issues
+    };
+  }
+
+  /**
+   * Check one code against a release (row is its entry there, if any)
+   */
+  async checkCode(codeSystem, code, release, row, asOf) {
+    const label = CODE_SYSTEMS[codeSystem].label;
+    const display = this.displayCode(codeSystem, code);
+    const base = { code: display, code_system: codeSystem };
+
+    if (!release) {
+      return { ...base, status: 'unverified', message: `No ${label} code set loaded for ${asOf}` };
+    }
+
+    if (!CODE_SYSTEMS[codeSystem].pattern.test(code)) {
+      return { ...base, status: 'invalid', message: `${display} is not a well-formed ${label} code`, suggestions: [] };
+    }
+
+    const codeFrom = this.toIsoDate(row?.effective_from);
+    const codeTo = this.toIsoDate(row?.effective_to);
+
+    if (row && !(codeFrom && codeFrom > asOf) && !(codeTo && codeTo < asOf)) {
+      if (row.billable) {
+        return { ...base, status: 'valid', description: row.description };
+      }
+
+      return {
+        ...base,
+        status: 'non_billable',
+        description: row.description,
+        message: `${display} is a category code - a more specific (billable) ${label} code is required`,
+        suggestions: await this.suggestChildren(codeSystem, release.id, code)
+      };
+    }
+
+    // Not in the release for this date: a code from another year, or not a code at all
+    const elsewhere = row
+      ? [{ version: release.version, effective_from: codeFrom, effective_to: codeTo }]
+      : (await CodeSetRepository.findCodeInReleases(codeSystem, code)).map(r => ({
+        version: r.version,
+        effective_from: this.toIsoDate(r.code_effective_from || r.effective_from),
+        effective_to: this.toIsoDate(r.code_effective_to || r.effective_to)
+      }));
+
+    // Suggest the billable codes under the nearest valid ancestor (e.g. a code split into children)
+    const prefixes = [];
+    for (let length = code.length - 1; length >= 3; length--) prefixes.push(code.slice(0, length));
+    const ancestor = codeSystem === 'icd10cm' ? await CodeSetRepository.findNearestAncestor(release.id, prefixes) : null;
+    const suggestions = ancestor
+      ? (ancestor.billable
+        ? [{ code: this.displayCode(codeSystem, ancestor.code), description: ancestor.description }]
+        : await this.suggestChildren(codeSystem, release.id, ancestor.code))
+      : [];
+
+    if (elsewhere.length > 0) {
+      const periods = elsewhere.map(r => `${r.version || label} ${r.effective_from || '…'} to ${r.effective_to || 'present'}`).join(', ');
+      return {
+        ...base,
+        status: 'not_effective',
+        message: `${display} is not valid on ${asOf} (valid: ${periods})`,
+        valid_periods: elsewhere,
+        suggestions
+      };
+    }
+
+    return {
+      ...base,
+      status: 'invalid',
+      message: `${display} is not in the ${label} code set`,
+      suggestions
+    };
+  }
+
+  async suggestChildren(codeSystem, releaseId, code) {
+    const children = await CodeSetRepository.getBillableDescendants(releaseId, code, MAX_SUGGESTIONS);
+    return children.map(child => ({ code: this.displayCode(codeSystem, child.code), description: child.description }));
+  }
+}
+
+export const codeSetService = new CodeSetService();
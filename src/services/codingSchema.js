@@ -0,0 +1,163 @@
+/**
+ * JSON Schema for AI coding responses
+ *
+ * Every coding response is validated before it is transformed and saved, so a
+ * malformed or truncated response fails loudly instead of becoming an empty chart.
+ *
+ * Variants:
+ *   requirePrimary  - a complete chart must have a primary diagnosis; one part of
+ *                     a long chart may legitimately have none
+ *   evidence        - codes must cite evidence; reconciliation output omits it
+ *                     (evidence is restored from the parts)
+ *   summary         - ai_narrative_summary is required
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const confidence = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+const evidenceItem = {
+  type: 'object',
+  required: ['line_number', 'exact_text'],
+  properties: {
+    document_type: { type: 'string' },
+    document_name: { type: 'string' },
+    line_number: { type: ['string', 'integer'], pattern: '^\\s*\\d+(\\s*-\\s*\\d+)?\\s*$', minimum: 1 },
+    exact_text: { type: 'string', minLength: 1 }
+  }
+};
+
+const evidenceList = { type: 'array', minItems: 1, items: evidenceItem };
+
+// Procedures and modifiers are shown with one evidence object, but a list is accepted
+const evidenceOneOrMany = { anyOf: [evidenceItem, evidenceList] };
+
+const textOrObject = { type: ['string', 'object'] };
+
+function codeList(item, { minItems = 0, maxItems } = {}) {
+  return {
+    type: 'object',
+    required: ['codes'],
+    properties: {
+      codes: { type: 'array', minItems, ...(maxItems ? { maxItems } : {}), items: item }
+    }
+  };
+}
+
+function codeItem(codeField, pattern, required, properties, evidenceSchema, withEvidence) {
+  return {
+    type: 'object',
+    required: [codeField, ...required, ...(withEvidence ? ['evidence'] : [])],
+    properties: {
+      [codeField]: { type: 'string', pattern },
+      confidence,
+      ai_reasoning: { type: 'string' },
+      ...properties,
+      ...(withEvidence ? { evidence: evidenceSchema } : {})
+    }
+  };
+}
+
+/**
+ * Build the response schema for one variant
+ */
+function buildCodingSchema({ requirePrimary = true, evidence = true, summary = true } = {}) {
+  // ICD-10-CM shape only: letter, digit, alphanumeric, then up to 4 more after an optional dot
+  // (U07.1 and other special-purpose codes included - validity is the code-set check's job)
+  const diagnosis = codeItem('icd_10_code', '^[A-Z][0-9][0-9A-Z](\\.?[0-9A-Z]{1,4})?$',
+    ['description', 'confidence'], { description: { type: 'string', minLength: 1 } }, evidenceList, evidence);
+
+  // CPT (incl. Category II/III) or HCPCS Level II
+  const procedure = codeItem('cpt_code', '^([0-9]{4}[0-9A-Z]|[A-V][0-9]{4})$',
+    ['confidence'], { procedure_name: { type: 'string' }, description: { type: 'string' } }, evidenceOneOrMany, evidence);
+
+  const emLevel = codeItem('code', '^[0-9]{5}$',
+    ['confidence'], { description: { type: 'string' }, level_justification: { type: 'object' } }, evidenceList, evidence);
+
+  const modifier = codeItem('modifier_code', '^[0-9A-Z]{2}$',
+    ['applies_to_code', 'confidence'], { applies_to_code: { type: 'string', minLength: 1 } }, evidenceOneOrMany, evidence);
+
+  return {
+    type: 'object',
+    required: ['coding_categories', ...(summary ? ['ai_narrative_summary'] : [])],
+    properties: {
+      ai_narrative_summary: {
+        type: 'object',
+        required: summary ? ['chief_complaint', 'history_of_present_illness', 'assessment_and_plan'] : [],
+        properties: {
+          chief_complaint: textOrObject,
+          history_of_present_illness: textOrObject,
+          assessment_and_plan: textOrObject
+        }
+      },
+      coding_categories: {
+        type: 'object',
+        required: ['reason_for_admit', 'primary_diagnosis', 'secondary_diagnoses', 'procedures', 'ed_em_level', 'modifiers'],
+        properties: {
+          reason_for_admit: codeList(diagnosis, { maxItems: 1 }),
+          primary_diagnosis: codeList(diagnosis, { minItems: requirePrimary ? 1 : 0, maxItems: 1 }),
+          secondary_diagnoses: codeList(diagnosis),
+          procedures: codeList(procedure),
+          ed_em_level: codeList(emLevel, { maxItems: 1 }),
+          modifiers: codeList(modifier)
+        }
+      },
+      feedback: {
+        type: 'object',
+        properties: {
+          documentation_gaps: { type: 'array' },
+          physician_queries_needed: { type: 'array' },
+          coding_tips: { type: 'array' },
+          compliance_alerts: { type: 'array' }
+        }
+      },
+      medications: { type: 'array' },
+      vitals_summary: { type: 'object' },
+      lab_results_summary: { type: 'array' },
+      metadata: { type: 'object' }
+    }
+  };
+}
+
+const validators = new Map();
+
+/**
+ * Validate a parsed coding response
+ * Returns a list of readable errors ("/coding_categories/primary_diagnosis/codes must
+ * NOT have fewer than 1 items"), empty when the response is valid.
+ */
+export function validateCodingResponse(response, options = {}) {
+  const key = JSON.stringify(options);
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile(buildCodingSchema(options)));
+  }
+
+  const validate = validators.get(key);
+  if (validate(response)) return [];
+
+  return validate.errors.map(error => {
+    const detail = error.keyword === 'enum' ? ` (${error.params.allowedValues.join(', ')})` : '';
+    return `${error.instancePath || '/'} ${error.message}${detail}`;
+  });
+}
+
+/**
+ * Fix trivial deviations that do not merit a repair round-trip
+ * (confidence casing, stray whitespace in codes)
+ */
+export function normalizeCodingResponse(response) {
+  for (const category of Object.values(response?.coding_categories || {})) {
+    for (const item of Array.isArray(category?.codes) ? category.codes : []) {
+      if (!item || typeof item !== 'object') continue;
+
+      if (typeof item.confidence === 'string') item.confidence = item.confidence.trim().toLowerCase();
+      for (const field of ['icd_10_code', 'cpt_code', 'code', 'modifier_code', 'applies_to_code']) {
+        if (typeof item[field] === 'string') item[field] = item[field].trim().toUpperCase();
+      }
+    }
+  }
+
+  return response;
+}
@@ -0,0 +1,288 @@
+/**
+ * Evidence Verification
+ *
+ * Checks that the exact_text the AI quotes for each code really appears in the
+ * chart, using the same numbered lines the AI was given (ocrService.formatForAI).
+ * Quotes are fuzzy-matched so OCR noise and small paraphrases still verify.
+ *
+ * Evidence status:
+ *   verified   - found at (or within lineTolerance of) the cited line of the cited document
+ *   relocated  - found, but on another line or in another document (the citation is wrong)
+ *   partial    - only a weak match anywhere in the chart
+ *   not_found  - no match; the quote is probably hallucinated
+ *
+ * A code takes the status of its best evidence, or no_evidence when it cites none.
+ */
+
+import { config } from '../config.js';
+
+const CODE_CATEGORIES = {
+  reason_for_admit: { items: data => data.diagnosis_codes?.reason_for_admit, code: item => item.icd_10_code },
+  primary_diagnosis: { items: data => data.diagnosis_codes?.primary_diagnosis, code: item => item.icd_10_code },
+  secondary_diagnoses: { items: data => data.diagnosis_codes?.secondary_diagnoses, code: item => item.icd_10_code },
+  procedures: { items: data => data.procedures, code: item => item.cpt_code },
+  ed_em_level: { items: data => data.diagnosis_codes?.ed_em_level, code: item => item.code },
+  modifiers: { items: data => data.diagnosis_codes?.modifiers, code: item => item.modifier_code }
+};
+
+const STATUS_RANK = { verified: 4, relocated: 3, partial: 2, not_found: 1 };
+
+const DOWN_RANKED_CONFIDENCE = { high: 'medium', medium: 'low', low: 'low' };
+
+// Longest quote compared character by character; longer quotes are matched on their start
+const MAX_QUOTE_LENGTH = 300;
+
+// Lines per document whose surrounding windows get the (expensive) edit-distance comparison
+const MAX_CANDIDATE_LINES = 5;
+
+// Quotes may wrap across up to this many OCR lines
+const MAX_WINDOW_LINES = 3;
+
+/**
+ * Lower case, letters and digits only, single spaces
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Character trigrams of normalized text - tolerant of OCR misreads, unlike whole words
+ */
+function trigrams(text) {
+  const padded = ` ${text} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.substring(i, i + 3));
+  return grams;
+}
+
+/**
+ * Smallest edit distance between pattern and any substring of text (Sellers)
+ */
+function substringDistance(pattern, text) {
+  let previous = new Array(text.length + 1).fill(0);
+
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return Math.min(...previous);
+}
+
+class EvidenceService {
+  /**
+   * Verify every code's evidence in an AI result (transformToDBFormat shape) against
+   * the formatted documents it was coded from. Each evidence entry gets a
+   * verification, each code an evidence_verification; codes whose evidence is
+   * not found are down-ranked. Returns the chart summary.
+   */
+  verifyAIResult(aiData, formattedDocuments) {
+    const documents = formattedDocuments.map(doc => this.indexDocument(doc));
+    const counts = { verified: 0, relocated: 0, partial: 0, not_found: 0, no_evidence: 0 };
+    const flagged = [];
+
+    for (const [category, { items, code }] of Object.entries(CODE_CATEGORIES)) {
+      const list = items(aiData);
+
+      for (const item of Array.isArray(list) ? list : []) {
+        if (!item || typeof item !== 'object') continue;
+
+        const result = this.verifyCode(item, documents);
+        counts[result.status]++;
+
+        if (result.status === 'not_found' || result.status === 'no_evidence') {
+          if (config.evidence.downRank && item.confidence) {
+            item.original_confidence = item.original_confidence || item.confidence;
+            item.confidence = DOWN_RANKED_CONFIDENCE[item.confidence] || item.confidence;
+          }
+        }
+
+        if (result.status !== 'verified') {
+          flagged.push({
+            category,
+            code: code(item),
+            status: result.status,
+            score: result.score,
+            quoted: result.quoted,
+            matched: result.matched
+          });
+        }
+      }
+    }
+
+    return {
+      verified_at: new Date().toISOString(),
+      counts,
+      flagged
+    };
+  }
+
+  /**
+   * Verify one code's evidence (a list, or a single object for procedures/modifiers)
+   */
+  verifyCode(item, documents) {
+    const evidence = (Array.isArray(item.evidence) ? item.evidence : item.evidence ? [item.evidence] : [])
+      .filter(entry => entry && typeof entry === 'object');
+
+    let best = null;
+    for (const entry of evidence) {
+      entry.verification = this.verifyEvidence(entry, documents);
+
+      const { status, score } = entry.verification;
+      if (!best || STATUS_RANK[status] > STATUS_RANK[best.status]
+        || (STATUS_RANK[status] === STATUS_RANK[best.status] && score > best.score)) {
+        best = { ...entry.verification, quoted: entry.exact_text || null };
+      }
+    }
+
+    item.evidence_verification = best
+      ? { status: best.status, score: best.score, matched: best.matched }
+      : { status: 'no_evidence', score: 0, matched: null };
+
+    return best || { status: 'no_evidence', score: 0, quoted: null, matched: null };
+  }
+
+  /**
+   * Verify one evidence entry → { status, score, matched: { document_name, line_number, text } }
+   */
+  verifyEvidence(entry, documents) {
+    const quote = normalize(entry.exact_text).substring(0, MAX_QUOTE_LENGTH);
+    if (!quote) {
+      return { status: 'not_found', score: 0, matched: null };
+    }
+
+    const { matchThreshold, partialThreshold, lineTolerance } = config.evidence;
+    const citedDocument = this.findDocument(entry.document_name, documents);
+    const citedLine = parseInt(String(entry.line_number ?? '').match(/\d+/)?.[0]) || null;
+
+    // 1. At the cited line
+    if (citedDocument && citedLine) {
+      const nearby = citedDocument.lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => Math.abs(line.lineNumber - citedLine) <= lineTolerance)
+        .flatMap(({ index }) => this.windowsAround(citedDocument, index));
+      const match = this.bestMatch(quote, nearby);
+
+      if (match && match.score >= matchThreshold) {
+        return { status: 'verified', score: match.score, matched: this.describeMatch(citedDocument, match) };
+      }
+    }
+
+    // 2. Anywhere in the cited document, then anywhere in the chart
+    const searchOrder = citedDocument ? [[citedDocument], documents] : [documents];
+    let best = null;
+
+    for (const scope of searchOrder) {
+      for (const document of scope) {
+        const match = this.bestMatch(quote, this.candidateWindows(quote, document));
+        if (match && (!best || match.score > best.match.score)) best = { document, match };
+      }
+      if (best && best.match.score >= matchThreshold) break;
+    }
+
+    if (!best || best.match.score < partialThreshold) {
+      return { status: 'not_found', score: best?.match.score || 0, matched: null };
+    }
+
+    return {
+      status: best.match.score >= matchThreshold ? 'relocated' : 'partial',
+      score: best.match.score,
+      matched: this.describeMatch(best.document, best.match)
+    };
+  }
+
+  /**
+   * Document lookup by the name the AI cited (exact, then case-insensitive, then partial)
+   */
+  findDocument(name, documents) {
+    const wanted = normalize(name);
+    if (!wanted) return null;
+
+    return documents.find(d => d.name === name)
+      || documents.find(d => normalize(d.name) === wanted)
+      || documents.find(d => normalize(d.name).includes(wanted) || wanted.includes(normalize(d.name)))
+      || null;
+  }
+
+  /**
+   * Normalized, non-empty lines of a document with their trigrams
+   */
+  indexDocument(doc) {
+    const lines = doc.content
+      .map(line => ({ lineNumber: line.lineNumber, text: line.text, normalized: normalize(line.text) }))
+      .filter(line => line.normalized)
+      .map(line => ({ ...line, trigrams: trigrams(line.normalized) }));
+
+    return { name: doc.documentName, lines };
+  }
+
+  /**
+   * Runs of 1-MAX_WINDOW_LINES consecutive lines that include the line at index,
+   * so quotes that wrap across OCR lines still match
+   */
+  windowsAround(document, index) {
+    const windows = [];
+
+    for (let start = Math.max(0, index - MAX_WINDOW_LINES + 1); start <= index; start++) {
+      for (let end = index; end < Math.min(document.lines.length, start + MAX_WINDOW_LINES); end++) {
+        const group = document.lines.slice(start, end + 1);
+        windows.push({
+          startLine: group[0].lineNumber,
+          endLine: group[group.length - 1].lineNumber,
+          lines: group,
+          text: group.map(line => line.normalized).join(' ')
+        });
+      }
+    }
+
+    return windows;
+  }
+
+  /**
+   * Windows around the lines sharing the most trigrams with the quote - a cheap
+   * filter before edit distance
+   */
+  candidateWindows(quote, document) {
+    const quoteTrigrams = [...trigrams(quote)];
+
+    return document.lines
+      .map((line, index) => ({ index, overlap: quoteTrigrams.filter(gram => line.trigrams.has(gram)).length }))
+      .filter(candidate => candidate.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, MAX_CANDIDATE_LINES)
+      .flatMap(candidate => this.windowsAround(document, candidate.index));
+  }
+
+  /**
+   * Best window for a quote by substring edit distance → { window, score 0-1 }
+   */
+  bestMatch(quote, windows) {
+    let best = null;
+
+    for (const window of windows) {
+      const score = Math.round((1 - substringDistance(quote, window.text) / quote.length) * 1000) / 1000;
+      // Prefer the tightest window on ties (one line over the same line plus neighbours)
+      if (!best || score > best.score || (score === best.score && window.lines.length < best.window.lines.length)) {
+        best = { window, score };
+      }
+      if (score === 1 && window.lines.length === 1) break;
+    }
+
+    return best;
+  }
+
+  describeMatch(document, { window }) {
+    return {
+      document_name: document.name,
+      line_number: window.startLine,
+      end_line_number: window.endLine,
+      text: window.lines.map(line => line.text).join('\n')
+    };
+  }
+}
+
+export const evidenceService = new EvidenceService();
@@ -0,0 +1,357 @@
+/**
+ * FHIR Service
+ *
+ * Turns a FHIR R4 DocumentReference, or a transaction Bundle of Patient /
+ * Encounter / DocumentReference (/ Binary) resources, into charts and documents.
+ * Charts are keyed by the Encounter identifier; attachments must be inline
+ * base64 or point at a Binary in the same Bundle - remote URLs are not fetched.
+ */
+
+import { config } from '../config.js';
+import { ChartRepository } from '../db/chartRepository.js';
+import { ingestionService } from './ingestionService.js';
+
+// Extensions for generated filenames when the attachment has no title
+const MIME_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/tiff': '.tiff',
+  'image/webp': '.webp',
+  'text/plain': '.txt',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'text/html': '.html',
+  'application/rtf': '.rtf',
+  'text/rtf': '.rtf',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'text/csv': '.csv',
+  'application/xml': '.xml',
+  'text/xml': '.xml'
+};
+
+/**
+ * Request the FHIR endpoint can't accept
+ * status is the HTTP status, code the OperationOutcome issue type
+ */
+export class FHIRError extends Error {
+  constructor(message, status = 400, code = 'invalid') {
+    super(message);
+    this.name = 'FHIRError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class FHIRService {
+
+  /**
+   * Build an OperationOutcome with a single issue
+   */
+  operationOutcome(severity, code, diagnostics) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity, code, diagnostics }]
+    };
+  }
+
+  /**
+   * Index Bundle entries by fullUrl and by "Type/id" so references resolve either way
+   */
+  indexBundle(bundle) {
+    const index = new Map();
+
+    for (const entry of bundle.entry || []) {
+      const resource = entry?.resource;
+      if (!resource?.resourceType) continue;
+
+      if (entry.fullUrl) index.set(entry.fullUrl, resource);
+      if (resource.id) index.set(`${resource.resourceType}/${resource.id}`, resource);
+    }
+
+    return index;
+  }
+
+  /**
+   * Resolve a Reference against the Bundle index
+   * Absolute URLs ending in Type/id also match their relative form.
+   */
+  resolve(index, reference) {
+    const ref = reference?.reference;
+    if (!ref) return null;
+
+    if (index.has(ref)) return index.get(ref);
+
+    const relative = /([A-Za-z]+\/[A-Za-z0-9\-.]+)(\/_history\/.*)?$/.exec(ref);
+    return relative ? index.get(relative[1]) || null : null;
+  }
+
+  /**
+   * Pick an identifier value - a preferred type code (e.g. MR, VN) or use=official first
+   */
+  pickIdentifier(identifiers, typeCode = null) {
+    const list = Array.isArray(identifiers) ? identifiers.filter(i => i?.value) : [];
+
+    const byType = typeCode && list.find(i => i.type?.coding?.some(c => c.code === typeCode));
+    const official = list.find(i => i.use === 'official');
+
+    return (byType || official || list[0])?.value || null;
+  }
+
+  /**
+   * Readable text for a CodeableConcept
+   */
+  conceptText(concept) {
+    if (!concept) return '';
+    return concept.text || concept.coding?.find(c => c.display)?.display || concept.coding?.[0]?.code || '';
+  }
+
+  /**
+   * Display name for a Practitioner / Organization / Location (resolved or display-only reference)
+   */
+  referenceName(index, reference) {
+    if (!reference) return '';
+
+    const resource = this.resolve(index, reference);
+
+    if (resource?.resourceType === 'Practitioner') {
+      const name = resource.name?.[0];
+      if (name) {
+        return name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(' ');
+      }
+    }
+
+    return resource?.name || reference.display || '';
+  }
+
+  /**
+   * FHIR date/dateTime → 'YYYY-MM-DD'
+   */
+  toDate(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(value || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Map one DocumentReference to chart info using its Patient and Encounter
+   */
+  buildChartInfo(index, docRef) {
+    const encounterRef = docRef.context?.encounter?.[0];
+    const encounter = this.resolve(index, encounterRef);
+    const patient = this.resolve(index, docRef.subject) || this.resolve(index, encounter?.subject);
+
+    // Encounter identifier = chart number; a logical reference (identifier only) also works
+    const chartNumber = this.pickIdentifier(encounter?.identifier, 'VN') || encounterRef?.identifier?.value;
+
+    if (!chartNumber) {
+      throw new FHIRError(
+        `DocumentReference${docRef.id ? `/${docRef.id}` : ''} needs context.encounter with an Encounter identifier`,
+        422,
+        'required'
+      );
+    }
+
+    const mrn = this.pickIdentifier(patient?.identifier, 'MR') || docRef.subject?.identifier?.value || '';
+
+    const facility = this.referenceName(index, encounter?.serviceProvider)
+      || this.referenceName(index, encounter?.location?.[0]?.location);
+
+    const provider = this.referenceName(index, encounter?.participant?.[0]?.individual)
+      || this.referenceName(index, docRef.author?.[0]);
+
+    const specialty = this.conceptText(docRef.context?.practiceSetting)
+      || this.conceptText(encounter?.serviceType);
+
+    const dateOfService = this.toDate(encounter?.period?.start)
+      || this.toDate(docRef.context?.period?.start)
+      || this.toDate(docRef.date);
+
+    return { chartNumber, mrn, facility, specialty, provider, dateOfService };
+  }
+
+  /**
+   * Turn each attachment of a DocumentReference into document content
+   */
+  buildDocuments(index, docRef) {
+    const label = this.conceptText(docRef.type) || 'FHIR DocumentReference';
+    const documents = [];
+
+    (docRef.content || []).forEach((content, i) => {
+      const attachment = content?.attachment;
+      if (!attachment) return;
+
+      let data = attachment.data;
+      let contentType = attachment.contentType;
+
+      if (!data && attachment.url) {
+        const binary = this.resolve(index, { reference: attachment.url });
+
+        if (binary?.resourceType !== 'Binary') {
+          throw new FHIRError(
+            `Attachment url '${attachment.url}' must reference a Binary in this Bundle - remote attachments are not fetched`,
+            422,
+            'not-supported'
+          );
+        }
+
+        data = binary.data;
+        contentType = contentType || binary.contentType;
+      }
+
+      if (!data) {
+        throw new FHIRError(`DocumentReference attachment ${i + 1} has no data`, 422, 'required');
+      }
+
+      // FHIR allows parameters such as "text/plain; charset=utf-8"
+      const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+      if (!config.upload.allowedMimeTypes.includes(mimeType) || config.upload.archiveMimeTypes.includes(mimeType)) {
+        throw new FHIRError(
+          `Attachment content type '${contentType || '(none)'}' is not supported. Allowed: ${Object.keys(MIME_EXTENSIONS).join(', ')}`,
+          422,
+          'not-supported'
+        );
+      }
+
+      if (typeof data !== 'string' || !/^[A-Za-z0-9+/=\s]+$/.test(data)) {
+        throw new FHIRError(`DocumentReference attachment ${i + 1} data is not valid base64`, 422, 'invalid');
+      }
+
+      const buffer = Buffer.from(data, 'base64');
+
+      if (buffer.length === 0) {
+        throw new FHIRError(`DocumentReference attachment ${i + 1} is empty`, 422, 'invalid');
+      }
+      if (buffer.length > config.upload.maxFileSize) {
+        throw new FHIRError(`DocumentReference attachment ${i + 1} exceeds the ${config.upload.maxFileSize} byte limit`, 413, 'too-costly');
+      }
+
+      const baseName = attachment.title || `DocumentReference-${docRef.id || 'inline'}-${i + 1}`;
+      const ext = MIME_EXTENSIONS[mimeType] || '';
+      const originalName = (baseName.toLowerCase().endsWith(ext) ? baseName : `${baseName}${ext}`)
+        .replace(/[^\w.\- ]/g, '_');
+
+      documents.push({ content: buffer, originalName, mimeType, transactionLabel: label });
+    });
+
+    if (documents.length === 0) {
+      throw new FHIRError(`DocumentReference${docRef.id ? `/${docRef.id}` : ''} has no attachments`, 422, 'required');
+    }
+
+    return documents;
+  }
+
+  /**
+   * Validate the payload and group its documents by chart
+   * Everything is checked before anything is stored, so a bad entry rejects the whole request.
+   * Returns [{ chartInfo, documents, documentReferences: [DocumentReference] }]
+   */
+  resolvePayload(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new FHIRError('Request body must be a FHIR JSON resource');
+    }
+
+    let index;
+    let docRefs;
+
+    if (payload.resourceType === 'DocumentReference') {
+      index = new Map();
+      docRefs = [payload];
+    } else if (payload.resourceType === 'Bundle') {
+      if (payload.type !== 'transaction') {
+        throw new FHIRError(`Bundle.type must be 'transaction' (got '${payload.type}')`, 422, 'not-supported');
+      }
+
+      index = this.indexBundle(payload);
+      docRefs = (payload.entry || [])
+        .map(entry => entry?.resource)
+        .filter(resource => resource?.resourceType === 'DocumentReference');
+    } else {
+      throw new FHIRError(
+        `Unsupported resourceType '${payload.resourceType}'. Send a DocumentReference or a transaction Bundle`,
+        422,
+        'not-supported'
+      );
+    }
+
+    // entered-in-error references were never valid documents
+    docRefs = docRefs.filter(docRef => docRef.status !== 'entered-in-error');
+
+    if (docRefs.length === 0) {
+      throw new FHIRError('No current DocumentReference resources to ingest', 422, 'required');
+    }
+
+    const groups = new Map(); // chartNumber -> group
+
+    for (const docRef of docRefs) {
+      const chartInfo = this.buildChartInfo(index, docRef);
+      const documents = this.buildDocuments(index, docRef);
+
+      if (!groups.has(chartInfo.chartNumber)) {
+        groups.set(chartInfo.chartNumber, { chartInfo, documents: [], documentReferences: [] });
+      }
+
+      const group = groups.get(chartInfo.chartNumber);
+      group.documents.push(...documents);
+      group.documentReferences.push(docRef);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Ingest a DocumentReference or transaction Bundle
+   * Facility access, and whether an existing chart can take new documents, is checked
+   * for every chart before any is queued. Existing charts are re-coded over all their documents.
+   * Returns [{ chartNumber, status, reprocess, jobId, documents, duplicates, documentReferences }]
+   */
+  async ingest(payload, req) {
+    const groups = this.resolvePayload(payload);
+
+    for (const { chartInfo } of groups) {
+      const existingChart = await ChartRepository.getByChartNumber(chartInfo.chartNumber);
+      const access = ingestionService.checkFacilityAccess(req.user, chartInfo, existingChart);
+
+      if (!access.allowed) {
+        throw new FHIRError(`Facility '${access.facility || ''}' is not permitted for this caller`, 403, 'forbidden');
+      }
+
+      const conflict = existingChart && ingestionService.appendConflict(existingChart);
+
+      if (conflict) {
+        throw new FHIRError(`Chart ${chartInfo.chartNumber}: ${conflict}`, 409, 'conflict');
+      }
+    }
+
+    const results = [];
+
+    for (const group of groups) {
+      const result = await ingestionService.ingest({
+        chartInfo: group.chartInfo,
+        documentType: 'fhir',
+        documents: group.documents,
+        req,
+        source: 'fhir:DocumentReference'
+      });
+
+      // Only if the chart changed after the checks above
+      if (result.status === 'conflict') {
+        throw new FHIRError(`Chart ${group.chartInfo.chartNumber}: ${result.error}`, 409, 'conflict');
+      }
+
+      results.push({
+        chartNumber: group.chartInfo.chartNumber,
+        status: result.status,
+        reprocess: result.reprocess === true,
+        jobId: result.job?.job_id || null,
+        documents: result.documents,
+        duplicates: result.duplicates,
+        documentReferences: group.documentReferences
+      });
+    }
+
+    return results;
+  }
+}
+
+export const fhirService = new FHIRService();
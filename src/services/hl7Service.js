@@ -0,0 +1,429 @@
+/**
+ * HL7 v2 Service
+ *
+ * Parses MDM^T02 (transcribed notes) and ORU^R01 (results) messages from the
+ * interface engine into chart info plus a plain-text document, and builds the
+ * ACK/NAK responses. Only the segments we need are interpreted:
+ * MSH, PID, PV1, TXA, OBR, OBX.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ingestionService } from './ingestionService.js';
+
+export const SUPPORTED_MESSAGE_TYPES = ['MDM^T02', 'ORU^R01'];
+
+// OBX-2 value types whose OBX-5 is narrative text
+const TEXT_VALUE_TYPES = ['TX', 'FT', 'ST'];
+
+// HL7 table 0357 (message error condition codes) - the ones we send in ERR-3
+const ERROR_CODES = {
+  '101': 'Required field missing',
+  '200': 'Unsupported message type',
+  '207': 'Application internal error'
+};
+
+/**
+ * Parse/validation failure
+ * ackCode is the MSA-1 code to answer with: AE = application error (message is bad),
+ * AR = application reject (we won't take it). errorCode goes to ERR-3 (table 0357).
+ */
+export class HL7Error extends Error {
+  constructor(message, ackCode = 'AE', errorCode = '207') {
+    super(message);
+    this.name = 'HL7Error';
+    this.ackCode = ackCode;
+    this.errorCode = errorCode;
+  }
+}
+
+class HL7Service {
+
+  /**
+   * Split a raw message into segments/fields using the separators declared in MSH
+   * Fields are stored with HL7 numbering: fields[1] is MSH-1 / PID-1 and so on.
+   */
+  parse(raw) {
+    const text = String(raw || '').replace(/^\uFEFF/, '').trim();
+
+    if (!text.startsWith('MSH')) {
+      throw new HL7Error('Message must start with an MSH segment');
+    }
+
+    const fieldSep = text[3];
+    const encoding = {
+      field: fieldSep,
+      component: text[4] || '^',
+      repetition: text[5] || '~',
+      escape: text[6] || '\\',
+      subcomponent: text[7] || '&'
+    };
+
+    const segments = text
+      .split(/\r\n|\r|\n/)
+      .filter(line => line.trim())
+      .map(line => {
+        const parts = line.split(fieldSep);
+        const name = parts[0];
+
+        // MSH-1 is the field separator itself, so MSH fields shift by one
+        const fields = name === 'MSH'
+          ? [name, fieldSep, ...parts.slice(1)]
+          : parts;
+
+        return { name, fields };
+      });
+
+    return { encoding, segments };
+  }
+
+  /**
+   * Read one value: segment field → repetition → component → subcomponent (1-based)
+   */
+  getValue(message, segment, field, { repetition = 0, component = 1, subcomponent = 1 } = {}) {
+    if (!segment) return '';
+
+    const { encoding } = message;
+    const raw = segment.fields[field];
+    if (!raw) return '';
+
+    // MSH-2 holds the encoding characters and is never split
+    if (segment.name === 'MSH' && field <= 2) return raw;
+
+    const rep = raw.split(encoding.repetition)[repetition] || '';
+    const comp = rep.split(encoding.component)[component - 1] || '';
+    const sub = comp.split(encoding.subcomponent)[subcomponent - 1] || '';
+
+    return this.unescape(message, sub).trim();
+  }
+
+  /**
+   * All repetitions of a field, unescaped (components kept together)
+   */
+  getRepetitions(message, segment, field) {
+    const raw = segment?.fields[field];
+    if (!raw) return [];
+
+    return raw
+      .split(message.encoding.repetition)
+      .map(rep => this.unescape(message, rep));
+  }
+
+  /**
+   * Resolve HL7 escape sequences (\F\ \S\ \T\ \R\ \E\ \.br\ \Xhh\)
+   */
+  unescape(message, value) {
+    const { encoding } = message;
+    const esc = encoding.escape;
+    if (!value || !value.includes(esc)) return value;
+
+    const e = esc.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`${e}([^${e}]*)${e}`, 'g');
+
+    return value.replace(pattern, (match, seq) => {
+      switch (seq) {
+        case 'F': return encoding.field;
+        case 'S': return encoding.component;
+        case 'T': return encoding.subcomponent;
+        case 'R': return encoding.repetition;
+        case 'E': return esc;
+        case '.br': return '\n';
+        default:
+          if (/^X[0-9A-Fa-f]+$/.test(seq)) {
+            return Buffer.from(seq.slice(1), 'hex').toString('latin1');
+          }
+          // Formatting commands (\H\, \N\, \.sp\ ...) carry no text
+          return '';
+      }
+    });
+  }
+
+  /**
+   * HL7 DTM (YYYYMMDD[HHMM[SS]]) → 'YYYY-MM-DD'
+   */
+  toDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  /**
+   * XCN (id^family^given^middle^suffix^prefix^degree) → "Dr Given Family, MD"
+   */
+  formatPerson(message, segment, field) {
+    const get = (component) => this.getValue(message, segment, field, { component });
+    const name = [get(6), get(3), get(4), get(2)].filter(Boolean).join(' ');
+    const degree = get(7);
+
+    if (!name) return get(1);
+    return degree ? `${name}, ${degree}` : name;
+  }
+
+  /**
+   * Parse and map a message to chart info and a text document
+   * Throws HL7Error for messages we can't or won't ingest.
+   */
+  extract(raw) {
+    const message = this.parse(raw);
+    const find = (name) => message.segments.find(s => s.name === name);
+    const findAll = (name) => message.segments.filter(s => s.name === name);
+
+    const msh = find('MSH');
+    const pid = find('PID');
+    const pv1 = find('PV1');
+    const txa = find('TXA');
+    const obr = find('OBR');
+
+    const header = {
+      sendingApplication: this.getValue(message, msh, 3),
+      sendingFacility: this.getValue(message, msh, 4),
+      receivingApplication: this.getValue(message, msh, 5),
+      receivingFacility: this.getValue(message, msh, 6),
+      messageType: [this.getValue(message, msh, 9), this.getValue(message, msh, 9, { component: 2 })].join('^'),
+      controlId: this.getValue(message, msh, 10),
+      processingId: this.getValue(message, msh, 11),
+      version: this.getValue(message, msh, 12)
+    };
+
+    // Keep the parsed header so a NAK can still echo MSH-10 etc.
+    const fail = (error, ackCode, errorCode) => {
+      const err = new HL7Error(error, ackCode, errorCode);
+      err.header = header;
+      throw err;
+    };
+
+    if (!header.controlId) fail('MSH-10 (message control ID) is required', 'AE', '101');
+    if (!SUPPORTED_MESSAGE_TYPES.includes(header.messageType)) {
+      fail(`Unsupported message type ${header.messageType}. Supported: ${SUPPORTED_MESSAGE_TYPES.join(', ')}`, 'AR', '200');
+    }
+    if (!pid) fail('PID segment is required', 'AE', '101');
+
+    const mrn = this.getValue(message, pid, 3);
+    if (!mrn) fail('PID-3 (patient identifier) is required', 'AE', '101');
+
+    // Facility: PV1-3.4 (assigned location facility), else PV1-39 (servicing facility)
+    const facility = this.getValue(message, pv1, 3, { component: 4 }) || this.getValue(message, pv1, 39);
+
+    const dateOfService = this.toDate(this.getValue(message, pv1, 44))
+      || this.toDate(this.getValue(message, txa, 4))
+      || this.toDate(this.getValue(message, obr, 7));
+
+    const chartInfo = {
+      // PV1-19 visit number = the encounter; without one each message is its own chart
+      chartNumber: this.getValue(message, pv1, 19) || `HL7-${header.controlId}`,
+      mrn,
+      facility,
+      specialty: this.getValue(message, pv1, 10),
+      provider: this.formatPerson(message, pv1, 7) || this.formatPerson(message, txa, 5),
+      dateOfService
+    };
+
+    const text = header.messageType === 'MDM^T02'
+      ? this.formatNote(message, txa, findAll('OBX'))
+      : this.formatResults(message);
+
+    if (!text.trim()) fail('Message contains no OBX text to ingest', 'AE', '101');
+
+    const documentNumber = this.getValue(message, txa, 12) || header.controlId;
+    const documentLabel = this.getValue(message, txa, 2) || (header.messageType === 'ORU^R01' ? 'Results' : 'Note');
+
+    return {
+      header,
+      chartInfo,
+      document: {
+        content: text,
+        originalName: `${header.messageType.replace('^', '_')}_${documentNumber}.txt`.replace(/[^\w.-]/g, '_'),
+        mimeType: 'text/plain',
+        transactionLabel: `HL7 ${header.messageType} - ${documentLabel}`
+      }
+    };
+  }
+
+  /**
+   * MDM^T02: TXA header followed by the note body from OBX-5
+   */
+  formatNote(message, txa, observations) {
+    const lines = [];
+    const documentType = this.getValue(message, txa, 2);
+    const activityDate = this.toDate(this.getValue(message, txa, 4));
+    const status = this.getValue(message, txa, 17);
+
+    if (documentType) lines.push(`Document Type: ${documentType}`);
+    if (activityDate) lines.push(`Date: ${activityDate}`);
+    if (status) lines.push(`Status: ${status}`);
+    if (lines.length > 0) lines.push('');
+
+    for (const obx of observations) {
+      lines.push(...this.formatObservation(message, obx));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * ORU^R01: each OBR as a heading with its OBX results underneath
+   */
+  formatResults(message) {
+    const lines = [];
+
+    for (const segment of message.segments) {
+      if (segment.name === 'OBR') {
+        const service = this.getValue(message, segment, 4, { component: 2 }) || this.getValue(message, segment, 4);
+        const observed = this.toDate(this.getValue(message, segment, 7));
+
+        if (lines.length > 0) lines.push('');
+        lines.push(observed ? `${service} (${observed})` : service);
+      } else if (segment.name === 'OBX') {
+        lines.push(...this.formatObservation(message, segment));
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One OBX as text lines - narrative as-is, discrete results as "label: value units (range) flag"
+   */
+  formatObservation(message, obx) {
+    const valueType = this.getValue(message, obx, 2);
+
+    if (valueType === 'ED' || valueType === 'RP') {
+      console.warn(`⚠️ HL7: skipping OBX with non-text value type ${valueType}`);
+      return [];
+    }
+
+    const values = this.getRepetitions(message, obx, 5)
+      .map(value => this.formatValue(message, valueType, value))
+      .filter(value => value.trim());
+
+    if (TEXT_VALUE_TYPES.includes(valueType) && valueType !== 'ST') {
+      return values;
+    }
+
+    const label = this.getValue(message, obx, 3, { component: 2 }) || this.getValue(message, obx, 3);
+    const units = this.getValue(message, obx, 6);
+    const range = this.getValue(message, obx, 7);
+    const flag = this.getValue(message, obx, 8);
+
+    const value = [values.join(', '), units].filter(Boolean).join(' ');
+    let line = label ? `${label}: ${value}` : value;
+    if (range) line += ` (ref ${range})`;
+    if (flag && flag !== 'N') line += ` [${flag}]`;
+
+    return line.trim() ? [line] : [];
+  }
+
+  /**
+   * Readable text for one OBX-5 repetition
+   * CE/CWE/CNE → display text (code if none), SN → "<5" / "1:2", others → components joined
+   */
+  formatValue(message, valueType, value) {
+    if (TEXT_VALUE_TYPES.includes(valueType)) return value;
+
+    const components = value.split(message.encoding.component);
+
+    if (['CE', 'CWE', 'CNE'].includes(valueType)) return components[1] || components[0] || '';
+    if (valueType === 'SN') return components.join('');
+    return components.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Ingest one raw message and build the ACK to send back
+   * req: request (or request-like context for MLLP) whose user is checked and audited
+   * Never throws - failures become AE/AR NAKs.
+   * Returns { ack, ackCode, chartNumber, jobId, error }
+   */
+  async processMessage(raw, req) {
+    let extracted;
+
+    try {
+      extracted = this.extract(raw);
+    } catch (error) {
+      if (!(error instanceof HL7Error)) throw error;
+      console.warn(`⚠️ HL7 message rejected (${error.ackCode}): ${error.message}`);
+      return this.nak(error.header, error.ackCode, error.message, error.errorCode);
+    }
+
+    const { header, chartInfo, document } = extracted;
+
+    try {
+      const result = await ingestionService.ingest({
+        chartInfo,
+        documentType: 'hl7',
+        documents: [document],
+        req,
+        source: `hl7:${header.messageType}`
+      });
+
+      if (result.status === 'forbidden') {
+        console.warn(`🚫 HL7 ${header.controlId}: facility '${result.facility || ''}' not allowed for ${req.user?.userId}`);
+        return this.nak(header, 'AR', `Facility '${result.facility || ''}' is not permitted for this sender`);
+      }
+
+      // Chart is still processing or locked for submission - AE so the engine retries later
+      if (result.status === 'conflict') {
+        console.warn(`⏳ HL7 ${header.controlId}: ${result.error}`);
+        return this.nak(header, 'AE', result.error);
+      }
+
+      // A resend of a message we already have is still a successful delivery
+      console.log(`📨 HL7 ${header.messageType} ${header.controlId} → chart ${chartInfo.chartNumber} (${result.status})`);
+
+      return {
+        ack: this.buildAck(header, 'AA'),
+        ackCode: 'AA',
+        chartNumber: chartInfo.chartNumber,
+        jobId: result.job?.job_id || null,
+        error: null
+      };
+    } catch (error) {
+      console.error(`❌ HL7 ${header.controlId} ingestion error:`, error);
+      return this.nak(header, 'AE', error.message);
+    }
+  }
+
+  /**
+   * processMessage result for a rejected message
+   */
+  nak(header, ackCode, message, errorCode = '207') {
+    return {
+      ack: this.buildAck(header, ackCode, message, errorCode),
+      ackCode,
+      chartNumber: null,
+      jobId: null,
+      error: message
+    };
+  }
+
+  /**
+   * Build an ACK for a received message
+   * ackCode: AA accept, AE error, AR reject; errorCode is the ERR-3 code for a NAK
+   */
+  buildAck(header = {}, ackCode = 'AA', errorMessage = null, errorCode = '207') {
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const clean = (value) => String(value || '').replace(/[|^~\\&\r\n]/g, ' ');
+    const [, trigger = ''] = (header.messageType || '').split('^');
+
+    const segments = [
+      [
+        'MSH', '^~\\&',
+        clean(header.receivingApplication) || 'MEDCODE', clean(header.receivingFacility),
+        clean(header.sendingApplication), clean(header.sendingFacility),
+        timestamp, '',
+        `ACK^${clean(trigger)}^ACK`,
+        uuidv4().replace(/-/g, '').substring(0, 20),
+        clean(header.processingId) || 'P',
+        clean(header.version) || '2.5'
+      ].join('|'),
+      ['MSA', ackCode, clean(header.controlId), clean(errorMessage)].join('|').replace(/\|+$/, '')
+    ];
+
+    if (ackCode !== 'AA' && errorMessage) {
+      // ERR-3 error code, ERR-4 severity (E = error), ERR-8 user message
+      const code = `${errorCode}^${ERROR_CODES[errorCode] || ''}^HL70357`;
+      segments.push(['ERR', '', '', code, 'E', '', '', '', clean(errorMessage)].join('|'));
+    }
+
+    return segments.join('\r') + '\r';
+  }
+}
+
+export const hl7Service = new HL7Service();
@@ -0,0 +1,268 @@
+/**
+ * Ingestion Service
+ *
+ * Shared "chart + documents + processing job" flow. POST /api/documents/process
+ * handles multipart files itself; interface feeds (HL7, FHIR, ...) that deliver
+ * document content in the message body go through ingest() so they end up with
+ * the same chart, document and queue records.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
+import { QueueService } from '../db/queueService.js';
+import { s3Service } from './s3Service.js';
+import { auditService } from './auditService.js';
+import { canAccessFacility } from '../middleware/permissions.js';
+import { hashBuffer } from '../utils/contentHash.js';
+
+class IngestionService {
+
+  /**
+   * Look for exact duplicates of incoming content
+   * items: [{ contentHash, originalName }]
+   * - repeated within this batch, or already on the chart → skipped (unless allowDuplicates)
+   * - on another chart for the same MRN → stored with a warning; OCR text is reused
+   * Returns one entry per item: { contentHash, skip, duplicate }
+   */
+  async checkDuplicates(items, { chartId = null, mrn = null, allowDuplicates = false } = {}) {
+    const seenInBatch = new Map(); // contentHash -> item index
+    const checks = [];
+
+    for (let i = 0; i < items.length; i++) {
+      const { contentHash } = items[i];
+      const check = { contentHash, skip: false, duplicate: null };
+
+      if (seenInBatch.has(contentHash)) {
+        check.skip = true;
+        check.duplicate = { scope: 'upload', filename: items[seenInBatch.get(contentHash)].originalName };
+      } else {
+        seenInBatch.set(contentHash, i);
+
+        const match = await DocumentRepository.findByContentHash(contentHash, { chartId, mrn });
+
+        if (match) {
+          const scope = match.chart_id === chartId ? 'chart' : 'mrn';
+          check.skip = scope === 'chart' && !allowDuplicates;
+          check.duplicate = {
+            scope,
+            documentId: match.id,
+            chartNumber: match.chart_number,
+            filename: match.original_name
+          };
+        }
+      }
+
+      if (check.duplicate) {
+        console.log(`   ♊ ${items[i].originalName} duplicates ${check.duplicate.filename} (${check.duplicate.scope})${check.skip ? ' - skipped' : ''}`);
+      }
+
+      checks.push(check);
+    }
+
+    return checks;
+  }
+
+  /**
+   * Shape duplicate checks for API responses
+   */
+  summarizeDuplicates(items, checks) {
+    return checks
+      .map((check, i) => check.duplicate ? {
+        filename: items[i].originalName,
+        action: check.skip ? 'skipped' : 'stored',
+        scope: check.duplicate.scope,
+        duplicateOf: {
+          documentId: check.duplicate.documentId || null,
+          chartNumber: check.duplicate.chartNumber || null,
+          filename: check.duplicate.filename
+        }
+      } : null)
+      .filter(Boolean);
+  }
+
+  /**
+   * Document entry as carried in processing_queue.job_data
+   * duplicateOf: the worker copies that document's text instead of running OCR again
+   */
+  toJobDocument(docRecord, duplicateOf = docRecord.duplicate_of || null) {
+    return {
+      documentId: docRecord.id,
+      documentType: docRecord.document_type,
+      originalName: docRecord.original_name,
+      mimeType: docRecord.mime_type,
+      fileSize: docRecord.file_size,
+      s3Key: docRecord.s3_key,
+      s3Url: docRecord.s3_url,
+      transactionId: docRecord.transaction_id,
+      transactionLabel: docRecord.transaction_label,
+      isGroupMember: docRecord.is_group_member,
+      transactionPosition: docRecord.transaction_position,
+      duplicateOf
+    };
+  }
+
+  /**
+   * Facility-restricted callers may only feed their facilities (same rule as POST /process)
+   * Both the incoming facility and an existing chart's facility must be allowed.
+   * Returns { allowed, facility } - facility is the one that was denied
+   */
+  checkFacilityAccess(user, chartInfo, existingChart = null) {
+    const targetFacilities = [chartInfo.facility, existingChart?.facility].filter(Boolean);
+    const deniedFacility = targetFacilities.find(f => !canAccessFacility(user, f));
+
+    if (deniedFacility || (targetFacilities.length === 0 && !canAccessFacility(user, null))) {
+      return { allowed: false, facility: deniedFacility || null };
+    }
+
+    return { allowed: true, facility: null };
+  }
+
+  /**
+   * Why documents can't be added to an existing chart right now, or null if they can
+   * A job that is still pending would code without the new documents, and charts
+   * out for submission or QA are locked.
+   */
+  appendConflict(chart) {
+    if (!['ready', 'failed'].includes(chart.ai_status)) {
+      return `Chart is currently '${chart.ai_status}'. Wait for processing to finish before adding documents.`;
+    }
+
+    if (['submitted', 'qa_pending'].includes(chart.review_status)) {
+      return `Cannot add documents to a chart with review status '${chart.review_status}'`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the chart (or add to an existing one), store in-memory documents and queue a processing job
+   *
+   * chartInfo: { chartNumber, mrn, facility, specialty, dateOfService, provider }
+   * documents: [{ content: Buffer|string, originalName, mimeType, transactionLabel? }]
+   * req: the request (or request-like { user, ip, headers }) used for the audit entry
+   * source: where the content came from, recorded on the job and in the audit log
+   *
+   * An existing chart follows the same rules as POST /api/charts/:chartNumber/documents:
+   * it must pass appendConflict() and is re-coded over all of its documents.
+   *
+   * Returns { status: 'queued' | 'duplicate' | 'forbidden' | 'conflict', reprocess, chart, job, documents, duplicates }
+   * (conflict also carries error)
+   */
+  async ingest({ chartInfo, documentType, documents, req, source }) {
+    const { chartNumber } = chartInfo;
+
+    const items = documents.map(doc => {
+      const buffer = Buffer.isBuffer(doc.content) ? doc.content : Buffer.from(doc.content, 'utf8');
+      return { ...doc, buffer, contentHash: hashBuffer(buffer) };
+    });
+
+    const existingChart = await ChartRepository.getByChartNumber(chartNumber);
+    const access = this.checkFacilityAccess(req.user, chartInfo, existingChart);
+
+    if (!access.allowed) {
+      return { status: 'forbidden', facility: access.facility, chart: null, job: null, documents: [], duplicates: [] };
+    }
+
+    const conflict = existingChart && this.appendConflict(existingChart);
+
+    if (conflict) {
+      return { status: 'conflict', error: conflict, chart: existingChart, job: null, documents: [], duplicates: [] };
+    }
+
+    const checks = await this.checkDuplicates(items, {
+      chartId: existingChart?.id || null,
+      mrn: chartInfo.mrn || existingChart?.mrn || null
+    });
+    const duplicates = this.summarizeDuplicates(items, checks);
+    const newItems = items
+      .map((item, i) => ({ ...item, duplicateOf: checks[i].duplicate?.documentId || null }))
+      .filter((item, i) => !checks[i].skip);
+
+    if (newItems.length === 0) {
+      return { status: 'duplicate', chart: existingChart || null, job: null, documents: [], duplicates };
+    }
+
+    // Store everything before touching the chart, so a failed upload leaves no queued chart without a job
+    const stored = [];
+
+    for (const item of newItems) {
+      const s3Result = await s3Service.uploadBuffer(item.buffer, chartNumber, documentType, item.originalName, item.mimeType);
+
+      if (!s3Result.success) {
+        await Promise.all(stored.map(s => s3Service.deleteFile(s.s3Result.key)));
+        throw new Error(`Failed to store ${item.originalName}: ${s3Result.error}`);
+      }
+
+      stored.push({ item, s3Result });
+    }
+
+    const chart = existingChart || await ChartRepository.createQueued({
+      chartNumber,
+      mrn: chartInfo.mrn || '',
+      facility: chartInfo.facility || '',
+      specialty: chartInfo.specialty || '',
+      dateOfService: chartInfo.dateOfService || null,
+      provider: chartInfo.provider || '',
+      documentCount: newItems.length
+    });
+
+    const jobDocuments = [];
+
+    for (const { item, s3Result } of stored) {
+      const docRecord = await DocumentRepository.create(chart.id, {
+        documentType: documentType || 'unknown',
+        filename: item.originalName,
+        originalName: item.originalName,
+        fileSize: item.buffer.length,
+        mimeType: item.mimeType,
+        s3Key: s3Result.key,
+        s3Url: s3Result.url,
+        s3Bucket: s3Result.bucket,
+        transactionId: `txn_${uuidv4().substring(0, 8)}`,
+        transactionLabel: item.transactionLabel || source,
+        isGroupMember: false,
+        contentHash: item.contentHash,
+        duplicateOf: item.duplicateOf
+      });
+
+      jobDocuments.push(this.toJobDocument(docRecord));
+    }
+
+    const reprocess = Boolean(existingChart);
+    const queuedChart = reprocess ? await ChartRepository.queueReprocess(chartNumber, jobDocuments.length) : chart;
+
+    // reprocess: the worker codes over every document on the chart, not just these
+    const job = await QueueService.addJob(queuedChart.id, chartNumber, {
+      chartId: queuedChart.id,
+      chartNumber,
+      chartInfo: reprocess ? {
+        mrn: queuedChart.mrn,
+        chartNumber,
+        facility: queuedChart.facility,
+        specialty: queuedChart.specialty,
+        dateOfService: queuedChart.date_of_service,
+        provider: queuedChart.provider
+      } : chartInfo,
+      documentType,
+      documents: jobDocuments,
+      source,
+      reprocess
+    });
+
+    await auditService.log(req, reprocess ? 'document.append' : 'document.upload', {
+      chartNumber,
+      details: {
+        jobId: job.job_id,
+        documentIds: jobDocuments.map(d => d.documentId),
+        fileCount: jobDocuments.length,
+        source
+      }
+    });
+
+    console.log(`📥 ${source}: ${jobDocuments.length} document(s) ${reprocess ? 'added to' : 'queued for'} chart ${chartNumber} (job ${job.job_id})`);
+
+    return { status: 'queued', reprocess, chart: queuedChart, job, documents: jobDocuments, duplicates };
+  }
+}
+
+export const ingestionService = new IngestionService();
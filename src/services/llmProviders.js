@@ -0,0 +1,212 @@
+/**
+ * LLM Providers
+ *
+ * Each provider runs one chat completion for the AI service. Which provider and
+ * model a chart uses is decided per facility / specialty (see config.ai).
+ *
+ * Provider shape:
+ *   name                  - recorded in ai_metadata.provider
+ *   defaultModel          - model used when the selection names none
+ *   isConfigured()        - credentials / endpoint present
+ *   complete(request)     - resolves to { content, usage }, throws LLMProviderError
+ *
+ * request is { model, messages, maxTokens, temperature, json, purpose } where purpose
+ * ('coding' | 'reconcile' | 'summary') only matters to the mock. usage follows the
+ * OpenAI shape: { prompt_tokens, completion_tokens, total_tokens }.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI, { AzureOpenAI } from 'openai';
+import { config } from '../config.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Provider failure (not configured, or the API call failed)
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { provider = null, status = null } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OPENAI API (and anything speaking it)
+// ═══════════════════════════════════════════════════════════════
+
+class ChatCompletionsProvider {
+  constructor(name) {
+    this.name = name;
+    this.client = null; // created on first use so unconfigured providers never throw at startup
+  }
+
+  // Request field carrying the output token limit
+  get maxTokensParam() {
+    return 'max_completion_tokens';
+  }
+
+  async complete({ model, messages, maxTokens, temperature = 0.1, json = true }) {
+    if (!this.isConfigured()) {
+      throw new LLMProviderError(`LLM provider '${this.name}' is not configured`, { provider: this.name });
+    }
+
+    this.client = this.client || this.createClient();
+
+    try {
+      const response = await this.client.chat.completions.create({
+        model,
+        messages,
+        [this.maxTokensParam]: maxTokens,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      return {
+        content: response.choices[0]?.message?.content || null,
+        usage: response.usage || null
+      };
+    } catch (error) {
+      throw new LLMProviderError(`${this.name}: ${error.message}`, {
+        provider: this.name,
+        status: error.status || null
+      });
+    }
+  }
+}
+
+export class OpenAIProvider extends ChatCompletionsProvider {
+  constructor() {
+    super('openai');
+  }
+
+  get defaultModel() {
+    return config.ai.model;
+  }
+
+  isConfigured() {
+    return Boolean(config.ai.apiKey);
+  }
+
+  createClient() {
+    return new OpenAI({
+      apiKey: config.ai.apiKey,
+      timeout: config.ai.requestTimeoutMs
+    });
+  }
+}
+
+export class AzureOpenAIProvider extends ChatCompletionsProvider {
+  constructor() {
+    super('azure');
+  }
+
+  get defaultModel() {
+    return config.ai.azure.deployment || null;
+  }
+
+  isConfigured() {
+    return Boolean(config.ai.azure.endpoint && config.ai.azure.apiKey);
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      endpoint: config.ai.azure.endpoint,
+      apiKey: config.ai.azure.apiKey,
+      apiVersion: config.ai.azure.apiVersion,
+      timeout: config.ai.requestTimeoutMs
+    });
+  }
+}
+
+/**
+ * vLLM, Ollama and other servers exposing /v1/chat/completions
+ */
+export class OpenAICompatibleProvider extends ChatCompletionsProvider {
+  constructor() {
+    super('openai_compatible');
+  }
+
+  // Local servers implement the older max_tokens field
+  get maxTokensParam() {
+    return 'max_tokens';
+  }
+
+  get defaultModel() {
+    return config.ai.compatible.model || null;
+  }
+
+  isConfigured() {
+    return Boolean(config.ai.compatible.baseUrl);
+  }
+
+  createClient() {
+    return new OpenAI({
+      baseURL: config.ai.compatible.baseUrl,
+      apiKey: config.ai.compatible.apiKey,
+      timeout: config.ai.requestTimeoutMs
+    });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MOCK (offline, deterministic)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Returns fixture JSON for every request so the upload → worker → chart
+ * pipeline runs without a model. Same input, same output, same usage.
+ */
+export class MockLLMProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock-fixture';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  fixturePath(purpose) {
+    if (purpose === 'summary') {
+      return config.ai.mock.summaryFixture || path.join(FIXTURE_DIR, 'mock-summary.json');
+    }
+    return config.ai.mock.codingFixture || path.join(FIXTURE_DIR, 'mock-coding.json');
+  }
+
+  async complete({ messages, purpose = 'coding' }) {
+    const fixturePath = this.fixturePath(purpose);
+
+    let content;
+    try {
+      // Read on every call so fixtures can be swapped between test cases
+      content = JSON.stringify(JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+    } catch (error) {
+      throw new LLMProviderError(`mock: cannot load fixture ${fixturePath}: ${error.message}`, { provider: this.name });
+    }
+
+    // Rough 4-characters-per-token estimate, enough for usage reporting
+    const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+export const LLM_PROVIDERS = {
+  openai: new OpenAIProvider(),
+  azure: new AzureOpenAIProvider(),
+  openai_compatible: new OpenAICompatibleProvider(),
+  mock: new MockLLMProvider()
+};
@@ -0,0 +1,154 @@
+/**
+ * MLLP Listener
+ *
+ * Minimal Lower Layer Protocol server so the interface engine can push HL7 v2
+ * over TCP instead of HTTP. Each frame is <VT> message <FS><CR>; every message
+ * gets an ACK frame back on the same connection. Started from index.js only
+ * when HL7_MLLP_PORT and HL7_MLLP_FACILITIES are set.
+ */
+
+import net from 'net';
+import { config } from '../config.js';
+import { API_KEY_ROLE } from '../middleware/auth.js';
+import { hl7Service } from './hl7Service.js';
+
+const START_BLOCK = 0x0b;
+const END_BLOCK = 0x1c;
+const CARRIAGE_RETURN = 0x0d;
+
+// MLLP carries no credentials - messages are attributed to this context, limited to HL7_MLLP_FACILITIES
+const MLLP_USER = {
+  id: null,
+  userId: 'hl7:mllp',
+  name: 'HL7 MLLP listener',
+  role: API_KEY_ROLE,
+  scopes: ['documents:upload']
+};
+
+class MLLPServer {
+  constructor() {
+    this.server = null;
+  }
+
+  /**
+   * Start listening (no-op unless a port is configured)
+   * Refuses to start without HL7_MLLP_FACILITIES - an unauthenticated listener is never unrestricted.
+   */
+  start() {
+    const { mllpPort, mllpHost, mllpFacilities } = config.hl7;
+    if (!mllpPort || this.server) return null;
+
+    if (mllpFacilities.length === 0) {
+      console.error('❌ HL7 MLLP listener not started: set HL7_MLLP_FACILITIES to the facilities it may feed');
+      return null;
+    }
+
+    this.server = net.createServer(socket => this._handleConnection(socket));
+
+    this.server.on('error', (error) => {
+      console.error('❌ MLLP listener error:', error.message);
+    });
+
+    this.server.listen(mllpPort, mllpHost, () => {
+      console.log(`🏥 HL7 MLLP: ${mllpHost}:${mllpPort}`);
+    });
+
+    return this.server;
+  }
+
+  /**
+   * Stop accepting connections
+   */
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+  }
+
+  /**
+   * Buffer incoming bytes and handle each complete frame in order
+   */
+  _handleConnection(socket) {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    console.log(`🔌 MLLP connection from ${remote}`);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let frame;
+      while ((frame = this._nextFrame(buffer)) !== null) {
+        buffer = buffer.subarray(frame.end);
+        const message = frame.message;
+
+        // ACKs must go back in the order messages arrived
+        queue = queue.then(() => this._handleMessage(socket, message));
+      }
+
+      if (buffer.length > config.hl7.maxMessageSize) {
+        console.error(`❌ MLLP frame from ${remote} exceeds ${config.hl7.maxMessageSize} bytes - closing`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ MLLP socket error (${remote}):`, error.message);
+    });
+
+    socket.on('close', () => {
+      console.log(`🔌 MLLP connection closed: ${remote}`);
+    });
+  }
+
+  /**
+   * Pull the next complete frame out of the buffer
+   * Returns { message, end } or null if no full frame has arrived yet
+   */
+  _nextFrame(buffer) {
+    const start = buffer.indexOf(START_BLOCK);
+    if (start === -1) return null;
+
+    const end = buffer.indexOf(END_BLOCK, start + 1);
+    if (end === -1) return null;
+
+    // <FS> should be followed by <CR>; tolerate senders that omit it
+    const frameEnd = buffer[end + 1] === CARRIAGE_RETURN ? end + 2 : end + 1;
+
+    return {
+      message: buffer.subarray(start + 1, end).toString('utf8'),
+      end: frameEnd
+    };
+  }
+
+  /**
+   * Ingest one message and write its ACK frame
+   */
+  async _handleMessage(socket, message) {
+    // Request-like context for the permission check and audit log
+    const req = {
+      user: { ...MLLP_USER, facilities: config.hl7.mllpFacilities },
+      ip: socket.remoteAddress,
+      headers: { 'user-agent': 'MLLP' }
+    };
+
+    let ack;
+    try {
+      ({ ack } = await hl7Service.processMessage(message, req));
+    } catch (error) {
+      console.error('❌ MLLP message error:', error);
+      ack = hl7Service.buildAck({}, 'AE', error.message);
+    }
+
+    if (!socket.destroyed) {
+      socket.write(Buffer.concat([
+        Buffer.from([START_BLOCK]),
+        Buffer.from(ack, 'utf8'),
+        Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+      ]));
+    }
+  }
+}
+
+export const mllpServer = new MLLPServer();
@@ -0,0 +1,429 @@
+/**
+ * NCCI Edit Service
+ *
+ * Deterministic CMS National Correct Coding Initiative checks over a chart's final
+ * procedure, E/M and modifier set, so modifiers are not left to the AI's judgement:
+ *   PTP  - procedure-to-procedure edits: a column 2 code bundled into a column 1
+ *          code, payable together only with an NCCI-associated modifier (indicator 1)
+ *          or never (indicator 0)
+ *   MUE  - medically unlikely edits: most units of a code per line or per date of service
+ *
+ * Edits are loaded from the CMS quarterly files (see src/db/importCodeSets.js); load
+ * the practitioner or the outpatient hospital tables to match how charts are billed.
+ *
+ * Alerts are "hard" (the claim line would deny - submission is blocked unless the
+ * coder overrides with a reason) or "soft" (worth a look, never blocks).
+ */
+
+import { CodeSetRepository } from '../db/codeSetRepository.js';
+import { codeSetService } from './codeSetService.js';
+
+export const NCCI_TABLES = {
+  ncci_ptp: { label: 'NCCI PTP' },
+  ncci_mue: { label: 'NCCI MUE' }
+};
+
+// Modifiers that bypass a PTP edit with modifier indicator 1
+const PTP_MODIFIERS = new Set([
+  '24', '25', '27', '57', '58', '59', '78', '79', '91',
+  'XE', 'XP', 'XS', 'XU',
+  'E1', 'E2', 'E3', 'E4', 'FA', 'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9',
+  'LC', 'LD', 'LM', 'LT', 'RC', 'RI', 'RT', 'TA', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9'
+]);
+
+// PTP modifiers that belong on the E/M line; the others belong on procedures
+const EM_MODIFIERS = new Set(['24', '25', '57']);
+
+const DISTINCT_SERVICE_MODIFIERS = ['XE', 'XS', 'XP', 'XU', '59'];
+
+// Modifiers that report the same code again on another line (repeat services, distinct sites)
+const REPEAT_MODIFIERS = new Set(['59', '76', '77', '91', 'XE', 'XP', 'XS', 'XU']);
+
+const MUE_INDICATORS = {
+  1: 'claim line edit',
+  2: 'date of service edit (policy)',
+  3: 'date of service edit (clinical)'
+};
+
+function isEvaluationAndManagement(code) {
+  return /^99[2-4][0-9]{2}$/.test(code);
+}
+
+function bypassesPtpEdit(modifier, code) {
+  return PTP_MODIFIERS.has(modifier) && EM_MODIFIERS.has(modifier) === isEvaluationAndManagement(code);
+}
+
+function normalizeModifier(modifier) {
+  return String(modifier || '').replace(/\s/g, '').toUpperCase();
+}
+
+class NcciService {
+  // ═══════════════════════════════════════════════════════════════
+  // IMPORT PARSING
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * CMS PTP edit file(s) → { edits, skipped }
+   * Columns by position: column 1, column 2, "in existence prior to 1996", effective
+   * date, deletion date ('*' = none), modifier indicator, rationale. Title, copyright
+   * and header rows are skipped.
+   */
+  parsePtpFile(text) {
+    const edits = [];
+    let skipped = 0;
+
+    for (const row of codeSetService.parseDelimitedRows(text)) {
+      const [column1, column2, , effective, deletion, indicator, rationale] = row.map(value => String(value ?? '').trim());
+      const column1Code = codeSetService.normalizeCode(column1);
+      const column2Code = codeSetService.normalizeCode(column2);
+
+      if (!/^[0-9A-Z]{5}$/.test(column1Code) || !/^[0-9A-Z]{5}$/.test(column2Code)) continue;
+
+      const modifierIndicator = parseInt(indicator);
+      if (![0, 1, 9].includes(modifierIndicator)) {
+        skipped++;
+        continue;
+      }
+
+      edits.push({
+        column1Code,
+        column2Code,
+        effectiveFrom: codeSetService.toIsoDate(effective),
+        deletionDate: deletion === '*' ? null : codeSetService.toIsoDate(deletion),
+        modifierIndicator,
+        rationale: rationale || null
+      });
+    }
+
+    return { edits, skipped };
+  }
+
+  /**
+   * CMS MUE file → { values, skipped }
+   * Columns by position: code, MUE value, adjudication indicator ("2 Date of
+   * Service Edit: Policy"), rationale.
+   */
+  parseMueFile(text) {
+    const values = [];
+    let skipped = 0;
+
+    for (const row of codeSetService.parseDelimitedRows(text)) {
+      const [codeValue, mue, indicator, rationale] = row.map(value => String(value ?? '').trim());
+      const code = codeSetService.normalizeCode(codeValue);
+
+      if (!/^[0-9A-Z]{5}$/.test(code)) continue;
+
+      const mueValue = parseInt(mue);
+      if (!/^\d+$/.test(mue) || Number.isNaN(mueValue)) {
+        skipped++;
+        continue;
+      }
+
+      values.push({
+        code,
+        mueValue,
+        adjudicationIndicator: parseInt(indicator) || null,
+        rationale: rationale || null
+      });
+    }
+
+    return { values, skipped };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // EDIT ENGINE
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Check the codes of an AI result (transformToDBFormat shape)
+   */
+  async checkAIResult(aiData, dateOfService) {
+    return this.checkCodes({
+      procedures: aiData.procedures,
+      ed_em_level: aiData.diagnosis_codes?.ed_em_level,
+      modifiers: aiData.diagnosis_codes?.modifiers
+    }, dateOfService);
+  }
+
+  /**
+   * Check submitted final codes (procedures, ed_em_level and modifiers categories)
+   * against the NCCI edits in effect on the date of service (today when it is unknown)
+   * → { checked_at, date_of_service, as_of, releases, missing_tables, counts, alerts }
+   */
+  async checkCodes(codes, dateOfService) {
+    const serviceDate = codeSetService.toIsoDate(dateOfService);
+    const asOf = serviceDate || codeSetService.toIsoDate(new Date());
+    const lines = this.buildLines(codes || {});
+    const alerts = [...lines.alerts];
+
+    const allReleases = await CodeSetRepository.getReleasesOn(asOf);
+    const releases = Object.fromEntries(Object.keys(NCCI_TABLES).map(table => [table, allReleases[table] || null]));
+    const lineCodes = [...new Set(lines.items.map(line => line.code))];
+
+    if (releases.ncci_ptp) {
+      const edits = await CodeSetRepository.getPtpEdits(releases.ncci_ptp.id, lineCodes, asOf);
+      alerts.push(...this.checkPtpEdits(lines.items, edits));
+    }
+
+    if (releases.ncci_mue) {
+      const mueValues = await CodeSetRepository.getMueValues(releases.ncci_mue.id, lineCodes);
+      alerts.push(...this.checkMueValues(lines.items, mueValues));
+    }
+
+    return {
+      checked_at: new Date().toISOString(),
+      date_of_service: serviceDate,
+      as_of: asOf,
+      releases: Object.fromEntries(Object.entries(releases)
+        .map(([table, r]) => [table, r ? r.version || codeSetService.toIsoDate(r.effective_from) : null])),
+      missing_tables: Object.keys(releases).filter(table => !releases[table]),
+      counts: {
+        hard: alerts.filter(alert => alert.severity === 'hard').length,
+        soft: alerts.filter(alert => alert.severity === 'soft').length
+      },
+      alerts
+    };
+  }
+
+  /**
+   * Claim lines (procedures and E/M codes) with their modifiers and units, plus
+   * alerts for modifiers that do not attach to any line
+   */
+  buildLines({ procedures, ed_em_level, modifiers }) {
+    const items = [];
+    const alerts = [];
+
+    const add = (category, item, code) => {
+      if (!item || !code) return;
+      const inline = Array.isArray(item.modifiers) ? item.modifiers : [];
+
+      items.push({
+        category,
+        code: codeSetService.normalizeCode(code),
+        units: Math.max(parseInt(item.units ?? item.quantity) || 1, 1),
+        modifiers: inline.map(m => normalizeModifier(typeof m === 'object' ? m?.modifier_code : m)).filter(Boolean)
+      });
+    };
+
+    for (const item of Array.isArray(procedures) ? procedures : []) add('procedures', item, item?.cpt_code);
+    for (const item of Array.isArray(ed_em_level) ? ed_em_level : []) add('ed_em_level', item, item?.code);
+
+    for (const item of Array.isArray(modifiers) ? modifiers : []) {
+      const modifier = normalizeModifier(item?.modifier_code);
+      if (!modifier) continue;
+
+      const target = codeSetService.normalizeCode(item.applies_to_code);
+      const line = items.find(l => l.code === target);
+
+      if (!line) {
+        alerts.push({
+          id: `modifier_unattached:${modifier}:${target}`,
+          type: 'modifier_unattached',
+          severity: 'soft',
+          code: target || null,
+          modifier,
+          message: target
+            ? `Modifier ${modifier} applies to ${target}, which is not among the reported procedures`
+            : `Modifier ${modifier} does not say which code it applies to`
+        });
+        continue;
+      }
+
+      if (!line.modifiers.includes(modifier)) line.modifiers.push(modifier);
+    }
+
+    return { items, alerts };
+  }
+
+  /**
+   * PTP alerts for the pairs of lines an edit applies to, and for modifiers that are
+   * misplaced or bypass nothing
+   */
+  checkPtpEdits(lines, edits) {
+    const alerts = [];
+    const bypassedBy = new Map(); // line → modifiers that bypassed an edit
+
+    for (const edit of edits) {
+      if (edit.modifier_indicator === 9) continue;
+
+      const column1Lines = lines.filter(line => line.code === edit.column1_code);
+      const column2Lines = lines.filter(line => line.code === edit.column2_code);
+
+      for (const column2 of column2Lines) {
+        const base = {
+          column1_code: edit.column1_code,
+          column2_code: edit.column2_code,
+          modifier_indicator: edit.modifier_indicator,
+          rationale: edit.rationale
+        };
+
+        if (edit.modifier_indicator === 0) {
+          alerts.push({
+            id: `ptp_bundled:${edit.column1_code}:${edit.column2_code}`,
+            type: 'ptp_bundled',
+            severity: 'hard',
+            ...base,
+            message: `${edit.column2_code} is bundled into ${edit.column1_code} and cannot be reported with it, even with a modifier`,
+            suggestion: `Remove ${edit.column2_code}`
+          });
+          continue;
+        }
+
+        const bypassing = [column2, ...column1Lines].flatMap(line =>
+          line.modifiers.filter(modifier => bypassesPtpEdit(modifier, line.code)).map(modifier => ({ line, modifier }))
+        );
+
+        if (bypassing.length === 0) {
+          const suggested = isEvaluationAndManagement(edit.column2_code) ? ['25'] : DISTINCT_SERVICE_MODIFIERS;
+          alerts.push({
+            id: `ptp_modifier_required:${edit.column1_code}:${edit.column2_code}`,
+            type: 'ptp_modifier_required',
+            severity: 'hard',
+            ...base,
+            message: `${edit.column2_code} is bundled into ${edit.column1_code} - report it only if separately documented, with an NCCI modifier (${suggested.join(', ')})`,
+            suggested_modifiers: suggested
+          });
+          continue;
+        }
+
+        for (const { line, modifier } of bypassing) {
+          if (!bypassedBy.has(line)) bypassedBy.set(line, new Set());
+          bypassedBy.get(line).add(modifier);
+        }
+      }
+    }
+
+    for (const line of lines) {
+      const distinct = line.modifiers.filter(modifier => DISTINCT_SERVICE_MODIFIERS.includes(modifier));
+
+      if (line.modifiers.includes('25') && !isEvaluationAndManagement(line.code)) {
+        alerts.push({
+          id: `modifier_invalid:25:${line.code}`,
+          type: 'modifier_invalid',
+          severity: 'hard',
+          code: line.code,
+          modifier: '25',
+          message: `Modifier 25 applies only to E/M codes, not ${line.code}`
+        });
+      }
+
+      if (distinct.length > 0 && isEvaluationAndManagement(line.code)) {
+        alerts.push({
+          id: `modifier_invalid:${distinct[0]}:${line.code}`,
+          type: 'modifier_invalid',
+          severity: 'hard',
+          code: line.code,
+          modifier: distinct[0],
+          message: `Modifier ${distinct[0]} cannot be appended to E/M code ${line.code} - use 25 for a separately identifiable E/M`,
+          suggested_modifiers: ['25']
+        });
+        continue;
+      }
+
+      if (distinct.includes('59') && distinct.length > 1) {
+        alerts.push({
+          id: `modifier_redundant:59:${line.code}`,
+          type: 'modifier_redundant',
+          severity: 'soft',
+          code: line.code,
+          modifier: '59',
+          message: `${line.code} has both 59 and ${distinct.filter(m => m !== '59').join(', ')} - report only the more specific X modifier`
+        });
+      } else if (distinct.includes('59') && bypassedBy.get(line)?.has('59')) {
+        alerts.push({
+          id: `modifier_nonspecific:59:${line.code}`,
+          type: 'modifier_nonspecific',
+          severity: 'soft',
+          code: line.code,
+          modifier: '59',
+          message: `CMS prefers XE, XS, XP or XU over 59 on ${line.code} when one describes the distinct service`,
+          suggested_modifiers: ['XE', 'XS', 'XP', 'XU']
+        });
+      }
+
+      const unneeded = line.modifiers.filter(modifier =>
+        (modifier === '25' ? isEvaluationAndManagement(line.code) : DISTINCT_SERVICE_MODIFIERS.includes(modifier))
+        && !bypassedBy.get(line)?.has(modifier)
+        && !lines.some(other => other !== line && other.code === line.code)
+      );
+
+      for (const modifier of unneeded) {
+        alerts.push({
+          id: `modifier_unsupported:${modifier}:${line.code}`,
+          type: 'modifier_unsupported',
+          severity: 'soft',
+          code: line.code,
+          modifier,
+          message: modifier === '25'
+            ? `Modifier 25 on ${line.code} bypasses no NCCI edit - it needs a procedure bundled with the E/M on the same date`
+            : `Modifier ${modifier} on ${line.code} bypasses no NCCI edit with the other codes on this chart`
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * MUE alerts for codes whose units exceed the MUE value - per line for indicator 1,
+   * per date of service (all lines of the code) for indicators 2 and 3
+   */
+  checkMueValues(lines, mueValues) {
+    const alerts = [];
+
+    for (const code of new Set(lines.map(line => line.code))) {
+      const mue = mueValues.get(code);
+      if (!mue) continue;
+
+      const codeLines = lines.filter(line => line.code === code);
+      const totalUnits = codeLines.reduce((total, line) => total + line.units, 0);
+      const base = {
+        code,
+        units: totalUnits,
+        mue_value: mue.mue_value,
+        adjudication_indicator: mue.adjudication_indicator,
+        rationale: mue.rationale
+      };
+      const kind = MUE_INDICATORS[mue.adjudication_indicator] || 'edit';
+
+      if (mue.adjudication_indicator === 1) {
+        const overLine = codeLines.find(line => line.units > mue.mue_value);
+
+        if (overLine) {
+          alerts.push({
+            id: `mue_exceeded:${code}`,
+            type: 'mue_exceeded',
+            severity: 'hard',
+            ...base,
+            units: overLine.units,
+            message: `${code} reports ${overLine.units} units on one line - the MUE is ${mue.mue_value} (${kind})`
+          });
+        } else if (totalUnits > mue.mue_value) {
+          const unmarked = codeLines.slice(1).some(line => !line.modifiers.some(modifier => REPEAT_MODIFIERS.has(modifier)));
+          alerts.push({
+            id: `mue_split_lines:${code}`,
+            type: 'mue_split_lines',
+            severity: 'soft',
+            ...base,
+            message: `${code} reports ${totalUnits} units across ${codeLines.length} lines - above the MUE of ${mue.mue_value}; each additional line needs documentation${unmarked ? ' and a modifier (59, 76, 77, 91, XE, XS, XP or XU)' : ''}`
+          });
+        }
+        continue;
+      }
+
+      if (totalUnits > mue.mue_value) {
+        alerts.push({
+          id: `mue_exceeded:${code}`,
+          type: 'mue_exceeded',
+          severity: 'hard',
+          ...base,
+          message: `${code} reports ${totalUnits} units for the date of service - the MUE is ${mue.mue_value} (${kind})`
+        });
+      }
+    }
+
+    return alerts;
+  }
+}
+
+export const ncciService = new NcciService();
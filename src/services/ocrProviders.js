@@ -0,0 +1,358 @@
+/**
+ * OCR Providers
+ *
+ * Each provider turns one file ({ path, originalname, mimetype }) into text.
+ * The OCR service tries them in the facility's configured order and fails
+ * over to the next one when a provider errors.
+ *
+ * Provider shape:
+ *   name                  - recorded on the document as ocr_provider
+ *   supports(mimeType)    - whether it can read this kind of file
+ *   isAvailable()         - configured / installed (async)
+ *   extract(file)         - resolves to { extractedText, pages }, throws OCRProviderError
+ *
+ * extractedText is a string or the service's JSON. pages, when the engine reports
+ * layout, is [{ pageNumber, text, width, height, confidence, lines, words }] with
+ * boxes as [x0, y0, x1, y1] (top-left origin, page units) and confidence 0-100.
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { PDFDocument } from 'pdf-lib';
+import { config } from '../config.js';
+
+const execFileAsync = promisify(execFile);
+
+const OCR_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff', 'image/webp'];
+
+/**
+ * Provider failure
+ * unavailable: the provider itself is down or missing (not a problem with this file),
+ * so it is put on cooldown instead of being retried for every document
+ */
+export class OCRProviderError extends Error {
+  constructor(message, { provider = null, unavailable = false } = {}) {
+    super(message);
+    this.name = 'OCRProviderError';
+    this.provider = provider;
+    this.unavailable = unavailable;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REMOTE OCR SERVICE
+// ═══════════════════════════════════════════════════════════════
+
+export class RemoteOCRProvider {
+  constructor() {
+    this.name = 'remote';
+  }
+
+  get extractTextUrl() {
+    return config.ocr.serviceUrl || null;
+  }
+
+  supports(mimeType) {
+    return OCR_MIME_TYPES.includes(mimeType);
+  }
+
+  async isAvailable() {
+    return Boolean(this.extractTextUrl);
+  }
+
+  async extract(file) {
+    const formData = new FormData();
+
+    formData.append('pdf', fs.createReadStream(file.path), {
+      filename: file.originalname,
+      contentType: file.mimetype
+    });
+
+    try {
+      const response = await axios.post(this.extractTextUrl, formData, {
+        headers: {
+          ...formData.getHeaders(),
+          'accept': 'application/json'
+        },
+        timeout: config.ocr.remoteTimeoutMs,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      if (response.data?.success === false) {
+        throw new OCRProviderError(response.data.error || response.data.message || 'OCR service reported failure', { provider: this.name });
+      }
+
+      const pages = this.normalizePages(response.data);
+
+      // With page layout, the document text is built from the pages so line numbers map back
+      return {
+        extractedText: pages ? pages.map(page => page.text).join('\n\n') : response.data,
+        pages
+      };
+    } catch (error) {
+      if (error instanceof OCRProviderError) throw error;
+
+      const status = error.response?.status;
+      const detail = error.response?.data?.message || error.response?.data?.error
+        || (typeof error.response?.data === 'string' ? error.response.data : null)
+        || error.message;
+
+      // No response, a timeout or a 5xx means the service is down, not that the file is bad
+      throw new OCRProviderError(`OCR service${status ? ` ${status}` : ''}: ${detail}`, {
+        provider: this.name,
+        unavailable: !status || status >= 500
+      });
+    }
+  }
+
+  /**
+   * Page layout from the service response, if it sends any
+   * Accepts pages[] with page/pageNumber, text, confidence and words/lines carrying
+   * bbox ([x0,y0,x1,y1]) or left/top/width/height. Confidence 0-1 is scaled to 0-100.
+   */
+  normalizePages(data) {
+    if (!Array.isArray(data?.pages) || data.pages.length === 0) return null;
+
+    const toBox = (item) => {
+      if (Array.isArray(item.bbox) && item.bbox.length === 4) return item.bbox.map(Number);
+      if (item.left !== undefined && item.top !== undefined) {
+        return [item.left, item.top, item.left + (item.width || 0), item.top + (item.height || 0)].map(Number);
+      }
+      return null;
+    };
+
+    const toConfidence = (value) => {
+      if (value === undefined || value === null || Number.isNaN(Number(value))) return null;
+      const n = Number(value);
+      return n <= 1 ? Math.round(n * 1000) / 10 : n;
+    };
+
+    const toItem = (item) => ({
+      text: String(item.text ?? ''),
+      bbox: toBox(item),
+      confidence: toConfidence(item.confidence ?? item.conf)
+    });
+
+    return data.pages.map((page, i) => {
+      const lines = Array.isArray(page.lines) ? page.lines.map(toItem) : null;
+
+      return {
+        pageNumber: parseInt(page.pageNumber ?? page.page) || i + 1,
+        // Lines, when present, define the page text one-to-one
+        text: lines ? lines.map(line => line.text).join('\n') : String(page.text ?? ''),
+        width: page.width ?? null,
+        height: page.height ?? null,
+        confidence: toConfidence(page.confidence),
+        lines,
+        words: Array.isArray(page.words) ? page.words.map(toItem) : null
+      };
+    });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOCAL TESSERACT
+// ═══════════════════════════════════════════════════════════════
+
+export class TesseractOCRProvider {
+  constructor() {
+    this.name = 'tesseract';
+    this.available = null; // cached result of the binary check
+  }
+
+  supports(mimeType) {
+    return OCR_MIME_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Check once that the tesseract binary runs
+   */
+  async isAvailable() {
+    if (!config.ocr.tesseract.enabled) return false;
+
+    if (this.available === null) {
+      try {
+        await execFileAsync(config.ocr.tesseract.command, ['--version'], { timeout: 10000 });
+        this.available = true;
+      } catch (error) {
+        console.warn(`⚠️  Local OCR unavailable (${config.ocr.tesseract.command}): ${error.message}`);
+        this.available = false;
+      }
+    }
+
+    return this.available;
+  }
+
+  async extract(file) {
+    const pages = file.mimetype === 'application/pdf'
+      ? await this.extractPdf(file)
+      : await this.recognize(file.path);
+
+    return {
+      extractedText: pages.map(page => page.text).join('\n\n'),
+      pages
+    };
+  }
+
+  /**
+   * OCR one image file (multi-frame TIFFs give several pages)
+   */
+  async recognize(imagePath) {
+    const { tesseract } = config.ocr;
+
+    try {
+      const { stdout } = await execFileAsync(
+        tesseract.command,
+        [imagePath, 'stdout', '-l', tesseract.languages, 'tsv'],
+        { timeout: tesseract.pageTimeoutMs, maxBuffer: 64 * 1024 * 1024 }
+      );
+
+      return this.parseTsv(stdout);
+    } catch (error) {
+      throw new OCRProviderError(`Tesseract: ${error.killed ? 'timed out' : error.message}`, {
+        provider: this.name,
+        unavailable: error.code === 'ENOENT'
+      });
+    }
+  }
+
+  /**
+   * Tesseract TSV → pages with word and line boxes (pixels) and confidence
+   * Columns: level page_num block_num par_num line_num word_num left top width height conf text
+   */
+  parseTsv(tsv) {
+    const pages = new Map();
+
+    for (const row of tsv.split('\n').slice(1)) {
+      const cols = row.split('\t');
+      if (cols.length < 12) continue;
+
+      const [level, pageNum, block, par, line, , left, top, width, height, conf] = cols.slice(0, 11).map(Number);
+      const text = cols.slice(11).join('\t').trim();
+
+      if (!pages.has(pageNum)) {
+        pages.set(pageNum, { pageNumber: pageNum, width: null, height: null, lines: new Map(), words: [] });
+      }
+      const page = pages.get(pageNum);
+
+      // Level 1 is the page itself; level 5 rows are words
+      if (level === 1) {
+        page.width = width;
+        page.height = height;
+      } else if (level === 5 && text) {
+        const word = { text, bbox: [left, top, left + width, top + height], confidence: conf >= 0 ? conf : null };
+        page.words.push(word);
+
+        const key = `${block}.${par}.${line}`;
+        if (!page.lines.has(key)) page.lines.set(key, []);
+        page.lines.get(key).push(word);
+      }
+    }
+
+    const mean = (values) => values.length > 0
+      ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10
+      : null;
+
+    return [...pages.values()].map(page => {
+      const lines = [...page.lines.values()].map(words => ({
+        text: words.map(w => w.text).join(' '),
+        bbox: [
+          Math.min(...words.map(w => w.bbox[0])),
+          Math.min(...words.map(w => w.bbox[1])),
+          Math.max(...words.map(w => w.bbox[2])),
+          Math.max(...words.map(w => w.bbox[3]))
+        ],
+        confidence: mean(words.map(w => w.confidence).filter(c => c !== null))
+      }));
+
+      return {
+        pageNumber: page.pageNumber,
+        text: lines.map(line => line.text).join('\n'),
+        width: page.width,
+        height: page.height,
+        confidence: mean(page.words.map(w => w.confidence).filter(c => c !== null)),
+        lines,
+        words: page.words
+      };
+    });
+  }
+
+  /**
+   * Rasterize and OCR a PDF one page at a time, keeping memory flat
+   */
+  async extractPdf(file) {
+    const { tesseract } = config.ocr;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tesseract_'));
+
+    try {
+      let pageCount;
+      try {
+        const pdf = await PDFDocument.load(fs.readFileSync(file.path), { ignoreEncryption: true });
+        pageCount = pdf.getPageCount();
+      } catch (error) {
+        throw new OCRProviderError(`Tesseract: unreadable PDF (${error.message})`, { provider: this.name });
+      }
+
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const prefix = path.join(tempDir, `page_${pageNumber}`);
+
+        try {
+          await execFileAsync(
+            tesseract.pdftoppmCommand,
+            ['-r', String(tesseract.dpi), '-gray', '-png', '-singlefile', '-f', String(pageNumber), '-l', String(pageNumber), file.path, prefix],
+            { timeout: tesseract.pageTimeoutMs }
+          );
+        } catch (error) {
+          throw new OCRProviderError(`pdftoppm page ${pageNumber}: ${error.killed ? 'timed out' : error.message}`, {
+            provider: this.name,
+            unavailable: error.code === 'ENOENT'
+          });
+        }
+
+        const [page = { text: '', width: null, height: null, confidence: null, lines: [], words: [] }] = await this.recognize(`${prefix}.png`);
+        pages.push({ ...page, pageNumber });
+        fs.unlinkSync(`${prefix}.png`);
+      }
+
+      return pages;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PASSTHROUGH (text needs no OCR)
+// ═══════════════════════════════════════════════════════════════
+
+export class PassthroughOCRProvider {
+  constructor() {
+    this.name = 'passthrough';
+  }
+
+  supports(mimeType) {
+    return typeof mimeType === 'string' && mimeType.startsWith('text/');
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async extract(file) {
+    return { extractedText: fs.readFileSync(file.path, 'utf8'), pages: null };
+  }
+}
+
+export const OCR_PROVIDERS = {
+  remote: new RemoteOCRProvider(),
+  tesseract: new TesseractOCRProvider(),
+  passthrough: new PassthroughOCRProvider()
+};
@@ -2,57 +2,140 @@ import axios from 'axios';
 import FormData from 'form-data';
 import fs from 'fs';
 import { config } from '../config.js';
+import { OCR_PROVIDERS, OCRProviderError } from './ocrProviders.js';
 
 class OCRService {
   constructor() {
-    // Old endpoint (single file)
-    this.extractTextUrl = config.ocr.serviceUrl || 'https://8i1g7j94qekjwr-9000.proxy.runpod.net/extract-text';
-    
-    // New endpoint (batch + grouping)
-    this.processDocumentsUrl = this.extractTextUrl.replace('/extract-text', '/api/documents/process');
+    // provider name -> time until which it is skipped after going down
+    this.cooldowns = new Map();
+  }
+
+  // Batch endpoint (grouping) lives next to the single-file endpoint on the remote service
+  get processDocumentsUrl() {
+    return config.ocr.serviceUrl ? config.ocr.serviceUrl.replace('/extract-text', '/api/documents/process') : null;
   }
 
   /**
-   * Extract text from a single file (OLD METHOD - Still works)
+   * Provider order for a facility - its own list if configured, else the default
    */
-  async extractText(file, documentType) {
+  getProviderOrder(facility = null) {
+    const order = (facility && config.ocr.facilityProviders?.[facility]) || config.ocr.providers;
+
+    return order.filter(name => {
+      if (OCR_PROVIDERS[name]) return true;
+      console.warn(`⚠️  Unknown OCR provider '${name}'${facility ? ` for facility ${facility}` : ''} - skipped`);
+      return false;
+    });
+  }
+
+  /**
+   * Extract text from a single file, failing over through the facility's providers
+   * Result includes provider (the one that succeeded), attempts ([{ provider, error }])
+   * and pages (per-page layout, null when the provider reports none)
+   */
+  async extractText(file, documentType, { facility = null } = {}) {
     const startTime = Date.now();
+    const attempts = [];
 
-    try {
-      const formData = new FormData();
-      const fileStream = fs.createReadStream(file.path);
+    for (const name of this.getProviderOrder(facility)) {
+      const provider = OCR_PROVIDERS[name];
 
-      formData.append('pdf', fileStream, {
-        filename: file.originalname,
-        contentType: file.mimetype
-      });
+      if (!provider.supports(file.mimetype)) continue;
 
-      const response = await axios.post(this.extractTextUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'accept': 'application/json'
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      });
+      const coolingUntil = this.cooldowns.get(name);
+      if (coolingUntil && coolingUntil > Date.now()) {
+        attempts.push({ provider: name, error: 'skipped - recently unavailable' });
+        continue;
+      }
 
-      const endTime = Date.now();
+      if (!(await provider.isAvailable())) {
+        attempts.push({ provider: name, error: 'not configured' });
+        continue;
+      }
 
-      return {
-        success: true,
-        filename: file.originalname,
-        documentType: documentType,
-        extractedText: response.data,
-        processingTime: endTime - startTime
-      };
-    } catch (error) {
-      return {
-        success: false,
-        filename: file.originalname,
-        documentType: documentType,
-        error: error.response?.data || error.message
-      };
+      try {
+        const { extractedText, pages } = await provider.extract(file);
+        this.cooldowns.delete(name);
+
+        if (attempts.length > 0) {
+          console.log(`🔁 OCR for ${file.originalname} served by ${name} after: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+        }
+
+        return {
+          success: true,
+          filename: file.originalname,
+          documentType: documentType,
+          extractedText,
+          pages: pages || null,
+          processingTime: Date.now() - startTime,
+          provider: name,
+          attempts
+        };
+      } catch (error) {
+        console.warn(`⚠️  OCR provider ${name} failed for ${file.originalname}: ${error.message}`);
+        attempts.push({ provider: name, error: error.message });
+
+        if (error instanceof OCRProviderError && error.unavailable) {
+          this.cooldowns.set(name, Date.now() + config.ocr.providerCooldownMs);
+        }
+      }
+    }
+
+    return {
+      success: false,
+      filename: file.originalname,
+      documentType: documentType,
+      error: attempts.length > 0
+        ? `All OCR providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`
+        : `No OCR provider supports ${file.mimetype}`,
+      provider: null,
+      attempts
+    };
+  }
+
+  /**
+   * Join page texts into the document text and map each page to its line numbers
+   * segments: [{ text, page }] in page order - page is the layout to store, or null
+   * when a segment has text but no layout (e.g. a multi-page OCR run without pages).
+   * Line numbers match formatForAI on the joined text (pages separated by a blank line).
+   * Returns { text, pages } with lineStart/lineEnd, lines[].lineNumber, avgConfidence, lowConfidence
+   */
+  assemblePages(segments) {
+    const pages = [];
+    let lineNumber = 1;
+
+    for (const { text, page } of segments) {
+      const lineCount = text.split('\n').length;
+
+      if (page) {
+        const confidences = (page.words?.length ? page.words : page.lines || [])
+          .map(item => item.confidence)
+          .filter(c => c !== null && c !== undefined);
+
+        const avgConfidence = page.confidence ?? (confidences.length > 0
+          ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length * 10) / 10
+          : null);
+
+        const lines = page.lines && page.lines.length === lineCount
+          ? page.lines.map((line, i) => ({ ...line, lineNumber: lineNumber + i }))
+          : page.lines || null;
+
+        pages.push({
+          ...page,
+          text,
+          lines,
+          lineStart: lineNumber,
+          lineEnd: lineNumber + lineCount - 1,
+          avgConfidence,
+          lowConfidence: avgConfidence !== null && avgConfidence < config.ocr.lowConfidenceThreshold
+        });
+      }
+
+      // +1 for the blank separator line
+      lineNumber += lineCount + 1;
     }
+
+    return { text: segments.map(segment => segment.text).join('\n\n'), pages };
   }
 
   /**
@@ -72,6 +155,10 @@ class OCRService {
     const startTime = Date.now();
 
     try {
+      if (!this.processDocumentsUrl) {
+        throw new Error('OCR_SERVICE_URL is not configured');
+      }
+
       const formData = new FormData();
 
       // Add all files
@@ -106,6 +193,7 @@ class OCRService {
           ...formData.getHeaders(),
           'accept': 'application/json'
         },
+        timeout: config.ocr.remoteTimeoutMs,
         maxContentLength: Infinity,
         maxBodyLength: Infinity
       });
@@ -165,6 +253,29 @@ class OCRService {
     return this.processDocuments(files, metadata);
   }
 
+  /**
+   * Extracted text as plain lines
+   * Line arrays ({ lineNumber, text }) - also as stored JSON from text and Word
+   * documents - are joined so each entry keeps its own numbered line.
+   */
+  toPlainText(extractedText) {
+    let value = extractedText;
+
+    if (typeof value === 'string' && value.startsWith('[{"lineNumber"')) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        return extractedText;
+      }
+    }
+
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) {
+      return value.map(line => typeof line === 'string' ? line : line?.text ?? '').join('\n');
+    }
+    return JSON.stringify(value);
+  }
+
   /**
    * Format OCR results for AI processing (works with both old and new methods)
    */
@@ -176,7 +287,7 @@ class OCRService {
       ocrResults.transactions.forEach((txn, docIndex) => {
         if (!txn.success) return;
 
-        const text = txn.extractedText || '';
+        const text = this.toPlainText(txn.extractedText || '');
         const lines = text.split('\n');
         const numberedLines = lines.map((line, idx) => ({
           lineNumber: idx + 1,
@@ -200,9 +311,7 @@ class OCRService {
     ocrResults.forEach((result, docIndex) => {
       if (!result.success) return;
 
-      const text = typeof result.extractedText === 'string'
-        ? result.extractedText
-        : JSON.stringify(result.extractedText);
+      const text = this.toPlainText(result.extractedText);
 
       const lines = text.split('\n');
       const numberedLines = lines.map((line, idx) => ({
@@ -0,0 +1,173 @@
+/**
+ * PDF Text Layer Service
+ *
+ * Reads the embedded text layer of born-digital PDFs (EHR exports) page by page
+ * and decides, per page, whether that text is good enough to skip OCR. Pages
+ * that fail the check (scans, broken font encodings) can be cut out into a
+ * smaller PDF so only they go to the OCR service.
+ */
+
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { PDFDocument } from 'pdf-lib';
+import { config } from '../config.js';
+
+class PdfTextService {
+
+  /**
+   * Extract the text layer of every page
+   * Returns [{ pageNumber, text, width, height, lines: [{ text, bbox }] }] - text is ''
+   * for pages without a text layer. Sizes and boxes are PDF points, top-left origin.
+   */
+  async extractPages(buffer) {
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const { width, height } = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+        const lines = this.buildLines(content.items, height);
+
+        pages.push({
+          pageNumber,
+          text: lines.map(line => line.text).join('\n'),
+          width: Math.round(width),
+          height: Math.round(height),
+          lines
+        });
+        page.cleanup();
+      }
+
+      return pages;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Rebuild lines from positioned text items
+   * A new line starts on an explicit EOL or when the baseline moves.
+   * Returns [{ text, bbox: [x0, y0, x1, y1] }] with bbox in top-left-origin points
+   */
+  buildLines(items, pageHeight) {
+    const lines = [];
+    let current = null;
+    let lastY = null;
+
+    const flush = () => {
+      if (current) lines.push(current);
+      current = null;
+    };
+
+    for (const item of items) {
+      if (typeof item.str !== 'string') continue;
+
+      const x = item.transform?.[4];
+      const y = item.transform?.[5];
+      if (lastY !== null && y !== undefined && Math.abs(y - lastY) > 2 && current) {
+        flush();
+      }
+
+      if (!current) current = { text: '', bbox: null };
+      current.text += item.str;
+
+      // Grow the line box by this item (zero-width items carry no geometry)
+      if (x !== undefined && y !== undefined && item.width > 0) {
+        const itemHeight = item.height || Math.abs(item.transform[3]) || 0;
+        const box = [x, pageHeight - y - itemHeight, x + item.width, pageHeight - y];
+        current.bbox = current.bbox
+          ? [Math.min(current.bbox[0], box[0]), Math.min(current.bbox[1], box[1]), Math.max(current.bbox[2], box[2]), Math.max(current.bbox[3], box[3])]
+          : box;
+      }
+
+      if (y !== undefined) lastY = y;
+
+      if (item.hasEOL) {
+        flush();
+        lastY = null;
+      }
+    }
+
+    flush();
+
+    return lines
+      .map(line => ({
+        text: line.text.replace(/\s+/g, ' ').trim(),
+        bbox: line.bbox ? line.bbox.map(v => Math.round(v * 10) / 10) : null
+      }))
+      .filter(line => line.text);
+  }
+
+  /**
+   * Quality heuristic for one page's text layer
+   * Scans have little or no text; broken font encodings produce symbol soup or U+FFFD.
+   * Returns { usable, reason }
+   */
+  assessPage(text) {
+    const { minPageChars, minAlphanumericRatio, minWordRatio } = config.ocr.pdfTextLayer;
+    const visible = text.replace(/\s/g, '');
+
+    if (visible.length < minPageChars) {
+      return { usable: false, reason: `only ${visible.length} characters` };
+    }
+
+    const alphanumeric = (visible.match(/[\p{L}\p{N}]/gu) || []).length;
+    if (alphanumeric / visible.length < minAlphanumericRatio) {
+      return { usable: false, reason: 'mostly symbols' };
+    }
+
+    const replacement = (visible.match(/\uFFFD/g) || []).length;
+    if (replacement / visible.length > 0.02) {
+      return { usable: false, reason: 'undecodable characters' };
+    }
+
+    // Real prose has plenty of 2+ letter words; glyph-mapped garbage rarely does
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const words = tokens.filter(token => /^[\p{L}]{2,}[.,:;)]?$/u.test(token)).length;
+    if (words / tokens.length < minWordRatio) {
+      return { usable: false, reason: 'few recognizable words' };
+    }
+
+    return { usable: true, reason: null };
+  }
+
+  /**
+   * Copy the given pages (1-based) into a new PDF
+   */
+  async extractPdfPages(buffer, pageNumbers) {
+    const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    const target = await PDFDocument.create();
+    const copied = await target.copyPages(source, pageNumbers.map(n => n - 1));
+
+    copied.forEach(page => target.addPage(page));
+
+    return Buffer.from(await target.save());
+  }
+
+  /**
+   * Group sorted page numbers into consecutive runs: [1,2,5] → [[1,2],[5]]
+   */
+  toRuns(pageNumbers) {
+    const runs = [];
+
+    for (const n of pageNumbers) {
+      const last = runs[runs.length - 1];
+      if (last && last[last.length - 1] === n - 1) {
+        last.push(n);
+      } else {
+        runs.push([n]);
+      }
+    }
+
+    return runs;
+  }
+}
+
+export const pdfTextService = new PdfTextService();
@@ -0,0 +1,120 @@
+import { config } from '../config.js';
+import { QARepository } from '../db/qaRepository.js';
+
+export const FINDING_TYPES = [
+  'incorrect_code',
+  'missing_code',
+  'unsupported_code',
+  'modifier_error',
+  'sequencing_error',
+  'documentation_issue'
+];
+
+class QAService {
+
+  /**
+   * Decide whether a submission goes to QA before it is final
+   * Returns the selection reason, or null to submit straight through.
+   */
+  async selectForQA(chart, coderId) {
+    // A chart QA already sent back always gets re-reviewed
+    const latest = await QARepository.getLatestByChartId(chart.id);
+    if (latest?.status === 'returned') {
+      return 'resubmission';
+    }
+
+    const { samplePercent, newCoderThreshold } = config.qa;
+
+    if (newCoderThreshold > 0 && coderId) {
+      const accepted = await QARepository.countAcceptedSubmissions(coderId);
+      if (accepted < newCoderThreshold) {
+        return 'new_coder';
+      }
+    }
+
+    if (samplePercent > 0 && Math.random() * 100 < samplePercent) {
+      return 'random_sample';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate reviewer findings
+   * Each finding: { category, code, type, correctCode?, comment? }
+   */
+  validateFindings(findings) {
+    if (!Array.isArray(findings)) {
+      return 'Findings must be an array';
+    }
+
+    for (const [i, finding] of findings.entries()) {
+      if (!finding || !finding.category || !finding.type) {
+        return `Finding ${i + 1} must include category and type`;
+      }
+      if (!FINDING_TYPES.includes(finding.type)) {
+        return `Finding ${i + 1} has invalid type. Must be one of: ${FINDING_TYPES.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count codes in a final codes payload (every array under each category)
+   */
+  countCodes(finalCodes) {
+    if (!finalCodes || typeof finalCodes !== 'object') return 0;
+
+    return Object.values(finalCodes).reduce((total, value) => {
+      if (Array.isArray(value)) return total + value.length;
+      if (Array.isArray(value?.codes)) return total + value.codes.length;
+      return total;
+    }, 0);
+  }
+
+  /**
+   * Per-coder accuracy as measured by QA findings
+   */
+  summarizeAccuracy(reviews) {
+    const byCoder = {};
+
+    for (const review of reviews) {
+      const coderId = review.coder_id || 'unknown';
+      if (!byCoder[coderId]) {
+        byCoder[coderId] = {
+          coderId,
+          chartsReviewed: 0,
+          chartsReturned: 0,
+          codesReviewed: 0,
+          codeFindings: 0,
+          findingsByType: {}
+        };
+      }
+
+      const stats = byCoder[coderId];
+      const findings = Array.isArray(review.findings) ? review.findings : [];
+
+      stats.chartsReviewed++;
+      if (review.status === 'returned') stats.chartsReturned++;
+      stats.codesReviewed += review.codes_reviewed || 0;
+      stats.codeFindings += findings.length;
+
+      findings.forEach(f => {
+        stats.findingsByType[f.type] = (stats.findingsByType[f.type] || 0) + 1;
+      });
+    }
+
+    return Object.values(byCoder).map(stats => ({
+      ...stats,
+      accuracy: stats.codesReviewed > 0
+        ? parseFloat((Math.max(0, stats.codesReviewed - stats.codeFindings) / stats.codesReviewed * 100).toFixed(1))
+        : null,
+      returnRate: stats.chartsReviewed > 0
+        ? parseFloat((stats.chartsReturned / stats.chartsReviewed * 100).toFixed(1))
+        : 0
+    }));
+  }
+}
+
+export const qaService = new QAService();
@@ -1,4 +1,14 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import crypto from 'crypto';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import fs from 'fs';
 import path from 'path';
@@ -33,29 +43,35 @@ class S3Service {
    * Upload a file to S3
    */
   async uploadFile(file, chartNumber, documentType) {
-    const key = this.generateKey(chartNumber, documentType, file.originalname);
+    const fileBuffer = fs.readFileSync(file.path);
+    return this.uploadBuffer(fileBuffer, chartNumber, documentType, file.originalname, file.mimetype);
+  }
 
-    try {
-      const fileBuffer = fs.readFileSync(file.path);
+  /**
+   * Upload in-memory content to S3 (documents that arrive without a multipart file, e.g. HL7)
+   */
+  async uploadBuffer(buffer, chartNumber, documentType, originalFilename, contentType) {
+    const key = this.generateKey(chartNumber, documentType, originalFilename);
 
+    try {
       const command = new PutObjectCommand({
         Bucket: this.bucket,
         Key: key,
-        Body: fileBuffer,
-        ContentType: file.mimetype,
+        Body: buffer,
+        ContentType: contentType,
         // Make the file publicly readable
         ACL: 'public-read',
         Metadata: {
-          'original-filename': file.originalname,
+          'original-filename': originalFilename,
           'chart-number': chartNumber,
-          'document-type': documentType
+          'document-type': documentType || 'unknown'
         }
       });
 
       await this.client.send(command);
 
       // Construct the public URL
-      const url = `${config.s3.endpoint}/${this.bucket}/${key}`;
+      const url = this.getPublicUrl(key);
 
       console.log(`   ☁️  Uploaded to S3: ${key}`);
 
@@ -64,9 +80,9 @@ class S3Service {
         key,
         url,
         bucket: this.bucket,
-        originalFilename: file.originalname,
-        contentType: file.mimetype,
-        size: file.size
+        originalFilename,
+        contentType,
+        size: buffer.length
       };
     } catch (error) {
       console.error(`   ❌ S3 upload failed: ${error.message}`);
@@ -113,6 +129,102 @@ class S3Service {
     }
   }
 
+  /**
+   * Public URL for an object key
+   */
+  getPublicUrl(key) {
+    return `${config.s3.endpoint}/${this.bucket}/${key}`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // MULTIPART UPLOADS (resumable chunked uploads)
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Start a multipart upload - returns the S3 UploadId
+   */
+  async createMultipartUpload(key, contentType, metadata = {}) {
+    const command = new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ACL: 'public-read',
+      Metadata: metadata
+    });
+
+    const result = await this.client.send(command);
+    return result.UploadId;
+  }
+
+  /**
+   * Upload one part (partNumber is 1-based; every part but the last must be >= 5 MiB)
+   * Returns the part's ETag
+   */
+  async uploadPart(key, uploadId, partNumber, body, contentMD5 = undefined) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentMD5: contentMD5
+    });
+
+    const result = await this.client.send(command);
+    return result.ETag;
+  }
+
+  /**
+   * Assemble uploaded parts into the final object
+   * parts: [{ PartNumber, ETag }] in ascending order
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    const command = new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts }
+    });
+
+    await this.client.send(command);
+    console.log(`   ☁️  Multipart upload completed: ${key} (${parts.length} parts)`);
+
+    return { key, url: this.getPublicUrl(key), bucket: this.bucket };
+  }
+
+  /**
+   * Abort a multipart upload and discard its parts
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId
+      }));
+      return { success: true };
+    } catch (error) {
+      console.error(`   ❌ S3 multipart abort failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * SHA-256 of a stored object, streamed so it is never held in memory
+   */
+  async hashObject(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of result.Body) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
   /**
    * Upload multiple files
    */
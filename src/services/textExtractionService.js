@@ -0,0 +1,642 @@
+/**
+ * Text Extraction Service
+ *
+ * Local text extraction for structured clinical formats that never need OCR:
+ * HTML, RTF, ODT, CSV, XML and C-CDA. Each extractor returns plain text with
+ * one line per paragraph / table row; the worker numbers the lines like it
+ * does for text and Word files.
+ */
+
+import { convert as htmlToText } from 'html-to-text';
+import { DOMParser } from '@xmldom/xmldom';
+import JSZip from 'jszip';
+
+const CDA_NAMESPACE = 'urn:hl7-org:v3';
+
+// Formats handled here, by mime type
+export const STRUCTURED_MIME_TYPES = {
+  'text/html': 'html',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'text/csv': 'csv',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+// C-CDA sections by LOINC section code. The four coding-relevant sections are
+// also matched by template ID, since some senders omit or mis-code section codes.
+const CCDA_SECTIONS = {
+  '11450-4': 'PROBLEMS',
+  '47519-4': 'PROCEDURES',
+  '10160-0': 'MEDICATIONS',
+  '30954-2': 'RESULTS',
+  '48765-2': 'ALLERGIES',
+  '8716-3': 'VITAL SIGNS',
+  '46240-8': 'ENCOUNTERS',
+  '10154-3': 'CHIEF COMPLAINT',
+  '29299-5': 'REASON FOR VISIT',
+  '10164-2': 'HISTORY OF PRESENT ILLNESS',
+  '11348-0': 'PAST MEDICAL HISTORY',
+  '10157-6': 'FAMILY HISTORY',
+  '29762-2': 'SOCIAL HISTORY',
+  '10187-3': 'REVIEW OF SYSTEMS',
+  '29545-1': 'PHYSICAL EXAM',
+  '51848-0': 'ASSESSMENT',
+  '51847-2': 'ASSESSMENT AND PLAN',
+  '18776-5': 'PLAN OF CARE',
+  '46241-6': 'ADMISSION DIAGNOSIS',
+  '11535-2': 'DISCHARGE DIAGNOSIS',
+  '8648-8': 'HOSPITAL COURSE',
+  '10183-2': 'DISCHARGE MEDICATIONS',
+  '11369-6': 'IMMUNIZATIONS',
+  '69730-0': 'INSTRUCTIONS'
+};
+
+const CCDA_SECTION_TEMPLATES = {
+  '2.16.840.1.113883.10.20.22.2.5': 'PROBLEMS',
+  '2.16.840.1.113883.10.20.22.2.5.1': 'PROBLEMS',
+  '2.16.840.1.113883.10.20.22.2.7': 'PROCEDURES',
+  '2.16.840.1.113883.10.20.22.2.7.1': 'PROCEDURES',
+  '2.16.840.1.113883.10.20.22.2.1': 'MEDICATIONS',
+  '2.16.840.1.113883.10.20.22.2.1.1': 'MEDICATIONS',
+  '2.16.840.1.113883.10.20.22.2.3': 'RESULTS',
+  '2.16.840.1.113883.10.20.22.2.3.1': 'RESULTS'
+};
+
+// Code system OIDs worth naming next to coded entries
+const CODE_SYSTEMS = {
+  '2.16.840.1.113883.6.90': 'ICD-10-CM',
+  '2.16.840.1.113883.6.4': 'ICD-10-PCS',
+  '2.16.840.1.113883.6.96': 'SNOMED CT',
+  '2.16.840.1.113883.6.12': 'CPT',
+  '2.16.840.1.113883.6.285': 'HCPCS',
+  '2.16.840.1.113883.6.1': 'LOINC',
+  '2.16.840.1.113883.6.88': 'RxNorm'
+};
+
+// RTF destinations whose content is not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+  'footerl', 'footerr', 'footnote', 'object', 'datastore', 'themedata', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'latentstyles', 'filetbl', 'revtbl'
+]);
+
+class TextExtractionService {
+
+  /**
+   * Extract text from a buffer of a supported structured format
+   * Returns { text, format }
+   */
+  async extract(buffer, mimeType) {
+    const format = STRUCTURED_MIME_TYPES[mimeType];
+
+    switch (format) {
+      case 'html': return { text: this.extractHtml(buffer.toString('utf8')), format };
+      case 'rtf': return { text: this.extractRtf(buffer.toString('latin1')), format };
+      case 'odt': return { text: await this.extractOdt(buffer), format };
+      case 'csv': return { text: this.extractCsv(buffer.toString('utf8')), format };
+      case 'xml': return this.extractXml(buffer.toString('utf8'));
+      default:
+        throw new Error(`No text extractor for ${mimeType}`);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // HTML
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * HTML → text, keeping headings, lists and table rows on their own lines
+   */
+  extractHtml(html) {
+    return htmlToText(html, {
+      wordwrap: false,
+      selectors: [
+        { selector: 'a', options: { ignoreHref: true } },
+        { selector: 'img', format: 'skip' },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+        { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+      ]
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // RTF
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * RTF → text
+   * Handles groups, paragraph/line/tab/cell controls, \'hh and \uN escapes,
+   * and skips non-text destinations (font tables, pictures, headers...).
+   */
+  extractRtf(rtf) {
+    const out = [];
+    const stack = [];
+    let skip = false;
+    let unicodeSkip = 1;
+    let pendingSkip = 0;
+    let i = 0;
+
+    const emit = (text) => {
+      if (skip) return;
+      if (pendingSkip > 0) {
+        // Characters that stand in for the preceding \uN are dropped
+        const dropped = Math.min(pendingSkip, text.length);
+        pendingSkip -= dropped;
+        text = text.slice(dropped);
+      }
+      out.push(text);
+    };
+
+    while (i < rtf.length) {
+      const ch = rtf[i];
+
+      if (ch === '{') {
+        stack.push({ skip, unicodeSkip });
+        i++;
+        // {\*\destination ...} is ignorable by definition
+        if (rtf.startsWith('\\*', i)) skip = true;
+        continue;
+      }
+
+      if (ch === '}') {
+        ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+        i++;
+        continue;
+      }
+
+      if (ch === '\r' || ch === '\n') {
+        i++;
+        continue;
+      }
+
+      if (ch !== '\\') {
+        emit(ch);
+        i++;
+        continue;
+      }
+
+      // Control symbol or word
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+        continue;
+      }
+
+      if (next === '\'') {
+        const code = parseInt(rtf.substr(i + 2, 2), 16);
+        if (!Number.isNaN(code)) emit(Buffer.from([code]).toString('latin1'));
+        i += 4;
+        continue;
+      }
+
+      if (next === '~') { emit(' '); i += 2; continue; }
+      if (next === '-' || next === '_') { i += 2; continue; }
+      if (next === '\r' || next === '\n') { emit('\n'); i += 2; continue; }
+
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i += 2;
+        continue;
+      }
+
+      const [whole, word, param] = match;
+      i += 1 + whole.length;
+
+      if (RTF_SKIP_DESTINATIONS.has(word)) {
+        skip = true;
+        continue;
+      }
+
+      switch (word) {
+        case 'par':
+        case 'line':
+        case 'sect':
+        case 'page':
+        case 'row':
+          emit('\n');
+          break;
+        case 'tab':
+          emit('\t');
+          break;
+        case 'cell':
+          emit(' | ');
+          break;
+        case 'uc':
+          unicodeSkip = parseInt(param || '1');
+          break;
+        case 'u': {
+          let code = parseInt(param);
+          if (code < 0) code += 65536;
+          emit(String.fromCharCode(code));
+          pendingSkip = unicodeSkip;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return out.join('')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').replace(/( \| )+$/, '').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ODT
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * OpenDocument text → text from content.xml
+   */
+  async extractOdt(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = zip.file('content.xml');
+
+    if (!content) {
+      throw new Error('Not an OpenDocument file (content.xml missing)');
+    }
+
+    const doc = this.parseXml(await content.async('string'));
+    const lines = [];
+
+    const inline = (node) => {
+      let text = '';
+      for (const child of Array.from(node.childNodes || [])) {
+        if (child.nodeType === 3) {
+          text += child.nodeValue;
+        } else if (child.nodeType === 1) {
+          const name = child.localName;
+          if (name === 'tab') text += '\t';
+          else if (name === 's') text += ' '.repeat(parseInt(child.getAttribute('text:c') || '1'));
+          else if (name === 'line-break') text += '\n';
+          else if (name !== 'note' && name !== 'annotation') text += inline(child);
+        }
+      }
+      return text;
+    };
+
+    const walk = (node) => {
+      for (const child of Array.from(node.childNodes || [])) {
+        if (child.nodeType !== 1) continue;
+        const name = child.localName;
+
+        if (name === 'p' || name === 'h') {
+          lines.push(...inline(child).split('\n'));
+        } else if (name === 'table-row') {
+          const cells = Array.from(child.childNodes)
+            .filter(cell => cell.nodeType === 1 && cell.localName === 'table-cell')
+            .map(cell => inline(cell).replace(/\s+/g, ' ').trim());
+          if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        } else if (name === 'list-item') {
+          const text = inline(child).trim();
+          const nested = Array.from(child.childNodes).some(c => c.nodeType === 1 && c.localName === 'list');
+          if (!nested) {
+            lines.push(`- ${Array.from(child.childNodes).filter(c => c.nodeType === 1).map(inline).join(' ').trim() || text}`);
+          } else {
+            walk(child);
+          }
+        } else {
+          walk(child);
+        }
+      }
+    };
+
+    const body = doc.getElementsByTagNameNS('urn:oasis:names:tc:opendocument:xmlns:office:1.0', 'text')[0] || doc.documentElement;
+    walk(body);
+
+    return this.tidy(lines);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // CSV
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Parse CSV (RFC 4180 quoting) into rows of fields
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+        continue;
+      }
+
+      if (ch === '"') quoted = true;
+      else if (ch === ',') { row.push(field); field = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else field += ch;
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+  }
+
+  /**
+   * CSV → one line per row, each value labelled with its column header
+   */
+  extractCsv(text) {
+    const [header, ...rows] = this.parseCsv(text);
+    if (!header) return '';
+
+    const columns = header.map((name, i) => name.trim() || `Column ${i + 1}`);
+
+    return this.tidy(rows.map(row =>
+      row
+        .map((value, i) => value.trim() ? `${columns[i] || `Column ${i + 1}`}: ${value.trim()}` : null)
+        .filter(Boolean)
+        .join(' | ')
+    ));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // XML / C-CDA
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Parse XML; xmldom recovers from minor damage, anything worse is an error
+   */
+  parseXml(xml) {
+    const errors = [];
+    const doc = new DOMParser({
+      errorHandler: {
+        warning: () => {},
+        error: (msg) => errors.push(msg),
+        fatalError: (msg) => errors.push(msg)
+      }
+    }).parseFromString(xml, 'text/xml');
+
+    if (errors.length > 0 || !doc?.documentElement) {
+      throw new Error(`Invalid XML: ${errors[0] || 'no root element'}`);
+    }
+
+    return doc;
+  }
+
+  /**
+   * XML → C-CDA sections when the root is a CDA ClinicalDocument, otherwise element text
+   * Returns { text, format: 'ccda' | 'xml' }
+   */
+  extractXml(xml) {
+    const doc = this.parseXml(xml);
+    const root = doc.documentElement;
+
+    if (root.localName === 'ClinicalDocument' && root.namespaceURI === CDA_NAMESPACE) {
+      return { text: this.extractCcda(root), format: 'ccda' };
+    }
+
+    return { text: this.extractGenericXml(root), format: 'xml' };
+  }
+
+  /**
+   * Generic XML: "element: text" for every element with direct text
+   */
+  extractGenericXml(root) {
+    const lines = [];
+
+    const walk = (node) => {
+      const direct = Array.from(node.childNodes || [])
+        .filter(child => child.nodeType === 3 || child.nodeType === 4)
+        .map(child => child.nodeValue)
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (direct) lines.push(`${node.localName}: ${direct}`);
+
+      Array.from(node.childNodes || [])
+        .filter(child => child.nodeType === 1)
+        .forEach(walk);
+    };
+
+    walk(root);
+    return this.tidy(lines);
+  }
+
+  /**
+   * Direct child elements of a CDA node with the given local name
+   */
+  cdaChildren(node, name) {
+    return Array.from(node?.childNodes || [])
+      .filter(child => child.nodeType === 1 && child.localName === name && child.namespaceURI === CDA_NAMESPACE);
+  }
+
+  cdaChild(node, name) {
+    return this.cdaChildren(node, name)[0] || null;
+  }
+
+  /**
+   * CDA TS value (YYYYMMDD...) → 'YYYY-MM-DD'
+   */
+  cdaDate(node) {
+    const value = node?.getAttribute('value') || this.cdaChild(node, 'low')?.getAttribute('value') || '';
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  /**
+   * C-CDA → labelled sections
+   * Problems, Procedures, Medications and Results are always labelled so
+   * coding can tell a listed problem from a mention in the narrative.
+   */
+  extractCcda(root) {
+    const lines = [];
+
+    const title = this.cdaChild(root, 'title')?.textContent?.trim();
+    const documentDate = this.cdaDate(this.cdaChild(root, 'effectiveTime'));
+    const encounter = this.cdaChild(this.cdaChild(root, 'componentOf'), 'encompassingEncounter');
+    const encounterDate = this.cdaDate(this.cdaChild(encounter, 'effectiveTime'));
+
+    if (title) lines.push(`Document: ${title}`);
+    if (documentDate) lines.push(`Document Date: ${documentDate}`);
+    if (encounterDate) lines.push(`Encounter Date: ${encounterDate}`);
+
+    const body = this.cdaChild(this.cdaChild(root, 'component'), 'structuredBody');
+
+    if (!body) {
+      // Unstructured CDA (nonXMLBody) - inline text only
+      const text = this.cdaChild(this.cdaChild(this.cdaChild(root, 'component'), 'nonXMLBody'), 'text');
+      if (text && !text.getAttribute('representation')?.includes('B64')) {
+        lines.push('', text.textContent.trim());
+      }
+      return this.tidy(lines);
+    }
+
+    const walkSections = (container, depth) => {
+      for (const component of this.cdaChildren(container, 'component')) {
+        const section = this.cdaChild(component, 'section');
+        if (!section) continue;
+
+        const code = this.cdaChild(section, 'code')?.getAttribute('code');
+        const templates = this.cdaChildren(section, 'templateId').map(t => t.getAttribute('root'));
+        const sectionTitle = this.cdaChild(section, 'title')?.textContent?.trim();
+        const label = CCDA_SECTIONS[code]
+          || templates.map(t => CCDA_SECTION_TEMPLATES[t]).find(Boolean)
+          || (sectionTitle || 'SECTION').toUpperCase();
+
+        lines.push('', `${'='.repeat(Math.min(depth + 2, 4))} ${label} ${'='.repeat(Math.min(depth + 2, 4))}`);
+        if (sectionTitle && sectionTitle.toUpperCase() !== label) lines.push(sectionTitle);
+
+        const narrative = this.renderNarrative(this.cdaChild(section, 'text'));
+        if (narrative.length > 0) {
+          lines.push(...narrative);
+        } else {
+          // No narrative block - fall back to the coded entries
+          lines.push(...this.renderEntries(section));
+        }
+
+        // Nested subsections (e.g. inside Assessment and Plan)
+        walkSections(section, depth + 1);
+      }
+    };
+
+    walkSections(body, 0);
+    return this.tidy(lines);
+  }
+
+  /**
+   * Render a CDA narrative block: paragraphs and list items as lines,
+   * table rows as "cell | cell", <br/> as a line break
+   */
+  renderNarrative(textNode) {
+    if (!textNode) return [];
+
+    const lines = [];
+    let current = '';
+
+    const flush = () => {
+      if (current.trim()) lines.push(current.replace(/\s+/g, ' ').trim());
+      current = '';
+    };
+
+    const walk = (node) => {
+      for (const child of Array.from(node.childNodes || [])) {
+        if (child.nodeType === 3 || child.nodeType === 4) {
+          current += child.nodeValue;
+          continue;
+        }
+        if (child.nodeType !== 1) continue;
+
+        switch (child.localName) {
+          case 'br':
+            flush();
+            break;
+          case 'paragraph':
+          case 'caption':
+            flush();
+            walk(child);
+            flush();
+            break;
+          case 'item':
+            flush();
+            current = '- ';
+            walk(child);
+            flush();
+            break;
+          case 'tr': {
+            flush();
+            const cells = Array.from(child.childNodes)
+              .filter(cell => cell.nodeType === 1 && (cell.localName === 'td' || cell.localName === 'th'))
+              .map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+            break;
+          }
+          case 'footnote':
+          case 'renderMultiMedia':
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+
+    walk(textNode);
+    flush();
+    return lines;
+  }
+
+  /**
+   * Describe coded entries when a section has no narrative
+   */
+  renderEntries(section) {
+    const lines = [];
+
+    const describeCode = (node) => {
+      if (!node) return null;
+      const display = node.getAttribute('displayName') || this.cdaChild(node, 'originalText')?.textContent?.trim();
+      const code = node.getAttribute('code');
+      const system = CODE_SYSTEMS[node.getAttribute('codeSystem')] || node.getAttribute('codeSystemName');
+      const codePart = code ? ` (${[system, code].filter(Boolean).join(' ')})` : '';
+      return display || code ? `${display || ''}${codePart}`.trim() : null;
+    };
+
+    for (const entry of this.cdaChildren(section, 'entry')) {
+      // Observations (problems/results) carry the meaning in value; others in code
+      for (const element of Array.from(entry.getElementsByTagNameNS(CDA_NAMESPACE, '*'))) {
+        const name = element.localName;
+
+        if (name === 'observation') {
+          const code = describeCode(this.cdaChild(element, 'code'));
+          const value = this.cdaChild(element, 'value');
+          const valueText = value?.getAttribute('value')
+            ? `${value.getAttribute('value')}${value.getAttribute('unit') ? ` ${value.getAttribute('unit')}` : ''}`
+            : describeCode(value);
+          if (valueText) lines.push(`- ${code && valueText !== code ? `${code}: ` : ''}${valueText}`);
+        } else if (name === 'procedure' || name === 'act' && this.cdaChild(element, 'code')?.getAttribute('displayName')) {
+          const code = describeCode(this.cdaChild(element, 'code'));
+          if (code) lines.push(`- ${code}`);
+        } else if (name === 'manufacturedMaterial') {
+          const code = describeCode(this.cdaChild(element, 'code'));
+          if (code) lines.push(`- ${code}`);
+        }
+      }
+    }
+
+    return [...new Set(lines)];
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // Helpers
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Trim lines and collapse runs of blank lines
+   */
+  tidy(lines) {
+    return lines
+      .map(line => (line ?? '').replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+export const textExtractionService = new TextExtractionService();
@@ -0,0 +1,49 @@
+import { getEncoding, encodingForModel } from 'js-tiktoken';
+
+// Chat formatting tokens added per message by the OpenAI API
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Token counting for prompt budgeting
+ * OpenAI models use their own tokenizer; for anything else (Azure deployment
+ * names, local models) o200k_base is a close enough estimate for sizing chunks.
+ */
+class TokenService {
+  constructor() {
+    this.encodings = new Map(); // model → encoding, loaded on first use (ranks are large)
+  }
+
+  encodingFor(model) {
+    const key = model || 'default';
+
+    if (!this.encodings.has(key)) {
+      let encoding;
+      try {
+        encoding = encodingForModel(model);
+      } catch {
+        encoding = this.encodings.get('default') || getEncoding('o200k_base');
+        this.encodings.set('default', encoding);
+      }
+      this.encodings.set(key, encoding);
+    }
+
+    return this.encodings.get(key);
+  }
+
+  /**
+   * Tokens in a piece of text
+   */
+  count(text, model = null) {
+    if (!text) return 0;
+    return this.encodingFor(model).encode(text, 'all').length;
+  }
+
+  /**
+   * Tokens a chat request's messages take up
+   */
+  countMessages(messages, model = null) {
+    return messages.reduce((sum, message) => sum + MESSAGE_OVERHEAD_TOKENS + this.count(message.content, model), 0);
+  }
+}
+
+export const tokenService = new TokenService();
@@ -2,9 +2,19 @@ import { WebSocketServer } from 'ws';
 import pg from 'pg';
 import { config } from '../config.js';
 import { QueueService } from '../db/queueService.js';
+import { ChartRepository } from '../db/chartRepository.js';
+import { resolveToken, resolveApiKey } from '../middleware/auth.js';
+import { hasPermission, canAccessFacility } from '../middleware/permissions.js';
 
 const { Client } = pg;
 
+// Close code sent when the handshake carries no valid token/API key
+const WS_CLOSE_UNAUTHORIZED = 4401;
+
+// Subprotocol that marks the other offered subprotocol as an API key:
+// new WebSocket(url, ['medcode.api-key', key]) - keeps keys out of URLs and access logs
+export const API_KEY_PROTOCOL = 'medcode.api-key';
+
 class WebSocketService {
   constructor() {
     this.wss = null;
@@ -19,13 +29,20 @@ class WebSocketService {
    */
   async init(server) {
     // Create WebSocket server on /api/ws path (so Nginx's /api proxy handles it)
-    this.wss = new WebSocketServer({ server, path: '/api/ws' });
-
-    this.wss.on('connection', (ws) => {
-      console.log('🔌 WebSocket client connected');
+    // Only the marker is echoed back as the selected subprotocol, never the key
+    this.wss = new WebSocketServer({
+      server,
+      path: '/api/ws',
+      handleProtocols: (protocols) => protocols.has(API_KEY_PROTOCOL) ? API_KEY_PROTOCOL : false
+    });
 
+    this.wss.on('connection', (ws, req) => {
       ws.isAlive = true;
       ws.subscribedJobs = new Set();
+      ws.user = null;
+
+      // Messages wait for this so a fast subscribe can't skip the auth check
+      ws.authReady = this._authenticate(ws, req);
 
       ws.on('pong', () => {
         ws.isAlive = true;
@@ -68,14 +85,89 @@ class WebSocketService {
     console.log('📡 WebSocket server ready on /api/ws');
   }
 
+  /**
+   * API key offered next to API_KEY_PROTOCOL in Sec-WebSocket-Protocol, or null
+   */
+  _protocolApiKey(req) {
+    const protocols = String(req.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(protocol => protocol.trim())
+      .filter(Boolean);
+
+    if (!protocols.includes(API_KEY_PROTOCOL)) return null;
+    return protocols.find(protocol => protocol !== API_KEY_PROTOCOL) || null;
+  }
+
+  /**
+   * Authenticate the handshake from ?token=<jwt> (browsers can't set headers on
+   * WebSocket connections) or an API key sent as a subprotocol (see API_KEY_PROTOCOL)
+   */
+  async _authenticate(ws, req) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const token = url.searchParams.get('token');
+      const apiKey = this._protocolApiKey(req);
+
+      const { user, error } = url.searchParams.has('apiKey')
+        ? { error: `API keys are not accepted in the URL - send them with the ${API_KEY_PROTOCOL} subprotocol` }
+        : apiKey
+          ? await resolveApiKey(apiKey, req.socket?.remoteAddress || null)
+          : token
+            ? await resolveToken(token)
+            : { error: 'Authentication required' };
+
+      if (error) {
+        console.warn(`🚫 WebSocket connection rejected: ${error}`);
+        ws.close(WS_CLOSE_UNAUTHORIZED, error);
+        return false;
+      }
+
+      ws.user = user;
+      console.log(`🔌 WebSocket client connected: ${user.userId} (${user.role})`);
+      return true;
+    } catch (err) {
+      console.error('❌ WebSocket authentication error:', err.message);
+      ws.close(WS_CLOSE_UNAUTHORIZED, 'Authentication failed');
+      return false;
+    }
+  }
+
+  /**
+   * Check the caller may follow a job: needs documents:status and access to the chart's facility
+   * Unknown jobs are allowed through so the client gets the usual not_found status.
+   */
+  async _canSubscribe(ws, jobId) {
+    if (!hasPermission(ws.user, 'documents:status')) return false;
+    if (!ws.user.facilities) return true;
+
+    const job = await QueueService.getJob(jobId);
+    if (!job) return true;
+
+    const chart = await ChartRepository.getByChartNumber(job.chart_number);
+    return !chart || canAccessFacility(ws.user, chart.facility);
+  }
+
   /**
    * Handle incoming WebSocket messages
    */
-  _handleMessage(ws, data) {
+  async _handleMessage(ws, data) {
+    if (!(await ws.authReady)) return;
+
     try {
       const msg = JSON.parse(data.toString());
 
       if (msg.type === 'subscribe' && msg.jobId) {
+        if (!(await this._canSubscribe(ws, msg.jobId))) {
+          console.warn(`🚫 WebSocket subscribe denied: ${ws.user.userId} → job ${msg.jobId}`);
+          ws.send(JSON.stringify({
+            type: 'error',
+            jobId: msg.jobId,
+            code: 'FORBIDDEN',
+            message: 'You do not have access to this job'
+          }));
+          return;
+        }
+
         // Add client to subscription map
         if (!this.subscriptions.has(msg.jobId)) {
           this.subscriptions.set(msg.jobId, new Set());
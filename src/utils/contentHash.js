@@ -0,0 +1,21 @@
+/**
+ * Content hashing for duplicate document detection
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * SHA-256 of a file on disk (streamed, so large PDFs aren't buffered)
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+/**
+ * SHA-256 of in-memory content
+ */
+export const hashBuffer = (content) => crypto.createHash('sha256').update(content).digest('hex');
@@ -6,16 +6,37 @@
  * UPDATED: Added comprehensive logging at every step
  * UPDATED: Added support for text/plain files - skips OCR and uses content directly
  * UPDATED: Added support for Word documents (.doc, .docx) - extracts text using mammoth
+ * UPDATED: Born-digital PDFs use their embedded text layer - only scanned pages go to OCR
+ * UPDATED: HTML, RTF, ODT, CSV and XML/C-CDA documents are extracted locally - no OCR
+ * UPDATED: OCR fails over through the facility's provider chain; the provider is recorded per document
+ * UPDATED: Image-group transactions become one document (pages in order) for AI coding and summaries
+ * UPDATED: Stage checkpoints (job_steps) - a retry resumes after the last completed stage
+ * UPDATED: LLM provider/model chosen per facility or specialty (mock provider runs offline)
+ * UPDATED: Charts longer than the model context are coded in parts and merged (map-reduce)
+ * UPDATED: AI coding responses are schema-validated (with repair re-prompts); invalid ones fail the job
+ * UPDATED: AI codes are checked against the ICD-10-CM / CPT / HCPCS sets in effect on the date of service
+ * UPDATED: AI evidence quotes are fuzzy-matched to the document lines; unfound evidence is flagged and down-ranked
+ * UPDATED: NCCI PTP / MUE edits are run over the AI procedures and modifiers; alerts are saved with the chart
  */
 
 import { QueueService } from '../db/queueService.js';
+import { JobStepRepository, JOB_STEPS } from '../db/jobStepRepository.js';
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
 import { ocrService } from '../services/ocrService.js';
+import { pdfTextService } from '../services/pdfTextService.js';
+import { textExtractionService, STRUCTURED_MIME_TYPES } from '../services/textExtractionService.js';
 import { aiService } from '../services/aiService.js';
+import { codeSetService } from '../services/codeSetService.js';
+import { evidenceService } from '../services/evidenceService.js';
+import { ncciService } from '../services/ncciService.js';
+import { assignmentService } from '../services/assignmentService.js';
+import { chunkedUploadService } from '../services/chunkedUploadService.js';
 import { createSLATracker } from '../utils/slaTracker.js';
+import { config } from '../config.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { fileURLToPath } from 'url';
 import axios from 'axios';
 import mammoth from 'mammoth';
 
@@ -89,6 +110,13 @@ class DocumentWorker {
       log.error('WORKER', 'Failed to release stuck jobs', error);
     }
 
+    // Free S3 parts held by abandoned chunked uploads
+    try {
+      await chunkedUploadService.abortExpired();
+    } catch (error) {
+      log.error('WORKER', 'Failed to abort expired upload sessions', error);
+    }
+
     // Main processing loop
     while (this.isRunning) {
       try {
@@ -134,7 +162,24 @@ class DocumentWorker {
       log.info('JOB_START', `Chart: ${chartNumber}`);
       log.info('JOB_START', `Documents to process: ${jobData.documents?.length || 0}`);
 
-      const { chartId, chartInfo, documents } = jobData;
+      const { chartId, chartInfo } = jobData;
+
+      // Reprocess (documents appended to a coded chart): code over every document on
+      // the chart, and snapshot the previous run so coder work against it can be flagged
+      const isReprocess = jobData.reprocess === true;
+      const previousChart = isReprocess ? await ChartRepository.getByChartNumber(chartNumber) : null;
+      const documents = isReprocess ? await this.loadChartDocuments(chartId) : jobData.documents;
+
+      if (isReprocess) {
+        log.info('REPROCESS', `Reprocessing chart ${chartNumber} with ${documents.length} document(s) (${jobData.documents?.length || 0} new)`);
+      }
+
+      // Steps completed by earlier attempts of this job (or the job a manual retry replaces)
+      const checkpoints = await this.loadCheckpoints([job.job_id, jobData.resumeFromJobId]);
+
+      if (checkpoints.size > 0) {
+        log.info('RESUME', `Resuming after ${checkpoints.size} completed step(s) from earlier attempt(s)`);
+      }
 
       // Update chart status to processing
       log.info('STATUS', `Setting chart ${chartNumber} to 'processing'`);
@@ -154,16 +199,56 @@ class DocumentWorker {
       let ocrFailCount = 0;
       let textFileCount = 0;
       let wordFileCount = 0;
+      let reusedCount = 0;
+      let resumedCount = 0;
+      let duplicateCount = 0;
+      let textLayerCount = 0;
+      let structuredCount = 0;
+
+      // Image groups with several members are merged after extraction; their page layout is saved then
+      const groupSizes = new Map();
+      documents.filter(d => d.isGroupMember && d.transactionId).forEach(d => {
+        groupSizes.set(d.transactionId, (groupSizes.get(d.transactionId) || 0) + 1);
+      });
 
       for (let i = 0; i < documents.length; i++) {
-        const doc = documents[i];
+        // Facility picks the OCR provider order
+        const doc = { ...documents[i], facility: chartInfo?.facility || null };
         log.info('OCR_PROCESS', `Processing document ${i + 1}/${documents.length}: ${doc.originalName}`);
 
         try {
           let ocrResult;
+          const resumedText = !doc.ocrText && checkpoints.has(this.stepKey(JOB_STEPS.TEXT_EXTRACTED, doc.documentId))
+            ? await this.getStoredText(doc.documentId)
+            : null;
+          const duplicateText = !doc.ocrText && !resumedText && doc.duplicateOf
+            ? await this.getStoredText(doc.duplicateOf)
+            : null;
+
+          if (!doc.ocrText && !resumedText) {
+            await JobStepRepository.start(job.job_id, JOB_STEPS.TEXT_EXTRACTED, doc.documentId, job.attempts);
+          }
 
+          // Reprocess: reuse text extracted by an earlier run
+          if (doc.ocrText) {
+            reusedCount++;
+            log.info('OCR_REUSE', `Reusing stored text for: ${doc.originalName}`);
+            ocrResult = { success: true, extractedText: doc.ocrText, processingTime: 0, reused: true };
+          }
+          // Retry: text was extracted by an earlier attempt of this job
+          else if (resumedText) {
+            resumedCount++;
+            log.info('OCR_RESUME', `Text already extracted by an earlier attempt: ${doc.originalName}`);
+            ocrResult = { success: true, extractedText: resumedText, processingTime: 0, reused: true, resumed: true };
+          }
+          // Exact duplicate of a document already on file - copy its text, no OCR
+          else if (duplicateText) {
+            duplicateCount++;
+            log.info('OCR_DUPLICATE', `Copying text from document ${doc.duplicateOf} for duplicate: ${doc.originalName}`);
+            ocrResult = { success: true, extractedText: duplicateText, processingTime: 0, extractionMethod: 'duplicate' };
+          }
           // Check if this is a plain text file - skip OCR and read content directly
-          if (doc.mimeType === 'text/plain') {
+          else if (doc.mimeType === 'text/plain') {
             textFileCount++;
             log.info('TEXT_FILE', `Skipping OCR for text file: ${doc.originalName}`);
             ocrResult = await this.extractTextFile(doc);
@@ -174,7 +259,18 @@ class DocumentWorker {
             log.info('WORD_FILE', `Extracting text from Word document: ${doc.originalName}`);
             ocrResult = await this.extractWordDocument(doc);
           }
-          // Perform OCR for PDFs and images
+          // HTML, RTF, ODT, CSV, XML / C-CDA - parse locally
+          else if (STRUCTURED_MIME_TYPES[doc.mimeType]) {
+            structuredCount++;
+            log.info('STRUCTURED_FILE', `Extracting text from ${STRUCTURED_MIME_TYPES[doc.mimeType].toUpperCase()} document: ${doc.originalName}`);
+            ocrResult = await this.extractStructuredDocument(doc);
+          }
+          // PDFs: use the embedded text layer where it is good, OCR the rest
+          else if (doc.mimeType === 'application/pdf' && config.ocr.pdfTextLayer.enabled) {
+            ocrResult = await this.extractPdf(doc);
+            if (ocrResult.extractionMethod !== 'ocr') textLayerCount++;
+          }
+          // Perform OCR for images
           else {
             ocrResult = await this.performOCR(doc);
           }
@@ -190,21 +286,50 @@ class DocumentWorker {
               isWordFile: WORD_MIME_TYPES.includes(doc.mimeType)
             });
 
-            // Update document with OCR text
-            await DocumentRepository.updateOCRResults(
-              doc.documentId,
-              typeof ocrResult.extractedText === 'string'
-                ? ocrResult.extractedText
-                : JSON.stringify(ocrResult.extractedText),
-              ocrResult.processingTime
-            );
+            // Update document with OCR text and page layout
+            if (!ocrResult.reused) {
+              await DocumentRepository.updateOCRResults(
+                doc.documentId,
+                typeof ocrResult.extractedText === 'string'
+                  ? ocrResult.extractedText
+                  : JSON.stringify(ocrResult.extractedText),
+                ocrResult.processingTime,
+                {
+                  method: ocrResult.extractionMethod,
+                  textLayerPages: ocrResult.textLayerPages ?? null,
+                  ocrPages: ocrResult.ocrPages ?? null,
+                  provider: ocrResult.ocrProvider ?? null
+                }
+              );
+
+              const inImageGroup = doc.isGroupMember && groupSizes.get(doc.transactionId) > 1;
+
+              if (ocrResult.pages?.length && !inImageGroup) {
+                await DocumentRepository.savePages(doc.documentId, ocrResult.pages);
+
+                const lowPages = ocrResult.pages.filter(page => page.lowConfidence).map(page => page.pageNumber);
+                if (lowPages.length > 0) {
+                  log.warn('OCR_CONFIDENCE', `${doc.originalName}: low OCR confidence on page(s) ${lowPages.join(', ')} - flagged for manual review`);
+                }
+              } else if (ocrResult.extractionMethod === 'duplicate') {
+                await DocumentRepository.copyPages(doc.duplicateOf, doc.documentId);
+              }
+
+              await JobStepRepository.complete(job.job_id, JOB_STEPS.TEXT_EXTRACTED, doc.documentId, {
+                method: ocrResult.extractionMethod || null,
+                provider: ocrResult.ocrProvider || null
+              });
+            } else if (!ocrResult.resumed) {
+              await JobStepRepository.skip(job.job_id, JOB_STEPS.TEXT_EXTRACTED, doc.documentId, { reason: 'text stored by an earlier job' });
+            }
 
             ocrResults.push({
               ...ocrResult,
               documentId: doc.documentId,
               s3Url: doc.s3Url,
               filename: doc.originalName,
-              documentType: doc.documentType
+              documentType: doc.documentType,
+              ...this.transactionInfo(doc)
             });
 
           } else {
@@ -212,6 +337,7 @@ class DocumentWorker {
             log.error('OCR_FAILED', `Document: ${doc.originalName}`, { message: ocrResult.error });
 
             await DocumentRepository.markOCRFailed(doc.documentId, ocrResult.error);
+            await JobStepRepository.fail(job.job_id, JOB_STEPS.TEXT_EXTRACTED, doc.documentId, ocrResult.error);
 
             ocrResults.push({
               success: false,
@@ -219,7 +345,8 @@ class DocumentWorker {
               s3Url: doc.s3Url,
               filename: doc.originalName,
               documentType: doc.documentType,
-              error: ocrResult.error
+              error: ocrResult.error,
+              ...this.transactionInfo(doc)
             });
           }
         } catch (ocrError) {
@@ -227,26 +354,30 @@ class DocumentWorker {
           log.error('OCR_EXCEPTION', `Document: ${doc.originalName}`, ocrError);
 
           await DocumentRepository.markOCRFailed(doc.documentId, ocrError.message);
+          await JobStepRepository.fail(job.job_id, JOB_STEPS.TEXT_EXTRACTED, doc.documentId, ocrError.message);
 
           ocrResults.push({
             success: false,
             documentId: doc.documentId,
             filename: doc.originalName,
-            error: ocrError.message
+            error: ocrError.message,
+            ...this.transactionInfo(doc)
           });
         }
       }
 
       sla.markOCRCompleted();
-      log.info('OCR_SUMMARY', `Text Extraction Complete: ${ocrSuccessCount} success, ${ocrFailCount} failed, ${textFileCount} text files, ${wordFileCount} Word files (no OCR needed)`);
+      log.info('OCR_SUMMARY', `Text Extraction Complete: ${ocrSuccessCount} success, ${ocrFailCount} failed, ${textFileCount} text files, ${wordFileCount} Word files, ${structuredCount} HTML/RTF/ODT/CSV/XML files (no OCR needed), ${textLayerCount} PDFs from text layer, ${reusedCount} reused, ${resumedCount} resumed, ${duplicateCount} duplicates`);
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ocr_completed', `Text extraction complete: ${ocrSuccessCount} success, ${ocrFailCount} failed`);
 
-      const successfulOCR = ocrResults.filter(r => r.success);
-
-      if (successfulOCR.length === 0) {
+      if (ocrResults.every(r => !r.success)) {
         throw new Error(`All text extraction failed (${ocrFailCount} documents)`);
       }
 
+      // One logical document per image-group transaction, pages in order
+      const documentResults = await this.mergeImageGroups(ocrResults);
+      const successfulOCR = documentResults.filter(r => r.success);
+
       // ═══════════════════════════════════════════════════════════════
       // PHASE 2: AI CODING ANALYSIS
       // ═══════════════════════════════════════════════════════════════
@@ -256,52 +387,70 @@ class DocumentWorker {
       sla.markAIStarted();
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ai_started', `Starting AI analysis with ${successfulOCR.length} document(s)`);
 
+      // Retry: reuse the AI result of an earlier attempt when it coded the same documents
       let aiResult;
-      try {
-        const formattedDocs = ocrService.formatForAI(ocrResults);
-        log.info('AI_PROCESS', `Formatted ${formattedDocs.length} documents for AI`);
-        log.info('AI_PROCESS', `Sending to AI service...`);
+      const aiDocumentIds = successfulOCR.flatMap(r => r.documentIds || [r.documentId]).sort((a, b) => a - b);
+      const aiCheckpoint = checkpoints.get(this.stepKey(JOB_STEPS.AI_CODED));
 
-        const aiStartTime = Date.now();
-        aiResult = await aiService.processForCoding(formattedDocs, chartInfo);
-        const aiDuration = Date.now() - aiStartTime;
+      if (aiCheckpoint?.details?.result && JSON.stringify(aiCheckpoint.details.documentIds) === JSON.stringify(aiDocumentIds)) {
+        log.info('AI_RESUME', `Using AI result from an earlier attempt for chart ${chartNumber}`);
+        aiResult = { success: true, data: aiCheckpoint.details.result };
+      } else {
+        await JobStepRepository.start(job.job_id, JOB_STEPS.AI_CODED, null, job.attempts);
 
-        log.info('AI_RESPONSE', `AI responded in ${aiDuration}ms`);
-        log.info('AI_RESPONSE', `AI result success: ${aiResult?.success}`);
+        try {
+          const formattedDocs = ocrService.formatForAI(documentResults);
+          log.info('AI_PROCESS', `Formatted ${formattedDocs.length} documents for AI`);
+          log.info('AI_PROCESS', `Sending to AI service...`);
 
-        if (aiResult?.error) {
-          log.error('AI_RESPONSE', `AI error message: ${aiResult.error}`);
-        }
+          const aiStartTime = Date.now();
+          aiResult = await aiService.processForCoding(formattedDocs, chartInfo);
+          const aiDuration = Date.now() - aiStartTime;
 
-        if (!aiResult) {
-          log.error('AI_FAILED', `AI returned null/undefined response`);
-          throw new Error('AI processing failed: No response from AI service');
-        }
+          log.info('AI_RESPONSE', `AI responded in ${aiDuration}ms`);
+          log.info('AI_RESPONSE', `AI result success: ${aiResult?.success}`);
+
+          if (aiResult?.error) {
+            log.error('AI_RESPONSE', `AI error message: ${aiResult.error}`);
+          }
+
+          if (!aiResult) {
+            log.error('AI_FAILED', `AI returned null/undefined response`);
+            throw new Error('AI processing failed: No response from AI service');
+          }
+
+          if (!aiResult.success) {
+            log.error('AI_FAILED', `AI returned success=false`, {
+              error: aiResult.error,
+              fullResponse: JSON.stringify(aiResult).substring(0, 1000)
+            });
+            throw new Error(`AI processing failed: ${aiResult.error || 'Unknown AI error'}`);
+          }
+
+          if (!aiResult.data) {
+            log.error('AI_FAILED', `AI returned success=true but no data`);
+            throw new Error('AI processing failed: No data in AI response');
+          }
 
-        if (!aiResult.success) {
-          log.error('AI_FAILED', `AI returned success=false`, {
-            error: aiResult.error,
-            fullResponse: JSON.stringify(aiResult).substring(0, 1000)
+          log.success('AI_COMPLETE', `AI analysis successful for chart ${chartNumber}`, {
+            provider: aiResult.data.ai_metadata?.provider,
+            model: aiResult.data.ai_metadata?.model,
+            hasDiagnosisCodes: !!aiResult.data?.diagnosis_codes,
+            hasProcedures: !!aiResult.data?.procedures,
+            hasSummary: !!aiResult.data?.ai_narrative_summary,
+            dataKeys: Object.keys(aiResult.data || {})
           });
-          throw new Error(`AI processing failed: ${aiResult.error || 'Unknown AI error'}`);
-        }
 
-        if (!aiResult.data) {
-          log.error('AI_FAILED', `AI returned success=true but no data`);
-          throw new Error('AI processing failed: No data in AI response');
+        } catch (aiError) {
+          log.error('AI_EXCEPTION', `AI processing threw exception`, aiError);
+          sla.markAICompleted();
+          throw aiError;
         }
 
-        log.success('AI_COMPLETE', `AI analysis successful for chart ${chartNumber}`, {
-          hasDiagnosisCodes: !!aiResult.data?.diagnosis_codes,
-          hasProcedures: !!aiResult.data?.procedures,
-          hasSummary: !!aiResult.data?.ai_narrative_summary,
-          dataKeys: Object.keys(aiResult.data || {})
+        await JobStepRepository.complete(job.job_id, JOB_STEPS.AI_CODED, null, {
+          documentIds: aiDocumentIds,
+          result: aiResult.data
         });
-
-      } catch (aiError) {
-        log.error('AI_EXCEPTION', `AI processing threw exception`, aiError);
-        sla.markAICompleted();
-        throw aiError;
       }
 
       sla.markAICompleted();
@@ -313,23 +462,100 @@ class DocumentWorker {
       log.subDivider();
       log.info('SUMMARY_START', `Generating document summaries`);
 
+      // Documents with text reused from an earlier job already have their summary;
+      // on a retry, skip the ones an earlier attempt summarized
+      const summaryTargets = successfulOCR.filter(r =>
+        !(r.reused && !r.resumed) && !checkpoints.has(this.stepKey(JOB_STEPS.SUMMARY_GENERATED, r.documentId))
+      );
+
       let summaryCount = 0;
-      for (const ocrResult of successfulOCR) {
+      for (const ocrResult of summaryTargets) {
+        // An image group's summary belongs to every image in it
+        const documentIds = ocrResult.documentIds || [ocrResult.documentId];
+
         try {
+          await JobStepRepository.start(job.job_id, JOB_STEPS.SUMMARY_GENERATED, ocrResult.documentId, job.attempts);
+
           const docSummary = await aiService.generateDocumentSummary(ocrResult, chartInfo);
           if (docSummary.success) {
-            await DocumentRepository.updateAISummary(ocrResult.documentId, docSummary.data);
+            for (const documentId of documentIds) {
+              await DocumentRepository.updateAISummary(documentId, docSummary.data);
+              await JobStepRepository.complete(job.job_id, JOB_STEPS.SUMMARY_GENERATED, documentId);
+            }
             summaryCount++;
+          } else {
+            await JobStepRepository.fail(job.job_id, JOB_STEPS.SUMMARY_GENERATED, ocrResult.documentId, docSummary.error || 'Summary failed');
           }
         } catch (summaryError) {
           log.warn('SUMMARY_SKIP', `Summary failed for ${ocrResult.filename}: ${summaryError.message}`);
+          await JobStepRepository.fail(job.job_id, JOB_STEPS.SUMMARY_GENERATED, ocrResult.documentId, summaryError.message)
+            .catch(() => {});
         }
       }
 
-      log.info('SUMMARY_COMPLETE', `Generated ${summaryCount}/${successfulOCR.length} summaries`);
+      log.info('SUMMARY_COMPLETE', `Generated ${summaryCount}/${summaryTargets.length} summaries`);
+
+      // ═══════════════════════════════════════════════════════════════
+      // PHASE 4: VERIFICATION (flags codes on the chart, never fails the job)
+      // ═══════════════════════════════════════════════════════════════
+      log.subDivider();
+      log.info('EVIDENCE_START', `Verifying AI evidence quotes against document text`);
+
+      try {
+        const evidenceVerification = evidenceService.verifyAIResult(aiResult.data, ocrService.formatForAI(documentResults));
+        aiResult.data.evidence_verification = evidenceVerification;
+
+        if (evidenceVerification.flagged.length > 0) {
+          log.warn('EVIDENCE_FLAGGED', `${evidenceVerification.flagged.length} code(s) with unverified evidence on chart ${chartNumber}`, {
+            counts: evidenceVerification.counts,
+            codes: evidenceVerification.flagged.map(flag => `${flag.code} (${flag.status})`)
+          });
+        } else {
+          log.success('EVIDENCE_COMPLETE', `All evidence found in the documents`);
+        }
+      } catch (verificationError) {
+        log.warn('EVIDENCE_SKIP', `Evidence verification failed for ${chartNumber}: ${verificationError.message}`);
+      }
+
+      log.info('VALIDATE_START', `Validating AI codes against code sets`);
+
+      try {
+        const codeValidation = await codeSetService.validateAIResult(aiResult.data, chartInfo?.dateOfService);
+        aiResult.data.code_validation = codeValidation;
+
+        if (codeValidation.issues.length > 0) {
+          log.warn('VALIDATE_ISSUES', `${codeValidation.issues.length} code(s) flagged for chart ${chartNumber}`, {
+            counts: codeValidation.counts,
+            codes: codeValidation.issues.map(issue => `${issue.code} (${issue.status})`)
+          });
+        } else {
+          log.success('VALIDATE_COMPLETE', `All codes valid for ${codeValidation.as_of}`);
+        }
+      } catch (validationError) {
+        log.warn('VALIDATE_SKIP', `Code validation failed for ${chartNumber}: ${validationError.message}`);
+      }
+
+      log.info('NCCI_START', `Running NCCI PTP / MUE edits`);
+
+      try {
+        const ncciEdits = await ncciService.checkAIResult(aiResult.data, chartInfo?.dateOfService);
+        aiResult.data.ncci_edits = ncciEdits;
+
+        if (ncciEdits.alerts.length > 0) {
+          log.warn('NCCI_ALERTS', `${ncciEdits.counts.hard} hard / ${ncciEdits.counts.soft} soft NCCI alert(s) for chart ${chartNumber}`, {
+            alerts: ncciEdits.alerts.map(alert => `${alert.type} ${alert.column2_code || alert.code || ''}`.trim())
+          });
+        } else if (ncciEdits.missing_tables.length > 0) {
+          log.warn('NCCI_UNVERIFIED', `No ${ncciEdits.missing_tables.join(' / ')} edits loaded for ${ncciEdits.as_of}`);
+        } else {
+          log.success('NCCI_COMPLETE', `No NCCI edits triggered`);
+        }
+      } catch (ncciError) {
+        log.warn('NCCI_SKIP', `NCCI edit check failed for ${chartNumber}: ${ncciError.message}`);
+      }
 
       // ═══════════════════════════════════════════════════════════════
-      // PHASE 4: SAVE RESULTS
+      // PHASE 5: SAVE RESULTS
       // ═══════════════════════════════════════════════════════════════
       log.subDivider();
       log.info('SAVE_START', `Saving AI results to database`);
@@ -338,14 +564,37 @@ class DocumentWorker {
       sla.markComplete();
       const slaSummary = sla.getSummary();
 
+      let savedChart;
       try {
-        await ChartRepository.updateWithAIResults(chartNumber, aiResult.data, slaSummary);
+        await JobStepRepository.start(job.job_id, JOB_STEPS.RESULTS_SAVED, null, job.attempts);
+
+        savedChart = await ChartRepository.updateWithAIResults(chartNumber, aiResult.data, slaSummary, {
+          reprocessed: isReprocess
+        });
         log.success('SAVE_COMPLETE', `Chart ${chartNumber} updated with AI results`);
+
+        // Coder modifications stay in place but were made against the old codes
+        if (isReprocess && this.hasCoderModifications(previousChart?.user_modifications)) {
+          savedChart = await ChartRepository.flagStaleModifications(chartNumber, previousChart.original_ai_codes);
+          log.warn('REPROCESS', `Chart ${chartNumber} has coder modifications from the previous AI run - flagged for review`);
+        }
+
+        await JobStepRepository.complete(job.job_id, JOB_STEPS.RESULTS_SAVED);
       } catch (saveError) {
         log.error('SAVE_FAILED', `Failed to save AI results`, saveError);
         throw saveError;
       }
 
+      // Auto-assign to a coder's queue (optional - don't fail the job if this fails)
+      try {
+        const assigned = await assignmentService.autoAssign(savedChart);
+        if (assigned?.assigned_to) {
+          log.info('ASSIGN', `Chart ${chartNumber} assigned to ${assigned.assigned_to}`);
+        }
+      } catch (assignError) {
+        log.warn('ASSIGN_SKIP', `Auto-assignment failed for ${chartNumber}: ${assignError.message}`);
+      }
+
       // Mark job as completed
       await QueueService.completeJob(job.job_id);
       await QueueService.notifyStatusChange(job.job_id, 'completed', 'completed', `Chart ${chartNumber} processed successfully`);
@@ -366,6 +615,169 @@ class DocumentWorker {
     }
   }
 
+  /**
+   * Load every document on a chart in job format, carrying stored OCR text and the
+   * duplicate link so neither is OCR'd again
+   */
+  async loadChartDocuments(chartId) {
+    const rows = await DocumentRepository.getByChartId(chartId);
+
+    return rows.map(doc => ({
+      documentId: doc.id,
+      documentType: doc.document_type,
+      originalName: doc.original_name,
+      mimeType: doc.mime_type,
+      fileSize: doc.file_size,
+      s3Key: doc.s3_key,
+      s3Url: doc.s3_url,
+      transactionId: doc.transaction_id,
+      transactionLabel: doc.transaction_label,
+      isGroupMember: doc.is_group_member,
+      transactionPosition: doc.transaction_position,
+      ocrText: doc.ocr_status === 'completed' && doc.ocr_text ? doc.ocr_text : null,
+      duplicateOf: doc.duplicate_of || null
+    }));
+  }
+
+  /**
+   * Transaction fields carried from a job document onto its extraction result
+   */
+  transactionInfo(doc) {
+    return {
+      transactionId: doc.transactionId || null,
+      transactionLabel: doc.transactionLabel || null,
+      isGroupMember: doc.isGroupMember === true,
+      transactionPosition: doc.transactionPosition ?? null
+    };
+  }
+
+  /**
+   * Replace the members of each multi-image group with one logical document
+   * The group takes the place of its first member; other results pass through.
+   */
+  async mergeImageGroups(ocrResults) {
+    const groups = new Map();
+
+    for (const result of ocrResults) {
+      if (!result.isGroupMember || !result.transactionId) continue;
+      if (!groups.has(result.transactionId)) groups.set(result.transactionId, []);
+      groups.get(result.transactionId).push(result);
+    }
+
+    const merged = [];
+    const emitted = new Set();
+
+    for (const result of ocrResults) {
+      const members = result.isGroupMember ? groups.get(result.transactionId) : null;
+
+      if (!members || members.length < 2) {
+        merged.push(result);
+      } else if (!emitted.has(result.transactionId)) {
+        emitted.add(result.transactionId);
+        merged.push(await this.mergeImageGroup(members));
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Join an image group's pages (by transaction position, then upload order) into one document
+   * Each image gets a page header; failed images stay in as a marker so page numbers hold.
+   * Page layout is saved per image with line numbers of the merged text.
+   */
+  async mergeImageGroup(members) {
+    const ordered = [...members].sort((a, b) => (a.transactionPosition ?? Infinity) - (b.transactionPosition ?? Infinity));
+    const label = ordered[0].transactionLabel || `${ordered.length}-page image group`;
+    const segments = [];
+    let pageNumber = 0;
+
+    ordered.forEach((member, i) => {
+      segments.push({ text: `--- Page ${i + 1} of ${ordered.length}: ${member.filename} ---`, page: null });
+
+      if (!member.success) {
+        segments.push({ text: '[Text extraction failed for this page]', page: null });
+        pageNumber++;
+        return;
+      }
+
+      // Keep OCR layout when the image has it (multi-frame TIFFs have several pages)
+      if (member.pages?.length) {
+        member.pages.forEach(page => {
+          pageNumber++;
+          segments.push({ text: page.text, page: { ...page, pageNumber, documentId: member.documentId } });
+        });
+      } else {
+        pageNumber++;
+        segments.push({
+          text: this.ocrResultText(member.extractedText),
+          page: { pageNumber, documentId: member.documentId, confidence: null, lines: null, words: null, source: member.ocrProvider || member.extractionMethod || null }
+        });
+      }
+    });
+
+    const { text, pages } = ocrService.assemblePages(segments);
+
+    // Reused images keep the layout saved by the run that merged them
+    for (const member of ordered.filter(m => m.success && !m.reused)) {
+      try {
+        const memberPages = pages
+          .filter(page => page.documentId === member.documentId)
+          .map(({ documentId, ...page }) => page);
+        await DocumentRepository.savePages(member.documentId, memberPages);
+      } catch (error) {
+        log.warn('IMAGE_GROUP', `Could not save page layout for ${member.filename}: ${error.message}`);
+      }
+    }
+
+    const failed = ordered.filter(m => !m.success).length;
+    log.info('IMAGE_GROUP', `Merged ${ordered.length} image(s) of "${label}" into one document${failed > 0 ? ` (${failed} failed)` : ''}`);
+
+    return {
+      success: ordered.some(m => m.success),
+      documentId: ordered[0].documentId,
+      documentIds: ordered.map(m => m.documentId),
+      s3Url: ordered[0].s3Url,
+      filename: label,
+      documentType: ordered[0].documentType,
+      transactionId: ordered[0].transactionId,
+      extractedText: text,
+      pageCount: ordered.length,
+      processingTime: ordered.reduce((sum, m) => sum + (m.processingTime || 0), 0),
+      reused: ordered.every(m => m.reused),
+      error: ordered.every(m => !m.success) ? ordered.map(m => m.error).filter(Boolean).join('; ') : undefined
+    };
+  }
+
+  /**
+   * Stored text of a document (null if it has none yet)
+   * Used for duplicates and for text extracted by an earlier attempt of the job.
+   */
+  async getStoredText(documentId) {
+    const source = await DocumentRepository.getById(documentId);
+    return source?.ocr_status === 'completed' && source.ocr_text ? source.ocr_text : null;
+  }
+
+  /**
+   * Completed steps of the given jobs, keyed by stepKey()
+   */
+  async loadCheckpoints(jobIds) {
+    const steps = await JobStepRepository.getCompleted(jobIds.filter(Boolean));
+    return new Map(steps.map(step => [this.stepKey(step.step, step.document_id), step]));
+  }
+
+  stepKey(step, documentId = null) {
+    return `${step}:${documentId ?? 'chart'}`;
+  }
+
+  /**
+   * True when user_modifications holds at least one code-level change
+   */
+  hasCoderModifications(modifications) {
+    if (!modifications || typeof modifications !== 'object') return false;
+    return Object.values(modifications).some(mods => Array.isArray(mods) && mods.length > 0);
+  }
+
   /**
    * Handle job failure with proper status updates and logging
    */
@@ -373,6 +785,10 @@ class DocumentWorker {
     log.info('FAILURE_HANDLING', `Processing failure for chart ${chartNumber}`);
 
     try {
+      // Steps cut short by the failure; completed ones stay as checkpoints for the retry
+      await JobStepRepository.failRunning(job.job_id, errorMessage)
+        .catch(stepError => log.warn('FAILURE_HANDLING', `Could not update job steps: ${stepError.message}`));
+
       // Mark job as failed
       const failResult = await QueueService.failJob(job.job_id, errorMessage);
 
@@ -463,7 +879,8 @@ class DocumentWorker {
         extractedText: formattedLines,
         rawText: textContent,
         processingTime,
-        isTextFile: true
+        isTextFile: true,
+        extractionMethod: 'text_file'
       };
 
     } catch (error) {
@@ -535,7 +952,8 @@ class DocumentWorker {
         extractedText: formattedLines,
         rawText: textContent,
         processingTime,
-        isWordFile: true
+        isWordFile: true,
+        extractionMethod: 'word'
       };
 
     } catch (error) {
@@ -559,12 +977,191 @@ class DocumentWorker {
     }
   }
 
+  /**
+   * Extract text from HTML, RTF, ODT, CSV or XML / C-CDA
+   * Downloads from S3 and parses locally; C-CDA keeps its sections labelled
+   * extractionMethod: 'html' | 'rtf' | 'odt' | 'csv' | 'xml' | 'ccda'
+   */
+  async extractStructuredDocument(doc) {
+    const startTime = Date.now();
+
+    try {
+      log.info('STRUCTURED_DOWNLOAD', `Downloading document from S3: ${doc.s3Url?.substring(0, 80)}...`);
+
+      const response = await axios.get(doc.s3Url, {
+        responseType: 'arraybuffer',
+        timeout: 60000
+      });
+
+      const { text: textContent, format } = await textExtractionService.extract(Buffer.from(response.data), doc.mimeType);
+      const processingTime = Date.now() - startTime;
+
+      if (!textContent.trim()) {
+        throw new Error(`No text found in ${format.toUpperCase()} document`);
+      }
+
+      log.success('STRUCTURED_EXTRACT', `${format.toUpperCase()} document extracted: ${textContent.length} characters in ${processingTime}ms`);
+
+      // Plain text (one line per paragraph / row) so formatForAI numbers the same lines
+      // that are stored and that evidence verification matches against
+      return {
+        success: true,
+        filename: doc.originalName,
+        documentType: doc.documentType || `${format}-document`,
+        extractedText: textContent,
+        rawText: textContent,
+        processingTime,
+        extractionMethod: format
+      };
+
+    } catch (error) {
+      log.error('STRUCTURED_ERROR', `Failed to extract document: ${doc.originalName}`, error);
+      return {
+        success: false,
+        filename: doc.originalName,
+        documentType: doc.documentType,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Extract text from a PDF using its embedded text layer
+   * Pages whose text fails the quality check (scans, broken fonts) are cut into
+   * smaller PDFs and OCR'd; the document text keeps the original page order.
+   * extractionMethod: 'text_layer' (no OCR), 'hybrid' (some pages OCR'd) or 'ocr' (all pages)
+   */
+  async extractPdf(doc) {
+    const startTime = Date.now();
+
+    try {
+      log.info('PDF_DOWNLOAD', `Downloading PDF from S3: ${doc.s3Url?.substring(0, 80)}...`);
+
+      const response = await axios.get(doc.s3Url, {
+        responseType: 'arraybuffer',
+        timeout: 60000
+      });
+      const buffer = Buffer.from(response.data);
+
+      let pages;
+      try {
+        pages = await pdfTextService.extractPages(buffer);
+      } catch (error) {
+        // Encrypted or malformed for pdf.js - the OCR service may still cope
+        log.warn('PDF_TEXT', `Could not read text layer of ${doc.originalName}, using OCR: ${error.message}`);
+        return this.ocrBuffer(buffer, doc, startTime);
+      }
+
+      const scannedPages = [];
+      pages.forEach(page => {
+        const quality = pdfTextService.assessPage(page.text);
+        if (!quality.usable) {
+          scannedPages.push(page.pageNumber);
+          log.info('PDF_TEXT', `Page ${page.pageNumber}: OCR needed (${quality.reason})`);
+        }
+      });
+
+      if (pages.length === 0 || scannedPages.length === pages.length) {
+        log.info('PDF_TEXT', `No usable text layer in ${doc.originalName} - OCR all ${pages.length} page(s)`);
+        return this.ocrBuffer(buffer, doc, startTime, pages.length);
+      }
+
+      // OCR consecutive scanned pages together, one request per run
+      const ocrTextByPage = new Map();
+      const ocrLayoutByPage = new Map();
+      const providers = new Set();
+
+      for (const run of pdfTextService.toRuns(scannedPages)) {
+        log.info('PDF_OCR', `OCR pages ${run[0]}-${run[run.length - 1]} of ${doc.originalName}`);
+
+        const runBuffer = await pdfTextService.extractPdfPages(buffer, run);
+        const runResult = await this.ocrBuffer(runBuffer, {
+          ...doc,
+          originalName: doc.originalName.replace(/\.pdf$/i, '') + `_p${run[0]}-${run[run.length - 1]}.pdf`
+        }, startTime);
+
+        if (!runResult.success) {
+          return { ...runResult, filename: doc.originalName };
+        }
+
+        providers.add(runResult.ocrProvider);
+
+        // Run page numbers are relative to the cut-out PDF
+        if (runResult.pages?.length === run.length) {
+          runResult.pages.forEach((page, i) => ocrLayoutByPage.set(run[i], { ...page, pageNumber: run[i] }));
+        } else {
+          ocrTextByPage.set(run[0], this.ocrResultText(runResult.extractedText));
+        }
+      }
+
+      const segments = pages
+        .map(page => {
+          if (!scannedPages.includes(page.pageNumber)) {
+            return {
+              text: page.text,
+              page: { pageNumber: page.pageNumber, width: page.width, height: page.height, confidence: null, lines: page.lines, words: null, source: 'text_layer' }
+            };
+          }
+          if (ocrLayoutByPage.has(page.pageNumber)) {
+            const layout = ocrLayoutByPage.get(page.pageNumber);
+            return { text: layout.text, page: layout };
+          }
+          // OCR run without page layout - its whole text sits at the run's first page
+          return ocrTextByPage.has(page.pageNumber) ? { text: ocrTextByPage.get(page.pageNumber), page: null } : null;
+        })
+        .filter(Boolean);
+
+      const { text, pages: pageLayouts } = ocrService.assemblePages(segments);
+
+      const processingTime = Date.now() - startTime;
+      const extractionMethod = scannedPages.length > 0 ? 'hybrid' : 'text_layer';
+
+      log.success('PDF_TEXT', `Extracted ${doc.originalName} via ${extractionMethod}: ${pages.length - scannedPages.length} text-layer page(s), ${scannedPages.length} OCR page(s) in ${processingTime}ms`);
+
+      return {
+        success: true,
+        filename: doc.originalName,
+        documentType: doc.documentType,
+        extractedText: text,
+        processingTime,
+        extractionMethod,
+        textLayerPages: pages.length - scannedPages.length,
+        ocrPages: scannedPages.length,
+        ocrProvider: providers.size > 0 ? [...providers].join(',') : null,
+        pages: pageLayouts
+      };
+
+    } catch (error) {
+      log.error('PDF_ERROR', `PDF extraction failed for ${doc.originalName}`, error);
+      return {
+        success: false,
+        filename: doc.originalName,
+        documentType: doc.documentType,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Plain text from an OCR service response (string, or JSON carrying the text)
+   */
+  ocrResultText(extractedText) {
+    if (typeof extractedText === 'string') return extractedText;
+
+    // Line-numbered text from text/Word/structured extraction
+    if (Array.isArray(extractedText)) return extractedText.map(line => line.text).join('\n');
+
+    const text = extractedText?.text ?? extractedText?.extractedText ?? extractedText?.combinedText;
+    return typeof text === 'string' ? text : JSON.stringify(extractedText);
+  }
+
   /**
    * Perform OCR on a document (PDF or image)
    */
   async performOCR(doc) {
     const startTime = Date.now();
-    let tempPath = null;
 
     try {
       log.info('OCR_DOWNLOAD', `Downloading from S3: ${doc.s3Url?.substring(0, 80)}...`);
@@ -577,11 +1174,33 @@ class DocumentWorker {
 
       log.info('OCR_DOWNLOAD', `Downloaded ${(response.data.length / 1024).toFixed(1)}KB`);
 
+      return await this.ocrBuffer(Buffer.from(response.data), doc, startTime);
+
+    } catch (error) {
+      log.error('OCR_ERROR', `OCR failed for ${doc.originalName}`, error);
+      return {
+        success: false,
+        filename: doc.originalName,
+        documentType: doc.documentType,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Send downloaded content to the OCR service via a temp file
+   * pageCount: known PDF page count, recorded as OCR pages
+   */
+  async ocrBuffer(buffer, doc, startTime = Date.now(), pageCount = null) {
+    let tempPath = null;
+
+    try {
       // Create temp file
       const tempDir = os.tmpdir();
       const safeFilename = doc.originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
       tempPath = path.join(tempDir, `ocr_${Date.now()}_${safeFilename}`);
-      fs.writeFileSync(tempPath, response.data);
+      fs.writeFileSync(tempPath, buffer);
 
       const tempFile = {
         path: tempPath,
@@ -591,10 +1210,33 @@ class DocumentWorker {
 
       log.info('OCR_EXTRACT', `Running OCR extraction...`);
 
-      // Run OCR
-      const ocrResult = await ocrService.extractText(tempFile, doc.documentType);
+      // Run OCR through the facility's provider chain
+      const ocrResult = await ocrService.extractText(tempFile, doc.documentType, { facility: doc.facility });
 
-      return ocrResult;
+      if (!ocrResult.success) {
+        return { ...ocrResult, processingTime: Date.now() - startTime };
+      }
+
+      log.info('OCR_EXTRACT', `OCR provider: ${ocrResult.provider}`);
+
+      // Page layout: rebuild the text from the pages so line numbers map to pages
+      let { extractedText, pages } = ocrResult;
+      if (pages?.length) {
+        ({ text: extractedText, pages } = ocrService.assemblePages(
+          pages.map(page => ({ text: page.text, page: { ...page, source: ocrResult.provider } }))
+        ));
+      }
+
+      return {
+        ...ocrResult,
+        extractedText,
+        pages,
+        ocrProvider: ocrResult.provider,
+        processingTime: Date.now() - startTime,
+        extractionMethod: 'ocr',
+        textLayerPages: pageCount !== null ? 0 : null,
+        ocrPages: pageCount
+      };
 
     } catch (error) {
       log.error('OCR_ERROR', `OCR failed for ${doc.originalName}`, error);
@@ -628,11 +1270,13 @@ class DocumentWorker {
   }
 }
 
-// Run the worker
-const worker = new DocumentWorker();
-worker.start().catch(error => {
-  log.error('FATAL', 'Worker crashed', error);
-  process.exit(1);
-});
+// Run the worker when started directly (tests import the class without starting it)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const worker = new DocumentWorker();
+  worker.start().catch(error => {
+    log.error('FATAL', 'Worker crashed', error);
+    process.exit(1);
+  });
+}
 
 export default DocumentWorker;
@@ -0,0 +1,67 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiKeyRepository } from '../src/db/apiKeyRepository.js';
+import { auditService } from '../src/services/auditService.js';
+import { apiKeyController } from '../src/controllers/apiKeyController.js';
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const user = { userId: 'admin-1', role: 'admin' };
+const apiKey = { id: 7, name: 'Feed', key_prefix: 'mk_abc', scopes: ['documents:upload'], facilities: ['Mercy General'] };
+
+describe('apiKeyController', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(ApiKeyRepository, 'create', async (keyData) => ({ apiKey: { ...apiKey, expires_at: keyData.expiresAt }, rawKey: 'mk_abc.secret' }));
+    mock.method(ApiKeyRepository, 'revoke', async () => apiKey);
+    mock.method(auditService, 'log', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const create = async (expiresInDays) => {
+    const res = response();
+    await apiKeyController.createApiKey({
+      body: { name: 'Feed', scopes: ['documents:upload'], facilities: ['Mercy General'], expiresInDays },
+      user
+    }, res);
+    return res;
+  };
+
+  test('creates keys with and without an expiry', async () => {
+    assert.equal((await create(undefined)).statusCode, 201);
+    assert.equal(ApiKeyRepository.create.mock.calls[0].arguments[0].expiresAt, null);
+
+    assert.equal((await create('30')).statusCode, 201);
+    const expiresAt = ApiKeyRepository.create.mock.calls[1].arguments[0].expiresAt;
+    assert.equal(Math.round((expiresAt - Date.now()) / 86400000), 30);
+  });
+
+  test('rejects an expiry that is not a whole number of days', async () => {
+    for (const expiresInDays of ['soon', 0, -5, 1.5, 100000]) {
+      assert.equal((await create(expiresInDays)).statusCode, 400, String(expiresInDays));
+    }
+    assert.equal(ApiKeyRepository.create.mock.callCount(), 0);
+  });
+
+  test('rejects a key id that is not a number', async () => {
+    for (const id of ['abc', '7x', '0', '99999999999']) {
+      const res = response();
+      await apiKeyController.revokeApiKey({ params: { id }, user }, res);
+      assert.equal(res.statusCode, 400, id);
+    }
+    assert.equal(ApiKeyRepository.revoke.mock.callCount(), 0);
+
+    const res = response();
+    await apiKeyController.revokeApiKey({ params: { id: '7' }, user }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(ApiKeyRepository.revoke.mock.calls[0].arguments[0], 7);
+  });
+});
@@ -0,0 +1,134 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { config } from '../src/config.js';
+import { archiveService, ArchiveError } from '../src/services/archiveService.js';
+
+const archiveLimits = { ...config.upload.archive };
+const uploadDir = config.upload.uploadDir;
+let tmpDir;
+
+/**
+ * Write a ZIP to the temp dir and return it as a multer-shaped file
+ */
+async function zipFile(name, entries) {
+  const zip = new JSZip();
+  for (const [entryName, content] of Object.entries(entries)) zip.file(entryName, content);
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const filePath = path.join(tmpDir, name);
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { fieldname: 'files', originalname: name, mimetype: 'application/zip', path: filePath, size: buffer.length };
+}
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  config.upload.uploadDir = tmpDir;
+});
+
+after(() => {
+  Object.assign(config.upload.archive, archiveLimits);
+  config.upload.uploadDir = uploadDir;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('archiveService.safeEntryPath', () => {
+  const entry = (name) => ({ name, unsafeOriginalName: name });
+
+  test('normalizes ordinary relative paths', () => {
+    assert.equal(archiveService.safeEntryPath(entry('ed/page1.jpg'), 'a.zip'), 'ed/page1.jpg');
+    assert.equal(archiveService.safeEntryPath(entry('ed/./notes/../hp.pdf'), 'a.zip'), 'ed/hp.pdf');
+    assert.equal(archiveService.safeEntryPath(entry('ed\\hp.pdf'), 'a.zip'), 'ed/hp.pdf');
+  });
+
+  test('rejects traversal, absolute and drive paths', () => {
+    for (const name of ['../etc/passwd', 'ed/../../x.pdf', '..', '/etc/passwd', 'C:/Windows/x.pdf', '..\\x.pdf', 'a\0.pdf']) {
+      assert.throws(() => archiveService.safeEntryPath(entry(name), 'a.zip'), ArchiveError, name);
+    }
+  });
+
+  test('checks the raw header name, not the name JSZip sanitized', () => {
+    assert.throws(
+      () => archiveService.safeEntryPath({ name: 'etc/passwd', unsafeOriginalName: '../../etc/passwd' }, 'a.zip'),
+      ArchiveError
+    );
+  });
+});
+
+describe('archiveService.expandArchive', () => {
+  test('extracts supported entries, skips the rest and reads the manifest', async () => {
+    const file = await zipFile('encounter.zip', {
+      'hp.pdf': '%PDF-1.4 test',
+      'ed/page10.jpg': 'jpg10',
+      'ed/page2.jpg': 'jpg2',
+      'notes.exe': 'nope',
+      'inner.zip': 'nested',
+      'manifest.json': JSON.stringify({ chartNumber: 'ENC-1001', mrn: '123456' })
+    });
+
+    const result = await archiveService.expandArchive(file);
+
+    assert.deepEqual(result.files.map(f => f.originalname), ['ed/page2.jpg', 'ed/page10.jpg', 'hp.pdf']);
+    assert.deepEqual(result.files.map(f => f.mimetype), ['image/jpeg', 'image/jpeg', 'application/pdf']);
+    assert.ok(result.files.every(f => path.dirname(f.path) === tmpDir && fs.existsSync(f.path)));
+    assert.deepEqual(result.skipped.map(s => s.path).sort(), ['inner.zip', 'notes.exe']);
+    assert.equal(result.manifest.chartNumber, 'ENC-1001');
+  });
+
+  test('rejects archives with too many entries', async () => {
+    config.upload.archive.maxEntries = 2;
+    try {
+      const file = await zipFile('many.zip', { 'a.pdf': 'a', 'b.pdf': 'b', 'c.pdf': 'c' });
+      await assert.rejects(archiveService.expandArchive(file), /has 3 entries \(max 2\)/);
+    } finally {
+      config.upload.archive.maxEntries = archiveLimits.maxEntries;
+    }
+  });
+
+  test('rejects an entry larger than the per-entry limit', async () => {
+    config.upload.archive.maxEntrySize = 1024;
+    try {
+      const file = await zipFile('big-entry.zip', { 'big.pdf': 'x'.repeat(4096) });
+      await assert.rejects(archiveService.expandArchive(file), /exceeds 1024 bytes uncompressed/);
+    } finally {
+      config.upload.archive.maxEntrySize = archiveLimits.maxEntrySize;
+    }
+  });
+
+  test('rejects archives that expand beyond the compression ratio (zip bomb)', async () => {
+    config.upload.archive.maxCompressionRatio = 10;
+    try {
+      const file = await zipFile('bomb.zip', { 'a.pdf': '0'.repeat(200 * 1024), 'b.pdf': '0'.repeat(200 * 1024) });
+      await assert.rejects(archiveService.expandArchive(file), (error) => {
+        assert.ok(error instanceof ArchiveError);
+        assert.match(error.message, /possible zip bomb/);
+        return true;
+      });
+    } finally {
+      config.upload.archive.maxCompressionRatio = archiveLimits.maxCompressionRatio;
+    }
+  });
+
+  test('rejects an archive with a traversal entry', async () => {
+    const file = await zipFile('evil.zip', { 'ok.pdf': 'fine' });
+    const zip = await JSZip.loadAsync(await fs.promises.readFile(file.path));
+    zip.file('../../evil.pdf', 'evil');
+    await fs.promises.writeFile(file.path, await zip.generateAsync({ type: 'nodebuffer' }));
+
+    await assert.rejects(archiveService.expandArchive(file), /unsafe entry path/);
+  });
+
+  test('rejects files that are not ZIP archives', async () => {
+    const filePath = path.join(tmpDir, 'fake.zip');
+    await fs.promises.writeFile(filePath, 'not a zip');
+
+    await assert.rejects(
+      archiveService.expandArchive({ originalname: 'fake.zip', path: filePath, size: 9 }),
+      /not a valid ZIP archive/
+    );
+  });
+});
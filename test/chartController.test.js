@@ -0,0 +1,75 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLES } from '../src/db/userRepository.js';
+import { ChartRepository } from '../src/db/chartRepository.js';
+import { auditService } from '../src/services/auditService.js';
+import { chartController } from '../src/controllers/chartController.js';
+
+/**
+ * Minimal Express response that records status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const request = (reviewStatus, role = ROLES.QA) => ({
+  params: { chartNumber: 'ENC-1001' },
+  body: { reviewStatus },
+  user: { userId: 'user-1', role, facilities: null },
+  method: 'PATCH',
+  originalUrl: '/api/charts/ENC-1001/status',
+  headers: {}
+});
+
+describe('chartController.updateStatus', () => {
+  let chart;
+
+  beforeEach(() => {
+    chart = { chart_number: 'ENC-1001', review_status: 'in_review' };
+    mock.method(console, 'warn', () => {});
+    mock.method(ChartRepository, 'getByChartNumber', async () => chart);
+    mock.method(ChartRepository, 'updateReviewStatus', async (chartNumber, reviewStatus) => ({ ...chart, review_status: reviewStatus }));
+    mock.method(auditService, 'log', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('moves a chart between working statuses', async () => {
+    const res = response();
+    await chartController.updateStatus(request('pending', ROLES.CODER), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.chart.reviewStatus, 'pending');
+  });
+
+  test('refuses submitted and the QA statuses', async () => {
+    for (const reviewStatus of ['submitted', 'qa_pending', 'qa_returned']) {
+      const res = response();
+      await chartController.updateStatus(request(reviewStatus, ROLES.ADMIN), res);
+
+      assert.equal(res.statusCode, 400, reviewStatus);
+    }
+    assert.equal(ChartRepository.updateReviewStatus.mock.callCount(), 0);
+  });
+
+  test('leaves a chart awaiting QA to the QA review endpoints', async () => {
+    chart.review_status = 'qa_pending';
+    const res = response();
+    await chartController.updateStatus(request('rejected', ROLES.QA), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(ChartRepository.updateReviewStatus.mock.callCount(), 0);
+  });
+
+  test('checks the permission for the target status', async () => {
+    const res = response();
+    await chartController.updateStatus(request('rejected', ROLES.CODER), res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,30 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { codeSetService, CODE_SYSTEMS } from '../src/services/codeSetService.js';
+
+const release = { id: 1, effective_from: '2025-10-01' };
+
+describe('codeSetService.checkCode', () => {
+  test('accepts special-purpose U codes from the release', async () => {
+    assert.ok(CODE_SYSTEMS.icd10cm.pattern.test('U071'));
+
+    const result = await codeSetService.checkCode('icd10cm', 'U071', release,
+      { billable: true, description: 'COVID-19', effective_from: '2025-10-01' }, '2026-03-01');
+
+    assert.equal(result.status, 'valid');
+    assert.equal(result.code, 'U07.1');
+  });
+
+  test('reports malformed codes as invalid without a lookup', async () => {
+    const result = await codeSetService.checkCode('icd10cm', '1071', release, null, '2026-03-01');
+
+    assert.equal(result.status, 'invalid');
+    assert.match(result.message, /not a well-formed ICD-10-CM code/);
+  });
+
+  test('reports unverified when no release is loaded', async () => {
+    const result = await codeSetService.checkCode('icd10cm', 'U071', null, null, '2026-03-01');
+
+    assert.equal(result.status, 'unverified');
+  });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { validateCodingResponse, normalizeCodingResponse } from '../src/services/codingSchema.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('../src/services/fixtures/mock-coding.json', import.meta.url), 'utf8'));
+const response = () => structuredClone(fixture);
+
+describe('validateCodingResponse', () => {
+  test('accepts the mock provider fixture', () => {
+    assert.deepEqual(validateCodingResponse(response()), []);
+  });
+
+  test('requires every coding category', () => {
+    const data = response();
+    delete data.coding_categories.modifiers;
+
+    assert.deepEqual(validateCodingResponse(data), ["/coding_categories must have required property 'modifiers'"]);
+  });
+
+  test('requires a primary diagnosis unless the variant allows none', () => {
+    const data = response();
+    data.coding_categories.primary_diagnosis.codes = [];
+
+    assert.match(validateCodingResponse(data).join('\n'), /primary_diagnosis\/codes must NOT have fewer than 1 items/);
+    assert.deepEqual(validateCodingResponse(data, { requirePrimary: false }), []);
+  });
+
+  test('rejects malformed codes', () => {
+    const data = response();
+    data.coding_categories.primary_diagnosis.codes[0].icd_10_code = 'GERD';
+    data.coding_categories.procedures.codes[0].cpt_code = '9301';
+
+    const errors = validateCodingResponse(data);
+    assert.equal(errors.length, 2);
+    assert.match(errors.join('\n'), /primary_diagnosis\/codes\/0\/icd_10_code must match pattern/);
+    assert.match(errors.join('\n'), /procedures\/codes\/0\/cpt_code must match pattern/);
+  });
+
+  test('accepts special-purpose U codes', () => {
+    const data = response();
+    data.coding_categories.primary_diagnosis.codes[0].icd_10_code = 'U07.1';
+    data.coding_categories.secondary_diagnoses.codes[0].icd_10_code = 'U099';
+
+    assert.deepEqual(validateCodingResponse(data), []);
+  });
+
+  test('lists the allowed confidence values', () => {
+    const data = response();
+    data.coding_categories.secondary_diagnoses.codes[0].confidence = 'certain';
+
+    assert.deepEqual(validateCodingResponse(data), [
+      '/coding_categories/secondary_diagnoses/codes/0/confidence must be equal to one of the allowed values (high, medium, low)'
+    ]);
+  });
+
+  test('requires evidence unless the variant omits it', () => {
+    const data = response();
+    delete data.coding_categories.reason_for_admit.codes[0].evidence;
+    data.coding_categories.primary_diagnosis.codes[0].evidence[0].line_number = 'line two';
+
+    assert.equal(validateCodingResponse(data).length, 2);
+    assert.deepEqual(validateCodingResponse(data, { evidence: false }), []);
+  });
+
+  test('requires the narrative summary unless the variant omits it', () => {
+    const data = response();
+    delete data.ai_narrative_summary;
+
+    assert.deepEqual(validateCodingResponse(data), ["/ must have required property 'ai_narrative_summary'"]);
+    assert.deepEqual(validateCodingResponse(data, { summary: false }), []);
+  });
+});
+
+describe('normalizeCodingResponse', () => {
+  test('fixes confidence casing and code whitespace', () => {
+    const data = response();
+    const code = data.coding_categories.primary_diagnosis.codes[0];
+    code.confidence = ' High ';
+    code.icd_10_code = ' k21.9 ';
+
+    normalizeCodingResponse(data);
+
+    assert.equal(code.confidence, 'high');
+    assert.equal(code.icd_10_code, 'K21.9');
+    assert.deepEqual(validateCodingResponse(data), []);
+  });
+});
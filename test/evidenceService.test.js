@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { ocrService } from '../src/services/ocrService.js';
+import { evidenceService } from '../src/services/evidenceService.js';
+
+const NOTE = [
+  'Chief complaint: chest pain',
+  'Assessment: GERD',
+  'History of hypertension',
+  'ECG: normal sinus rhythm',
+  'Vitals stable on arrival',
+  'Labs reviewed, troponin negative',
+  'Past medical history includes type 2 diabetes',
+  'mellitus without complications',
+  'Discharged home in good condition'
+].join('\n');
+
+const documents = () => ocrService.formatForAI([
+  { success: true, filename: 'ed-note.txt', documentType: 'ED Note', extractedText: NOTE },
+  { success: true, filename: 'discharge.txt', documentType: 'Discharge', extractedText: 'Follow up with cardiology' }
+]);
+
+const evidence = (exact_text, line_number, document_name = 'ed-note.txt') => ({ document_name, line_number: String(line_number), exact_text });
+
+const verify = (entry) => evidenceService.verifyEvidence(entry, documents().map(doc => evidenceService.indexDocument(doc)));
+
+describe('evidenceService.verifyEvidence', () => {
+  test('verifies an exact quote at the cited line', () => {
+    const result = verify(evidence('Assessment: GERD', 2));
+
+    assert.equal(result.status, 'verified');
+    assert.equal(result.score, 1);
+    assert.equal(result.matched.line_number, 2);
+  });
+
+  test('tolerates OCR noise and a line number within the tolerance', () => {
+    const result = verify(evidence('Hist0ry of hypertensi0n', 4));
+
+    assert.equal(result.status, 'verified');
+    assert.ok(result.score >= config.evidence.matchThreshold);
+    assert.equal(result.matched.line_number, 3);
+  });
+
+  test('matches quotes that wrap across lines', () => {
+    const result = verify(evidence('type 2 diabetes mellitus without complications', 7));
+
+    assert.equal(result.status, 'verified');
+    assert.equal(result.matched.line_number, 7);
+    assert.equal(result.matched.end_line_number, 8);
+  });
+
+  test('relocates a quote cited at the wrong line or document', () => {
+    const wrongLine = verify(evidence('Discharged home in good condition', 1));
+    assert.equal(wrongLine.status, 'relocated');
+    assert.equal(wrongLine.matched.line_number, 9);
+
+    const wrongDocument = verify(evidence('Follow up with cardiology', 1));
+    assert.equal(wrongDocument.status, 'relocated');
+    assert.equal(wrongDocument.matched.document_name, 'discharge.txt');
+  });
+
+  test('reports a loose paraphrase as partial', () => {
+    const result = verify(evidence('troponin was negative on labs', 6));
+
+    assert.equal(result.status, 'partial');
+    assert.ok(result.score >= config.evidence.partialThreshold && result.score < config.evidence.matchThreshold);
+  });
+
+  test('reports a quote that is not in the chart as not_found', () => {
+    assert.equal(verify(evidence('Acute appendicitis with perforation', 2)).status, 'not_found');
+    assert.equal(verify(evidence('', 2)).status, 'not_found');
+  });
+});
+
+describe('evidenceService.verifyAIResult', () => {
+  test('summarizes the chart and down-ranks codes whose evidence is missing', () => {
+    const aiData = {
+      diagnosis_codes: {
+        primary_diagnosis: [{ icd_10_code: 'K21.9', confidence: 'high', evidence: [evidence('Assessment: GERD', 2)] }],
+        secondary_diagnoses: [
+          { icd_10_code: 'K35.32', confidence: 'high', evidence: [evidence('Acute appendicitis with perforation', 3)] },
+          { icd_10_code: 'I10', confidence: 'medium' }
+        ]
+      },
+      procedures: [{ cpt_code: '93010', confidence: 'high', evidence: evidence('ECG: normal sinus rhythm', 4) }]
+    };
+
+    const result = evidenceService.verifyAIResult(aiData, documents());
+
+    assert.deepEqual(result.counts, { verified: 2, relocated: 0, partial: 0, not_found: 1, no_evidence: 1 });
+    assert.deepEqual(result.flagged.map(flag => [flag.code, flag.status]), [['K35.32', 'not_found'], ['I10', 'no_evidence']]);
+
+    const [notFound, noEvidence] = aiData.diagnosis_codes.secondary_diagnoses;
+    assert.equal(notFound.confidence, 'medium');
+    assert.equal(notFound.original_confidence, 'high');
+    assert.equal(noEvidence.confidence, 'low');
+    assert.equal(aiData.diagnosis_codes.primary_diagnosis[0].confidence, 'high');
+    assert.equal(aiData.procedures[0].evidence.verification.status, 'verified');
+  });
+});
@@ -0,0 +1,66 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartRepository } from '../src/db/chartRepository.js';
+import { ingestionService } from '../src/services/ingestionService.js';
+import { fhirService, FHIRError } from '../src/services/fhirService.js';
+
+const documentReference = (encounter, text) => ({
+  resourceType: 'DocumentReference',
+  status: 'current',
+  context: { encounter: [{ identifier: { value: encounter } }] },
+  content: [{ attachment: { contentType: 'text/plain', title: `${encounter}-note`, data: Buffer.from(text).toString('base64') } }]
+});
+
+const bundle = {
+  resourceType: 'Bundle',
+  type: 'transaction',
+  entry: [
+    { resource: documentReference('ENC-1', 'Assessment: GERD') },
+    { resource: documentReference('ENC-2', 'ECG: normal sinus rhythm') }
+  ]
+};
+
+const req = { user: { userId: 'fhir-feed', role: 'api_key' }, ip: '127.0.0.1', headers: {} };
+
+const charts = (existing) => mock.method(ChartRepository, 'getByChartNumber', async (chartNumber) => existing[chartNumber] || null);
+
+afterEach(() => mock.restoreAll());
+
+describe('fhirService.ingest', () => {
+  test('queues new charts and re-codes existing ones', async () => {
+    charts({ 'ENC-2': { id: 2, chart_number: 'ENC-2', ai_status: 'ready', review_status: 'in_review' } });
+    const ingest = mock.method(ingestionService, 'ingest', async ({ chartInfo, documents }) => ({
+      status: 'queued',
+      reprocess: chartInfo.chartNumber === 'ENC-2',
+      job: { job_id: `job-${chartInfo.chartNumber}` },
+      documents,
+      duplicates: []
+    }));
+
+    const results = await fhirService.ingest(bundle, req);
+
+    assert.equal(ingest.mock.callCount(), 2);
+    assert.deepEqual(results.map(r => [r.chartNumber, r.status, r.reprocess, r.jobId]), [
+      ['ENC-1', 'queued', false, 'job-ENC-1'],
+      ['ENC-2', 'queued', true, 'job-ENC-2']
+    ]);
+  });
+
+  test('rejects the whole bundle with 409 when an existing chart cannot take documents', async () => {
+    const ingest = mock.method(ingestionService, 'ingest', async () => ({ status: 'queued' }));
+
+    for (const chart of [{ ai_status: 'processing', review_status: 'pending' }, { ai_status: 'ready', review_status: 'submitted' }]) {
+      charts({ 'ENC-2': { id: 2, chart_number: 'ENC-2', ...chart } });
+
+      await assert.rejects(fhirService.ingest(bundle, req), (error) => {
+        assert.ok(error instanceof FHIRError);
+        assert.equal(error.status, 409);
+        assert.equal(error.code, 'conflict');
+        assert.match(error.message, /^Chart ENC-2: /);
+        return true;
+      });
+    }
+
+    assert.equal(ingest.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,210 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { hl7Service, HL7Error } from '../src/services/hl7Service.js';
+import { ingestionService } from '../src/services/ingestionService.js';
+
+/**
+ * One segment from { fieldNumber: value }
+ */
+function segment(name, fields) {
+  const parts = [name];
+  for (const [index, value] of Object.entries(fields)) parts[Number(index)] = value;
+  return Array.from(parts, part => part ?? '').join('|');
+}
+
+const MSH = (messageType, controlId = 'MSG0001') =>
+  `MSH|^~\\&|EPIC|MERCY|MEDCODE|MEDCODE|20260301120000||${messageType}|${controlId}|P|2.5`;
+
+const PID = segment('PID', { 1: '1', 3: 'MRN123^^^MERCY^MR', 5: 'Doe^Jane' });
+
+const PV1 = segment('PV1', {
+  1: '1',
+  2: 'E',
+  3: 'ED^01^A^Mercy General',
+  7: '1234^Smith^John^^^Dr^MD',
+  10: 'Emergency',
+  19: 'ENC-1001',
+  44: '20260301083000'
+});
+
+const MDM = [
+  MSH('MDM^T02'),
+  PID,
+  PV1,
+  segment('TXA', { 1: '1', 2: 'ED Note', 3: 'TX', 4: '20260301113000', 12: 'DOC-77', 17: 'AU' }),
+  segment('OBX', { 1: '1', 2: 'TX', 3: 'NOTE^Note', 5: 'Chief complaint: chest pain~Assessment: GERD\\.br\\History of hypertension' }),
+  segment('OBX', { 1: '2', 2: 'TX', 3: 'NOTE^Note', 5: 'ECG: normal sinus rhythm \\T\\ no ST changes' })
+].join('\r');
+
+const ORU = [
+  MSH('ORU^R01', 'MSG0002'),
+  PID,
+  PV1,
+  segment('OBR', { 1: '1', 4: 'TROP^Troponin I', 7: '20260301090000' }),
+  segment('OBX', { 1: '1', 2: 'NM', 3: 'TROP^Troponin I', 5: '0.01', 6: 'ng/mL', 7: '0.00-0.04', 8: 'N' }),
+  segment('OBX', { 1: '2', 2: 'NM', 3: 'K^Potassium', 5: '5.9', 6: 'mmol/L', 7: '3.5-5.1', 8: 'H' }),
+  segment('OBR', { 1: '2', 4: 'CXR^Chest X-ray' }),
+  segment('OBX', { 1: '1', 2: 'CE', 3: 'CXR^Chest X-ray', 5: 'N^Normal' })
+].join('\n');
+
+const user = { userId: 'hl7-feed', role: 'api_key', facilities: ['Mercy General'] };
+
+afterEach(() => mock.restoreAll());
+
+describe('hl7Service.parse', () => {
+  test('numbers MSH fields from the field separator', () => {
+    const message = hl7Service.parse(MDM);
+    const msh = message.segments[0];
+
+    assert.equal(message.encoding.component, '^');
+    assert.equal(hl7Service.getValue(message, msh, 1), '|');
+    assert.equal(hl7Service.getValue(message, msh, 2), '^~\\&');
+    assert.equal(hl7Service.getValue(message, msh, 9, { component: 2 }), 'T02');
+    assert.equal(hl7Service.getValue(message, msh, 10), 'MSG0001');
+    assert.deepEqual(message.segments.map(s => s.name), ['MSH', 'PID', 'PV1', 'TXA', 'OBX', 'OBX']);
+  });
+
+  test('accepts any line ending and a byte order mark', () => {
+    const message = hl7Service.parse(`\uFEFF${MDM.replace(/\r/g, '\r\n')}\r\n`);
+    assert.equal(message.segments.length, 6);
+  });
+
+  test('rejects text that does not start with MSH', () => {
+    assert.throws(() => hl7Service.parse('PID|1||123'), HL7Error);
+  });
+});
+
+describe('hl7Service.extract', () => {
+  test('maps an MDM^T02 note to chart info and a text document', () => {
+    const { header, chartInfo, document } = hl7Service.extract(MDM);
+
+    assert.equal(header.messageType, 'MDM^T02');
+    assert.deepEqual(chartInfo, {
+      chartNumber: 'ENC-1001',
+      mrn: 'MRN123',
+      facility: 'Mercy General',
+      specialty: 'Emergency',
+      provider: 'Dr John Smith, MD',
+      dateOfService: '2026-03-01'
+    });
+    assert.equal(document.content, [
+      'Document Type: ED Note',
+      'Date: 2026-03-01',
+      'Status: AU',
+      '',
+      'Chief complaint: chest pain',
+      'Assessment: GERD',
+      'History of hypertension',
+      'ECG: normal sinus rhythm & no ST changes'
+    ].join('\n'));
+    assert.equal(document.originalName, 'MDM_T02_DOC-77.txt');
+    assert.equal(document.mimeType, 'text/plain');
+  });
+
+  test('formats ORU^R01 results under their orders', () => {
+    const { document } = hl7Service.extract(ORU);
+
+    assert.equal(document.content, [
+      'Troponin I (2026-03-01)',
+      'Troponin I: 0.01 ng/mL (ref 0.00-0.04)',
+      'Potassium: 5.9 mmol/L (ref 3.5-5.1) [H]',
+      '',
+      'Chest X-ray',
+      'Chest X-ray: Normal'
+    ].join('\n'));
+    assert.equal(document.transactionLabel, 'HL7 ORU^R01 - Results');
+  });
+
+  test('rejects unsupported message types with AR / 200', () => {
+    assert.throws(() => hl7Service.extract(MDM.replace('MDM^T02', 'ADT^A01')), (error) => {
+      assert.equal(error.ackCode, 'AR');
+      assert.equal(error.errorCode, '200');
+      assert.equal(error.header.controlId, 'MSG0001');
+      return true;
+    });
+  });
+
+  test('rejects messages missing required fields with AE / 101', () => {
+    for (const raw of [MDM.replace('MSG0001', ''), MDM.replace(PID, segment('PID', { 1: '1' }))]) {
+      assert.throws(() => hl7Service.extract(raw), { name: 'HL7Error', ackCode: 'AE', errorCode: '101' });
+    }
+  });
+});
+
+describe('hl7Service.buildAck', () => {
+  test('AA acknowledges the message control ID and swaps sender and receiver', () => {
+    const { header } = hl7Service.extract(MDM);
+    const [msh, msa, ...rest] = hl7Service.buildAck(header, 'AA').split('\r');
+    const fields = msh.split('|');
+
+    assert.equal(fields[2], 'MEDCODE');
+    assert.equal(fields[4], 'EPIC');
+    assert.equal(fields[5], 'MERCY');
+    assert.equal(fields[8], 'ACK^T02^ACK');
+    assert.equal(msa, 'MSA|AA|MSG0001');
+    assert.deepEqual(rest, ['']);
+  });
+
+  test('a NAK carries the error in MSA-3 and ERR with separators stripped', () => {
+    const ack = hl7Service.buildAck({ controlId: 'MSG9' }, 'AE', 'PID-3 | missing^value', '101');
+    const [, msa, err] = ack.split('\r');
+
+    assert.equal(msa, 'MSA|AE|MSG9|PID-3   missing value');
+    assert.equal(err, 'ERR|||101^Required field missing^HL70357|E||||PID-3   missing value');
+  });
+});
+
+describe('hl7Service.processMessage', () => {
+  test('ingests the document and answers AA', async () => {
+    const ingest = mock.method(ingestionService, 'ingest', async () => ({ status: 'queued', job: { job_id: 'job-1' } }));
+
+    const result = await hl7Service.processMessage(MDM, { user });
+
+    assert.equal(result.ackCode, 'AA');
+    assert.equal(result.chartNumber, 'ENC-1001');
+    assert.equal(result.jobId, 'job-1');
+    assert.match(result.ack, /\rMSA\|AA\|MSG0001\r$/);
+
+    const [{ arguments: [args] }] = ingest.mock.calls;
+    assert.equal(args.documentType, 'hl7');
+    assert.equal(args.source, 'hl7:MDM^T02');
+    assert.equal(args.documents[0].originalName, 'MDM_T02_DOC-77.txt');
+  });
+
+  test('answers AR when the sender may not feed the facility', async () => {
+    mock.method(ingestionService, 'ingest', async () => ({ status: 'forbidden', facility: 'Mercy General' }));
+
+    const result = await hl7Service.processMessage(MDM, { user });
+
+    assert.equal(result.ackCode, 'AR');
+    assert.equal(result.jobId, null);
+  });
+
+  test('answers AE while the chart cannot take new documents', async () => {
+    mock.method(ingestionService, 'ingest', async () => ({ status: 'conflict', error: "Chart is currently 'processing'" }));
+
+    const result = await hl7Service.processMessage(MDM, { user });
+
+    assert.equal(result.ackCode, 'AE');
+    assert.match(result.ack, /\rMSA\|AE\|MSG0001\|Chart is currently 'processing'/);
+  });
+
+  test('answers AE without ingesting an invalid message', async () => {
+    const ingest = mock.method(ingestionService, 'ingest', async () => ({ status: 'queued' }));
+
+    const result = await hl7Service.processMessage(ORU.replace(PID, segment('PID', { 1: '1' })), { user });
+
+    assert.equal(result.ackCode, 'AE');
+    assert.match(result.ack, /\rMSA\|AE\|MSG0002\|PID-3/);
+    assert.equal(ingest.mock.callCount(), 0);
+  });
+
+  test('answers AE when ingestion fails', async () => {
+    mock.method(ingestionService, 'ingest', async () => { throw new Error('S3 unavailable'); });
+
+    const result = await hl7Service.processMessage(MDM, { user });
+
+    assert.equal(result.ackCode, 'AE');
+    assert.equal(result.error, 'S3 unavailable');
+  });
+});
@@ -0,0 +1,148 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartRepository, DocumentRepository } from '../src/db/chartRepository.js';
+import { QueueService } from '../src/db/queueService.js';
+import { s3Service } from '../src/services/s3Service.js';
+import { auditService } from '../src/services/auditService.js';
+import { ingestionService } from '../src/services/ingestionService.js';
+
+const chartInfo = {
+  chartNumber: 'ENC-1001',
+  mrn: 'MRN123',
+  facility: 'Mercy General',
+  specialty: 'Emergency',
+  dateOfService: '2026-03-01',
+  provider: 'Dr John Smith'
+};
+
+const req = { user: { userId: 'hl7-feed', role: 'api_key', facilities: ['Mercy General'] }, ip: '127.0.0.1', headers: {} };
+
+const ingest = () => ingestionService.ingest({
+  chartInfo,
+  documentType: 'hl7',
+  documents: [
+    { content: 'Assessment: GERD', originalName: 'note-1.txt', mimeType: 'text/plain' },
+    { content: 'ECG: normal sinus rhythm', originalName: 'note-2.txt', mimeType: 'text/plain' }
+  ],
+  req,
+  source: 'hl7:MDM^T02'
+});
+
+const existing = (fields = {}) => ({
+  id: 7,
+  chart_number: 'ENC-1001',
+  mrn: 'MRN123',
+  facility: 'Mercy General',
+  specialty: 'Emergency',
+  date_of_service: '2026-03-01',
+  provider: 'Dr Jane Roe',
+  ai_status: 'ready',
+  review_status: 'in_review',
+  ...fields
+});
+
+let chart;
+
+beforeEach(() => {
+  chart = null;
+  mock.method(console, 'log', () => {});
+
+  mock.method(ChartRepository, 'getByChartNumber', async () => chart);
+  mock.method(ChartRepository, 'createQueued', async (data) => ({ id: 1, chart_number: data.chartNumber, ai_status: 'queued' }));
+  mock.method(ChartRepository, 'queueReprocess', async () => ({ ...chart, ai_status: 'queued' }));
+  mock.method(DocumentRepository, 'findByContentHash', async () => null);
+  mock.method(DocumentRepository, 'create', async (chartId, data) => ({
+    id: 100 + DocumentRepository.create.mock.callCount(),
+    chart_id: chartId,
+    original_name: data.originalName,
+    s3_key: data.s3Key
+  }));
+  mock.method(QueueService, 'addJob', async () => ({ job_id: 'job-1' }));
+  mock.method(s3Service, 'uploadBuffer', async (buffer, chartNumber, documentType, filename) => ({
+    success: true,
+    key: `${chartNumber}/${filename}`,
+    url: `https://s3.test/${chartNumber}/${filename}`,
+    bucket: 'test'
+  }));
+  mock.method(s3Service, 'deleteFile', async () => ({ success: true }));
+  mock.method(auditService, 'log', async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('ingestionService.ingest', () => {
+  test('creates a new chart and queues a plain job', async () => {
+    const result = await ingest();
+
+    assert.equal(result.status, 'queued');
+    assert.equal(result.reprocess, false);
+    assert.equal(ChartRepository.createQueued.mock.callCount(), 1);
+    assert.equal(ChartRepository.queueReprocess.mock.callCount(), 0);
+
+    const [, , jobData] = QueueService.addJob.mock.calls[0].arguments;
+    assert.equal(jobData.reprocess, false);
+    assert.deepEqual(jobData.chartInfo, chartInfo);
+    assert.equal(auditService.log.mock.calls[0].arguments[1], 'document.upload');
+  });
+
+  test('adds to an existing chart and re-codes it over all of its documents', async () => {
+    chart = existing();
+
+    const result = await ingest();
+
+    assert.equal(result.status, 'queued');
+    assert.equal(result.reprocess, true);
+    assert.equal(ChartRepository.createQueued.mock.callCount(), 0);
+    assert.deepEqual(ChartRepository.queueReprocess.mock.calls[0].arguments, ['ENC-1001', 2]);
+    assert.ok(DocumentRepository.create.mock.calls.every(call => call.arguments[0] === 7));
+
+    const [chartId, , jobData] = QueueService.addJob.mock.calls[0].arguments;
+    assert.equal(chartId, 7);
+    assert.equal(jobData.reprocess, true);
+    assert.equal(jobData.chartInfo.provider, 'Dr Jane Roe');
+    assert.equal(jobData.documents.length, 2);
+    assert.equal(auditService.log.mock.calls[0].arguments[1], 'document.append');
+  });
+
+  test('refuses a chart that is still processing or locked for review', async () => {
+    for (const fields of [{ ai_status: 'processing' }, { ai_status: 'queued' }, { review_status: 'submitted' }, { review_status: 'qa_pending' }]) {
+      chart = existing(fields);
+
+      const result = await ingest();
+
+      assert.equal(result.status, 'conflict');
+      assert.match(result.error, /processing|review status/);
+    }
+
+    assert.equal(s3Service.uploadBuffer.mock.callCount(), 0);
+    assert.equal(ChartRepository.queueReprocess.mock.callCount(), 0);
+    assert.equal(QueueService.addJob.mock.callCount(), 0);
+  });
+
+  test('a failed chart can take new documents', async () => {
+    chart = existing({ ai_status: 'failed' });
+
+    assert.equal((await ingest()).status, 'queued');
+  });
+
+  test('a failed upload leaves no chart behind and removes what was stored', async () => {
+    mock.method(s3Service, 'uploadBuffer', async (buffer, chartNumber, documentType, filename) => filename === 'note-2.txt'
+      ? { success: false, error: 'S3 unavailable' }
+      : { success: true, key: `${chartNumber}/${filename}`, url: 'https://s3.test/x', bucket: 'test' });
+
+    await assert.rejects(ingest(), /Failed to store note-2.txt: S3 unavailable/);
+
+    assert.equal(ChartRepository.createQueued.mock.callCount(), 0);
+    assert.equal(DocumentRepository.create.mock.callCount(), 0);
+    assert.deepEqual(s3Service.deleteFile.mock.calls.map(call => call.arguments[0]), ['ENC-1001/note-1.txt']);
+  });
+});
+
+describe('ingestionService.appendConflict', () => {
+  test('allows ready and failed charts that are not out for submission or QA', () => {
+    assert.equal(ingestionService.appendConflict(existing()), null);
+    assert.equal(ingestionService.appendConflict(existing({ ai_status: 'failed', review_status: 'rejected' })), null);
+    assert.match(ingestionService.appendConflict(existing({ ai_status: 'processing' })), /currently 'processing'/);
+    assert.match(ingestionService.appendConflict(existing({ review_status: 'qa_pending' })), /review status 'qa_pending'/);
+  });
+});
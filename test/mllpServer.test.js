@@ -0,0 +1,51 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { config } from '../src/config.js';
+import { hl7Service } from '../src/services/hl7Service.js';
+import { mllpServer } from '../src/services/mllpServer.js';
+
+const hl7 = { ...config.hl7 };
+
+afterEach(() => {
+  mllpServer.stop();
+  Object.assign(config.hl7, hl7);
+  mock.restoreAll();
+});
+
+describe('mllpServer.start', () => {
+  test('does not listen without a facility list', () => {
+    mock.method(console, 'error', () => {});
+    Object.assign(config.hl7, { mllpPort: 2575, mllpFacilities: [] });
+
+    assert.equal(mllpServer.start(), null);
+    assert.match(console.error.mock.calls[0].arguments[0], /HL7_MLLP_FACILITIES/);
+  });
+
+  test('acknowledges framed messages as the facility-restricted MLLP user', async () => {
+    mock.method(console, 'log', () => {});
+    const processMessage = mock.method(hl7Service, 'processMessage', async () => ({ ack: 'MSH|ACK\r' }));
+    Object.assign(config.hl7, { mllpPort: 21575 + Math.floor(Math.random() * 1000), mllpHost: '127.0.0.1', mllpFacilities: ['Mercy General'] });
+
+    const server = mllpServer.start();
+    await once(server, 'listening');
+
+    const accepted = once(server, 'connection');
+    const client = net.connect(config.hl7.mllpPort, '127.0.0.1');
+    await once(client, 'connect');
+    const [socket] = await accepted;
+    client.write(Buffer.concat([Buffer.from([0x0b]), Buffer.from('MSH|^~\\&|EPIC\r'), Buffer.from([0x1c, 0x0d])]));
+
+    const [reply] = await once(client, 'data');
+    client.destroy();
+
+    // Let the server log the closed connection while console.log is still muted
+    await once(socket, 'close');
+
+    assert.equal(reply.toString('utf8'), '\x0bMSH|ACK\r\x1c\r');
+    const [message, req] = processMessage.mock.calls[0].arguments;
+    assert.equal(message, 'MSH|^~\\&|EPIC\r');
+    assert.deepEqual(req.user.facilities, ['Mercy General']);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ncciService } from '../src/services/ncciService.js';
+
+const line = (code, { units = 1, modifiers = [], category = 'procedures' } = {}) => ({ category, code, units, modifiers });
+const edit = (column1_code, column2_code, modifier_indicator) => ({ column1_code, column2_code, modifier_indicator, rationale: 'Test edit' });
+const types = (alerts) => alerts.map(alert => alert.type).sort();
+
+describe('ncciService.checkPtpEdits', () => {
+  test('indicator 0 pairs are bundled regardless of modifiers', () => {
+    const alerts = ncciService.checkPtpEdits(
+      [line('36415'), line('36410', { modifiers: ['59'] })],
+      [edit('36415', '36410', 0)]
+    );
+
+    const bundled = alerts.find(alert => alert.type === 'ptp_bundled');
+    assert.equal(bundled.severity, 'hard');
+    assert.equal(bundled.column2_code, '36410');
+  });
+
+  test('indicator 1 pairs need a bypass modifier', () => {
+    const alerts = ncciService.checkPtpEdits([line('29105'), line('20552')], [edit('20552', '29105', 1)]);
+
+    assert.deepEqual(types(alerts), ['ptp_modifier_required']);
+    assert.deepEqual(alerts[0].suggested_modifiers, ['XE', 'XS', 'XP', 'XU', '59']);
+  });
+
+  test('an X modifier on the column 2 code bypasses the edit', () => {
+    const alerts = ncciService.checkPtpEdits(
+      [line('20552'), line('29105', { modifiers: ['XS'] })],
+      [edit('20552', '29105', 1)]
+    );
+
+    assert.deepEqual(alerts, []);
+  });
+
+  test('indicator 9 edits are ignored', () => {
+    assert.deepEqual(ncciService.checkPtpEdits([line('20552'), line('29105')], [edit('20552', '29105', 9)]), []);
+  });
+
+  test('modifier 25 bypasses an edit only on the E/M line', () => {
+    const edits = [edit('93010', '99284', 1)];
+
+    const onEm = ncciService.checkPtpEdits(
+      [line('93010'), line('99284', { category: 'ed_em_level', modifiers: ['25'] })],
+      edits
+    );
+    assert.deepEqual(onEm, []);
+
+    const onProcedure = ncciService.checkPtpEdits(
+      [line('93010', { modifiers: ['25'] }), line('99284', { category: 'ed_em_level' })],
+      edits
+    );
+    assert.deepEqual(types(onProcedure), ['modifier_invalid', 'ptp_modifier_required']);
+    assert.deepEqual(onProcedure.find(alert => alert.type === 'ptp_modifier_required').suggested_modifiers, ['25']);
+  });
+
+  test('distinct-service modifiers on an E/M code are invalid', () => {
+    const alerts = ncciService.checkPtpEdits([line('99284', { category: 'ed_em_level', modifiers: ['59'] })], []);
+
+    assert.deepEqual(types(alerts), ['modifier_invalid']);
+    assert.deepEqual(alerts[0].suggested_modifiers, ['25']);
+  });
+
+  test('59 that bypasses an edit is flagged as non-specific', () => {
+    const alerts = ncciService.checkPtpEdits(
+      [line('20552'), line('29105', { modifiers: ['59'] })],
+      [edit('20552', '29105', 1)]
+    );
+
+    assert.deepEqual(types(alerts), ['modifier_nonspecific']);
+  });
+
+  test('59 together with an X modifier is redundant', () => {
+    const alerts = ncciService.checkPtpEdits(
+      [line('20552'), line('29105', { modifiers: ['59', 'XS'] })],
+      [edit('20552', '29105', 1)]
+    );
+
+    assert.deepEqual(types(alerts), ['modifier_redundant']);
+  });
+
+  test('modifiers that bypass nothing are unsupported', () => {
+    const alerts = ncciService.checkPtpEdits(
+      [line('29105', { modifiers: ['XS'] }), line('99284', { category: 'ed_em_level', modifiers: ['25'] })],
+      []
+    );
+
+    assert.deepEqual(types(alerts), ['modifier_unsupported', 'modifier_unsupported']);
+    assert.ok(alerts.every(alert => alert.severity === 'soft'));
+  });
+});
+
+describe('ncciService.checkMueValues', () => {
+  const mue = (mue_value, adjudication_indicator) => ({ mue_value, adjudication_indicator, rationale: 'Test MUE' });
+
+  test('indicator 1: too many units on one line is a hard alert', () => {
+    const alerts = ncciService.checkMueValues([line('36415', { units: 3 })], new Map([['36415', mue(2, 1)]]));
+
+    assert.deepEqual(types(alerts), ['mue_exceeded']);
+    assert.equal(alerts[0].severity, 'hard');
+    assert.equal(alerts[0].units, 3);
+  });
+
+  test('indicator 1: units split across lines are a soft alert', () => {
+    const unmarked = ncciService.checkMueValues(
+      [line('36415', { units: 2 }), line('36415', { units: 1 })],
+      new Map([['36415', mue(2, 1)]])
+    );
+
+    assert.deepEqual(types(unmarked), ['mue_split_lines']);
+    assert.equal(unmarked[0].severity, 'soft');
+    assert.match(unmarked[0].message, /and a modifier/);
+
+    const marked = ncciService.checkMueValues(
+      [line('36415', { units: 2 }), line('36415', { units: 1, modifiers: ['91'] })],
+      new Map([['36415', mue(2, 1)]])
+    );
+    assert.doesNotMatch(marked[0].message, /and a modifier/);
+  });
+
+  test('indicators 2 and 3 count every line of the date of service', () => {
+    for (const indicator of [2, 3]) {
+      const alerts = ncciService.checkMueValues(
+        [line('96372', { units: 1 }), line('96372', { units: 2 })],
+        new Map([['96372', mue(2, indicator)]])
+      );
+
+      assert.deepEqual(types(alerts), ['mue_exceeded']);
+      assert.equal(alerts[0].units, 3);
+    }
+  });
+
+  test('units within the MUE and codes without one pass', () => {
+    const alerts = ncciService.checkMueValues(
+      [line('36415', { units: 2 }), line('93010', { units: 5 })],
+      new Map([['36415', mue(2, 1)]])
+    );
+
+    assert.deepEqual(alerts, []);
+  });
+});
+
+describe('ncciService.buildLines', () => {
+  test('attaches category modifiers to their line and flags unattached ones', () => {
+    const { items, alerts } = ncciService.buildLines({
+      procedures: [{ cpt_code: '93010' }],
+      ed_em_level: [{ code: '99284' }],
+      modifiers: [{ modifier_code: '25', applies_to_code: '99284' }, { modifier_code: 'XS', applies_to_code: '12001' }]
+    });
+
+    assert.deepEqual(items.find(item => item.code === '99284').modifiers, ['25']);
+    assert.deepEqual(types(alerts), ['modifier_unattached']);
+  });
+});
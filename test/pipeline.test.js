@@ -0,0 +1,185 @@
+/**
+ * Upload → queue → worker → chart, offline: the mock LLM provider answers from
+ * its fixtures and the repositories, S3 and HTTP downloads are replaced with
+ * in-memory stand-ins.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read by config at import time (dotenv never overrides what is already set)
+process.env.AI_PROVIDER = 'mock';
+process.env.DATABASE_URL = 'postgres://test@127.0.0.1:1/test';
+process.env.ASSIGNMENT_STRATEGY = 'none';
+
+const { default: axios } = await import('axios');
+const { ChartRepository, DocumentRepository } = await import('../src/db/chartRepository.js');
+const { QueueService } = await import('../src/db/queueService.js');
+const { JobStepRepository } = await import('../src/db/jobStepRepository.js');
+const { CodeSetRepository } = await import('../src/db/codeSetRepository.js');
+const { s3Service } = await import('../src/services/s3Service.js');
+const { auditService } = await import('../src/services/auditService.js');
+const { ingestionService } = await import('../src/services/ingestionService.js');
+const { default: DocumentWorker } = await import('../src/worker/documentWorker.js');
+
+// The lines the mock coding fixture cites as evidence
+const NOTE = [
+  'Chief complaint: chest pain',
+  'Assessment: GERD',
+  'History of hypertension',
+  'ECG: normal sinus rhythm'
+].join('\n');
+
+const chartInfo = {
+  chartNumber: 'ENC-1001',
+  mrn: 'MRN123',
+  facility: 'Mercy General',
+  specialty: 'Emergency',
+  dateOfService: '2026-03-01',
+  provider: 'Dr John Smith'
+};
+
+const req = { user: { userId: 'coder-1', role: 'coder', facilities: ['Mercy General'] }, ip: '127.0.0.1', headers: {} };
+
+const store = { charts: new Map(), documents: new Map(), jobs: [], ocrText: new Map(), summaries: new Map(), saved: null };
+
+before(() => {
+  // Keep the worker's step-by-step logging out of the test output
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+  mock.method(ChartRepository, 'getByChartNumber', async (chartNumber) => store.charts.get(chartNumber) || null);
+  mock.method(ChartRepository, 'createQueued', async (data) => {
+    const chart = { id: 1, chart_number: data.chartNumber, facility: data.facility, mrn: data.mrn, ai_status: 'queued', assigned_to: null };
+    store.charts.set(data.chartNumber, chart);
+    return chart;
+  });
+  mock.method(ChartRepository, 'updateStatus', async (chartNumber, aiStatus) => {
+    store.charts.get(chartNumber).ai_status = aiStatus;
+  });
+  mock.method(ChartRepository, 'updateWithAIResults', async (chartNumber, aiResults, slaData) => {
+    store.saved = { aiResults, slaData };
+    return Object.assign(store.charts.get(chartNumber), { ai_status: 'ready' });
+  });
+
+  mock.method(DocumentRepository, 'findByContentHash', async () => null);
+  mock.method(DocumentRepository, 'create', async (chartId, data) => {
+    const doc = {
+      id: 100 + store.documents.size,
+      chart_id: chartId,
+      document_type: data.documentType,
+      original_name: data.originalName,
+      mime_type: data.mimeType,
+      file_size: data.fileSize,
+      s3_key: data.s3Key,
+      s3_url: data.s3Url,
+      transaction_id: data.transactionId,
+      transaction_label: data.transactionLabel,
+      is_group_member: data.isGroupMember,
+      transaction_position: null,
+      duplicate_of: data.duplicateOf
+    };
+    store.documents.set(doc.id, doc);
+    return doc;
+  });
+  mock.method(DocumentRepository, 'updateOCRResults', async (documentId, ocrText) => {
+    store.ocrText.set(documentId, ocrText);
+  });
+  mock.method(DocumentRepository, 'updateAISummary', async (documentId, summary) => {
+    store.summaries.set(documentId, summary);
+  });
+  mock.method(DocumentRepository, 'markOCRFailed', async () => {});
+
+  mock.method(QueueService, 'addJob', async (chartId, chartNumber, jobData) => {
+    const job = { job_id: `job-${store.jobs.length + 1}`, status: 'pending', attempts: 0, max_attempts: 3, job_data: JSON.stringify(jobData) };
+    store.jobs.push(job);
+    return job;
+  });
+  mock.method(QueueService, 'claimNextJob', async () => {
+    const job = store.jobs.find(j => j.status === 'pending');
+    if (!job) return null;
+    return Object.assign(job, { status: 'processing', attempts: job.attempts + 1 });
+  });
+  mock.method(QueueService, 'completeJob', async (jobId) => {
+    store.jobs.find(j => j.job_id === jobId).status = 'completed';
+  });
+  mock.method(QueueService, 'failJob', async (jobId, errorMessage) => {
+    Object.assign(store.jobs.find(j => j.job_id === jobId), { status: 'failed', error: errorMessage });
+    return null;
+  });
+  mock.method(QueueService, 'notifyStatusChange', async () => {});
+
+  for (const method of ['start', 'complete', 'fail', 'skip', 'failRunning']) {
+    mock.method(JobStepRepository, method, async () => {});
+  }
+  mock.method(JobStepRepository, 'getCompleted', async () => []);
+
+  // No code sets or NCCI tables loaded
+  mock.method(CodeSetRepository, 'getReleasesOn', async () => ({}));
+
+  mock.method(s3Service, 'uploadBuffer', async (buffer, chartNumber, documentType, filename) => ({
+    success: true,
+    key: `${chartNumber}/${filename}`,
+    url: `https://s3.test/${chartNumber}/${filename}`,
+    bucket: 'test'
+  }));
+  mock.method(auditService, 'log', async () => {});
+  mock.method(axios, 'get', async (url) => {
+    assert.equal(url, `https://s3.test/${chartInfo.chartNumber}/ed-note.txt`);
+    return { data: NOTE };
+  });
+});
+
+after(() => mock.restoreAll());
+
+test('an ingested document is coded by the worker with the mock provider', async () => {
+  const ingested = await ingestionService.ingest({
+    chartInfo,
+    documentType: 'ed-note',
+    documents: [{ content: NOTE, originalName: 'ed-note.txt', mimeType: 'text/plain' }],
+    req,
+    source: 'test'
+  });
+
+  assert.equal(ingested.status, 'queued');
+  assert.equal(ingested.job.job_id, 'job-1');
+  assert.equal(ingested.documents.length, 1);
+
+  await new DocumentWorker().processNextJob();
+
+  const [job] = store.jobs;
+  assert.equal(job.status, 'completed', job.error);
+
+  const documentId = ingested.documents[0].documentId;
+  assert.deepEqual(JSON.parse(store.ocrText.get(documentId)).map(line => line.text), NOTE.split('\n'));
+  assert.ok(store.summaries.has(documentId));
+
+  const { aiResults } = store.saved;
+  const codes = aiResults.diagnosis_codes;
+
+  assert.equal(aiResults.ai_metadata.provider, 'mock');
+  assert.equal(codes.reason_for_admit[0].icd_10_code, 'R07.9');
+  assert.equal(codes.primary_diagnosis[0].icd_10_code, 'K21.9');
+  assert.deepEqual(codes.secondary_diagnoses.map(code => code.icd_10_code), ['I10']);
+  assert.deepEqual(aiResults.procedures.map(procedure => procedure.cpt_code), ['93010']);
+  assert.equal(codes.ed_em_level[0].code, '99284');
+  assert.deepEqual(codes.modifiers.map(modifier => [modifier.modifier_code, modifier.applies_to_code]), [['25', '99284']]);
+
+  // Every quote in the fixture is on the note
+  assert.equal(aiResults.evidence_verification.counts.not_found, 0);
+  assert.equal(aiResults.evidence_verification.counts.partial, 0);
+
+  // Nothing to check against, so nothing is rejected - only reported as unverified
+  assert.equal(aiResults.code_validation.counts.invalid, 0);
+  assert.ok(aiResults.code_validation.counts.unverified > 0);
+  assert.deepEqual(aiResults.ncci_edits.missing_tables, ['ncci_ptp', 'ncci_mue']);
+  assert.equal(aiResults.ncci_edits.counts.hard, 0);
+});
+
+test('the worker does nothing when no job is pending', async () => {
+  const claimed = QueueService.claimNextJob.mock.callCount();
+
+  await new DocumentWorker().processNextJob();
+
+  assert.equal(QueueService.claimNextJob.mock.callCount(), claimed + 1);
+  assert.deepEqual(store.jobs.map(job => job.status), ['completed']);
+});
@@ -0,0 +1,139 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartRepository, DocumentRepository } from '../src/db/chartRepository.js';
+import { QueueService } from '../src/db/queueService.js';
+import { UploadSessionRepository } from '../src/db/uploadSessionRepository.js';
+import { s3Service } from '../src/services/s3Service.js';
+import { auditService } from '../src/services/auditService.js';
+import { uploadController } from '../src/controllers/uploadController.js';
+
+/**
+ * Minimal Express response that records status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const request = (facilities = ['Mercy General']) => ({
+  params: { uploadId: 'upload-1' },
+  user: { userId: 'coder-1', role: 'coder', facilities },
+  method: 'POST',
+  originalUrl: '/api/documents/uploads/upload-1/complete',
+  headers: {}
+});
+
+const session = {
+  id: 5,
+  upload_id: 'upload-1',
+  chart_number: 'ENC-1001',
+  chart_info: { mrn: 'MRN123', facility: 'Mercy General' },
+  document_type: 'ed-note',
+  original_name: 'ed-note.pdf',
+  mime_type: 'application/pdf',
+  total_size: '1024',
+  chunk_size: 1024,
+  total_chunks: 1,
+  s3_key: 'ENC-1001/ed-note.pdf',
+  s3_upload_id: 's3-upload-1',
+  status: 'uploading',
+  created_by: 'coder-1',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+};
+
+const existing = (fields = {}) => ({
+  id: 7,
+  chart_number: 'ENC-1001',
+  mrn: 'MRN123',
+  facility: 'Mercy General',
+  provider: 'Dr Jane Roe',
+  ai_status: 'ready',
+  review_status: 'in_review',
+  ...fields
+});
+
+describe('uploadController.completeUpload', () => {
+  let chart;
+
+  beforeEach(() => {
+    chart = null;
+    for (const method of ['log', 'warn']) mock.method(console, method, () => {});
+
+    mock.method(UploadSessionRepository, 'findByUploadId', async () => ({ ...session }));
+    mock.method(UploadSessionRepository, 'getChunks', async () => [{ chunk_number: 1, size: 1024, etag: 'etag-1' }]);
+    mock.method(UploadSessionRepository, 'transition', async () => true);
+    mock.method(UploadSessionRepository, 'markCompleted', async (id, fields) => ({ ...session, status: 'completed', ...fields }));
+    mock.method(s3Service, 'completeMultipartUpload', async (key) => ({ key, url: `https://s3.test/${key}`, bucket: 'test' }));
+    mock.method(s3Service, 'hashObject', async () => 'hash-1');
+
+    mock.method(ChartRepository, 'getByChartNumber', async () => chart);
+    mock.method(ChartRepository, 'createQueued', async (data) => ({ id: 1, chart_number: data.chartNumber }));
+    mock.method(ChartRepository, 'queueReprocess', async () => ({ ...chart, ai_status: 'queued' }));
+    mock.method(DocumentRepository, 'findByContentHash', async () => null);
+    mock.method(DocumentRepository, 'create', async (chartId, data) => ({ id: 100, chart_id: chartId, original_name: data.originalName }));
+    mock.method(QueueService, 'addJob', async () => ({ job_id: 'job-1' }));
+    mock.method(auditService, 'log', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('a new chart is created and queued', async () => {
+    const res = response();
+    await uploadController.completeUpload(request(), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.chartId, 1);
+    assert.equal(ChartRepository.queueReprocess.mock.callCount(), 0);
+    assert.equal(QueueService.addJob.mock.calls[0].arguments[2].reprocess, false);
+    assert.equal(auditService.log.mock.calls[0].arguments[1], 'document.upload');
+  });
+
+  test('an existing chart gets the document and is re-coded over all of its documents', async () => {
+    chart = existing();
+
+    const res = response();
+    await uploadController.completeUpload(request(), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.chartId, 7);
+    assert.match(res.body.message, /queued for reprocessing/);
+    assert.equal(ChartRepository.createQueued.mock.callCount(), 0);
+    assert.equal(DocumentRepository.create.mock.calls[0].arguments[0], 7);
+    assert.deepEqual(ChartRepository.queueReprocess.mock.calls[0].arguments, ['ENC-1001', 1]);
+
+    const [, , jobData] = QueueService.addJob.mock.calls[0].arguments;
+    assert.equal(jobData.reprocess, true);
+    assert.equal(jobData.chartInfo.provider, 'Dr Jane Roe');
+    assert.equal(auditService.log.mock.calls[0].arguments[1], 'document.append');
+  });
+
+  test('409 while the chart is processing or locked, leaving the upload open', async () => {
+    for (const fields of [{ ai_status: 'processing' }, { review_status: 'qa_pending' }]) {
+      chart = existing(fields);
+
+      const res = response();
+      await uploadController.completeUpload(request(), res);
+
+      assert.equal(res.statusCode, 409);
+      assert.match(res.body.error, /processing|review status 'qa_pending'/);
+    }
+
+    assert.equal(UploadSessionRepository.transition.mock.callCount(), 0);
+    assert.equal(s3Service.completeMultipartUpload.mock.callCount(), 0);
+  });
+
+  test('403 when the chart is now in a facility the caller cannot feed', async () => {
+    chart = existing({ facility: 'St Luke' });
+
+    const res = response();
+    await uploadController.completeUpload(request(), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.facility, 'St Luke');
+    assert.equal(UploadSessionRepository.transition.mock.callCount(), 0);
+  });
+});
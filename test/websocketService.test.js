@@ -0,0 +1,56 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiKeyRepository } from '../src/db/apiKeyRepository.js';
+import { websocketService, API_KEY_PROTOCOL } from '../src/services/websocketService.js';
+
+const KEY = 'mck_abcdefghijklmnopqrstuvwxyz0123456789-_ABC';
+
+const socket = () => ({ closed: null, close(code, reason) { this.closed = { code, reason }; } });
+const request = (url, protocols = null) => ({
+  url,
+  headers: protocols ? { 'sec-websocket-protocol': protocols.join(', ') } : {},
+  socket: { remoteAddress: '127.0.0.1' }
+});
+
+describe('websocketService._authenticate', () => {
+  beforeEach(() => {
+    for (const method of ['log', 'warn']) mock.method(console, method, () => {});
+    mock.method(ApiKeyRepository, 'findActiveByKey', async (rawKey) => rawKey === KEY
+      ? { id: 1, key_prefix: 'mck_abcdefgh', name: 'Feed', scopes: ['documents:status'], facilities: ['Mercy General'] }
+      : null);
+    mock.method(ApiKeyRepository, 'touch', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('accepts an API key offered as a subprotocol', async () => {
+    const ws = socket();
+
+    assert.equal(await websocketService._authenticate(ws, request('/api/ws', [API_KEY_PROTOCOL, KEY])), true);
+    assert.equal(ws.user.userId, 'apikey:mck_abcdefgh');
+    assert.equal(ws.closed, null);
+  });
+
+  test('rejects API keys in the query string without looking them up', async () => {
+    const ws = socket();
+
+    assert.equal(await websocketService._authenticate(ws, request(`/api/ws?apiKey=${KEY}`)), false);
+    assert.equal(ws.closed.code, 4401);
+    assert.match(ws.closed.reason, /not accepted in the URL/);
+    assert.equal(ApiKeyRepository.findActiveByKey.mock.callCount(), 0);
+  });
+
+  test('ignores subprotocols without the API key marker', async () => {
+    const ws = socket();
+
+    assert.equal(await websocketService._authenticate(ws, request('/api/ws', [KEY])), false);
+    assert.equal(ws.closed.reason, 'Authentication required');
+  });
+
+  test('rejects an unknown key', async () => {
+    const ws = socket();
+
+    assert.equal(await websocketService._authenticate(ws, request('/api/ws', [API_KEY_PROTOCOL, 'mck_wrong'])), false);
+    assert.equal(ws.closed.reason, 'Invalid or revoked API key');
+  });
+});